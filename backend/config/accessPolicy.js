@@ -0,0 +1,48 @@
+// Which roles may call each mutating route. Owner is the contract owner, the
+// participant roles come from the contract's registries, Regulator from the
+// contract's regulators mapping, and Auditor is an off-chain, read-only role
+// granted through AUDITOR_ADDRESSES.
+
+const ROLES = {
+  OWNER: "Owner",
+  SUPPLIER: "Supplier",
+  MANUFACTURER: "Manufacturer",
+  DISTRIBUTOR: "Distributor",
+  RETAILER: "Retailer",
+  REGULATOR: "Regulator",
+  AUDITOR: "Auditor",
+};
+
+const PARTICIPANT_ROLES = [ROLES.SUPPLIER, ROLES.MANUFACTURER, ROLES.DISTRIBUTOR, ROLES.RETAILER];
+
+// Keyed by controller action; read-only admin reports are listed here too. Stage changes are further restricted per
+// transition (see medicineStages) once the medicine's current stage is known.
+const POLICIES = {
+  addMedicine: [ROLES.OWNER],
+  recordBatch: [ROLES.OWNER, ROLES.MANUFACTURER],
+  serializeBatch: [ROLES.OWNER, ROLES.MANUFACTURER],
+  setStorageRange: [ROLES.OWNER, ROLES.MANUFACTURER],
+  printLabels: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  uploadDocument: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  advanceMedicine: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  addParticipant: [ROLES.OWNER],
+  updateParticipant: [ROLES.OWNER],
+  suspendParticipant: [ROLES.OWNER],
+  reinstateParticipant: [ROLES.OWNER],
+  recordTransaction: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  createShipment: [ROLES.OWNER, ROLES.DISTRIBUTOR],
+  updateShipmentStatus: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  updateShipmentStatusWithNote: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  confirmShipment: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  recordTelemetry: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  recordCheckpoint: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+  issueRecall: [ROLES.OWNER, ROLES.REGULATOR],
+  setRegulator: [ROLES.OWNER],
+  getDrift: [ROLES.OWNER, ROLES.AUDITOR],
+  runReconciliation: [ROLES.OWNER],
+  manageWebhooks: [ROLES.OWNER, ...PARTICIPANT_ROLES],
+};
+
+const hasAnyRole = (roles, allowedRoles) => allowedRoles.some((role) => roles.includes(role));
+
+module.exports = { ROLES, PARTICIPANT_ROLES, POLICIES, hasAnyRole };
\ No newline at end of file
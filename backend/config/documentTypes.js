@@ -0,0 +1,6 @@
+// What documents can be attached to, and what kinds of document are accepted
+const SUBJECT_TYPES = ["medicine", "shipment", "participant"];
+
+const DOCUMENT_KINDS = ["CertificateOfAnalysis", "GmpCertificate", "CustomsDeclaration", "Other"];
+
+module.exports = { SUBJECT_TYPES, DOCUMENT_KINDS };
\ No newline at end of file
@@ -0,0 +1,24 @@
+// Medicine lifecycle, mirroring the contract's Stage enum.
+// STAGES is ordered by enum value; each transition names the contract method
+// that performs it and the participant role the contract requires.
+
+const STAGES = ["Ordered", "RawMaterialSupplied", "Manufactured", "Distributed", "Retail", "Sold"];
+
+const TRANSITIONS = [
+  { action: "supplyRawMaterials", label: "Supply Raw Materials", from: "Ordered", to: "RawMaterialSupplied", role: "Supplier" },
+  { action: "manufactureMedicine", label: "Manufacture", from: "RawMaterialSupplied", to: "Manufactured", role: "Manufacturer" },
+  { action: "distributeMedicine", label: "Distribute", from: "Manufactured", to: "Distributed", role: "Distributor" },
+  { action: "retailMedicine", label: "Stock at Retailer", from: "Distributed", to: "Retail", role: "Retailer" },
+  { action: "sellMedicine", label: "Sell", from: "Retail", to: "Sold", role: "Retailer" },
+];
+
+// Transitions the contract refuses once the medicine is recalled
+const RECALL_BLOCKED_ACTIONS = ["distributeMedicine", "retailMedicine", "sellMedicine"];
+
+const stageName = (stageValue) => STAGES[Number(stageValue)];
+
+const getTransitionFrom = (stage) => TRANSITIONS.find((transition) => transition.from === stage);
+
+const findTransition = (action) => TRANSITIONS.find((transition) => transition.action === action);
+
+module.exports = { STAGES, TRANSITIONS, RECALL_BLOCKED_ACTIONS, stageName, getTransitionFrom, findTransition };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const passport = require("passport");
+const { Strategy } = require("passport-strategy");
+const { Strategy: JwtStrategy, ExtractJwt } = require("passport-jwt");
+const { jwtSecret, verifySignIn } = require("../services/siweAuth");
+const { getRoles } = require("../services/participantRoles");
+
+// Authenticates a signed Sign-In with Ethereum message from the request body
+class SiweStrategy extends Strategy {
+    constructor() {
+        super();
+        this.name = "siwe";
+    }
+
+    authenticate(req) {
+        const { message, signature } = req.body || {};
+        if (!message || !signature) {
+            return this.fail({ message: "message and signature are required" }, 400);
+        }
+
+        verifySignIn(message, signature)
+            .then((address) => (address ? this.success({ address }) : this.fail({ message: "Invalid or expired sign-in signature" }, 401)))
+            .catch((error) => this.error(error));
+    }
+}
+
+// Resolves a session token to the wallet address and its (cached) roles
+const resolveUser = async (payload, done) => {
+    const address = payload.sub;
+    try {
+        done(null, { address, roles: await getRoles(address) });
+    } catch (error) {
+        console.error("Could not resolve on-chain roles:", error.message);
+        done(null, { address, roles: [] });
+    }
+};
+
+passport.use(new SiweStrategy());
+passport.use(new JwtStrategy({
+    jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
+    secretOrKey: jwtSecret,
+}, resolveUser));
+
+module.exports = passport;
\ No newline at end of file
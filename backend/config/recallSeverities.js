@@ -0,0 +1,12 @@
+// RecallSeverity enum mapping (must match contract), least to most serious
+const RecallSeverity = {
+  Low: 0,
+  Medium: 1,
+  High: 2
+};
+
+const RECALL_SEVERITIES = Object.keys(RecallSeverity);
+
+const recallSeverityName = (value) => RECALL_SEVERITIES[Number(value)];
+
+module.exports = { RecallSeverity, RECALL_SEVERITIES, recallSeverityName };
\ No newline at end of file
@@ -0,0 +1,40 @@
+// ShipmentStatus enum mapping (must match contract)
+const ShipmentStatus = {
+  Pending: 0,
+  InTransit: 1,
+  Delivered: 2,
+  Rejected: 3,
+  Cancelled: 4,
+  Returned: 5,
+  Lost: 6
+};
+
+const SHIPMENT_STATUSES = Object.keys(ShipmentStatus);
+
+// Legal status changes (must match SHIPMENT_TRANSITIONS in the contract). InTransit
+// may be repeated to add progress notes; statuses with no way out are final.
+const SHIPMENT_TRANSITIONS = {
+  Pending: ["InTransit", "Cancelled"],
+  InTransit: ["InTransit", "Delivered", "Rejected", "Lost"],
+  Rejected: ["Returned"],
+  Delivered: [],
+  Cancelled: [],
+  Returned: [],
+  Lost: []
+};
+
+const FINAL_SHIPMENT_STATUSES = SHIPMENT_STATUSES.filter((status) => SHIPMENT_TRANSITIONS[status].length === 0);
+
+// Statuses only the shipment's receiver may set; the sender sets the others
+const RECEIVER_STATUSES = ["Delivered", "Rejected"];
+
+const shipmentStatusName = (value) => SHIPMENT_STATUSES[Number(value)];
+
+module.exports = {
+  ShipmentStatus,
+  SHIPMENT_STATUSES,
+  SHIPMENT_TRANSITIONS,
+  FINAL_SHIPMENT_STATUSES,
+  RECEIVER_STATUSES,
+  shipmentStatusName
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Webhook delivery states: Pending until a delivery succeeds (Delivered) or runs
+// out of attempts (DeadLetter, retried only by hand)
+const DELIVERY_STATUSES = ["Pending", "Delivered", "DeadLetter"];
+
+// Request headers sent with every delivery
+const WEBHOOK_HEADERS = {
+  ID: "X-Webhook-Id",
+  EVENT: "X-Webhook-Event",
+  TIMESTAMP: "X-Webhook-Timestamp",
+  SIGNATURE: "X-Webhook-Signature",
+};
+
+module.exports = { DELIVERY_STATUSES, WEBHOOK_HEADERS };
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { contract } = require("../config/web3");
+const { reconcile, getLastReport } = require("../services/reconciliation");
+const { sendTransaction } = require("../services/transactionSender");
+const { invalidateRoles, isRegulator } = require("../services/participantRoles");
+const { apiError, sendError } = require("../utils/apiError");
+
+// GET /api/admin/drift?entity=medicine|shipment
+// Discrepancies the last reconciliation pass could not repair
+exports.getDrift = async (req, res) => {
+  try {
+    const { entity } = req.query;
+    const report = getLastReport() || await reconcile();
+    const discrepancies = report.unresolved.filter((item) => !entity || item.entity === entity);
+
+    res.json({
+      lastRun: {
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        checked: report.checked,
+        repaired: report.repaired.length,
+      },
+      count: discrepancies.length,
+      discrepancies,
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error building drift report:", error.message);
+    }
+    sendError(res, error, "Error building drift report");
+  }
+};
+
+// POST /api/admin/reconcile - run a pass now and return its full report
+exports.runReconciliation = async (req, res) => {
+  try {
+    const report = await reconcile();
+    res.json(report);
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error running reconciliation:", error.message);
+    }
+    sendError(res, error, "Error running reconciliation");
+  }
+};
+
+// PUT /api/admin/regulators/:address { active } - grant or revoke the Regulator role
+exports.setRegulator = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { active } = req.body;
+
+    if ((await isRegulator(address)) === active) {
+      return sendError(res, apiError(409, "STATUS_UNCHANGED", `${address} is already ${active ? "a regulator" : "not a regulator"}`));
+    }
+
+    const receipt = await sendTransaction(contract.methods.setRegulator(address, active));
+    console.log(`Regulator ${address} ${active ? "granted" : "revoked"}. Hash: ${receipt.transactionHash}`);
+    invalidateRoles(address);
+
+    res.json({
+      message: `Regulator role ${active ? "granted" : "revoked"}`,
+      address,
+      active,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString(),
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error updating regulator:", error.message);
+    }
+    sendError(res, error, "Error updating regulator");
+  }
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+const passport = require("passport");
+const { createChallenge, issueToken } = require("../services/siweAuth");
+const { getRoles, invalidateRoles } = require("../services/participantRoles");
+const { apiError, sendError } = require("../utils/apiError");
+
+// GET /api/auth/challenge?address=0x...
+exports.getChallenge = async (req, res) => {
+  try {
+    const { address } = req.query;
+    const origin = req.headers.origin || `${req.protocol}://${req.get("host")}`;
+    const challenge = await createChallenge(address, origin);
+    res.json(challenge);
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error creating sign-in challenge:", error.message);
+    }
+    sendError(res, error, "Error creating sign-in challenge");
+  }
+};
+
+// POST /api/auth/verify { message, signature }
+exports.verifySignIn = (req, res, next) => {
+  passport.authenticate("siwe", { session: false }, async (error, user, info, status) => {
+    if (error) {
+      console.error("Error verifying sign-in:", error.message);
+      return sendError(res, error, "Error verifying sign-in");
+    }
+    if (!user) {
+      return sendError(res, apiError(status || 401, "INVALID_SIGNATURE", info?.message || "Sign-in failed"));
+    }
+
+    let roles = [];
+    try {
+      // A fresh sign-in always re-reads the contract
+      invalidateRoles(user.address);
+      roles = await getRoles(user.address);
+    } catch (rolesError) {
+      console.error("Could not resolve on-chain roles:", rolesError.message);
+    }
+
+    res.json({ token: issueToken(user.address), address: user.address, roles });
+  })(req, res, next);
+};
+
+// GET /api/auth/me
+exports.getCurrentUser = (req, res) => {
+  if (!req.user) {
+    return sendError(res, apiError(401, "UNAUTHENTICATED", "Authentication required"));
+  }
+  res.json(req.user);
+};
\ No newline at end of file
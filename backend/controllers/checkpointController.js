@@ -0,0 +1,37 @@
+const { recordCheckpoint, getCheckpoints } = require("../services/checkpoints");
+const { sendError } = require("../utils/apiError");
+
+// POST /api/shipments/:trackingId/checkpoints { latitude, longitude, facility, timestamp? }
+exports.recordCheckpoint = async (req, res) => {
+  try {
+    const { trackingId } = req.params;
+    const { checkpoint, receipt } = await recordCheckpoint(trackingId, req.body, req.user);
+    console.log(`Checkpoint ${checkpoint.anchorIndex} anchored for ${trackingId}. Hash: ${receipt.transactionHash}`);
+
+    res.status(201).json({
+      message: `Checkpoint at ${checkpoint.facility} recorded on blockchain`,
+      trackingId,
+      checkpoint,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error recording checkpoint:", error.message);
+    }
+    sendError(res, error, "Error recording checkpoint");
+  }
+};
+
+// GET /api/shipments/:trackingId/checkpoints
+exports.getCheckpoints = async (req, res) => {
+  try {
+    res.json(await getCheckpoints(req.params.trackingId));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching checkpoints:", error.message);
+    }
+    sendError(res, error, "Error fetching checkpoints");
+  }
+};
\ No newline at end of file
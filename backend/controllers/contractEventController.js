@@ -0,0 +1,42 @@
+const ContractEvent = require("../models/ContractEvent");
+const { getIndexerCheckpoint } = require("../services/eventIndexer");
+const { sendError } = require("../utils/apiError");
+
+// GET /api/events?event=&medicineId=&address=&fromBlock=&toBlock=&limit=
+// Query is validated and converted by schemas/contractEventSchemas
+exports.getContractEvents = async (req, res) => {
+  try {
+    const { event, medicineId, address, fromBlock, toBlock, limit } = req.query;
+    const filter = {};
+
+    if (event) {
+      filter.event = { $in: event };
+    }
+    if (medicineId !== undefined) {
+      filter.medicineId = medicineId;
+    }
+    if (address) {
+      filter.addresses = address.toLowerCase();
+    }
+    if (fromBlock !== undefined || toBlock !== undefined) {
+      filter.blockNumber = {};
+      if (fromBlock !== undefined) filter.blockNumber.$gte = fromBlock;
+      if (toBlock !== undefined) filter.blockNumber.$lte = toBlock;
+    }
+
+    const events = await ContractEvent.find(filter)
+      .sort({ blockNumber: -1, logIndex: -1 })
+      .limit(limit)
+      .maxTimeMS(5000);
+    const checkpoint = await getIndexerCheckpoint();
+
+    res.json({
+      count: events.length,
+      lastIndexedBlock: checkpoint ? checkpoint.blockNumber : null,
+      events,
+    });
+  } catch (error) {
+    console.error("Error fetching contract events:", error.message);
+    sendError(res, error, "Error fetching contract events");
+  }
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { uploadDocument, listDocuments, readDocument, verifyDocument, findByHash } = require("../services/documents");
+const { apiError, sendError } = require("../utils/apiError");
+
+// POST /api/documents (multipart: file, subjectType, subjectId, kind)
+exports.uploadDocument = async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendError(res, apiError(400, "FILE_REQUIRED", "Attach the document as the 'file' form field", { field: "file" }));
+    }
+
+    const { document, receipt } = await uploadDocument(req.body, req.file, req.user);
+    console.log(`Document ${document.filename} anchored for ${document.subjectType} ${document.subjectId}. Hash: ${receipt.transactionHash}`);
+
+    res.status(201).json({
+      message: "Document stored and its hash recorded on blockchain",
+      document,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error uploading document:", error.message);
+    }
+    sendError(res, error, "Error uploading document");
+  }
+};
+
+// GET /api/documents?subjectType=&subjectId=
+exports.listDocuments = async (req, res) => {
+  try {
+    const { subjectType, subjectId } = req.query;
+    const documents = await listDocuments(subjectType, subjectId);
+    res.json({ subjectType, subjectId, count: documents.length, documents });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching documents:", error.message);
+    }
+    sendError(res, error, "Error fetching documents");
+  }
+};
+
+// GET /api/documents/hash/:sha256 - look up a copy hashed by the caller
+exports.findByHash = async (req, res) => {
+  try {
+    const { sha256 } = req.params;
+    const documents = await findByHash(sha256);
+    res.json({ sha256, verified: documents.length > 0, documents });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error looking up document hash:", error.message);
+    }
+    sendError(res, error, "Error looking up document hash");
+  }
+};
+
+// GET /api/documents/:id/download
+exports.downloadDocument = async (req, res) => {
+  try {
+    const { document, content } = await readDocument(req.params.id);
+
+    res.set({
+      "Content-Type": document.contentType,
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(document.filename)}`,
+      "X-Content-SHA256": document.sha256,
+    });
+    res.send(content);
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error downloading document:", error.message);
+    }
+    sendError(res, error, "Error downloading document");
+  }
+};
+
+// GET /api/documents/:id/verify - stored file against the on-chain hash
+exports.verifyDocument = async (req, res) => {
+  try {
+    res.json(await verifyDocument(req.params.id));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error verifying document:", error.message);
+    }
+    sendError(res, error, "Error verifying document");
+  }
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+const {
+  resolveLabel,
+  resolveLabels,
+  resolveBatchLabels,
+  renderQrCode,
+  renderLabelSheet,
+} = require("../services/labels");
+const { sendError } = require("../utils/apiError");
+
+const CONTENT_TYPES = { png: "image/png", svg: "image/svg+xml" };
+
+// GET /api/labels/:type/:value/qr?format=png|svg&size=
+exports.getQrCode = async (req, res) => {
+  try {
+    const { type, value } = req.params;
+    const { format, size } = req.query;
+    const label = await resolveLabel(type, value);
+    const image = await renderQrCode(label.url, format, size);
+
+    const name = `${type}-${(value.serial || value)}`.replace(/[^A-Za-z0-9._-]/g, "_");
+    res.set({
+      "Content-Type": CONTENT_TYPES[format],
+      "Content-Disposition": `inline; filename="${name}.${format}"`,
+    });
+    res.send(image);
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error rendering QR code:", error.message);
+    }
+    sendError(res, error, "Error rendering QR code");
+  }
+};
+
+// POST /api/labels/sheet { items: [{ type, value }] } or { medicineId }, plus columns/rows
+exports.createLabelSheet = async (req, res) => {
+  try {
+    const { items, medicineId, columns, rows } = req.body;
+    const labels = medicineId ? await resolveBatchLabels(medicineId) : await resolveLabels(items);
+    const pdf = await renderLabelSheet(labels, { columns, rows });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${medicineId ? `medicine-${medicineId}` : "labels"}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error rendering label sheet:", error.message);
+    }
+    sendError(res, error, "Error rendering label sheet");
+  }
+};
\ No newline at end of file
@@ -1,51 +1,52 @@
 const Medicine = require("../models/Medicine");
 const Transaction = require("../models/Transaction");
-const { web3js, contract } = require("../config/web3");
+const { contract } = require("../config/web3");
+const { sendTransaction, assertOwnerSigns, getReceiptEvents, ownerAddress } = require("../services/transactionSender");
+const { advanceStage } = require("../services/medicineLifecycle");
+const { readThrough, readMedicine, readMedicines, readMedicineByBatch, readMedicineHistory } = require("../services/chainReader");
+const { ROLES } = require("../config/accessPolicy");
+const { apiError, sendError } = require("../utils/apiError");
+const { STAGES, TRANSITIONS } = require("../config/medicineStages");
 require("dotenv").config();
 
-const ownerAddress = process.env.OWNER_ADDRESS;
-// Ensure private key has 0x prefix
-const ownerPrivateKey = process.env.OWNER_PRIVATE_KEY?.startsWith('0x')
-  ? process.env.OWNER_PRIVATE_KEY
-  : '0x' + process.env.OWNER_PRIVATE_KEY;
+const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+// Reject a batch number already recorded on-chain before spending gas
+const assertBatchNumberFree = async (batchNumber) => {
+  const medicineId = Number(await contract.methods.batchMedicine(batchNumber).call());
+  if (medicineId !== 0) {
+    throw apiError(409, "BATCH_EXISTS", `Batch ${batchNumber} is already recorded for medicine ${medicineId}`, {
+      details: { medicineId },
+      field: "batchNumber",
+    });
+  }
+};
 
 exports.addMedicine = async (req, res) => {
   try {
-    const { name, description, stage } = req.body;
-
-    if (!name || !description) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-
-    if (!ownerAddress || !ownerPrivateKey) {
-      throw new Error("OWNER_ADDRESS or OWNER_PRIVATE_KEY not configured");
+    const { name, description, batchNumber, manufacturingDate, expiryDate, quantity } = req.body;
+
+    let method = contract.methods.addMedicine(name, description);
+    if (batchNumber) {
+      await assertBatchNumberFree(batchNumber);
+      method = contract.methods.addMedicineWithBatch(
+        name, description, batchNumber, toSeconds(manufacturingDate), toSeconds(expiryDate), quantity
+      );
     }
 
-    const nonce = await web3js.eth.getTransactionCount(ownerAddress);
-    const gasPrice = await web3js.eth.getGasPrice();
-
-    const data = contract.methods.addMedicine(name, description).encodeABI();
-
-    const tx = {
-      from: ownerAddress,
-      to: contract.options.address,
-      gas: 2000000,
-      gasPrice: gasPrice,
-      nonce: nonce,
-      data: data,
-    };
-
-    const signedTx = await web3js.eth.accounts.signTransaction(tx, ownerPrivateKey);
-    const receipt = await web3js.eth.sendSignedTransaction(signedTx.rawTransaction);
+    const receipt = await sendTransaction(method);
     console.log('Medicine created on blockchain. Hash:', receipt.transactionHash);
 
-    const medicineCounter = await contract.methods.medicineCounter().call();
+    // Take the ID from the event rather than medicineCounter, which may already
+    // include medicines added by concurrent requests
+    const [medicineAdded] = getReceiptEvents(receipt, "MedicineAdded");
 
     const medicine = new Medicine({
-      blockchainId: parseInt(medicineCounter),
+      blockchainId: Number(medicineAdded.medicineId),
       name,
       description,
       stage: "Ordered",
+      ...(batchNumber && { batchNumber, manufacturingDate, expiryDate, quantity }),
     });
 
     try {
@@ -71,48 +72,148 @@ exports.addMedicine = async (req, res) => {
     res.status(201).json({
       message: "Medicine added successfully",
       medicine,
-      transactionHash: receipt.transactionHash
+      transactionHash: receipt.transactionHash,
+      gasUsed: receipt.gasUsed?.toString()
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error adding medicine:", error.message);
+    }
+    sendError(res, error, "Error adding medicine");
+  }
+};
+
+// POST /api/medicines/:id/batch - lot details for a medicine created without them,
+// recorded by the Owner; the medicine's manufacturer relays recordBatch instead
+exports.recordBatch = async (req, res) => {
+  try {
+    const medicineId = req.params.id;
+    const { batchNumber, manufacturingDate, expiryDate, quantity } = req.body;
+
+    const medicine = await readMedicine(medicineId);
+    if (!medicine) {
+      return sendError(res, apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found"));
+    }
+    if (!req.user.roles.includes(ROLES.OWNER) &&
+        medicine.manufacturer?.toLowerCase() !== req.user.address.toLowerCase()) {
+      return sendError(res, apiError(403, "FORBIDDEN", "Only the Owner or the medicine's manufacturer can record its batch"));
+    }
+    assertOwnerSigns(req.user, "recordBatch");
+    if (medicine.batchNumber) {
+      return sendError(res, apiError(409, "BATCH_ALREADY_RECORDED", `Medicine ${medicineId} already has batch ${medicine.batchNumber}`));
+    }
+    await assertBatchNumberFree(batchNumber);
+
+    const receipt = await sendTransaction(contract.methods.recordBatch(
+      medicineId, batchNumber, toSeconds(manufacturingDate), toSeconds(expiryDate), quantity
+    ));
+    console.log(`Batch ${batchNumber} recorded for medicine ${medicineId}. Hash: ${receipt.transactionHash}`);
+
+    try {
+      await Medicine.updateOne({ blockchainId: medicineId }, { batchNumber, manufacturingDate, expiryDate, quantity });
+    } catch (dbError) {
+      console.log('MongoDB batch update skipped or failed');
+    }
+
+    res.status(201).json({
+      message: `Batch ${batchNumber} recorded`,
+      medicineId,
+      batch: { batchNumber, manufacturingDate, expiryDate, quantity },
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
     });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error recording batch:", error.message);
+    }
+    sendError(res, error, "Error recording batch");
+  }
+};
 
+// GET /api/medicines/batch/:batchNumber
+exports.getMedicineByBatch = async (req, res) => {
+  try {
+    const { batchNumber } = req.params;
+    const { source, data } = await readThrough(
+      () => Medicine.findOne({ batchNumber }).maxTimeMS(5000),
+      () => readMedicineByBatch(batchNumber)
+    );
+
+    if (!data) {
+      return sendError(res, apiError(404, "BATCH_NOT_FOUND", `No medicine recorded with batch ${batchNumber}`, { field: "batchNumber" }));
+    }
+    res.json({ source, medicine: data });
   } catch (error) {
-    console.error("Error adding medicine:", error.message);
-    res.status(500).json({ error: error.message });
+    console.error("Error looking up batch:", error.message);
+    sendError(res, error, "Error looking up batch");
   }
 };
 
+// Served from MongoDB, or rebuilt from the contract when MongoDB is unavailable
 exports.getAllMedicines = async (req, res) => {
   try {
-    const medicines = await Medicine.find().sort({ createdAt: -1 });
-    res.json(medicines);
+    const { source, data } = await readThrough(
+      () => Medicine.find().sort({ blockchainId: -1 }).maxTimeMS(5000),
+      readMedicines
+    );
+    res.json({ source, medicines: data });
   } catch (error) {
-    console.log("MongoDB error, returning empty medicine list");
-    res.json([]);
+    console.error("Error fetching medicines:", error.message);
+    sendError(res, error, "Error fetching medicines");
   }
 };
 
 exports.getMedicineHistory = async (req, res) => {
   try {
-    const transactions = await Transaction.find({ medicineId: req.params.id }).sort({ timestamp: -1 });
-    res.json(transactions);
+    const medicineId = req.params.id;
+    const { source, data } = await readThrough(
+      () => Transaction.find({ medicineId }).sort({ timestamp: -1 }).maxTimeMS(5000),
+      () => readMedicineHistory(medicineId)
+    );
+    res.json({ source, medicineId, transactions: data });
   } catch (error) {
-    console.log("MongoDB error, returning empty history");
-    res.json([]);
+    console.error("Error fetching medicine history:", error.message);
+    sendError(res, error, "Error fetching medicine history");
   }
 };
 
 exports.getMedicineStage = async (req, res) => {
   try {
-    const medicineId = req.params.id;
-    const medicineIdNum = parseInt(medicineId);
-
-    if (isNaN(medicineIdNum)) {
-      return res.status(400).json({ error: "Invalid Medicine ID" });
-    }
-
+    const medicineIdNum = req.params.id;
     const stage = await contract.methods.getMedicineStage(medicineIdNum).call();
     res.json({ medicineId: medicineIdNum, stage });
   } catch (error) {
     console.error("Blockchain error getting stage:", error.message);
-    res.status(500).json({ error: "Could not fetch stage from blockchain" });
+    sendError(res, error, "Could not fetch stage from blockchain");
+  }
+};
+
+exports.getStageDefinition = (req, res) => {
+  res.json({ stages: STAGES, transitions: TRANSITIONS });
+};
+
+exports.advanceMedicine = async (req, res) => {
+  try {
+    const medicineIdNum = req.params.id;
+    const result = await advanceStage(medicineIdNum, req.body.action, req.user);
+    console.log(`Medicine ${medicineIdNum} advanced to ${result.stage}. Hash: ${result.receipt.transactionHash}`);
+
+    res.status(200).json({
+      message: `Medicine moved to stage ${result.stage}`,
+      medicineId: medicineIdNum,
+      previousStage: result.previousStage,
+      stage: result.stage,
+      action: result.transition.action,
+      transactionHash: result.receipt.transactionHash,
+      blockNumber: result.receipt.blockNumber?.toString(),
+      gasUsed: result.receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error advancing medicine stage:", error.message);
+    }
+    sendError(res, error, "Blockchain transaction failed");
   }
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { buildMetaTransaction, relayMetaTransaction } = require("../services/metaTransactions");
+const { sendError } = require("../utils/apiError");
+
+// POST /api/meta-tx/prepare { from, method, args }
+exports.prepareMetaTransaction = async (req, res) => {
+  try {
+    const { from, method, args } = req.body;
+    const typedData = await buildMetaTransaction(from, method, args);
+    res.json({ typedData });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error preparing meta-transaction:", error.message);
+    }
+    sendError(res, error, "Error preparing meta-transaction");
+  }
+};
+
+// POST /api/meta-tx/relay { from, functionCall, deadline, signature }
+exports.relayMetaTransaction = async (req, res) => {
+  try {
+    const result = await relayMetaTransaction(req.body);
+    console.log(`Relayed ${result.method} signed by ${result.signer}. Hash: ${result.receipt.transactionHash}`);
+
+    res.status(201).json({
+      message: `${result.method} relayed on behalf of ${result.signer}`,
+      method: result.method,
+      signer: result.signer,
+      stage: result.stage,
+      shipmentStatus: result.shipmentStatus,
+      shipment: result.shipment,
+      recall: result.recall,
+      batch: result.batch,
+      transactionHash: result.receipt.transactionHash,
+      blockNumber: result.receipt.blockNumber?.toString(),
+      gasUsed: result.receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error relaying meta-transaction:", error.message);
+    }
+    sendError(res, error, "Blockchain transaction failed");
+  }
+};
\ No newline at end of file
@@ -1,28 +1,17 @@
-// NOTE: For this demo assessment, MongoDB is mocked using an in-memory array 
-// when the live instance is not available.
-// In a production environment, this would sync with a live MongoDB instance.
+// Participants are registered on-chain and mirrored in MongoDB. When MongoDB
+// is unavailable the list is read from the contract's participant registry.
 
+const mongoose = require("mongoose");
 const Participant = require("../models/Participant");
-const { web3js, contract } = require("../config/web3");
+const { contract } = require("../config/web3");
+const { sendTransaction } = require("../services/transactionSender");
+const { invalidateRoles, getRegistrations, roleIndex, isOwner, isSuspended } = require("../services/participantRoles");
+const { readThrough, readParticipants, readParticipantHistory } = require("../services/chainReader");
+const { ROLES } = require("../config/accessPolicy");
+const { apiError, sendError } = require("../utils/apiError");
 require("dotenv").config();
 
-// Temporary in-memory storage for demo purposes when DB is down
-let mockParticipants = [];
-
-const ownerAddress = process.env.OWNER_ADDRESS;
-// Ensure private key has 0x prefix
-const ownerPrivateKey = process.env.OWNER_PRIVATE_KEY?.startsWith('0x')
-  ? process.env.OWNER_PRIVATE_KEY
-  : '0x' + process.env.OWNER_PRIVATE_KEY;
-
 const registerParticipant = async (role, address, name, location) => {
-  if (!ownerAddress || !ownerPrivateKey) {
-    throw new Error("OWNER_ADDRESS or OWNER_PRIVATE_KEY not configured");
-  }
-
-  const nonce = await web3js.eth.getTransactionCount(ownerAddress);
-  const gasPrice = await web3js.eth.getGasPrice();
-
   let method;
   if (role === "Supplier") {
     method = contract.methods.addSupplier(address, name, location);
@@ -36,28 +25,22 @@ const registerParticipant = async (role, address, name, location) => {
     throw new Error("Invalid participant role");
   }
 
-  const tx = {
-    from: ownerAddress,
-    to: contract.options.address,
-    gas: 2000000,
-    gasPrice,
-    nonce,
-    data: method.encodeABI(),
-  };
-
-  const signedTx = await web3js.eth.accounts.signTransaction(tx, ownerPrivateKey);
-  return await web3js.eth.sendSignedTransaction(signedTx.rawTransaction);
+  return await sendTransaction(method);
 };
 
 exports.addParticipant = async (req, res) => {
   try {
     const { address, name, location, role } = req.body;
-    if (!address || !name || !location || !role) {
-      return res.status(400).json({ error: "Missing required fields" });
+
+    // The contract rejects re-registration; check first so no gas is spent
+    const registrations = await getRegistrations(address);
+    if (registrations.some((registration) => registration.role === role)) {
+      return sendError(res, apiError(409, "PARTICIPANT_EXISTS", `${address} is already registered as ${role}`, { field: "address" }));
     }
 
     const receipt = await registerParticipant(role, address, name, location);
     console.log('Transaction successful:', receipt.transactionHash);
+    invalidateRoles(address);
 
     const newParticipantData = {
       blockchainId: receipt.transactionHash,
@@ -67,9 +50,6 @@ exports.addParticipant = async (req, res) => {
       role,
     };
 
-    // Store in mock array for instant UI update
-    mockParticipants.push(newParticipantData);
-
     // Try to save to MongoDB as well
     try {
       const participant = new Participant({
@@ -82,7 +62,6 @@ exports.addParticipant = async (req, res) => {
       console.log('Successfully saved participant to MongoDB');
     } catch (dbError) {
       console.error('MongoDB Save Error:', dbError.message);
-      console.log('Using in-memory storage fallback');
     }
 
     res.status(201).json({
@@ -90,23 +69,190 @@ exports.addParticipant = async (req, res) => {
       participant: newParticipantData,
       transactionHash: receipt.transactionHash,
       blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString(),
     });
 
   } catch (error) {
     console.error("Error adding participant:", error);
-    res.status(500).json({ error: "Error adding participant", details: error.message });
+    sendError(res, error, "Error adding participant");
   }
 };
 
 exports.getAllParticipants = async (req, res) => {
   try {
-    const participants = await Participant.find().maxTimeMS(5000);
-    // Merge DB participants with mock ones, removing duplicates by address
-    const allParticipants = [...participants, ...mockParticipants];
-    const uniqueParticipants = Array.from(new Map(allParticipants.map(item => [item.address, item])).values());
-    res.json(uniqueParticipants);
+    const { source, data } = await readThrough(() => Participant.find().maxTimeMS(5000), readParticipants);
+    res.json({ source, participants: data });
+  } catch (error) {
+    console.error("Error fetching participants:", error.message);
+    sendError(res, error, "Error fetching participants");
+  }
+};
+
+// Compare on-chain registrations with the MongoDB records for the same address
+const compareWithMirror = async (address, registrations) => {
+  if (mongoose.connection.readyState !== 1) {
+    return { available: false, inSync: null, records: [], mismatches: [] };
+  }
+
+  // Older records were saved with the address exactly as submitted
+  const records = await Participant.find({ address: new RegExp(`^${address}$`, "i") }).maxTimeMS(5000);
+  const mismatches = [];
+
+  for (const registration of registrations) {
+    const record = records.find((item) => item.role === registration.role);
+    if (!record) {
+      mismatches.push({ role: registration.role, kind: "MISSING_IN_DB" });
+      continue;
+    }
+
+    const fields = ["name", "location"]
+      .filter((field) => record[field] !== registration[field])
+      .map((field) => ({ field, chain: registration[field], db: record[field] }));
+    if (fields.length > 0) {
+      mismatches.push({ role: registration.role, kind: "FIELD_MISMATCH", fields });
+    }
+  }
+
+  for (const record of records) {
+    if (!registrations.some((registration) => registration.role === record.role)) {
+      mismatches.push({ role: record.role, kind: "NOT_ON_CHAIN" });
+    }
+  }
+
+  return {
+    available: true,
+    inSync: mismatches.length === 0,
+    records: records.map(({ name, location, role }) => ({ role, name, location })),
+    mismatches,
+  };
+};
+
+// GET /api/participants/:address
+exports.getParticipant = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const [owner, registrations, suspended] = await Promise.all([
+      isOwner(address),
+      getRegistrations(address),
+      isSuspended(address),
+    ]);
+    const mirror = await compareWithMirror(address, registrations);
+
+    if (!owner && registrations.length === 0 && mirror.records.length === 0) {
+      return sendError(res, apiError(404, "PARTICIPANT_NOT_FOUND", `No participant registered at ${address}`, { field: "address" }));
+    }
+
+    res.json({
+      address,
+      roles: [...(owner ? [ROLES.OWNER] : []), ...registrations.map(({ role }) => role)],
+      active: !suspended,
+      registrations,
+      mirror,
+    });
+  } catch (error) {
+    console.error("Error looking up participant:", error.message);
+    sendError(res, error, "Error looking up participant");
+  }
+};
+
+// PUT /api/participants/:address { role, name, location }
+exports.updateParticipant = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { role, name, location } = req.body;
+
+    const registrations = await getRegistrations(address);
+    if (!registrations.some((registration) => registration.role === role)) {
+      return sendError(res, apiError(404, "PARTICIPANT_NOT_FOUND", `${address} is not registered as ${role}`, { field: "role" }));
+    }
+
+    const receipt = await sendTransaction(contract.methods.updateParticipant(address, roleIndex(role), name, location));
+    console.log(`Participant ${address} (${role}) updated. Hash: ${receipt.transactionHash}`);
+
+    try {
+      await Participant.updateOne({ address: new RegExp(`^${address}$`, "i"), role }, { name, location });
+    } catch (dbError) {
+      console.log('MongoDB participant update skipped or failed');
+    }
+
+    res.json({
+      message: `${role} profile updated`,
+      participant: { address, role, name, location },
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString(),
+    });
+  } catch (error) {
+    console.error("Error updating participant:", error.message);
+    sendError(res, error, "Error updating participant");
+  }
+};
+
+// Suspend or reinstate an address in all of its roles
+const setParticipantActive = async (req, res, active) => {
+  const { address } = req.params;
+
+  const registrations = await getRegistrations(address);
+  if (registrations.length === 0) {
+    return sendError(res, apiError(404, "PARTICIPANT_NOT_FOUND", `No participant registered at ${address}`, { field: "address" }));
+  }
+  if ((await isSuspended(address)) === !active) {
+    return sendError(res, apiError(409, "STATUS_UNCHANGED", `Participant is already ${active ? "active" : "suspended"}`));
+  }
+
+  const receipt = await sendTransaction(contract.methods.setParticipantActive(address, active));
+  console.log(`Participant ${address} ${active ? "reinstated" : "suspended"}. Hash: ${receipt.transactionHash}`);
+  invalidateRoles(address);
+
+  try {
+    await Participant.updateMany({ address: new RegExp(`^${address}$`, "i") }, { active });
+  } catch (dbError) {
+    console.log('MongoDB participant status update skipped or failed');
+  }
+
+  res.json({
+    message: `Participant ${active ? "reinstated" : "suspended"}`,
+    address,
+    active,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber?.toString(),
+    gasUsed: receipt.gasUsed?.toString(),
+  });
+};
+
+// POST /api/participants/:address/suspend
+exports.suspendParticipant = async (req, res) => {
+  try {
+    await setParticipantActive(req, res, false);
+  } catch (error) {
+    console.error("Error suspending participant:", error.message);
+    sendError(res, error, "Error suspending participant");
+  }
+};
+
+// POST /api/participants/:address/reinstate
+exports.reinstateParticipant = async (req, res) => {
+  try {
+    await setParticipantActive(req, res, true);
+  } catch (error) {
+    console.error("Error reinstating participant:", error.message);
+    sendError(res, error, "Error reinstating participant");
+  }
+};
+
+// GET /api/participants/:address/history - read from contract events
+exports.getParticipantHistory = async (req, res) => {
+  try {
+    const { address } = req.params;
+    const history = await readParticipantHistory(address);
+
+    if (history.length === 0) {
+      return sendError(res, apiError(404, "PARTICIPANT_NOT_FOUND", `No participant registered at ${address}`, { field: "address" }));
+    }
+
+    res.json({ address, count: history.length, history });
   } catch (error) {
-    console.log("MongoDB not available, returning in-memory participants list");
-    res.json(mockParticipants);
+    console.error("Error fetching participant history:", error.message);
+    sendError(res, error, "Error fetching participant history");
   }
 };
\ No newline at end of file
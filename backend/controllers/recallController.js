@@ -0,0 +1,47 @@
+const { issueRecall, getRecall, listRecalls } = require("../services/recalls");
+const { sendError } = require("../utils/apiError");
+
+// POST /api/recalls { medicineId | batchNumber, severity, reason }
+exports.issueRecall = async (req, res) => {
+  try {
+    const { recall, medicine, affected, receipt } = await issueRecall(req.body, req.user);
+
+    res.status(201).json({
+      message: `Medicine ${medicine.id} recalled`,
+      recall,
+      medicine,
+      affected,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error issuing recall:", error.message);
+    }
+    sendError(res, error, "Error issuing recall");
+  }
+};
+
+// GET /api/recalls - active recalls, newest first
+exports.getAllRecalls = async (req, res) => {
+  try {
+    const recalls = await listRecalls();
+    res.json({ count: recalls.length, recalls });
+  } catch (error) {
+    console.error("Error fetching recalls:", error.message);
+    sendError(res, error, "Error fetching recalls");
+  }
+};
+
+// GET /api/recalls/:medicineId - the recall with affected participants and open shipments
+exports.getRecall = async (req, res) => {
+  try {
+    res.json(await getRecall(req.params.medicineId));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching recall:", error.message);
+    }
+    sendError(res, error, "Error fetching recall");
+  }
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { serializeBatch, listSerials, proveSerial } = require("../services/serialization");
+const { sendError } = require("../utils/apiError");
+
+// POST /api/medicines/:id/serials { gtin, count? }
+exports.serializeBatch = async (req, res) => {
+  try {
+    const medicineId = req.params.id;
+    const { medicine, gtin, root, count, receipt } = await serializeBatch(medicineId, req.body, req.user);
+    console.log(`Serialized ${count} units of batch ${medicine.batchNumber}. Hash: ${receipt.transactionHash}`);
+
+    res.status(201).json({
+      message: `${count} units of batch ${medicine.batchNumber} serialized`,
+      medicineId,
+      batchNumber: medicine.batchNumber,
+      gtin,
+      count,
+      root,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error serializing batch:", error.message);
+    }
+    sendError(res, error, "Error serializing batch");
+  }
+};
+
+// GET /api/medicines/:id/serials?limit=&offset=
+exports.getBatchSerials = async (req, res) => {
+  try {
+    const medicineId = req.params.id;
+    const { limit, offset } = req.query;
+    const { commitment, total, serials } = await listSerials(medicineId, { limit, offset });
+
+    res.json({ medicineId, commitment, total, limit, offset, serials });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching serials:", error.message);
+    }
+    sendError(res, error, "Error fetching serials");
+  }
+};
+
+// GET /api/serials/verify?sgtin= or ?gtin=&serial=, optionally &batchNumber=
+exports.verifySerial = async (req, res) => {
+  try {
+    const { gtin, serial } = req.query.sgtin || req.query;
+    const { unit, leaf, proof, root, verified } = await proveSerial(gtin, serial);
+    const batchMatches = !req.query.batchNumber || req.query.batchNumber === unit.batchNumber;
+
+    res.json({
+      valid: verified && batchMatches,
+      verified,
+      batchMatches,
+      sgtin: unit.sgtin,
+      gtin: unit.gtin,
+      serial: unit.serial,
+      medicineId: unit.medicineId,
+      batchNumber: unit.batchNumber,
+      leaf,
+      proof,
+      root,
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error verifying serial:", error.message);
+    }
+    sendError(res, error, "Error verifying serial");
+  }
+};
\ No newline at end of file
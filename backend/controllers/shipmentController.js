@@ -3,95 +3,76 @@
 // In a production environment, this would sync with a live MongoDB instance.
 
 const Shipment = require("../models/Shipment");
-const { web3js, contract } = require("../config/web3");
+const { contract } = require("../config/web3");
+const { SHIPMENT_TRANSITIONS, shipmentStatusName } = require("../config/shipmentStatuses");
+const { sendError } = require("../utils/apiError");
+const { readThrough, readShipments, readShipmentItems } = require("../services/chainReader");
+const { getShipment, createShipment, createConsignment, updateShipmentStatus } = require("../services/shipments");
 require('dotenv').config();
 
-// ShipmentStatus enum mapping (must match contract)
-const ShipmentStatus = {
-  Pending: 0,
-  InTransit: 1,
-  Delivered: 2
-};
-
-const ownerAddress = process.env.OWNER_ADDRESS;
-// Ensure private key has 0x prefix
-const ownerPrivateKey = process.env.OWNER_PRIVATE_KEY?.startsWith('0x')
-  ? process.env.OWNER_PRIVATE_KEY
-  : '0x' + process.env.OWNER_PRIVATE_KEY;
-
 exports.createShipment = async (req, res) => {
   try {
-    const { medicineId, sender, receiver, trackingId } = req.body;
-
-    if (!medicineId || !sender || !receiver || !trackingId) {
-      return res.status(400).json({ error: "All fields are required" });
-    }
-
-    if (!ownerAddress || !ownerPrivateKey) {
-      return res.status(500).json({ error: "Owner credentials not configured" });
-    }
+    console.log('Creating shipment on blockchain for ID:', req.body.trackingId);
 
-    console.log('Creating shipment on blockchain for ID:', trackingId);
-
-    // Call blockchain contract
-    const nonce = await web3js.eth.getTransactionCount(ownerAddress);
-    const gasPrice = await web3js.eth.getGasPrice();
-    const method = contract.methods.createShipment(medicineId, receiver, trackingId);
-
-    const tx = {
-      from: ownerAddress,
-      to: contract.options.address,
-      gas: 500000,
-      gasPrice,
-      nonce,
-      data: method.encodeABI(),
-    };
-
-    const signedTx = await web3js.eth.accounts.signTransaction(tx, ownerPrivateKey);
-    const receipt = await web3js.eth.sendSignedTransaction(signedTx.rawTransaction);
+    const { shipment, receipt } = await createShipment(req.body, req.user);
     console.log('Shipment created in blockchain. TxHash:', receipt.transactionHash);
 
-    // Try to save local database
-    let savedShipment = null;
-    try {
-      const shipment = new Shipment({
-        medicineId,
-        sender: ownerAddress, // Sender is the one who signs (distributor)
-        receiver,
-        trackingId,
-        status: "Pending",
-        blockchainHash: receipt.transactionHash
-      });
-      savedShipment = await shipment.save();
-    } catch (dbError) {
-      console.log('MongoDB error, shipment exists only on blockchain:', dbError.message);
-    }
-
     res.status(201).json({
       message: "Shipment created successfully on blockchain",
-      shipment: savedShipment || { medicineId, trackingId, status: "Pending" },
-      transactionHash: receipt.transactionHash
+      shipment,
+      transactionHash: receipt.transactionHash,
+      gasUsed: receipt.gasUsed?.toString()
     });
 
   } catch (error) {
-    console.error("Error creating shipment:", error);
-    res.status(500).json({ error: "Error creating shipment", details: error.message });
+    if (!error.status) {
+      console.error("Error creating shipment:", error);
+    }
+    sendError(res, error, "Error creating shipment");
   }
 };
 
-// Original updateShipmentStatus (database only)
+// POST /api/shipments/consignments { receiver, trackingId, items: [{ medicineId, batchNumber?, quantity }] }
+exports.createConsignment = async (req, res) => {
+  try {
+    const { shipment, receipt } = await createConsignment(req.body, req.user);
+    console.log(`Consignment ${shipment.trackingId} created with ${shipment.items.length} line items. TxHash:`, receipt.transactionHash);
+
+    res.status(201).json({
+      message: `Consignment created successfully on blockchain with ${shipment.items.length} line items`,
+      shipment,
+      transactionHash: receipt.transactionHash,
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error creating consignment:", error);
+    }
+    sendError(res, error, "Error creating consignment");
+  }
+};
+
+// Update shipment status without a note (blockchain + database)
 exports.updateShipmentStatus = async (req, res) => {
   try {
     const { trackingId, status } = req.body;
-    const shipment = await Shipment.findOne({ trackingId });
-    if (!shipment) {
-      return res.status(404).json({ message: 'Shipment not found' });
-    }
-    shipment.status = status;
-    await shipment.save();
-    res.status(200).json({ message: 'Shipment status updated successfully', shipment });
+
+    const { previousStatus, receipt } = await updateShipmentStatus(trackingId, status, null, req.user);
+
+    res.status(200).json({
+      message: "Shipment status updated successfully",
+      trackingId,
+      previousStatus,
+      status,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating shipment status', error });
+    if (!error.status) {
+      console.error("Error updating shipment status:", error);
+    }
+    sendError(res, error, "Error updating shipment status");
   }
 };
 
@@ -100,77 +81,78 @@ exports.updateShipmentStatusWithNote = async (req, res) => {
   try {
     const { trackingId, status, note } = req.body;
 
-    if (!trackingId || status === undefined || !note) {
-      return res.status(400).json({
-        error: "Missing required fields: trackingId, status, and note are required"
-      });
-    }
+    console.log(`Updating shipment ${trackingId} to status ${status} on blockchain...`);
 
-    const statusNum = typeof status === 'string' ? ShipmentStatus[status] : status;
-
-    console.log(`Updating shipment ${trackingId} to status ${statusNum} on blockchain...`);
-
-    const nonce = await web3js.eth.getTransactionCount(ownerAddress);
-    const gasPrice = await web3js.eth.getGasPrice();
-    const method = contract.methods.updateShipmentStatusWithNote(trackingId, statusNum, note);
-
-    const txParams = {
-      from: ownerAddress,
-      to: contract.options.address,
-      gas: 500000,
-      gasPrice,
-      nonce,
-      data: method.encodeABI(),
-    };
-
-    const signedTx = await web3js.eth.accounts.signTransaction(txParams, ownerPrivateKey);
-    const receipt = await web3js.eth.sendSignedTransaction(signedTx.rawTransaction);
-
-    // Update local database
-    try {
-      const shipment = await Shipment.findOne({ trackingId });
-      if (shipment) {
-        shipment.status = Object.keys(ShipmentStatus).find(key => ShipmentStatus[key] === statusNum);
-        await shipment.save();
-      }
-    } catch (dbError) {
-      console.log('MongoDB error during status update');
-    }
+    const { receipt } = await updateShipmentStatus(trackingId, status, note, req.user);
 
     res.status(200).json({
       message: "Shipment status updated with note successfully",
       transactionHash: receipt.transactionHash,
       blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString(),
       trackingId,
-      status: statusNum,
+      status,
       note
     });
 
   } catch (error) {
-    console.error("Error updating shipment status with note:", error);
-    res.status(500).json({
-      error: "Error updating shipment status with note",
-      details: error.message
+    if (!error.status) {
+      console.error("Error updating shipment status with note:", error);
+    }
+    sendError(res, error, "Error updating shipment status with note");
+  }
+};
+
+// Receiver confirms a shipment arrived (Delivered) or refuses it with a reason (Rejected)
+const confirmShipment = (status, defaultNote) => async (req, res) => {
+  try {
+    const { trackingId } = req.params;
+    const note = req.body.note || defaultNote;
+
+    const { previousStatus, receipt } = await updateShipmentStatus(trackingId, status, note, req.user);
+    console.log(`Shipment ${trackingId} ${status.toLowerCase()} by receiver. TxHash:`, receipt.transactionHash);
+
+    res.status(200).json({
+      message: `Shipment ${status.toLowerCase()} successfully`,
+      trackingId,
+      previousStatus,
+      status,
+      note,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
     });
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error confirming shipment (${status}):`, error);
+    }
+    sendError(res, error, "Error confirming shipment");
   }
 };
 
+// POST /api/shipments/:trackingId/accept { note? }
+exports.acceptShipment = confirmShipment("Delivered", "Delivery accepted by receiver");
+
+// POST /api/shipments/:trackingId/reject { note }
+exports.rejectShipment = confirmShipment("Rejected");
+
 // NEW: Get shipment notes history from blockchain
 exports.getShipmentNotes = async (req, res) => {
   try {
     const { trackingId } = req.params;
 
-    if (!trackingId) {
-      return res.status(400).json({ error: "trackingId is required" });
-    }
+    const shipment = await getShipment(trackingId);
 
-    // Call blockchain contract view function
-    const notes = await contract.methods.getShipmentNotes(trackingId).call();
+    // Call blockchain contract view functions
+    const [notes, items] = await Promise.all([
+      contract.methods.getShipmentNotes(trackingId).call(),
+      readShipmentItems(trackingId)
+    ]);
 
     // Format notes for response
     const formattedNotes = notes.map(note => ({
       status: Number(note.status),
-      statusName: Object.keys(ShipmentStatus).find(key => ShipmentStatus[key] === Number(note.status)),
+      statusName: shipmentStatusName(note.status),
       note: note.note,
       timestamp: Number(note.timestamp),
       timestampFormatted: new Date(Number(note.timestamp) * 1000).toISOString(),
@@ -179,25 +161,33 @@ exports.getShipmentNotes = async (req, res) => {
 
     res.status(200).json({
       trackingId,
+      shipment: {
+        medicineId: Number(shipment.medicineId),
+        sender: shipment.sender,
+        receiver: shipment.receiver,
+        status: shipmentStatusName(shipment.status),
+        allowedStatuses: SHIPMENT_TRANSITIONS[shipmentStatusName(shipment.status)],
+        items
+      },
       notesCount: formattedNotes.length,
       notes: formattedNotes
     });
 
   } catch (error) {
-    console.error("Error getting shipment notes:", error);
-    res.status(500).json({
-      error: "Error retrieving shipment notes",
-      details: error.message
-    });
+    if (!error.status) {
+      console.error("Error getting shipment notes:", error);
+    }
+    sendError(res, error, "Error retrieving shipment notes");
   }
 };
 
+// Served from MongoDB, or rebuilt from ShipmentCreated logs when MongoDB is unavailable
 exports.getAllShipments = async (req, res) => {
   try {
-    const shipments = await Shipment.find().maxTimeMS(5000);
-    res.json(shipments);
+    const { source, data } = await readThrough(() => Shipment.find().maxTimeMS(5000), readShipments);
+    res.json({ source, shipments: data });
   } catch (error) {
-    console.log("MongoDB not available, returning empty shipments list");
-    res.json([]);
+    console.error("Error fetching shipments:", error.message);
+    sendError(res, error, "Error fetching shipments");
   }
 };
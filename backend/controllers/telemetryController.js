@@ -0,0 +1,85 @@
+const { getStorageRange, setStorageRange, recordTelemetry, getTelemetry } = require("../services/telemetry");
+const { apiError, sendError } = require("../utils/apiError");
+
+// PUT /api/medicines/:id/storage-range { minTemperature, maxTemperature, minHumidity?, maxHumidity? }
+exports.setStorageRange = async (req, res) => {
+  try {
+    const medicineId = req.params.id;
+    const { range, receipt } = await setStorageRange(medicineId, req.body, req.user);
+    console.log(`Storage range set for medicine ${medicineId}. Hash: ${receipt.transactionHash}`);
+
+    res.json({
+      message: "Storage range recorded on blockchain",
+      medicineId,
+      range,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error setting storage range:", error.message);
+    }
+    sendError(res, error, "Error setting storage range");
+  }
+};
+
+// GET /api/medicines/:id/storage-range
+exports.getStorageRange = async (req, res) => {
+  try {
+    const medicineId = req.params.id;
+    const range = await getStorageRange(medicineId);
+    if (!range) {
+      return sendError(res, apiError(404, "STORAGE_RANGE_NOT_SET", `No storage range recorded for medicine ${medicineId}`));
+    }
+    res.json({ medicineId, range });
+  } catch (error) {
+    console.error("Error fetching storage range:", error.message);
+    sendError(res, error, "Error fetching storage range");
+  }
+};
+
+// POST /api/shipments/:trackingId/telemetry { readings: [{ deviceId, timestamp, temperature, humidity? }] }
+exports.recordTelemetry = async (req, res) => {
+  try {
+    const { trackingId } = req.params;
+    const { window, range, receipt } = await recordTelemetry(trackingId, req.body.readings, req.user);
+    console.log(`Telemetry window ${window.anchorIndex} anchored for ${trackingId}. Hash: ${receipt.transactionHash}`);
+
+    res.status(201).json({
+      message: `${window.readings.length} readings recorded, ${window.excursionCount} outside the allowed range`,
+      trackingId,
+      range,
+      window: {
+        id: window._id,
+        windowStart: window.windowStart,
+        windowEnd: window.windowEnd,
+        readingCount: window.readings.length,
+        excursionCount: window.excursionCount,
+        dataHash: window.dataHash,
+        anchorIndex: window.anchorIndex,
+      },
+      excursions: window.readings.filter((reading) => reading.excursions.length > 0),
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber?.toString(),
+      gasUsed: receipt.gasUsed?.toString()
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error recording telemetry:", error.message);
+    }
+    sendError(res, error, "Error recording telemetry");
+  }
+};
+
+// GET /api/shipments/:trackingId/telemetry
+exports.getTelemetry = async (req, res) => {
+  try {
+    res.json(await getTelemetry(req.params.trackingId));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching telemetry:", error.message);
+    }
+    sendError(res, error, "Error fetching telemetry");
+  }
+};
\ No newline at end of file
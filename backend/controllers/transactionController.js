@@ -1,75 +1,34 @@
 const Transaction = require("../models/Transaction");
 const Medicine = require("../models/Medicine");
-const { web3js, contract } = require("../config/web3");
+const { advanceStage } = require("../services/medicineLifecycle");
+const { sendError } = require("../utils/apiError");
 require("dotenv").config();
 
-const ownerAddress = process.env.OWNER_ADDRESS;
-const ownerPrivateKey = process.env.OWNER_PRIVATE_KEY?.startsWith('0x')
-  ? process.env.OWNER_PRIVATE_KEY
-  : '0x' + process.env.OWNER_PRIVATE_KEY;
-
+// Records a stage change; `action` is a transition from config/medicineStages
+// (e.g. "distributeMedicine"). Same flow as POST /api/medicines/:id/advance.
 exports.recordTransaction = async (req, res) => {
   try {
-    const { medicineId, action } = req.body;
-
-    if (!medicineId || !action) {
-      return res.status(400).json({ error: "Medicine ID and Action are required" });
-    }
+    const { medicineId: medicineIdNum, action } = req.body;
 
-    console.log(`Processing transaction: ${action} for medicine ${medicineId}`);
+    console.log(`Processing transaction: ${action} for medicine ${medicineIdNum}`);
 
-    const nonce = await web3js.eth.getTransactionCount(ownerAddress);
-    const gasPrice = await web3js.eth.getGasPrice();
-
-    let method;
-    // Map the dropdown values from the frontend to contract methods
-    const normalizedAction = action.toLowerCase().trim();
-
-    if (normalizedAction === "shipped") {
-      method = contract.methods.distributeMedicine(medicineId);
-    } else if (normalizedAction === "in transit" || normalizedAction === "in_transit") {
-      method = contract.methods.manufactureMedicine(medicineId);
-    } else if (normalizedAction === "received") {
-      method = contract.methods.supplyRawMaterials(medicineId);
-    } else {
-      console.error(`Invalid action: ${action}`);
-      return res.status(400).json({ error: "Invalid action selected" });
-    }
-
-    const tx = {
-      from: ownerAddress,
-      to: contract.options.address,
-      gas: 500000,
-      gasPrice,
-      nonce,
-      data: method.encodeABI(),
-    };
-
-    const signedTx = await web3js.eth.accounts.signTransaction(tx, ownerPrivateKey);
-    const receipt = await web3js.eth.sendSignedTransaction(signedTx.rawTransaction);
-    console.log(`Successfully recorded ${action} in blockchain! Hash: ${receipt.transactionHash}`);
-
-    // Save to local DB records
-    const transaction = new Transaction({
-      medicineId,
-      participant: ownerAddress,
-      action: action.toUpperCase(),
-      transactionHash: receipt.transactionHash,
-      timestamp: Date.now()
-    });
-    await transaction.save();
+    const result = await advanceStage(medicineIdNum, action, req.user);
+    console.log(`Successfully recorded ${action} in blockchain! Hash: ${result.receipt.transactionHash}`);
 
     res.status(201).json({
       message: "Transaction recorded in blockchain",
-      transactionHash: receipt.transactionHash,
-      action: action
+      transactionHash: result.receipt.transactionHash,
+      gasUsed: result.receipt.gasUsed?.toString(),
+      action: action,
+      stage: result.stage
     });
 
   } catch (error) {
-    console.error("Blockchain transaction error:", error.message);
-    // If it's a revert, try to extract the reason
-    const reason = error.reason || error.message;
-    res.status(500).json({ error: "Blockchain transaction failed", details: reason });
+    if (!error.status) {
+      console.error("Blockchain transaction error:", error.message);
+    }
+    // Reverts carry their reason in details
+    sendError(res, error, "Blockchain transaction failed");
   }
 };
 
@@ -78,6 +37,7 @@ exports.getTransactions = async (req, res) => {
     const transactions = await Transaction.find().sort({ timestamp: -1 });
     res.json(transactions);
   } catch (error) {
-    res.json([]);
+    console.error("Error fetching transactions:", error.message);
+    sendError(res, error, "Error fetching transactions");
   }
 };
\ No newline at end of file
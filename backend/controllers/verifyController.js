@@ -0,0 +1,14 @@
+const { verifyCode } = require("../services/verification");
+const { sendError } = require("../utils/apiError");
+
+// GET /api/verify/:code - public, no session required
+exports.verifyCode = async (req, res) => {
+  try {
+    res.json(await verifyCode(req.params.code));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error verifying code:", error.message);
+    }
+    sendError(res, error, "Error verifying code");
+  }
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+const {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries,
+  listDeadLetters,
+  retryDelivery,
+} = require("../services/webhooks");
+const { sendError } = require("../utils/apiError");
+
+// POST /api/webhooks { url, events?, medicineId?, participant?, description? }
+exports.createWebhook = async (req, res) => {
+  try {
+    const { subscription, secret } = await createSubscription(req.body, req.user);
+    console.log(`Webhook ${subscription.id} registered for ${subscription.url}`);
+
+    res.status(201).json({
+      message: "Webhook registered; store the secret now, it is not shown again",
+      subscription,
+      secret
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error registering webhook:", error.message);
+    }
+    sendError(res, error, "Error registering webhook");
+  }
+};
+
+// GET /api/webhooks
+exports.listWebhooks = async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.user);
+    res.json({ count: subscriptions.length, subscriptions });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching webhooks:", error.message);
+    }
+    sendError(res, error, "Error fetching webhooks");
+  }
+};
+
+// GET /api/webhooks/:id
+exports.getWebhook = async (req, res) => {
+  try {
+    res.json(await getSubscription(req.params.id, req.user));
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching webhook:", error.message);
+    }
+    sendError(res, error, "Error fetching webhook");
+  }
+};
+
+// DELETE /api/webhooks/:id
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await deleteSubscription(req.params.id, req.user);
+    res.json({ message: "Webhook deleted", subscription });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error deleting webhook:", error.message);
+    }
+    sendError(res, error, "Error deleting webhook");
+  }
+};
+
+// GET /api/webhooks/:id/deliveries?status=&limit=
+exports.listDeliveries = async (req, res) => {
+  try {
+    const deliveries = await listDeliveries(req.params.id, req.user, req.query);
+    res.json({ subscription: req.params.id, count: deliveries.length, deliveries });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching webhook deliveries:", error.message);
+    }
+    sendError(res, error, "Error fetching webhook deliveries");
+  }
+};
+
+// GET /api/webhooks/dead-letters?limit=
+exports.listDeadLetters = async (req, res) => {
+  try {
+    const deliveries = await listDeadLetters(req.user, req.query);
+    res.json({ count: deliveries.length, deliveries });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error fetching dead-lettered deliveries:", error.message);
+    }
+    sendError(res, error, "Error fetching dead-lettered deliveries");
+  }
+};
+
+// POST /api/webhooks/deliveries/:deliveryId/retry
+exports.retryDelivery = async (req, res) => {
+  try {
+    const delivery = await retryDelivery(req.params.deliveryId, req.user);
+    res.json({ message: "Delivery queued again", delivery });
+  } catch (error) {
+    if (!error.status) {
+      console.error("Error retrying webhook delivery:", error.message);
+    }
+    sendError(res, error, "Error retrying webhook delivery");
+  }
+};
\ No newline at end of file
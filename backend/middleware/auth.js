@@ -0,0 +1,38 @@
+const passport = require("passport");
+const { hasAnyRole } = require("../config/accessPolicy");
+const { apiError, sendError } = require("../utils/apiError");
+
+// Attach req.user = { address, roles } when a valid session token is sent.
+// Requests without a token pass through unauthenticated.
+const attachUser = (req, res, next) => {
+  passport.authenticate("jwt", { session: false }, (error, user) => {
+    if (error) return next(error);
+    if (user) req.user = user;
+    next();
+  })(req, res, next);
+};
+
+const unauthenticated = (res) =>
+  sendError(res, apiError(401, "UNAUTHENTICATED", "Authentication required"));
+
+const forbidden = (res, requiredRoles, user) =>
+  sendError(res, apiError(403, "FORBIDDEN", `Requires one of the roles: ${requiredRoles.join(", ")}`, {
+    details: { requiredRoles, roles: user?.roles || [] },
+  }));
+
+// Reject requests that did not come with a valid session token
+const requireAuth = (req, res, next) => {
+  if (!req.user) return unauthenticated(res);
+  next();
+};
+
+// Only let through callers holding at least one of allowedRoles
+const authorize = (allowedRoles) => (req, res, next) => {
+  if (!req.user) return unauthenticated(res);
+  if (!hasAnyRole(req.user.roles, allowedRoles)) {
+    return forbidden(res, allowedRoles, req.user);
+  }
+  next();
+};
+
+module.exports = { attachUser, requireAuth, authorize };
\ No newline at end of file
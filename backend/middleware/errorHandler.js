@@ -0,0 +1,23 @@
+const { apiError, sendError } = require("../utils/apiError");
+
+// Last-resort handler so errors raised outside controllers (malformed JSON,
+// oversized bodies, middleware failures) still use the standard envelope
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === "entity.parse.failed") {
+    return sendError(res, apiError(400, "INVALID_JSON", "Request body is not valid JSON", { details: error.message }));
+  }
+  if (error.type === "entity.too.large") {
+    return sendError(res, apiError(413, "PAYLOAD_TOO_LARGE", "Request body is too large"));
+  }
+
+  console.error("Unhandled error:", error);
+  sendError(res, error);
+};
+
+// Unknown /api routes
+const notFound = (req, res) =>
+  sendError(res, apiError(404, "ROUTE_NOT_FOUND", `No route for ${req.method} ${req.originalUrl}`));
+
+module.exports = { errorHandler, notFound };
\ No newline at end of file
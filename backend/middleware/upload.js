@@ -0,0 +1,30 @@
+const multer = require("multer");
+const { apiError, sendError } = require("../utils/apiError");
+require("dotenv").config();
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.DOCUMENT_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  // Browsers send file names as raw UTF-8
+  defParamCharset: "utf8",
+});
+
+/**
+ * Parse a multipart request carrying one file in `field` into req.file; the
+ * other form fields land in req.body. Oversized or malformed uploads get the
+ * standard error envelope.
+ */
+const singleFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return sendError(res, apiError(status, error.code, error.message, { field: error.field || field }));
+    }
+    next(error);
+  });
+};
+
+module.exports = { singleFile, MAX_UPLOAD_BYTES };
\ No newline at end of file
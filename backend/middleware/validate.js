@@ -0,0 +1,38 @@
+const { apiError, sendError } = require("../utils/apiError");
+
+const REQUEST_PARTS = ["params", "query", "body"];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Validate (and normalise) the request against Joi schemas for any of
+ * params, query and body. Validated values replace the raw ones, so
+ * controllers receive converted numbers and checksummed addresses.
+ * @param schema { params?, query?, body? }
+ */
+const validate = (schema) => (req, res, next) => {
+  for (const part of REQUEST_PARTS) {
+    if (!schema[part]) continue;
+
+    const { value, error } = schema[part].validate(req[part] || {}, VALIDATION_OPTIONS);
+    if (error) {
+      const issues = error.details.map((detail) => ({
+        field: detail.path.join(".") || part,
+        message: detail.message,
+      }));
+      return sendError(res, apiError(400, "VALIDATION_ERROR", issues[0].message, {
+        details: issues,
+        field: issues[0].field,
+      }));
+    }
+
+    req[part] = value;
+  }
+  next();
+};
+
+module.exports = { validate };
\ No newline at end of file
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+const ContractEventSchema = new mongoose.Schema({
+    event: { type: String, required: true, index: true },
+    blockNumber: { type: Number, required: true, index: true },
+    blockHash: { type: String, required: true },
+    transactionHash: { type: String, required: true },
+    logIndex: { type: Number, required: true },
+    medicineId: { type: Number, default: null, index: true },
+    trackingId: { type: String, default: null },
+    addresses: { type: [String], default: [], index: true },
+    returnValues: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true });
+
+ContractEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+
+module.exports = mongoose.model("ContractEvent", ContractEventSchema);
\ No newline at end of file
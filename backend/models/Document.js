@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { SUBJECT_TYPES, DOCUMENT_KINDS } = require("../config/documentTypes");
+
+// A file attached to a medicine, shipment or participant. The file itself is
+// kept in document storage under its SHA-256 hash, which is anchored on-chain
+// against the subject.
+const DocumentSchema = new mongoose.Schema({
+    subjectType: { type: String, enum: SUBJECT_TYPES, required: true },
+    subjectId: { type: String, required: true },
+    kind: { type: String, enum: DOCUMENT_KINDS, required: true },
+    filename: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true, index: true },
+    uploader: { type: String, required: true },
+    transactionHash: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+DocumentSchema.index({ subjectType: 1, subjectId: 1, sha256: 1 }, { unique: true });
+
+module.exports = mongoose.model("Document", DocumentSchema);
\ No newline at end of file
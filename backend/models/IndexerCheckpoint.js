@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+const IndexerCheckpointSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    blockNumber: { type: Number, required: true },
+    // Hashes of the most recently indexed blocks, used to detect reorgs
+    recentBlocks: [{
+        number: { type: Number, required: true },
+        hash: { type: String, required: true },
+        _id: false
+    }]
+}, { timestamps: true });
+
+module.exports = mongoose.model("IndexerCheckpoint", IndexerCheckpointSchema);
\ No newline at end of file
@@ -8,7 +8,15 @@ const MedicineSchema = new mongoose.Schema({
     manufacturer: { type: String, default: null },
     distributor: { type: String, default: null },
     retailer: { type: String, default: null },
-    stage: { type: String, enum: ["Ordered", "RawMaterialSupplied", "Manufactured", "Distributed", "Retail", "Sold"], required: true }
+    stage: { type: String, enum: ["Ordered", "RawMaterialSupplied", "Manufactured", "Distributed", "Retail", "Sold"], required: true },
+    batchNumber: { type: String, default: null },
+    manufacturingDate: { type: Date, default: null },
+    expiryDate: { type: Date, default: null },
+    quantity: { type: Number, default: null },
+    recalled: { type: Boolean, default: false }
 });
 
+// Batch numbers are unique once recorded; medicines without a batch keep null
+MedicineSchema.index({ batchNumber: 1 }, { unique: true, partialFilterExpression: { batchNumber: { $type: "string" } } });
+
 module.exports = mongoose.model("Medicine", MedicineSchema);
\ No newline at end of file
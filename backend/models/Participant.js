@@ -4,7 +4,8 @@ const ParticipantSchema = new mongoose.Schema({
     address: { type: String, required: true },
     name: { type: String, required: true },
     location: { type: String, required: true },
-    role: { type: String, enum: ["Supplier", "Manufacturer", "Distributor", "Retailer"], required: true }
+    role: { type: String, enum: ["Supplier", "Manufacturer", "Distributor", "Retailer"], required: true },
+    active: { type: Boolean, default: true }
 });
 
 module.exports = mongoose.model("Participant", ParticipantSchema);
\ No newline at end of file
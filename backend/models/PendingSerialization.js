@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Marks a batch whose serials are being committed on-chain, so only one
+// serialization of a medicine runs at a time. A marker left behind by a commit
+// whose outcome is unknown expires after an hour.
+const PendingSerializationSchema = new mongoose.Schema({
+    medicineId: { type: Number, required: true, unique: true },
+    root: { type: String, required: true },
+    transactionHash: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now, expires: 3600 }
+});
+
+module.exports = mongoose.model("PendingSerialization", PendingSerializationSchema);
\ No newline at end of file
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// One serialized unit of a batch; index is the unit's leaf position in the
+// batch's Merkle tree and proof its sibling hashes up to the root, stored at
+// serialization so verifying a unit never rebuilds the tree
+const SerialNumberSchema = new mongoose.Schema({
+    medicineId: { type: Number, required: true, index: true },
+    batchNumber: { type: String, required: true },
+    gtin: { type: String, required: true },
+    serial: { type: String, required: true },
+    sgtin: { type: String, required: true },
+    index: { type: Number, required: true },
+    proof: { type: [String], required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+SerialNumberSchema.index({ gtin: 1, serial: 1 }, { unique: true });
+
+module.exports = mongoose.model("SerialNumber", SerialNumberSchema);
\ No newline at end of file
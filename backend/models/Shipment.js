@@ -1,11 +1,19 @@
 const mongoose = require("mongoose");
+const { SHIPMENT_STATUSES } = require("../config/shipmentStatuses");
 
 const ShipmentSchema = new mongoose.Schema({
     medicineId: { type: Number, required: true },
     sender: { type: String, required: true },
     receiver: { type: String, required: true },
     trackingId: { type: String, required: true, unique: true },
-    status: { type: String, enum: ["Pending", "InTransit", "Delivered"], required: true }
+    status: { type: String, enum: SHIPMENT_STATUSES, required: true },
+    // Line items of a consignment, one per medicine; empty for single-medicine shipments
+    items: [{
+        _id: false,
+        medicineId: { type: Number, required: true },
+        batchNumber: { type: String, default: null },
+        quantity: { type: Number, required: true }
+    }]
 });
 
 module.exports = mongoose.model("Shipment", ShipmentSchema);
\ No newline at end of file
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A location a shipment passed through. The checkpoint's hash is anchored
+// on-chain at anchorIndex of the shipment's checkpoint hashes.
+const ShipmentCheckpointSchema = new mongoose.Schema({
+    trackingId: { type: String, required: true, index: true },
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    facility: { type: String, required: true },
+    timestamp: { type: Date, required: true },
+    recordedBy: { type: String, required: true },
+    checkpointHash: { type: String, required: true },
+    anchorIndex: { type: Number, default: null },
+    transactionHash: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("ShipmentCheckpoint", ShipmentCheckpointSchema);
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// One batch of sensor readings posted for a shipment. The readings' hash is
+// anchored on-chain at anchorIndex of the shipment's telemetry anchors.
+const ReadingSchema = new mongoose.Schema({
+    deviceId: { type: String, required: true },
+    timestamp: { type: Date, required: true },
+    temperature: { type: Number, required: true },
+    humidity: { type: Number, default: null },
+    excursions: { type: [String], default: [] }
+}, { _id: false });
+
+const TelemetryWindowSchema = new mongoose.Schema({
+    trackingId: { type: String, required: true, index: true },
+    medicineId: { type: Number, required: true },
+    windowStart: { type: Date, required: true },
+    windowEnd: { type: Date, required: true },
+    readings: { type: [ReadingSchema], required: true },
+    excursionCount: { type: Number, required: true },
+    dataHash: { type: String, required: true },
+    anchorIndex: { type: Number, default: null },
+    transactionHash: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("TelemetryWindow", TelemetryWindowSchema);
\ No newline at end of file
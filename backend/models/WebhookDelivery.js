@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { DELIVERY_STATUSES } = require("../config/webhooks");
+
+// One contract event queued for one subscription, with a log of every attempt
+const WebhookDeliverySchema = new mongoose.Schema({
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookSubscription", required: true },
+    event: { type: String, required: true },
+    blockNumber: { type: Number, required: true },
+    transactionHash: { type: String, required: true },
+    logIndex: { type: Number, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: DELIVERY_STATUSES, default: "Pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    attemptLog: [{
+        _id: false,
+        at: { type: Date, required: true },
+        responseStatus: { type: Number, default: null },
+        error: { type: String, default: null },
+        durationMs: { type: Number, required: true }
+    }],
+    deliveredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// An event is delivered to a subscription at most once, even when re-indexed
+WebhookDeliverySchema.index({ subscription: 1, transactionHash: 1, logIndex: 1 }, { unique: true });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
\ No newline at end of file
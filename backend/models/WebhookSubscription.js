@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// A callback URL registered by an integrator. Indexed contract events that match
+// every filter that is set are POSTed to it, signed with the secret.
+const WebhookSubscriptionSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    // HMAC-SHA256 key for the signature header; only returned when the subscription is created
+    secret: { type: String, required: true, select: false },
+    events: { type: [String], default: [] },  // event names; empty for every event
+    medicineId: { type: Number, default: null },
+    participant: { type: String, default: null },  // lowercase address
+    description: { type: String, default: "" },
+    createdBy: { type: String, required: true, index: true },  // lowercase address
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("WebhookSubscription", WebhookSubscriptionSchema);
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require("express");
+const { getDrift, runReconciliation, setRegulator } = require("../controllers/adminController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/adminSchemas");
+
+const router = express.Router();
+
+router.get("/drift", authorize(POLICIES.getDrift), validate(schemas.getDrift), getDrift);
+router.post("/reconcile", authorize(POLICIES.runReconciliation), runReconciliation);
+router.put("/regulators/:address", authorize(POLICIES.setRegulator), validate(schemas.setRegulator), setRegulator);
+
+module.exports = router;
\ No newline at end of file
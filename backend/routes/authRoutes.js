@@ -0,0 +1,12 @@
+const express = require("express");
+const { getChallenge, verifySignIn, getCurrentUser } = require("../controllers/authController");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/authSchemas");
+
+const router = express.Router();
+
+router.get("/challenge", validate(schemas.getChallenge), getChallenge);
+router.post("/verify", validate(schemas.verifySignIn), verifySignIn);
+router.get("/me", getCurrentUser);
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,10 @@
 const express = require("express");
 const { getContractEvents } = require("../controllers/contractEventController");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/contractEventSchemas");
 
 const router = express.Router();
 
-router.get("/", getContractEvents);
+router.get("/", validate(schemas.getContractEvents), getContractEvents);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require("express");
+const {
+  uploadDocument,
+  listDocuments,
+  findByHash,
+  downloadDocument,
+  verifyDocument,
+} = require("../controllers/documentController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const { singleFile } = require("../middleware/upload");
+const schemas = require("../schemas/documentSchemas");
+
+const router = express.Router();
+
+router.post("/", authorize(POLICIES.uploadDocument), singleFile("file"), validate(schemas.uploadDocument), uploadDocument);
+router.get("/", validate(schemas.listDocuments), listDocuments);
+router.get("/hash/:sha256", validate(schemas.findByHash), findByHash);
+router.get("/:id/download", validate(schemas.downloadDocument), downloadDocument);
+router.get("/:id/verify", validate(schemas.verifyDocument), verifyDocument);
+
+module.exports = router;
\ No newline at end of file
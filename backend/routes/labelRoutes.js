@@ -0,0 +1,13 @@
+const express = require("express");
+const { getQrCode, createLabelSheet } = require("../controllers/labelController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/labelSchemas");
+
+const router = express.Router();
+
+router.get("/:type/:value/qr", authorize(POLICIES.printLabels), validate(schemas.getQrCode), getQrCode);
+router.post("/sheet", authorize(POLICIES.printLabels), validate(schemas.createLabelSheet), createLabelSheet);
+
+module.exports = router;
\ No newline at end of file
@@ -1,16 +1,36 @@
 const express = require("express");
 const {
   addMedicine,
+  recordBatch,
   getAllMedicines,
+  getMedicineByBatch,
   getMedicineHistory,
   getMedicineStage,
+  getStageDefinition,
+  advanceMedicine,
 } = require("../controllers/medicineController");
+const { serializeBatch, getBatchSerials } = require("../controllers/serialController");
+const { setStorageRange, getStorageRange } = require("../controllers/telemetryController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/medicineSchemas");
+const serialSchemas = require("../schemas/serialSchemas");
+const telemetrySchemas = require("../schemas/telemetrySchemas");
 
 const router = express.Router();
 
-router.post("/add", addMedicine);
+router.post("/add", authorize(POLICIES.addMedicine), validate(schemas.addMedicine), addMedicine);
 router.get("/", getAllMedicines);
-router.get("/:id/history", getMedicineHistory);
-router.get("/:id/stage", getMedicineStage);
+router.get("/stages", getStageDefinition);
+router.get("/batch/:batchNumber", validate(schemas.getMedicineByBatch), getMedicineByBatch);
+router.get("/:id/history", validate(schemas.getMedicineHistory), getMedicineHistory);
+router.get("/:id/stage", validate(schemas.getMedicineStage), getMedicineStage);
+router.post("/:id/batch", authorize(POLICIES.recordBatch), validate(schemas.recordBatch), recordBatch);
+router.post("/:id/serials", authorize(POLICIES.serializeBatch), validate(serialSchemas.serializeBatch), serializeBatch);
+router.get("/:id/serials", validate(serialSchemas.getBatchSerials), getBatchSerials);
+router.put("/:id/storage-range", authorize(POLICIES.setStorageRange), validate(telemetrySchemas.setStorageRange), setStorageRange);
+router.get("/:id/storage-range", validate(telemetrySchemas.getStorageRange), getStorageRange);
+router.post("/:id/advance", authorize(POLICIES.advanceMedicine), validate(schemas.advanceMedicine), advanceMedicine);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require("express");
+const {
+  prepareMetaTransaction,
+  relayMetaTransaction,
+} = require("../controllers/metaTransactionController");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/metaTransactionSchemas");
+
+const router = express.Router();
+
+router.post("/prepare", validate(schemas.prepareMetaTransaction), prepareMetaTransaction);
+router.post("/relay", validate(schemas.relayMetaTransaction), relayMetaTransaction);
+
+module.exports = router;
\ No newline at end of file
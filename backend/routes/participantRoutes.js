@@ -1,9 +1,26 @@
 const express = require("express");
-const { addParticipant, getAllParticipants } = require("../controllers/participantController");
+const {
+  addParticipant,
+  getAllParticipants,
+  getParticipant,
+  updateParticipant,
+  suspendParticipant,
+  reinstateParticipant,
+  getParticipantHistory,
+} = require("../controllers/participantController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/participantSchemas");
 
 const router = express.Router();
 
-router.post("/add", addParticipant);
+router.post("/add", authorize(POLICIES.addParticipant), validate(schemas.addParticipant), addParticipant);
 router.get("/", getAllParticipants);
+router.get("/:address", validate(schemas.getParticipant), getParticipant);
+router.put("/:address", authorize(POLICIES.updateParticipant), validate(schemas.updateParticipant), updateParticipant);
+router.post("/:address/suspend", authorize(POLICIES.suspendParticipant), validate(schemas.suspendParticipant), suspendParticipant);
+router.post("/:address/reinstate", authorize(POLICIES.reinstateParticipant), validate(schemas.reinstateParticipant), reinstateParticipant);
+router.get("/:address/history", validate(schemas.getParticipantHistory), getParticipantHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require("express");
+const { issueRecall, getAllRecalls, getRecall } = require("../controllers/recallController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/recallSchemas");
+
+const router = express.Router();
+
+router.post("/", authorize(POLICIES.issueRecall), validate(schemas.issueRecall), issueRecall);
+router.get("/", getAllRecalls);
+router.get("/:medicineId", validate(schemas.getRecall), getRecall);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require("express");
+const { verifySerial } = require("../controllers/serialController");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/serialSchemas");
+
+const router = express.Router();
+
+router.get("/verify", validate(schemas.verifySerial), verifySerial);
+
+module.exports = router;
\ No newline at end of file
@@ -1,18 +1,36 @@
 const express = require("express");
 const {
     createShipment,
+    createConsignment,
     getAllShipments,
     updateShipmentStatus,
     updateShipmentStatusWithNote,
+    acceptShipment,
+    rejectShipment,
     getShipmentNotes
 } = require("../controllers/shipmentController");
+const { recordTelemetry, getTelemetry } = require("../controllers/telemetryController");
+const { recordCheckpoint, getCheckpoints } = require("../controllers/checkpointController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/shipmentSchemas");
+const telemetrySchemas = require("../schemas/telemetrySchemas");
+const checkpointSchemas = require("../schemas/checkpointSchemas");
 
 const router = express.Router();
 
-router.post("/add", createShipment);
-router.post("/update", updateShipmentStatus);
-router.post("/update-with-note", updateShipmentStatusWithNote);  // NEW: Update with blockchain note
-router.get("/notes/:trackingId", getShipmentNotes);              // NEW: Get notes history
+router.post("/add", authorize(POLICIES.createShipment), validate(schemas.createShipment), createShipment);
+router.post("/consignments", authorize(POLICIES.createShipment), validate(schemas.createConsignment), createConsignment);
+router.post("/update", authorize(POLICIES.updateShipmentStatus), validate(schemas.updateShipmentStatus), updateShipmentStatus);
+router.post("/update-with-note", authorize(POLICIES.updateShipmentStatusWithNote), validate(schemas.updateShipmentStatusWithNote), updateShipmentStatusWithNote);  // NEW: Update with blockchain note
+router.post("/:trackingId/accept", authorize(POLICIES.confirmShipment), validate(schemas.acceptShipment), acceptShipment);
+router.post("/:trackingId/reject", authorize(POLICIES.confirmShipment), validate(schemas.rejectShipment), rejectShipment);
+router.get("/notes/:trackingId", validate(schemas.getShipmentNotes), getShipmentNotes);              // NEW: Get notes history
+router.post("/:trackingId/telemetry", authorize(POLICIES.recordTelemetry), validate(telemetrySchemas.recordTelemetry), recordTelemetry);
+router.get("/:trackingId/telemetry", validate(telemetrySchemas.getTelemetry), getTelemetry);
+router.post("/:trackingId/checkpoints", authorize(POLICIES.recordCheckpoint), validate(checkpointSchemas.recordCheckpoint), recordCheckpoint);
+router.get("/:trackingId/checkpoints", validate(checkpointSchemas.getCheckpoints), getCheckpoints);
 router.get("/", getAllShipments);
 
 module.exports = router;
@@ -3,10 +3,14 @@ const {
   recordTransaction,
   getTransactions
 } = require("../controllers/transactionController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/transactionSchemas");
 
 const router = express.Router();
 
-router.post("/add", recordTransaction);
+router.post("/add", authorize(POLICIES.recordTransaction), validate(schemas.recordTransaction), recordTransaction);
 router.get("/", getTransactions);
 
 module.exports = router;
\ No newline at end of file
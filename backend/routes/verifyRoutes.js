@@ -0,0 +1,10 @@
+const express = require("express");
+const { verifyCode } = require("../controllers/verifyController");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/verifySchemas");
+
+const router = express.Router();
+
+router.get("/:code", validate(schemas.verifyCode), verifyCode);
+
+module.exports = router;
\ No newline at end of file
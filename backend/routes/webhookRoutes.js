@@ -0,0 +1,27 @@
+const express = require("express");
+const {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  listDeliveries,
+  listDeadLetters,
+  retryDelivery,
+} = require("../controllers/webhookController");
+const { authorize } = require("../middleware/auth");
+const { POLICIES } = require("../config/accessPolicy");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/webhookSchemas");
+
+const router = express.Router();
+
+// Subscriptions are scoped to the caller; the owner sees all of them
+router.post("/", authorize(POLICIES.manageWebhooks), validate(schemas.createWebhook), createWebhook);
+router.get("/", authorize(POLICIES.manageWebhooks), listWebhooks);
+router.get("/dead-letters", authorize(POLICIES.manageWebhooks), validate(schemas.listDeadLetters), listDeadLetters);
+router.post("/deliveries/:deliveryId/retry", authorize(POLICIES.manageWebhooks), validate(schemas.retryDelivery), retryDelivery);
+router.get("/:id", authorize(POLICIES.manageWebhooks), validate(schemas.getWebhook), getWebhook);
+router.delete("/:id", authorize(POLICIES.manageWebhooks), validate(schemas.deleteWebhook), deleteWebhook);
+router.get("/:id/deliveries", authorize(POLICIES.manageWebhooks), validate(schemas.listDeliveries), listDeliveries);
+
+module.exports = router;
\ No newline at end of file
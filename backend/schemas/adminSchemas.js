@@ -0,0 +1,16 @@
+const { Joi, address } = require("./common");
+
+exports.getDrift = {
+  query: Joi.object({
+    entity: Joi.string().valid("medicine", "shipment"),
+  }),
+};
+
+exports.setRegulator = {
+  params: Joi.object({
+    address: address.required(),
+  }),
+  body: Joi.object({
+    active: Joi.boolean().required(),
+  }),
+};
\ No newline at end of file
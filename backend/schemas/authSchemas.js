@@ -0,0 +1,14 @@
+const { Joi, address, signature } = require("./common");
+
+exports.getChallenge = {
+  query: Joi.object({
+    address: address.required(),
+  }),
+};
+
+exports.verifySignIn = {
+  body: Joi.object({
+    message: Joi.string().max(2000).required(),
+    signature: signature.required(),
+  }),
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+const { Joi, trackingId, text } = require("./common");
+
+const shipmentParams = Joi.object({
+  trackingId: trackingId.required(),
+});
+
+exports.recordCheckpoint = {
+  params: shipmentParams,
+  body: Joi.object({
+    latitude: Joi.number().min(-90).max(90).precision(6).required(),
+    longitude: Joi.number().min(-180).max(180).precision(6).required(),
+    facility: text(120).required(),
+    // Defaults to the time of the request
+    timestamp: Joi.date().iso().max("now").default(() => new Date()),
+  }),
+};
+
+exports.getCheckpoints = { params: shipmentParams };
\ No newline at end of file
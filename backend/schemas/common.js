@@ -0,0 +1,77 @@
+// Field schemas shared by the route schemas.
+
+const Joi = require("joi");
+const { web3js } = require("../config/web3");
+const { SHIPMENT_STATUSES, shipmentStatusName } = require("../config/shipmentStatuses");
+const { normalizeGtin, isValidSerial, parseSgtin } = require("../utils/gs1");
+
+// Accepts all-lowercase/uppercase addresses or mixed case with a valid EIP-55
+// checksum, and normalises to the checksummed form
+const address = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    if (!web3js.utils.isAddress(value)) {
+      return helpers.error("address.invalid");
+    }
+    return web3js.utils.toChecksumAddress(value);
+  })
+  .messages({ "address.invalid": "{{#label}} must be a valid Ethereum address with a correct checksum" });
+
+const medicineId = Joi.number().integer().min(1).max(Number.MAX_SAFE_INTEGER);
+
+const trackingId = Joi.string()
+  .trim()
+  .max(64)
+  .pattern(/^[A-Za-z0-9._-]+$/)
+  .messages({ "string.pattern.base": "{{#label}} may only contain letters, digits, '.', '_' and '-'" });
+
+// Status name ("InTransit") or enum value (1); normalised to the name
+const shipmentStatus = Joi.alternatives()
+  .try(Joi.string().trim(), Joi.number().integer())
+  .custom((value, helpers) => {
+    const name = typeof value === "number" || /^\d+$/.test(value) ? shipmentStatusName(value) : value;
+    return SHIPMENT_STATUSES.includes(name) ? name : helpers.error("status.invalid");
+  })
+  .messages({
+    "status.invalid": `{{#label}} must be one of ${SHIPMENT_STATUSES.join(", ")}`,
+    "alternatives.types": `{{#label}} must be one of ${SHIPMENT_STATUSES.join(", ")}`,
+  });
+
+const batchNumber = Joi.string()
+  .trim()
+  .max(64)
+  .pattern(/^[A-Za-z0-9._/-]+$/)
+  .messages({ "string.pattern.base": "{{#label}} may only contain letters, digits, '.', '_', '/' and '-'" });
+
+// GTIN-8/12/13/14 with a valid check digit, normalised to 14 digits
+const gtin = Joi.string()
+  .trim()
+  .custom((value, helpers) => normalizeGtin(value) || helpers.error("gtin.invalid"))
+  .messages({ "gtin.invalid": "{{#label}} must be a GTIN-8, 12, 13 or 14 with a valid check digit" });
+
+const serialNumber = Joi.string()
+  .trim()
+  .custom((value, helpers) => (isValidSerial(value) ? value : helpers.error("serial.invalid")))
+  .messages({ "serial.invalid": "{{#label}} must be 1-20 characters from the GS1 AI 21 character set" });
+
+// Any SGTIN form accepted by parseSgtin; converted to { gtin, serial, sgtin }
+const sgtin = Joi.string()
+  .trim()
+  .max(512)
+  .custom((value, helpers) => parseSgtin(value) || helpers.error("sgtin.invalid"))
+  .messages({ "sgtin.invalid": "{{#label}} must be a GS1 element string, barcode payload or Digital Link with GTIN and serial" });
+
+const blockNumber = Joi.number().integer().min(0);
+
+const hexString = Joi.string().pattern(/^0x([0-9a-fA-F]{2})*$/).messages({
+  "string.pattern.base": "{{#label}} must be a 0x-prefixed hex string",
+});
+
+// 65-byte ECDSA signature
+const signature = Joi.string().pattern(/^0x[0-9a-fA-F]{130}$/).messages({
+  "string.pattern.base": "{{#label}} must be a 65-byte hex signature",
+});
+
+const text = (maxLength) => Joi.string().trim().min(1).max(maxLength);
+
+module.exports = { Joi, address, medicineId, trackingId, shipmentStatus, batchNumber, gtin, serialNumber, sgtin, blockNumber, hexString, signature, text }
\ No newline at end of file
@@ -0,0 +1,23 @@
+const { Joi, address, medicineId, blockNumber } = require("./common");
+const { INDEXED_EVENTS } = require("../services/eventIndexer");
+
+exports.getContractEvents = {
+  query: Joi.object({
+    // Comma-separated list of event names
+    event: Joi.string()
+      .custom((value, helpers) => {
+        const names = value.split(",").map((name) => name.trim());
+        const unknown = names.filter((name) => !INDEXED_EVENTS.includes(name));
+        return unknown.length > 0 ? helpers.error("event.unknown", { unknown: unknown.join(", ") }) : names;
+      })
+      .messages({ "event.unknown": "Unknown event name: {{#unknown}}" }),
+    medicineId,
+    address,
+    fromBlock: blockNumber,
+    toBlock: blockNumber.when("fromBlock", {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref("fromBlock")).messages({ "number.min": "toBlock must not be before fromBlock" }),
+    }),
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+  }),
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+const { Joi, text } = require("./common");
+const { SUBJECT_TYPES, DOCUMENT_KINDS } = require("../config/documentTypes");
+
+const subject = {
+  subjectType: Joi.string().valid(...SUBJECT_TYPES).required(),
+  subjectId: text(64).required(),
+};
+
+const documentParams = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+});
+
+// Multipart form fields; the file itself is checked by the controller
+exports.uploadDocument = {
+  body: Joi.object({
+    ...subject,
+    kind: Joi.string().valid(...DOCUMENT_KINDS).default("Other"),
+  }),
+};
+
+exports.listDocuments = {
+  query: Joi.object(subject),
+};
+
+exports.findByHash = {
+  params: Joi.object({
+    sha256: Joi.string().trim().lowercase().hex().length(64).required(),
+  }),
+};
+
+exports.downloadDocument = { params: documentParams };
+
+exports.verifyDocument = { params: documentParams };
\ No newline at end of file
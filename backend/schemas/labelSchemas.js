@@ -0,0 +1,37 @@
+const { Joi, medicineId, trackingId, sgtin } = require("./common");
+const { LABEL_TYPES, MAX_SHEET_LABELS } = require("../services/labels");
+
+const labelType = Joi.string().valid(...LABEL_TYPES);
+
+// Medicine ID, SGTIN or tracking ID depending on the label type
+const labelValue = Joi.when("type", {
+  switch: [
+    { is: "medicine", then: medicineId },
+    { is: "serial", then: sgtin },
+    { is: "shipment", then: trackingId },
+  ],
+});
+
+exports.getQrCode = {
+  params: Joi.object({
+    type: labelType.required(),
+    value: labelValue.required(),
+  }),
+  query: Joi.object({
+    format: Joi.string().valid("png", "svg").default("png"),
+    size: Joi.number().integer().min(64).max(1024).default(256),
+  }),
+};
+
+// Either explicit items or every unit of a medicine's batch
+exports.createLabelSheet = {
+  body: Joi.object({
+    items: Joi.array()
+      .items(Joi.object({ type: labelType.required(), value: labelValue.required() }))
+      .min(1)
+      .max(MAX_SHEET_LABELS),
+    medicineId,
+    columns: Joi.number().integer().min(1).max(4).default(3),
+    rows: Joi.number().integer().min(1).max(12).default(8),
+  }).xor("items", "medicineId"),
+};
\ No newline at end of file
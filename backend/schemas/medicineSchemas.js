@@ -0,0 +1,46 @@
+const { Joi, medicineId, batchNumber, text } = require("./common");
+const { TRANSITIONS } = require("../config/medicineStages");
+
+const medicineParams = Joi.object({
+  id: medicineId.required(),
+});
+
+const batchFields = {
+  batchNumber,
+  manufacturingDate: Joi.date().iso(),
+  expiryDate: Joi.date().iso().greater(Joi.ref("manufacturingDate")).messages({
+    "date.greater": "{{#label}} must be after the manufacturing date",
+  }),
+  quantity: Joi.number().integer().min(1),
+};
+
+// Lot details are optional at creation but must be given together
+exports.addMedicine = {
+  body: Joi.object({
+    name: text(100).required(),
+    description: text(1000).required(),
+    ...batchFields,
+  }).and("batchNumber", "manufacturingDate", "expiryDate", "quantity"),
+};
+
+exports.recordBatch = {
+  params: medicineParams,
+  body: Joi.object(batchFields).options({ presence: "required" }),
+};
+
+exports.getMedicineByBatch = {
+  params: Joi.object({
+    batchNumber: batchNumber.required(),
+  }),
+};
+
+exports.getMedicineHistory = { params: medicineParams };
+
+exports.getMedicineStage = { params: medicineParams };
+
+exports.advanceMedicine = {
+  params: medicineParams,
+  body: Joi.object({
+    action: Joi.string().valid(...TRANSITIONS.map((transition) => transition.action)),
+  }),
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+const { Joi, address, hexString, signature } = require("./common");
+const { RELAYABLE_METHODS } = require("../services/metaTransactions");
+
+exports.prepareMetaTransaction = {
+  body: Joi.object({
+    from: address.required(),
+    method: Joi.string().valid(...RELAYABLE_METHODS).required(),
+    args: Joi.array().max(10).default([]),
+  }),
+};
+
+exports.relayMetaTransaction = {
+  body: Joi.object({
+    from: address.required(),
+    functionCall: hexString.min(10).max(10000).required(),
+    deadline: Joi.alternatives().try(
+      Joi.number().integer().min(0),
+      Joi.string().pattern(/^\d+$/)
+    ).required(),
+    signature: signature.required(),
+  }),
+};
\ No newline at end of file
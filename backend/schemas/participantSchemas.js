@@ -0,0 +1,32 @@
+const { Joi, address, text } = require("./common");
+const { PARTICIPANT_ROLES } = require("../config/accessPolicy");
+
+const participantParams = Joi.object({
+  address: address.required(),
+});
+
+exports.addParticipant = {
+  body: Joi.object({
+    address: address.required(),
+    name: text(100).required(),
+    location: text(200).required(),
+    role: Joi.string().valid(...PARTICIPANT_ROLES).required(),
+  }),
+};
+
+exports.getParticipant = { params: participantParams };
+
+exports.suspendParticipant = { params: participantParams };
+
+exports.reinstateParticipant = { params: participantParams };
+
+exports.getParticipantHistory = { params: participantParams };
+
+exports.updateParticipant = {
+  params: participantParams,
+  body: Joi.object({
+    role: Joi.string().valid(...PARTICIPANT_ROLES).required(),
+    name: text(100).required(),
+    location: text(200).required(),
+  }),
+};
\ No newline at end of file
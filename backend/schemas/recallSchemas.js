@@ -0,0 +1,18 @@
+const { Joi, medicineId, batchNumber, text } = require("./common");
+const { RECALL_SEVERITIES } = require("../config/recallSeverities");
+
+// The medicine is named by its ID or its batch number, not both
+exports.issueRecall = {
+  body: Joi.object({
+    medicineId,
+    batchNumber,
+    severity: Joi.string().valid(...RECALL_SEVERITIES).required(),
+    reason: text(500).required(),
+  }).xor("medicineId", "batchNumber"),
+};
+
+exports.getRecall = {
+  params: Joi.object({
+    medicineId: medicineId.required(),
+  }),
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+const { Joi, medicineId, batchNumber, gtin, serialNumber, sgtin } = require("./common");
+
+const medicineParams = Joi.object({
+  id: medicineId.required(),
+});
+
+exports.serializeBatch = {
+  params: medicineParams,
+  body: Joi.object({
+    gtin: gtin.required(),
+    count: Joi.number().integer().min(1),
+  }),
+};
+
+exports.getBatchSerials = {
+  params: medicineParams,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+    offset: Joi.number().integer().min(0).default(0),
+  }),
+};
+
+// Either a full SGTIN or its GTIN and serial; batchNumber optionally pins the expected batch
+exports.verifySerial = {
+  query: Joi.object({
+    sgtin,
+    gtin,
+    serial: serialNumber,
+    batchNumber,
+  })
+    .xor("sgtin", "gtin")
+    .and("gtin", "serial"),
+};
\ No newline at end of file
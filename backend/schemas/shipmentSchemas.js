@@ -0,0 +1,77 @@
+const { Joi, address, medicineId, trackingId, shipmentStatus, batchNumber, text } = require("./common");
+
+// Most line items one consignment may carry
+const MAX_CONSIGNMENT_ITEMS = 50;
+
+const receiver = address
+  .invalid("0x0000000000000000000000000000000000000000")
+  .messages({ "any.invalid": "{{#label}} cannot be the zero address" });
+
+exports.createShipment = {
+  body: Joi.object({
+    medicineId: medicineId.required(),
+    // The contract takes the sender from the signing account; accepted for
+    // older clients but not used
+    sender: address,
+    receiver: receiver.required(),
+    trackingId: trackingId.required(),
+  }),
+};
+
+exports.createConsignment = {
+  body: Joi.object({
+    receiver: receiver.required(),
+    trackingId: trackingId.required(),
+    items: Joi.array()
+      .items(Joi.object({
+        medicineId: medicineId.required(),
+        // Optional; checked against the batch recorded for the medicine
+        batchNumber,
+        quantity: Joi.number().integer().min(1).required(),
+      }))
+      .min(1)
+      .max(MAX_CONSIGNMENT_ITEMS)
+      .unique("medicineId")
+      .required()
+      .messages({ "array.unique": "Each medicine may only be listed once per consignment" }),
+  }),
+};
+
+exports.updateShipmentStatus = {
+  body: Joi.object({
+    trackingId: trackingId.required(),
+    status: shipmentStatus.required(),
+  }),
+};
+
+exports.updateShipmentStatusWithNote = {
+  body: Joi.object({
+    trackingId: trackingId.required(),
+    status: shipmentStatus.required(),
+    note: text(500).required(),
+  }),
+};
+
+exports.acceptShipment = {
+  params: Joi.object({
+    trackingId: trackingId.required(),
+  }),
+  body: Joi.object({
+    note: text(500).allow(""),
+  }),
+};
+
+exports.rejectShipment = {
+  params: Joi.object({
+    trackingId: trackingId.required(),
+  }),
+  body: Joi.object({
+    note: text(500).required().messages({ "any.required": "A reason is required to reject a shipment" }),
+  }),
+};
+
+exports.getShipmentNotes = {
+  params: Joi.object({
+    trackingId: trackingId.required(),
+  }),
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+const { Joi, medicineId, trackingId, text } = require("./common");
+
+// Largest number of readings accepted in one window
+const MAX_READINGS_PER_WINDOW = 1000;
+
+const temperature = Joi.number().min(-100).max(100);
+const humidity = Joi.number().min(0).max(100);
+
+exports.setStorageRange = {
+  params: Joi.object({
+    id: medicineId.required(),
+  }),
+  body: Joi.object({
+    minTemperature: temperature.precision(1).required(),
+    maxTemperature: temperature.precision(1).greater(Joi.ref("minTemperature")).required().messages({
+      "number.greater": "{{#label}} must be above the minimum temperature",
+    }),
+    minHumidity: humidity.integer(),
+    maxHumidity: humidity.integer().min(Joi.ref("minHumidity")).messages({
+      "number.min": "{{#label}} must not be below the minimum humidity",
+    }),
+  }).and("minHumidity", "maxHumidity"),
+};
+
+exports.getStorageRange = {
+  params: Joi.object({
+    id: medicineId.required(),
+  }),
+};
+
+const shipmentParams = Joi.object({
+  trackingId: trackingId.required(),
+});
+
+exports.recordTelemetry = {
+  params: shipmentParams,
+  body: Joi.object({
+    readings: Joi.array()
+      .items(Joi.object({
+        deviceId: text(64).required(),
+        timestamp: Joi.date().iso().max("now").required(),
+        temperature: temperature.required(),
+        humidity,
+      }))
+      .min(1)
+      .max(MAX_READINGS_PER_WINDOW)
+      .required(),
+  }),
+};
+
+exports.getTelemetry = { params: shipmentParams };
\ No newline at end of file
@@ -0,0 +1,9 @@
+const { Joi, medicineId } = require("./common");
+const { TRANSITIONS } = require("../config/medicineStages");
+
+exports.recordTransaction = {
+  body: Joi.object({
+    medicineId: medicineId.required(),
+    action: Joi.string().valid(...TRANSITIONS.map((transition) => transition.action)).required(),
+  }),
+};
\ No newline at end of file
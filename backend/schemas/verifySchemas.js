@@ -0,0 +1,8 @@
+const { Joi } = require("./common");
+
+// Codes are resolved in the service; only bound their size here
+exports.verifyCode = {
+  params: Joi.object({
+    code: Joi.string().trim().min(1).max(512).required(),
+  }),
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+const { Joi, address, medicineId, text } = require("./common");
+const { INDEXED_EVENTS } = require("../services/eventIndexer");
+const { DELIVERY_STATUSES } = require("../config/webhooks");
+const { isNonPublicUrl } = require("../utils/networkAddress");
+
+const objectId = Joi.string().hex().length(24);
+
+const webhookParams = Joi.object({
+  id: objectId.required(),
+});
+
+const limit = Joi.number().integer().min(1).max(500).default(50);
+
+exports.createWebhook = {
+  body: Joi.object({
+    // Hostnames are checked again, once resolved, before every delivery
+    url: Joi.string()
+      .trim()
+      .max(2048)
+      .uri({ scheme: ["http", "https"] })
+      .custom((value, helpers) => (isNonPublicUrl(value) ? helpers.error("url.nonPublic") : value))
+      .messages({ "url.nonPublic": "{{#label}} must not point at a loopback, private or link-local address" })
+      .required(),
+    // Filters; leave one out to match every value
+    events: Joi.array()
+      .items(Joi.string().valid(...INDEXED_EVENTS).messages({ "any.only": `{{#label}} must be one of ${INDEXED_EVENTS.join(", ")}` }))
+      .unique()
+      .default([]),
+    medicineId,
+    participant: address,
+    description: text(200),
+  }),
+};
+
+exports.getWebhook = { params: webhookParams };
+
+exports.deleteWebhook = { params: webhookParams };
+
+exports.listDeliveries = {
+  params: webhookParams,
+  query: Joi.object({
+    status: Joi.string().valid(...DELIVERY_STATUSES),
+    limit,
+  }),
+};
+
+exports.listDeadLetters = {
+  query: Joi.object({ limit }),
+};
+
+exports.retryDelivery = {
+  params: Joi.object({
+    deliveryId: objectId.required(),
+  }),
+};
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require("express");
 const cors = require("cors");
-const passport = require("passport");
+const passport = require("./config/passport");
 const dotenv = require("dotenv");
 const connectDB = require("./config/db");
 
@@ -8,6 +8,21 @@ const medicineRoutes = require("./routes/medicineRoutes");
 const participantRoutes = require("./routes/participantRoutes");
 const transactionRoutes = require("./routes/transactionRoutes");
 const shipmentRoutes = require("./routes/shipmentRoutes");
+const contractEventRoutes = require("./routes/contractEventRoutes");
+const metaTransactionRoutes = require("./routes/metaTransactionRoutes");
+const authRoutes = require("./routes/authRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const serialRoutes = require("./routes/serialRoutes");
+const verifyRoutes = require("./routes/verifyRoutes");
+const labelRoutes = require("./routes/labelRoutes");
+const recallRoutes = require("./routes/recallRoutes");
+const documentRoutes = require("./routes/documentRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const { attachUser } = require("./middleware/auth");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
+const { startEventIndexer } = require("./services/eventIndexer");
+const { startReconciliation } = require("./services/reconciliation");
+const { startWebhookDispatcher } = require("./services/webhooks");
 
 dotenv.config();
 
@@ -27,13 +42,25 @@ app.use(cors({
 }));
 
 app.use(express.json());
+
+//use passport - resolves the wallet session token (if any) to req.user
+app.use(passport.initialize());
+app.use(attachUser);
+
+app.use("/api/auth", authRoutes);
 app.use("/api/medicines", medicineRoutes);
 app.use("/api/participants", participantRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/shipments", shipmentRoutes);
-
-//use passport
-app.use(passport.initialize());
+app.use("/api/events", contractEventRoutes);
+app.use("/api/meta-tx", metaTransactionRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/serials", serialRoutes);
+app.use("/api/verify", verifyRoutes);
+app.use("/api/labels", labelRoutes);
+app.use("/api/recalls", recallRoutes);
+app.use("/api/documents", documentRoutes);
+app.use("/api/webhooks", webhookRoutes);
 
 // Health check для Render
 app.get("/health", (req, res) => {
@@ -44,5 +71,24 @@ app.get("/", (req, res) => {
   res.send("MediTrace Supply Chain API Running...");
 });
 
+// Errors use the { code, message, details, field } envelope everywhere
+app.use("/api", notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5001;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Index contract events into MongoDB (set INDEXER_ENABLED=false to disable)
+if (process.env.INDEXER_ENABLED !== "false") {
+  startEventIndexer();
+}
+
+// Repair the MongoDB mirror from chain state (set RECONCILE_ENABLED=false to disable)
+if (process.env.RECONCILE_ENABLED !== "false") {
+  startReconciliation();
+}
+
+// Send indexed events to webhook subscribers (set WEBHOOKS_ENABLED=false to disable)
+if (process.env.WEBHOOKS_ENABLED !== "false") {
+  startWebhookDispatcher();
+}
\ No newline at end of file
@@ -0,0 +1,240 @@
+// Read-through fallback for list endpoints: data comes from MongoDB when it is
+// connected and answers, otherwise the same records are rebuilt from contract
+// state so the UI keeps working without the mirror.
+
+const mongoose = require("mongoose");
+const { web3js, contract } = require("../config/web3");
+const { stageName } = require("../config/medicineStages");
+const { shipmentStatusName } = require("../config/shipmentStatuses");
+const { recallSeverityName } = require("../config/recallSeverities");
+const { resolveStartBlock } = require("./eventIndexer");
+const { ZERO_ADDRESS, getRegistrations, isSuspended } = require("./participantRoles");
+
+// Contract calls issued in parallel while walking medicines/shipments
+const READ_CONCURRENCY = 20;
+
+let startBlock = null;
+
+const getStartBlock = async () => {
+  if (startBlock === null) {
+    startBlock = await resolveStartBlock();
+  }
+  return startBlock;
+};
+
+const mirrorAddress = (address) => (address === ZERO_ADDRESS ? null : address);
+
+// Lot details from the contract's batches mapping; dates are unix seconds on-chain
+const toBatchFields = (batch) => {
+  if (!batch.batchNumber) {
+    return { batchNumber: null, manufacturingDate: null, expiryDate: null, quantity: null };
+  }
+  return {
+    batchNumber: batch.batchNumber,
+    manufacturingDate: new Date(Number(batch.manufacturingDate) * 1000),
+    expiryDate: new Date(Number(batch.expiryDate) * 1000),
+    quantity: Number(batch.quantity),
+  };
+};
+
+const mapInChunks = async (items, mapper) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += READ_CONCURRENCY) {
+    results.push(...await Promise.all(items.slice(i, i + READ_CONCURRENCY).map(mapper)));
+  }
+  return results;
+};
+
+/**
+ * Run dbRead when MongoDB is connected; fall back to chainRead when it is not
+ * or when the query fails.
+ * @returns { source: "db" | "chain", data }
+ */
+const readThrough = async (dbRead, chainRead) => {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      return { source: "db", data: await dbRead() };
+    } catch (error) {
+      console.log("MongoDB read failed, reading from chain:", error.message);
+    }
+  }
+  return { source: "chain", data: await chainRead() };
+};
+
+// One medicine in the same shape as the Medicine model, or null if it does not exist
+const readMedicine = async (id) => {
+  const [medicine, batch, recall] = await Promise.all([
+    contract.methods.medicines(id).call(),
+    contract.methods.batches(id).call(),
+    contract.methods.recalls(id).call(),
+  ]);
+  if (Number(medicine.id) === 0) return null;
+
+  return {
+    blockchainId: Number(id),
+    name: medicine.name,
+    description: medicine.description,
+    supplier: mirrorAddress(medicine.supplier),
+    manufacturer: mirrorAddress(medicine.manufacturer),
+    distributor: mirrorAddress(medicine.distributor),
+    retailer: mirrorAddress(medicine.retailer),
+    stage: stageName(medicine.stage),
+    ...toBatchFields(batch),
+    recalled: recall.active,
+  };
+};
+
+// Medicines newest first
+const readMedicines = async () => {
+  const count = Number(await contract.methods.medicineCounter().call());
+  const ids = Array.from({ length: count }, (_, i) => count - i);
+
+  return mapInChunks(ids, readMedicine);
+};
+
+const readMedicineByBatch = async (batchNumber) => {
+  const id = Number(await contract.methods.batchMedicine(batchNumber).call());
+  return id === 0 ? null : readMedicine(id);
+};
+
+// Time the medicine was added, from its MedicineAdded event
+const readMedicineAddedAt = async (medicineId) => {
+  const [event] = await contract.getPastEvents("MedicineAdded", {
+    filter: { medicineId },
+    fromBlock: await getStartBlock(),
+    toBlock: "latest",
+  });
+  if (!event) return null;
+
+  const block = await web3js.eth.getBlock(event.blockNumber);
+  return new Date(Number(block.timestamp) * 1000);
+};
+
+// On-chain transaction log for one medicine, newest first
+const readMedicineHistory = async (medicineId) => {
+  const transactions = await contract.methods.getTransactions().call();
+
+  return transactions
+    .filter((transaction) => Number(transaction.medicineId) === medicineId)
+    .map((transaction) => ({
+      medicineId,
+      participant: transaction.participant,
+      action: transaction.action,
+      timestamp: new Date(Number(transaction.timestamp) * 1000),
+    }))
+    .reverse();
+};
+
+// Active recall of a medicine, or null
+const readRecall = async (medicineId) => {
+  const recall = await contract.methods.recalls(medicineId).call();
+  if (!recall.active) return null;
+
+  return {
+    medicineId: Number(medicineId),
+    severity: recallSeverityName(recall.severity),
+    reason: recall.reason,
+    issuedBy: recall.issuedBy,
+    issuedAt: new Date(Number(recall.timestamp) * 1000),
+  };
+};
+
+// Every recalled medicine, newest recall first
+const readRecalls = async () => {
+  const events = await contract.getPastEvents("RecallIssued", { fromBlock: await getStartBlock(), toBlock: "latest" });
+  const ids = [...new Set(events.map((event) => Number(event.returnValues.medicineId)))].reverse();
+
+  return (await mapInChunks(ids, readRecall)).filter(Boolean);
+};
+
+// Line items of a consignment with their batch numbers, in the Shipment model's
+// shape; empty for a shipment created for a single medicine
+const readShipmentItems = async (trackingId) => {
+  const items = await contract.methods.getConsignmentItems(trackingId).call();
+
+  return Promise.all(items.map(async (item) => ({
+    medicineId: Number(item.medicineId),
+    batchNumber: (await contract.methods.batches(item.medicineId).call()).batchNumber || null,
+    quantity: Number(item.quantity),
+  })));
+};
+
+// Shipments have no on-chain index, so they are discovered from ShipmentCreated
+// logs (only those of one medicine when medicineId is given). A consignment logs
+// one ShipmentCreated per line item.
+const readShipments = async (medicineId) => {
+  const filter = medicineId ? { medicineId } : {};
+  const events = await contract.getPastEvents("ShipmentCreated", { filter, fromBlock: await getStartBlock(), toBlock: "latest" });
+  const trackingIds = [...new Set(events.map((event) => event.returnValues.trackingId))];
+
+  return mapInChunks(trackingIds, async (trackingId) => {
+    const [shipment, items] = await Promise.all([
+      contract.methods.shipments(trackingId).call(),
+      readShipmentItems(trackingId),
+    ]);
+    return {
+      medicineId: Number(shipment.medicineId),
+      sender: shipment.sender,
+      receiver: shipment.receiver,
+      trackingId,
+      status: shipmentStatusName(shipment.status),
+      items,
+    };
+  });
+};
+
+// One entry per (address, role), like the Participant model
+const readParticipants = async () => {
+  const addresses = await contract.methods.getParticipants().call();
+
+  const entries = await mapInChunks(addresses, async (address) => {
+    const [registrations, suspended] = await Promise.all([getRegistrations(address), isSuspended(address)]);
+    return registrations.map((registration) => ({ address, ...registration, active: !suspended }));
+  });
+  return entries.flat();
+};
+
+const PARTICIPANT_EVENTS = {
+  ParticipantAdded: ({ role, name, location }) => ({ type: "Registered", role, name, location }),
+  ParticipantUpdated: ({ role, name, location }) => ({ type: "Updated", role, name, location }),
+  ParticipantStatusChanged: ({ active }) => ({ type: active ? "Reinstated" : "Suspended", active }),
+};
+
+// Registrations, profile changes and suspensions of one address, oldest first
+const readParticipantHistory = async (address) => {
+  const fromBlock = await getStartBlock();
+  const logs = (await Promise.all(
+    Object.keys(PARTICIPANT_EVENTS).map((event) =>
+      contract.getPastEvents(event, { filter: { participant: address }, fromBlock, toBlock: "latest" })
+    )
+  )).flat();
+
+  logs.sort((a, b) => Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex));
+
+  const blockNumbers = [...new Set(logs.map((log) => Number(log.blockNumber)))];
+  const blocks = new Map(await mapInChunks(blockNumbers, async (number) => [number, await web3js.eth.getBlock(number)]));
+
+  return logs.map((log) => ({
+    event: log.event,
+    ...PARTICIPANT_EVENTS[log.event](log.returnValues),
+    blockNumber: Number(log.blockNumber),
+    transactionHash: log.transactionHash,
+    timestamp: new Date(Number(blocks.get(Number(log.blockNumber)).timestamp) * 1000),
+  }));
+};
+
+module.exports = {
+  toBatchFields,
+  readThrough,
+  readMedicine,
+  readMedicines,
+  readMedicineByBatch,
+  readMedicineAddedAt,
+  readMedicineHistory,
+  readRecall,
+  readRecalls,
+  readShipmentItems,
+  readShipments,
+  readParticipants,
+  readParticipantHistory,
+};
\ No newline at end of file
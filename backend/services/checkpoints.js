@@ -0,0 +1,102 @@
+// Location checkpoints. Each point a shipment passes through (position, facility,
+// time and who recorded it) is kept in MongoDB and its hash anchored on-chain, so
+// the stored route can later be shown to be unaltered.
+
+const mongoose = require("mongoose");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const ShipmentCheckpoint = require("../models/ShipmentCheckpoint");
+const { contract } = require("../config/web3");
+const { ROLES } = require("../config/accessPolicy");
+const { sendTransaction, getReceiptEvents } = require("./transactionSender");
+const { getShipment } = require("./shipments");
+const { apiError } = require("../utils/apiError");
+
+const requireDatabase = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; checkpoints are unavailable");
+  }
+};
+
+// keccak256 of "trackingId|latitude|longitude|facility|ISO timestamp|recorder",
+// coordinates fixed to 6 decimals (about 10 cm)
+const hashCheckpoint = ({ trackingId, latitude, longitude, facility, timestamp, recordedBy }) =>
+  keccak256(toUtf8Bytes([
+    trackingId,
+    latitude.toFixed(6),
+    longitude.toFixed(6),
+    facility,
+    new Date(timestamp).toISOString(),
+    recordedBy.toLowerCase(),
+  ].join("|")));
+
+/**
+ * Record a checkpoint for a shipment and anchor its hash on-chain.
+ * @param checkpoint { latitude, longitude, facility, timestamp }
+ * @param actor authenticated caller; must be the Owner, the sender or the receiver
+ */
+const recordCheckpoint = async (trackingId, { latitude, longitude, facility, timestamp }, actor) => {
+  requireDatabase();
+
+  const shipment = await getShipment(trackingId);
+  const parties = [shipment.sender, shipment.receiver].map((address) => address.toLowerCase());
+  if (!actor.roles.includes(ROLES.OWNER) && !parties.includes(actor.address.toLowerCase())) {
+    throw apiError(403, "FORBIDDEN", "Only the Owner or the shipment's sender or receiver can record checkpoints");
+  }
+
+  const fields = { trackingId, latitude, longitude, facility, timestamp, recordedBy: actor.address };
+  const checkpointHash = hashCheckpoint(fields);
+
+  // Stored before its hash is anchored and dropped again if anchoring fails
+  const checkpoint = await new ShipmentCheckpoint({ ...fields, checkpointHash }).save();
+
+  let receipt;
+  try {
+    receipt = await sendTransaction(contract.methods.anchorCheckpoint(trackingId, checkpointHash));
+  } catch (error) {
+    await ShipmentCheckpoint.deleteOne({ _id: checkpoint._id }).catch(() => {});
+    throw error;
+  }
+
+  const [anchored] = getReceiptEvents(receipt, "CheckpointAnchored");
+  checkpoint.anchorIndex = Number(anchored.index);
+  checkpoint.transactionHash = receipt.transactionHash;
+  await checkpoint.save();
+
+  return { checkpoint: summarize(checkpoint, checkpointHash), receipt };
+};
+
+const summarize = (checkpoint, anchoredHash) => ({
+  id: checkpoint._id,
+  latitude: checkpoint.latitude,
+  longitude: checkpoint.longitude,
+  facility: checkpoint.facility,
+  timestamp: checkpoint.timestamp,
+  recordedBy: checkpoint.recordedBy,
+  checkpointHash: checkpoint.checkpointHash,
+  anchorIndex: checkpoint.anchorIndex,
+  transactionHash: checkpoint.transactionHash,
+  // The stored fields still hash to the value anchored on-chain
+  verified: Boolean(anchoredHash) && anchoredHash === hashCheckpoint(checkpoint),
+});
+
+// A shipment's route in time order, with each checkpoint's integrity check
+const getCheckpoints = async (trackingId) => {
+  requireDatabase();
+
+  await getShipment(trackingId);
+  const [hashes, checkpoints] = await Promise.all([
+    contract.methods.getCheckpointHashes(trackingId).call(),
+    ShipmentCheckpoint.find({ trackingId, anchorIndex: { $ne: null } }).sort({ timestamp: 1 }).maxTimeMS(5000),
+  ]);
+
+  const route = checkpoints.map((checkpoint) => summarize(checkpoint, hashes[checkpoint.anchorIndex]));
+  return {
+    trackingId,
+    checkpointCount: route.length,
+    anchoredCount: hashes.length,
+    verified: route.every((checkpoint) => checkpoint.verified),
+    checkpoints: route,
+  };
+};
+
+module.exports = { hashCheckpoint, recordCheckpoint, getCheckpoints };
\ No newline at end of file
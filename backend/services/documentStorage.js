@@ -0,0 +1,43 @@
+// Where uploaded document files live. Files are content-addressed by their
+// SHA-256 hash, so the same file attached twice is stored once. DOCUMENT_STORAGE
+// picks the driver; every driver implements save, read, exists and remove.
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// Files under DOCUMENT_STORAGE_DIR, sharded by the first two hex digits of the hash
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, "..", "uploads", "documents"));
+  const filePath = (sha256) => path.join(root, sha256.slice(0, 2), sha256);
+
+  return {
+    name: "local",
+    save: async (sha256, buffer) => {
+      await fs.promises.mkdir(path.dirname(filePath(sha256)), { recursive: true });
+      await fs.promises.writeFile(filePath(sha256), buffer);
+    },
+    read: (sha256) => fs.promises.readFile(filePath(sha256)),
+    exists: (sha256) => fs.promises.access(filePath(sha256)).then(() => true, () => false),
+    remove: (sha256) => fs.promises.rm(filePath(sha256), { force: true }),
+  };
+};
+
+const DRIVERS = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.DOCUMENT_STORAGE || "local";
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown DOCUMENT_STORAGE driver: ${driver}`);
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+};
+
+module.exports = { DRIVERS, getStorage };
\ No newline at end of file
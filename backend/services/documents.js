@@ -0,0 +1,174 @@
+// Document attachments. Files go to document storage and their metadata to
+// MongoDB; the SHA-256 hash and uploader are anchored on-chain against the
+// medicine, shipment or participant, so a copy of a document can be checked
+// against the chain without trusting this server.
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const Document = require("../models/Document");
+const { contract } = require("../config/web3");
+const { sendTransaction } = require("./transactionSender");
+const { readMedicine } = require("./chainReader");
+const { ZERO_ADDRESS, getRegistrations, isOwner } = require("./participantRoles");
+const { getStorage } = require("./documentStorage");
+const { apiError } = require("../utils/apiError");
+
+const requireDatabase = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; documents are unavailable");
+  }
+};
+
+// On-chain key of the thing a document is attached to
+const subjectKey = (subjectType, subjectId) => keccak256(toUtf8Bytes(`${subjectType}:${subjectId}`));
+
+// Addresses are compared case-insensitively; everything else as given
+const normalizeSubjectId = (subjectType, subjectId) =>
+  subjectType === "participant" ? String(subjectId).toLowerCase() : String(subjectId);
+
+const subjectExists = async (subjectType, subjectId) => {
+  if (subjectType === "medicine") {
+    return /^\d+$/.test(subjectId) && Boolean(await readMedicine(Number(subjectId)));
+  }
+  if (subjectType === "shipment") {
+    return (await contract.methods.shipments(subjectId).call()).sender !== ZERO_ADDRESS;
+  }
+  return (await isOwner(subjectId)) || (await getRegistrations(subjectId)).length > 0;
+};
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Uploader and time recorded on-chain for a document, or null if it was never anchored
+const getAnchor = async (document) => {
+  const anchor = await contract.methods
+    .documentAnchors(subjectKey(document.subjectType, document.subjectId), `0x${document.sha256}`)
+    .call();
+  if (anchor.uploader === ZERO_ADDRESS) return null;
+
+  return { uploader: anchor.uploader, anchoredAt: new Date(Number(anchor.timestamp) * 1000) };
+};
+
+const describe = async (document) => ({
+  id: document._id,
+  subjectType: document.subjectType,
+  subjectId: document.subjectId,
+  kind: document.kind,
+  filename: document.filename,
+  contentType: document.contentType,
+  size: document.size,
+  sha256: document.sha256,
+  uploader: document.uploader,
+  createdAt: document.createdAt,
+  transactionHash: document.transactionHash,
+  anchor: await getAnchor(document),
+});
+
+/**
+ * Store an uploaded file and anchor its hash against the subject.
+ * @param file multer file ({ originalname, mimetype, size, buffer })
+ * @param actor authenticated caller, recorded on-chain as the uploader
+ */
+const uploadDocument = async ({ subjectType, subjectId, kind }, file, actor) => {
+  requireDatabase();
+
+  const id = normalizeSubjectId(subjectType, subjectId);
+  if (!(await subjectExists(subjectType, id))) {
+    throw apiError(404, "SUBJECT_NOT_FOUND", `No ${subjectType} ${subjectId} found`, { field: "subjectId" });
+  }
+
+  const hash = sha256(file.buffer);
+  const subject = subjectKey(subjectType, id);
+  if ((await contract.methods.documentAnchors(subject, `0x${hash}`).call()).uploader !== ZERO_ADDRESS) {
+    throw apiError(409, "DOCUMENT_EXISTS", `This file is already attached to ${subjectType} ${subjectId}`, { field: "file" });
+  }
+
+  // The file and its record are stored before the hash is anchored so an
+  // anchor never points at a missing document; both are dropped if anchoring
+  // fails, and a record left by an attempt that never reached the chain is replaced
+  const storage = getStorage();
+  await storage.save(hash, file.buffer);
+  await Document.deleteOne({ subjectType, subjectId: id, sha256: hash });
+  const document = await new Document({
+    subjectType,
+    subjectId: id,
+    kind,
+    filename: file.originalname,
+    contentType: file.mimetype || "application/octet-stream",
+    size: file.size,
+    sha256: hash,
+    uploader: actor.address,
+  }).save();
+
+  let receipt;
+  try {
+    receipt = await sendTransaction(contract.methods.anchorDocument(subject, `0x${hash}`, actor.address));
+  } catch (error) {
+    await Document.deleteOne({ _id: document._id }).catch(() => {});
+    if (!(await Document.exists({ sha256: hash }).catch(() => true))) {
+      await storage.remove(hash).catch(() => {});
+    }
+    throw error;
+  }
+
+  document.transactionHash = receipt.transactionHash;
+  await document.save();
+
+  return { document: await describe(document), receipt };
+};
+
+const listDocuments = async (subjectType, subjectId) => {
+  requireDatabase();
+
+  const documents = await Document
+    .find({ subjectType, subjectId: normalizeSubjectId(subjectType, subjectId), transactionHash: { $ne: null } })
+    .sort({ createdAt: -1 })
+    .maxTimeMS(5000);
+  return Promise.all(documents.map(describe));
+};
+
+const findDocument = async (documentId) => {
+  requireDatabase();
+
+  const document = await Document.findById(documentId).maxTimeMS(5000);
+  if (!document) {
+    throw apiError(404, "DOCUMENT_NOT_FOUND", "Document not found");
+  }
+  return document;
+};
+
+// The stored file with its metadata, for download
+const readDocument = async (documentId) => {
+  const document = await findDocument(documentId);
+  const storage = getStorage();
+  if (!(await storage.exists(document.sha256))) {
+    throw apiError(404, "FILE_MISSING", `The file for document ${documentId} is missing from storage`);
+  }
+  return { document, content: await storage.read(document.sha256) };
+};
+
+/**
+ * Re-hash the stored file and compare it with the hash recorded on-chain.
+ * @returns { document, storedSha256, intact, anchored, verified }
+ */
+const verifyDocument = async (documentId) => {
+  const document = await findDocument(documentId);
+  const storage = getStorage();
+  const storedSha256 = (await storage.exists(document.sha256)) ? sha256(await storage.read(document.sha256)) : null;
+  const described = await describe(document);
+
+  const intact = storedSha256 === document.sha256;
+  const anchored = Boolean(described.anchor);
+  return { document: described, storedSha256, intact, anchored, verified: intact && anchored };
+};
+
+// Every attachment with this content, for checking a copy hashed elsewhere
+const findByHash = async (hash) => {
+  requireDatabase();
+
+  const documents = await Document.find({ sha256: hash, transactionHash: { $ne: null } }).maxTimeMS(5000);
+  const matches = await Promise.all(documents.map(describe));
+  return matches.filter((match) => match.anchor);
+};
+
+module.exports = { subjectKey, uploadDocument, listDocuments, readDocument, verifyDocument, findByHash };
\ No newline at end of file
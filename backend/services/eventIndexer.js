@@ -0,0 +1,268 @@
+// Indexes every SupplyChain contract event into MongoDB and queues it for
+// matching webhook subscriptions.
+// The chain is polled in block ranges; the last indexed block and the hashes of
+// recently indexed blocks are checkpointed so the indexer resumes after a
+// restart and can roll back events from blocks that were reorganized away.
+
+const mongoose = require("mongoose");
+const ContractEvent = require("../models/ContractEvent");
+const IndexerCheckpoint = require("../models/IndexerCheckpoint");
+const { enqueueDeliveries, discardDeliveries } = require("./webhooks");
+const SupplyChainABI = require("../contracts/SupplyChain.json");
+const { web3js, contract } = require("../config/web3");
+const { ZERO_ADDRESS } = require("./participantRoles");
+require("dotenv").config();
+
+const CHECKPOINT_NAME = "SupplyChain";
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 15000;
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS) || 0;
+const REORG_DEPTH = parseInt(process.env.INDEXER_REORG_DEPTH) || 12;
+
+const INDEXED_EVENTS = [
+  "MedicineAdded",
+  "BatchRecorded",
+  "SerialsCommitted",
+  "RecallIssued",
+  "RegulatorUpdated",
+  "ParticipantAdded",
+  "ParticipantUpdated",
+  "ParticipantStatusChanged",
+  "MedicineStageUpdated",
+  "ShipmentCreated",
+  "ShipmentUpdated",
+  "ShipmentUpdatedWithNote",
+  "StorageRangeSet",
+  "TelemetryAnchored",
+  "CheckpointAnchored",
+  "DocumentAnchored",
+  "TransactionRecorded",
+];
+
+// Event arguments that hold participant addresses
+const ADDRESS_FIELDS = ["participant", "updatedBy", "issuedBy", "regulator", "uploader", "recordedBy"];
+
+let timer = null;
+let running = false;
+
+const getBlockSafe = async (blockNumber) => {
+  try {
+    return await web3js.eth.getBlock(blockNumber);
+  } catch (error) {
+    return null;
+  }
+};
+
+// First block to index: INDEXER_START_BLOCK, else the deployment block recorded
+// in the Truffle artifact for the current network, else genesis.
+const resolveStartBlock = async () => {
+  if (process.env.INDEXER_START_BLOCK) {
+    return parseInt(process.env.INDEXER_START_BLOCK);
+  }
+
+  try {
+    const networkId = await web3js.eth.net.getId();
+    const deployment = SupplyChainABI.networks?.[networkId.toString()];
+    if (deployment?.transactionHash &&
+        deployment.address?.toLowerCase() === contract.options.address?.toLowerCase()) {
+      const receipt = await web3js.eth.getTransactionReceipt(deployment.transactionHash);
+      return Number(receipt.blockNumber);
+    }
+  } catch (error) {
+    console.log("Could not resolve contract deployment block:", error.message);
+  }
+
+  return 0;
+};
+
+// Drop the positional keys web3 adds to returnValues and make BigInts storable
+const normalizeReturnValues = (returnValues = {}) => {
+  const values = {};
+  for (const [key, value] of Object.entries(returnValues)) {
+    if (key === "__length__" || /^\d+$/.test(key)) continue;
+    values[key] = typeof value === "bigint" ? value.toString() : value;
+  }
+  return values;
+};
+
+// A shipment as of a block, or null if it did not exist yet. Nodes that prune
+// historical state cannot answer for old blocks; shipment parties never change
+// once created, so the current state is used then.
+const readShipmentAt = async (trackingId, blockNumber) => {
+  let shipment;
+  try {
+    shipment = await contract.methods.shipments(trackingId).call({}, blockNumber);
+  } catch (error) {
+    shipment = await contract.methods.shipments(trackingId).call().catch(() => null);
+  }
+  return shipment && shipment.sender !== ZERO_ADDRESS ? shipment : null;
+};
+
+const toEventDocument = async (log, shipmentLookups) => {
+  const values = normalizeReturnValues(log.returnValues);
+  const addresses = ADDRESS_FIELDS
+    .filter((field) => values[field])
+    .map((field) => values[field].toLowerCase());
+
+  let medicineId = values.medicineId !== undefined ? Number(values.medicineId) : null;
+  const trackingId = values.trackingId ?? null;
+
+  // Shipment updates only carry the tracking ID; resolve the medicine and
+  // the shipment parties so they can be filtered on as well. They are read as of
+  // the log's block, so re-indexing attributes an event to the parties it had then.
+  if (trackingId !== null) {
+    const blockNumber = Number(log.blockNumber);
+    const key = `${trackingId}@${blockNumber}`;
+    if (!shipmentLookups.has(key)) {
+      shipmentLookups.set(key, readShipmentAt(trackingId, blockNumber));
+    }
+    const shipment = await shipmentLookups.get(key);
+    if (shipment) {
+      if (medicineId === null) medicineId = Number(shipment.medicineId);
+      addresses.push(shipment.sender.toLowerCase(), shipment.receiver.toLowerCase());
+    }
+  }
+
+  return {
+    event: log.event,
+    blockNumber: Number(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.logIndex),
+    medicineId,
+    trackingId,
+    addresses: [...new Set(addresses)],
+    returnValues: values,
+  };
+};
+
+// Compare the stored block hashes with the chain. If the newest one no longer
+// matches, rewind to the newest block that still does and drop everything after it.
+const rewindOnReorg = async (checkpoint) => {
+  const recent = checkpoint.recentBlocks;
+  if (recent.length === 0) return;
+
+  let ancestorIndex = -1;
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const block = await getBlockSafe(recent[i].number);
+    if (block && block.hash === recent[i].hash) {
+      ancestorIndex = i;
+      break;
+    }
+  }
+
+  if (ancestorIndex === recent.length - 1) return;
+
+  const ancestorBlock = ancestorIndex >= 0
+    ? recent[ancestorIndex].number
+    : Math.max(recent[0].number - REORG_DEPTH, -1);
+
+  console.log(`Chain reorganization detected, rewinding event index to block ${ancestorBlock}`);
+
+  await ContractEvent.deleteMany({ blockNumber: { $gt: ancestorBlock } });
+  await discardDeliveries(ancestorBlock);
+  checkpoint.blockNumber = ancestorBlock;
+  checkpoint.recentBlocks = recent.slice(0, ancestorIndex + 1);
+  await checkpoint.save();
+};
+
+const loadCheckpoint = async () => {
+  const checkpoint = await IndexerCheckpoint.findOne({ name: CHECKPOINT_NAME });
+  if (checkpoint) return checkpoint;
+
+  const startBlock = await resolveStartBlock();
+  console.log(`Event indexer starting from block ${startBlock}`);
+  return new IndexerCheckpoint({ name: CHECKPOINT_NAME, blockNumber: startBlock - 1, recentBlocks: [] });
+};
+
+// Index all blocks between the checkpoint and the confirmed chain head
+const syncEvents = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const checkpoint = await loadCheckpoint();
+  await rewindOnReorg(checkpoint);
+
+  const head = Number(await web3js.eth.getBlockNumber()) - CONFIRMATIONS;
+
+  while (checkpoint.blockNumber < head) {
+    const fromBlock = checkpoint.blockNumber + 1;
+    const toBlock = Math.min(head, fromBlock + BATCH_SIZE - 1);
+
+    const boundary = await web3js.eth.getBlock(toBlock);
+    const logs = await contract.getPastEvents("allEvents", { fromBlock, toBlock });
+    const current = await getBlockSafe(toBlock);
+
+    // The range was reorganized while we were reading it; retry on the next poll
+    if (!current || current.hash !== boundary.hash) return;
+
+    const shipmentLookups = new Map();
+    const documents = [];
+    for (const log of logs) {
+      if (typeof log === "string" || log.removed || !INDEXED_EVENTS.includes(log.event)) continue;
+      documents.push(await toEventDocument(log, shipmentLookups));
+    }
+
+    if (documents.length > 0) {
+      await ContractEvent.bulkWrite(documents.map((doc) => ({
+        updateOne: {
+          filter: { transactionHash: doc.transactionHash, logIndex: doc.logIndex },
+          update: { $set: doc },
+          upsert: true,
+        },
+      })));
+      // Before the checkpoint moves on, so a failure here retries the whole range
+      await enqueueDeliveries(documents);
+    }
+
+    checkpoint.blockNumber = toBlock;
+    checkpoint.recentBlocks = [
+      ...checkpoint.recentBlocks,
+      { number: toBlock, hash: boundary.hash },
+    ].slice(-REORG_DEPTH);
+    await checkpoint.save();
+
+    if (documents.length > 0) {
+      console.log(`Indexed ${documents.length} contract events from blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+};
+
+const poll = async () => {
+  try {
+    await syncEvents();
+  } catch (error) {
+    console.error("Event indexer error:", error.message);
+  }
+
+  if (running) {
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+};
+
+const startEventIndexer = () => {
+  if (running) return;
+  if (!contract.options.address) {
+    console.log("CONTRACT_ADDRESS not configured - event indexer disabled");
+    return;
+  }
+
+  running = true;
+  poll();
+};
+
+const stopEventIndexer = () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+};
+
+const getIndexerCheckpoint = () => IndexerCheckpoint.findOne({ name: CHECKPOINT_NAME }).maxTimeMS(5000);
+
+module.exports = {
+  INDEXED_EVENTS,
+  startEventIndexer,
+  stopEventIndexer,
+  syncEvents,
+  getIndexerCheckpoint,
+  resolveStartBlock,
+};
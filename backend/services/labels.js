@@ -0,0 +1,189 @@
+// QR codes and printable label sheets. Every code encodes a URL in the
+// frontend: medicines and serialized units open the public verification page,
+// shipments open their timeline. Everything is rendered in-process with
+// qrcode and pdfkit; no external service is involved.
+
+const QRCode = require("qrcode");
+const PDFDocument = require("pdfkit");
+const mongoose = require("mongoose");
+const SerialNumber = require("../models/SerialNumber");
+const { contract } = require("../config/web3");
+const { readMedicine } = require("./chainReader");
+const { ZERO_ADDRESS } = require("./participantRoles");
+const { apiError } = require("../utils/apiError");
+require("dotenv").config();
+
+const APP_URL = (process.env.PUBLIC_APP_URL || process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+const LABEL_TYPES = ["medicine", "serial", "shipment"];
+
+const QR_OPTIONS = { errorCorrectionLevel: "M", margin: 2 };
+
+// Label sheets: A4 with a 36pt margin, split into columns x rows cells
+const PAGE_SIZE = "A4";
+const PAGE_MARGIN = 36;
+const CELL_PADDING = 6;
+const MAX_SHEET_LABELS = 1000;
+
+const labelUrl = (type, value) => {
+  if (type === "shipment") return `${APP_URL}/shipments/${encodeURIComponent(value)}`;
+  return `${APP_URL}/verify/${encodeURIComponent(value)}`;
+};
+
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const medicineLines = (medicine) => [
+  medicine.name,
+  medicine.batchNumber && `Batch ${medicine.batchNumber}`,
+  medicine.expiryDate && `EXP ${formatDate(medicine.expiryDate)}`,
+];
+
+/**
+ * Resolve what a label encodes and the caption printed next to it.
+ * @param type "medicine" | "serial" | "shipment"
+ * @param value medicine ID, { gtin, serial, sgtin } or tracking ID
+ * @returns { type, url, lines }
+ */
+const resolveLabel = async (type, value) => {
+  if (type === "medicine") {
+    const medicine = await readMedicine(value);
+    if (!medicine) {
+      throw apiError(404, "MEDICINE_NOT_FOUND", `Medicine ${value} not found`);
+    }
+    return { type, url: labelUrl(type, String(value)), lines: [...medicineLines(medicine), `ID ${value}`] };
+  }
+
+  if (type === "serial") {
+    // Batch details are printed when the unit is known; the code itself only needs the SGTIN
+    const unit = mongoose.connection.readyState === 1
+      ? await SerialNumber.findOne({ gtin: value.gtin, serial: value.serial }).maxTimeMS(5000)
+      : null;
+    const medicine = unit && await readMedicine(unit.medicineId);
+    return {
+      type,
+      url: labelUrl(type, value.sgtin),
+      lines: [...(medicine ? medicineLines(medicine) : []), `GTIN ${value.gtin}`, `SN ${value.serial}`],
+    };
+  }
+
+  const shipment = await contract.methods.shipments(value).call();
+  if (shipment.sender === ZERO_ADDRESS) {
+    throw apiError(404, "SHIPMENT_NOT_FOUND", `Shipment ${value} not found`);
+  }
+  return {
+    type,
+    url: labelUrl(type, value),
+    lines: [`Shipment ${value}`, `Medicine ${Number(shipment.medicineId)}`],
+  };
+};
+
+// Resolve sheet items a few at a time to keep contract calls bounded
+const resolveLabels = async (items) => {
+  const labels = [];
+  for (let i = 0; i < items.length; i += 20) {
+    labels.push(...await Promise.all(items.slice(i, i + 20).map(({ type, value }) => resolveLabel(type, value))));
+  }
+  return labels;
+};
+
+// One label per serialized unit of the medicine's batch, or a single medicine
+// label when the batch has not been serialized
+const resolveBatchLabels = async (medicineId) => {
+  const medicine = await readMedicine(medicineId);
+  if (!medicine) {
+    throw apiError(404, "MEDICINE_NOT_FOUND", `Medicine ${medicineId} not found`);
+  }
+  if (mongoose.connection.readyState !== 1) {
+    throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; serial numbers are unavailable");
+  }
+
+  const units = await SerialNumber.find({ medicineId })
+    .sort({ index: 1 })
+    .limit(MAX_SHEET_LABELS)
+    .maxTimeMS(5000);
+  if (units.length === 0) {
+    return [await resolveLabel("medicine", medicineId)];
+  }
+
+  return units.map((unit) => ({
+    type: "serial",
+    url: labelUrl("serial", unit.sgtin),
+    lines: [...medicineLines(medicine), `GTIN ${unit.gtin}`, `SN ${unit.serial}`],
+  }));
+};
+
+/**
+ * Render a QR code for a URL.
+ * @param format "png" (Buffer) or "svg" (string)
+ * @param size image width in pixels; SVGs scale freely and ignore it
+ */
+const renderQrCode = (url, format, size) => {
+  if (format === "svg") {
+    return QRCode.toString(url, { ...QR_OPTIONS, type: "svg" });
+  }
+  return QRCode.toBuffer(url, { ...QR_OPTIONS, type: "png", width: size });
+};
+
+// Draw a QR code as vector squares so it stays sharp at any print resolution
+const drawQrCode = (doc, url, x, y, size) => {
+  const { modules } = QRCode.create(url, QR_OPTIONS);
+  const quiet = QR_OPTIONS.margin;
+  const moduleSize = size / (modules.size + quiet * 2);
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(x + (col + quiet) * moduleSize, y + (row + quiet) * moduleSize, moduleSize, moduleSize);
+      }
+    }
+  }
+  doc.fill("#000000");
+};
+
+/**
+ * Lay labels out on A4 pages, QR code on the left and caption on the right.
+ * @returns Promise<Buffer> the PDF
+ */
+const renderLabelSheet = (labels, { columns, rows }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: PAGE_SIZE, margin: PAGE_MARGIN, autoFirstPage: false });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+
+  const perPage = columns * rows;
+  labels.forEach((label, i) => {
+    if (i % perPage === 0) doc.addPage();
+
+    const cellWidth = (doc.page.width - PAGE_MARGIN * 2) / columns;
+    const cellHeight = (doc.page.height - PAGE_MARGIN * 2) / rows;
+    const x = PAGE_MARGIN + (i % columns) * cellWidth;
+    const y = PAGE_MARGIN + Math.floor((i % perPage) / columns) * cellHeight;
+    const qrSize = Math.min(cellHeight, cellWidth / 2) - CELL_PADDING * 2;
+
+    // Cut guide
+    doc.rect(x, y, cellWidth, cellHeight).lineWidth(0.25).strokeColor("#cccccc").stroke();
+    drawQrCode(doc, label.url, x + CELL_PADDING, y + CELL_PADDING, qrSize);
+
+    const textX = x + CELL_PADDING * 2 + qrSize;
+    doc.fillColor("#000000").fontSize(7).text(label.lines.filter(Boolean).join("\n"), textX, y + CELL_PADDING, {
+      width: cellWidth - (textX - x) - CELL_PADDING,
+      height: cellHeight - CELL_PADDING * 2,
+      ellipsis: true,
+    });
+  });
+
+  if (labels.length === 0) doc.addPage();
+  doc.end();
+});
+
+module.exports = {
+  LABEL_TYPES,
+  MAX_SHEET_LABELS,
+  labelUrl,
+  resolveLabel,
+  resolveLabels,
+  resolveBatchLabels,
+  renderQrCode,
+  renderLabelSheet,
+};
\ No newline at end of file
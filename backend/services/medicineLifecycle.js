@@ -0,0 +1,104 @@
+// Moves a medicine through the lifecycle defined in config/medicineStages.
+// The current stage is read from the contract before submitting, so a request
+// that no longer matches the on-chain state is rejected without spending gas.
+
+const Medicine = require("../models/Medicine");
+const Transaction = require("../models/Transaction");
+const { contract } = require("../config/web3");
+const { RECALL_BLOCKED_ACTIONS, stageName, getTransitionFrom, findTransition } = require("../config/medicineStages");
+const { ROLES, hasAnyRole } = require("../config/accessPolicy");
+const { sendTransaction, assertOwnerSigns, ownerAddress } = require("./transactionSender");
+const { assertNotRecalled } = require("./recalls");
+const { toBatchFields } = require("./chainReader");
+const { apiError } = require("../utils/apiError");
+
+
+/**
+ * Advance a medicine to its next stage.
+ * @param medicineId blockchain medicine ID
+ * @param requestedAction optional transition action the caller expects to perform
+ * @param actor optional authenticated caller ({ address, roles }); must hold the
+ *        transition's role or be the Owner. The owner key signs the transaction,
+ *        so other participants are told to relay a signed meta-transaction instead.
+ */
+const advanceStage = async (medicineId, requestedAction, actor) => {
+  const requested = requestedAction ? findTransition(requestedAction) : null;
+  if (requestedAction && !requested) {
+    throw apiError(400, "UNKNOWN_ACTION", `Unknown action: ${requestedAction}`, { field: "action" });
+  }
+
+  const medicine = await contract.methods.medicines(medicineId).call();
+  if (Number(medicine.id) === 0) {
+    throw apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found");
+  }
+
+  const currentStage = stageName(medicine.stage);
+  const transition = getTransitionFrom(currentStage);
+  if (!transition) {
+    throw apiError(409, "FINAL_STAGE", `Medicine is already ${currentStage}; no further stage`);
+  }
+  if (requested && requested !== transition) {
+    throw apiError(409, "INVALID_STAGE", `Cannot ${requested.label.toLowerCase()}: medicine is ${currentStage}, expected ${requested.from}`, {
+      details: { stage: currentStage, expectedStage: requested.from },
+      field: "action",
+    });
+  }
+
+  const requiredRoles = [transition.role, ROLES.OWNER];
+  if (actor && !hasAnyRole(actor.roles, requiredRoles)) {
+    throw apiError(403, "FORBIDDEN", `${transition.label} requires the ${transition.role} role`, {
+      details: { requiredRoles, roles: actor.roles },
+    });
+  }
+
+  assertOwnerSigns(actor, transition.action);
+
+  if (RECALL_BLOCKED_ACTIONS.includes(transition.action)) {
+    await assertNotRecalled(medicineId);
+  }
+
+  const receipt = await sendTransaction(contract.methods[transition.action](medicineId));
+  const newStage = await recordStageChange(medicineId, ownerAddress);
+
+  return { previousStage: currentStage, stage: newStage, transition, receipt };
+};
+
+// Mirror a confirmed stage change into MongoDB; returns the on-chain stage
+const recordStageChange = async (medicineId, participant) => {
+  const medicine = await contract.methods.medicines(medicineId).call();
+  const stage = stageName(medicine.stage);
+
+  try {
+    await Medicine.updateOne({ blockchainId: medicineId }, { stage });
+  } catch (dbError) {
+    console.log('MongoDB stage update skipped or failed');
+  }
+
+  try {
+    await new Transaction({
+      medicineId,
+      participant,
+      action: stage,
+      timestamp: Date.now()
+    }).save();
+  } catch (dbError) {
+    console.log('Transaction record save skipped or failed');
+  }
+
+  return stage;
+};
+
+// Mirror lot details recorded on-chain into MongoDB; returns them
+const recordBatchDetails = async (medicineId) => {
+  const batch = toBatchFields(await contract.methods.batches(medicineId).call());
+
+  try {
+    await Medicine.updateOne({ blockchainId: medicineId }, batch);
+  } catch (dbError) {
+    console.log('MongoDB batch update skipped or failed');
+  }
+
+  return batch;
+};
+
+module.exports = { advanceStage, recordStageChange, recordBatchDetails };
\ No newline at end of file
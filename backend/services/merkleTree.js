@@ -0,0 +1,44 @@
+// Merkle trees over batch serials, matching SupplyChain.verifySerial: leaves are
+// keccak256(keccak256(sgtin)), pairs are hashed in sorted order and a node
+// without a sibling is carried up unchanged.
+
+const { keccak256, toUtf8Bytes, concat } = require("ethers");
+
+const leafHash = (sgtin) => keccak256(keccak256(toUtf8Bytes(sgtin)));
+
+const hashPair = (a, b) => keccak256(a < b ? concat([a, b]) : concat([b, a]));
+
+// All levels of the tree, leaves first and the root last
+const buildTree = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+const getRoot = (levels) => levels[levels.length - 1][0];
+
+// Sibling hashes from the leaf at index up to the root
+const getProof = (levels, index) => {
+  const proof = [];
+  for (const level of levels.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) proof.push(level[sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+const verifyProof = (leaf, proof, root) => proof.reduce(hashPair, leaf) === root;
+
+module.exports = { leafHash, buildTree, getRoot, getProof, verifyProof };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// EIP-712 meta-transactions: a participant signs a contract call in their wallet
+// and the backend relays it through SupplyChain.executeMetaTransaction. The relayer
+// pays the gas while the contract attributes the action to the signer.
+
+const { verifyTypedData } = require("ethers");
+const { web3js, contract } = require("../config/web3");
+const { findTransition } = require("../config/medicineStages");
+const { sendTransaction } = require("./transactionSender");
+const { recordStageChange, recordBatchDetails } = require("./medicineLifecycle");
+const { checkStatusChange, recordShipment, recordShipmentStatus } = require("./shipments");
+const { recordRecall } = require("./recalls");
+const { apiError } = require("../utils/apiError");
+require("dotenv").config();
+
+const META_TX_TTL_SECONDS = parseInt(process.env.META_TX_TTL_SECONDS) || 600;
+
+// Participant and regulator actions that may be relayed; owner administration is not
+const RELAYABLE_METHODS = [
+  "recordBatch",
+  "supplyRawMaterials",
+  "manufactureMedicine",
+  "distributeMedicine",
+  "retailMedicine",
+  "sellMedicine",
+  "createShipment",
+  "createConsignment",
+  "updateShipmentStatus",
+  "updateShipmentStatusWithNote",
+  "issueRecall",
+];
+
+const isShipmentUpdate = (method) => method.startsWith("updateShipmentStatus");
+
+// Argument holding the tracking ID of each shipment-creating method
+const SHIPMENT_CREATION_TRACKING_ARG = {
+  createShipment: 2,
+  createConsignment: 0,
+};
+
+const EIP712_DOMAIN_TYPE = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" },
+];
+
+const META_TRANSACTION_TYPES = {
+  MetaTransaction: [
+    { name: "from", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "functionCall", type: "bytes" },
+  ],
+};
+
+// 4-byte selector => ABI entry of each relayable method
+const relayableSelectors = new Map(
+  contract.options.jsonInterface
+    .filter((item) => item.type === "function" && RELAYABLE_METHODS.includes(item.name))
+    .map((item) => [web3js.eth.abi.encodeFunctionSignature(item), item])
+);
+
+const getDomain = async () => ({
+  name: "SupplyChain",
+  version: "1",
+  chainId: Number(await web3js.eth.getChainId()),
+  verifyingContract: contract.options.address,
+});
+
+/**
+ * Build the typed data a participant signs with eth_signTypedData_v4.
+ * @param from signer address
+ * @param method name of a relayable contract method
+ * @param args method arguments
+ */
+const buildMetaTransaction = async (from, method, args = []) => {
+  if (!web3js.utils.isAddress(from)) {
+    throw apiError(400, "INVALID_ADDRESS", "Invalid signer address", { field: "from" });
+  }
+  if (!RELAYABLE_METHODS.includes(method)) {
+    throw apiError(400, "METHOD_NOT_RELAYABLE", `Method cannot be relayed: ${method}`, { field: "method" });
+  }
+
+  let functionCall;
+  try {
+    functionCall = contract.methods[method](...args).encodeABI();
+  } catch (error) {
+    throw apiError(400, "INVALID_ARGUMENTS", `Invalid arguments for ${method}`, { details: error.message, field: "args" });
+  }
+
+  if (isShipmentUpdate(method)) {
+    await checkStatusChange(args[0], args[1], args[2]);
+  }
+
+  const nonce = await contract.methods.nonces(from).call();
+  const deadline = Math.floor(Date.now() / 1000) + META_TX_TTL_SECONDS;
+
+  return {
+    types: { EIP712Domain: EIP712_DOMAIN_TYPE, ...META_TRANSACTION_TYPES },
+    primaryType: "MetaTransaction",
+    domain: await getDomain(),
+    message: {
+      from: web3js.utils.toChecksumAddress(from),
+      nonce: nonce.toString(),
+      deadline: deadline.toString(),
+      functionCall,
+    },
+  };
+};
+
+/**
+ * Verify a signed meta-transaction and submit it on the signer's behalf.
+ * The signature is checked off-chain first so invalid requests cost no gas.
+ */
+const relayMetaTransaction = async ({ from, functionCall, deadline, signature }) => {
+  if (!web3js.utils.isAddress(from)) {
+    throw apiError(400, "INVALID_ADDRESS", "Invalid signer address", { field: "from" });
+  }
+  if (typeof functionCall !== "string" || !signature || !deadline) {
+    throw apiError(400, "VALIDATION_ERROR", "functionCall, deadline and signature are required");
+  }
+
+  const method = relayableSelectors.get(functionCall.slice(0, 10).toLowerCase());
+  if (!method) {
+    throw apiError(400, "METHOD_NOT_RELAYABLE", "Method cannot be relayed", { field: "functionCall" });
+  }
+  if (Number(deadline) < Math.floor(Date.now() / 1000)) {
+    throw apiError(400, "META_TX_EXPIRED", "Meta-transaction expired", { field: "deadline" });
+  }
+
+  const nonce = await contract.methods.nonces(from).call();
+  let signer;
+  try {
+    signer = verifyTypedData(await getDomain(), META_TRANSACTION_TYPES, {
+      from,
+      nonce: nonce.toString(),
+      deadline: deadline.toString(),
+      functionCall,
+    }, signature);
+  } catch (error) {
+    throw apiError(400, "INVALID_SIGNATURE", "Malformed signature", { field: "signature" });
+  }
+  if (signer.toLowerCase() !== from.toLowerCase()) {
+    throw apiError(401, "SIGNER_MISMATCH", "Signature does not match signer", { field: "signature" });
+  }
+
+  const args = web3js.eth.abi.decodeParameters(method.inputs, "0x" + functionCall.slice(10));
+  if (isShipmentUpdate(method.name)) {
+    await checkStatusChange(args[0], args[1], args[2]);
+  }
+
+  const receipt = await sendTransaction(
+    contract.methods.executeMetaTransaction(from, functionCall, deadline, signature)
+  );
+
+  // Mirror the outcome into MongoDB the way the REST routes do
+  let stage;
+  let shipmentStatus;
+  let shipment;
+  let recall;
+  let batch;
+  if (findTransition(method.name)) {
+    stage = await recordStageChange(Number(args[0]), signer);
+  } else if (isShipmentUpdate(method.name)) {
+    shipmentStatus = await recordShipmentStatus(args[0]);
+  } else if (method.name in SHIPMENT_CREATION_TRACKING_ARG) {
+    shipment = await recordShipment(args[SHIPMENT_CREATION_TRACKING_ARG[method.name]]);
+  } else if (method.name === "issueRecall") {
+    recall = await recordRecall(Number(args[0]));
+  } else if (method.name === "recordBatch") {
+    batch = await recordBatchDetails(Number(args[0]));
+  }
+
+  return { method: method.name, signer, stage, shipmentStatus, shipment, recall, batch, receipt };
+};
+
+module.exports = { RELAYABLE_METHODS, buildMetaTransaction, relayMetaTransaction };
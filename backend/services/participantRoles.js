@@ -0,0 +1,108 @@
+// Resolves the roles an address holds from the contract's owner and
+// participant mappings. Lookups are cached for ROLE_CACHE_TTL_SECONDS so
+// authorizing a request does not cost five contract calls every time.
+
+const { contract } = require("../config/web3");
+const { ROLES } = require("../config/accessPolicy");
+require("dotenv").config();
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Role name => contract mapping it is registered in, in the order of the
+// contract's Role enum
+const ROLE_MAPPINGS = {
+  [ROLES.SUPPLIER]: "suppliers",
+  [ROLES.MANUFACTURER]: "manufacturers",
+  [ROLES.DISTRIBUTOR]: "distributors",
+  [ROLES.RETAILER]: "retailers",
+};
+
+const ROLE_CACHE_TTL_MS = Number(process.env.ROLE_CACHE_TTL_SECONDS || 60) * 1000;
+
+// Auditors are not registered on-chain; they are configured by address
+const AUDITOR_ADDRESSES = new Set(
+  (process.env.AUDITOR_ADDRESSES || "")
+    .split(",")
+    .map((address) => address.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// address (lowercase) => { roles, expiresAt }
+const roleCache = new Map();
+
+// Every participant registry the address is in, with its on-chain profile
+const getRegistrations = async (address) => {
+  const entries = await Promise.all(
+    Object.entries(ROLE_MAPPINGS).map(async ([role, mapping]) => ({
+      role,
+      participant: await contract.methods[mapping](address).call(),
+    }))
+  );
+
+  return entries
+    .filter(({ participant }) => participant.addr !== ZERO_ADDRESS)
+    .map(({ role, participant }) => ({ role, name: participant.name, location: participant.location }));
+};
+
+// Value of the contract's Role enum for a role name
+const roleIndex = (role) => Object.keys(ROLE_MAPPINGS).indexOf(role);
+
+const isOwner = async (address) =>
+  (await contract.methods.owner().call()).toLowerCase() === address.toLowerCase();
+
+const isSuspended = (address) => contract.methods.suspended(address).call();
+
+const isRegulator = (address) => contract.methods.regulators(address).call();
+
+// Suspended participants keep their registrations but lose their participant roles
+const getOnChainRoles = async (address) => {
+  const [owner, registrations, suspended, regulator] = await Promise.all([
+    isOwner(address),
+    getRegistrations(address),
+    isSuspended(address),
+    isRegulator(address),
+  ]);
+  return [
+    ...(owner ? [ROLES.OWNER] : []),
+    ...(suspended ? [] : registrations.map(({ role }) => role)),
+    ...(regulator ? [ROLES.REGULATOR] : []),
+  ];
+};
+
+const getRoles = async (address) => {
+  const key = address.toLowerCase();
+  const cached = roleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.roles;
+  }
+
+  const roles = await getOnChainRoles(address);
+  if (AUDITOR_ADDRESSES.has(key)) {
+    roles.push(ROLES.AUDITOR);
+  }
+
+  roleCache.set(key, { roles, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return roles;
+};
+
+// Drop cached roles after a registration changes them (all addresses if none given)
+const invalidateRoles = (address) => {
+  if (address) {
+    roleCache.delete(address.toLowerCase());
+  } else {
+    roleCache.clear();
+  }
+};
+
+module.exports = {
+  ROLE_MAPPINGS,
+  ZERO_ADDRESS,
+  getRegistrations,
+  roleIndex,
+  isOwner,
+  isSuspended,
+  isRegulator,
+  getOnChainRoles,
+  getRoles,
+  invalidateRoles,
+};
@@ -0,0 +1,146 @@
+// Recalls of a medicine's batch. A recall is issued on-chain by the owner or a
+// regulator and stops the medicine from being distributed, stocked, sold or
+// shipped. Everyone who handled the batch, and every shipment still under way,
+// is reported so they can be contacted.
+
+const Medicine = require("../models/Medicine");
+const { contract } = require("../config/web3");
+const { RecallSeverity } = require("../config/recallSeverities");
+const { FINAL_SHIPMENT_STATUSES } = require("../config/shipmentStatuses");
+const { sendTransaction, assertOwnerSigns } = require("./transactionSender");
+const { readMedicine, readMedicineByBatch, readRecall, readRecalls, readShipments } = require("./chainReader");
+const { getRegistrations } = require("./participantRoles");
+const { apiError } = require("../utils/apiError");
+
+// Medicine fields holding the participant of each stage
+const STAGE_PARTICIPANTS = {
+  supplier: "Supplier",
+  manufacturer: "Manufacturer",
+  distributor: "Distributor",
+  retailer: "Retailer",
+};
+
+const summarize = (medicine) => ({
+  id: medicine.blockchainId,
+  name: medicine.name,
+  batchNumber: medicine.batchNumber,
+  stage: medicine.stage,
+});
+
+/**
+ * Participants who handled the medicine and its shipments that are still under way.
+ * @returns { participants: [{ address, name, involvement }], openShipments }
+ */
+const getAffected = async (medicine) => {
+  const shipments = await readShipments(medicine.blockchainId);
+
+  // address (lowercase) => { address, involvement }
+  const involved = new Map();
+  const add = (address, label) => {
+    if (!address) return;
+    const key = address.toLowerCase();
+    if (!involved.has(key)) involved.set(key, { address, involvement: [] });
+    const entry = involved.get(key);
+    if (!entry.involvement.includes(label)) entry.involvement.push(label);
+  };
+
+  for (const [field, label] of Object.entries(STAGE_PARTICIPANTS)) {
+    add(medicine[field], label);
+  }
+  for (const shipment of shipments) {
+    add(shipment.sender, "Shipment sender");
+    add(shipment.receiver, "Shipment receiver");
+  }
+
+  const participants = await Promise.all(
+    [...involved.values()].map(async ({ address, involvement }) => {
+      const registrations = await getRegistrations(address);
+      return { address, name: registrations[0]?.name ?? null, involvement };
+    })
+  );
+
+  return {
+    participants,
+    openShipments: shipments.filter((shipment) => !FINAL_SHIPMENT_STATUSES.includes(shipment.status)),
+  };
+};
+
+/**
+ * Recall a medicine, identified by its ID or batch number.
+ * @param actor optional authenticated caller ({ address, roles }). The owner key
+ *        signs the transaction, so regulators are told to relay a signed
+ *        meta-transaction instead and the contract records them as the issuer.
+ * @returns { recall, medicine, affected, receipt }
+ */
+const issueRecall = async ({ medicineId, batchNumber, severity, reason }, actor) => {
+  const medicine = batchNumber ? await readMedicineByBatch(batchNumber) : await readMedicine(medicineId);
+  if (!medicine) {
+    throw batchNumber
+      ? apiError(404, "BATCH_NOT_FOUND", `No medicine recorded with batch ${batchNumber}`, { field: "batchNumber" })
+      : apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found", { field: "medicineId" });
+  }
+  if (medicine.recalled) {
+    throw apiError(409, "ALREADY_RECALLED", `Medicine ${medicine.blockchainId} is already recalled`, {
+      details: { recall: await readRecall(medicine.blockchainId) },
+    });
+  }
+
+  assertOwnerSigns(actor, "issueRecall");
+
+  const id = medicine.blockchainId;
+  const receipt = await sendTransaction(contract.methods.issueRecall(id, RecallSeverity[severity], reason));
+  console.log(`Medicine ${id} recalled (${severity}). Hash: ${receipt.transactionHash}`);
+
+  return {
+    recall: await recordRecall(id),
+    medicine: summarize({ ...medicine, recalled: true }),
+    affected: await getAffected(medicine),
+    receipt,
+  };
+};
+
+// Mirror a confirmed recall into MongoDB; returns the on-chain recall
+const recordRecall = async (medicineId) => {
+  try {
+    await Medicine.updateOne({ blockchainId: medicineId }, { recalled: true });
+  } catch (dbError) {
+    console.log('MongoDB recall flag update skipped or failed');
+  }
+
+  return readRecall(medicineId);
+};
+
+// Active recall of a medicine with everyone it affects
+const getRecall = async (medicineId) => {
+  const medicine = await readMedicine(medicineId);
+  if (!medicine) {
+    throw apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found");
+  }
+
+  const recall = await readRecall(medicineId);
+  if (!recall) {
+    throw apiError(404, "RECALL_NOT_FOUND", `Medicine ${medicineId} has not been recalled`);
+  }
+
+  return { recall, medicine: summarize(medicine), affected: await getAffected(medicine) };
+};
+
+// All active recalls, newest first
+const listRecalls = async () => {
+  const recalls = await readRecalls();
+  return Promise.all(
+    recalls.map(async (recall) => ({ ...recall, medicine: summarize(await readMedicine(recall.medicineId)) }))
+  );
+};
+
+// Reject an operation the contract would revert for a recalled medicine
+const assertNotRecalled = async (medicineId) => {
+  const recall = await readRecall(medicineId);
+  if (recall) {
+    throw apiError(409, "MEDICINE_RECALLED", `Medicine ${medicineId} has been recalled: ${recall.reason}`, {
+      details: { recall },
+    });
+  }
+};
+
+module.exports = { getAffected, issueRecall, recordRecall, getRecall, listRecalls, assertNotRecalled };
\ No newline at end of file
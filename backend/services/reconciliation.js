@@ -0,0 +1,204 @@
+// Reconciles the MongoDB mirror with the contract. The chain is the source of
+// truth: mirror records that are missing or stale are created or updated, and
+// records the chain cannot account for are reported as drift.
+
+const mongoose = require("mongoose");
+const Medicine = require("../models/Medicine");
+const Shipment = require("../models/Shipment");
+const ContractEvent = require("../models/ContractEvent");
+const { contract } = require("../config/web3");
+const { stageName } = require("../config/medicineStages");
+const { shipmentStatusName } = require("../config/shipmentStatuses");
+const { ZERO_ADDRESS } = require("./participantRoles");
+const { toBatchFields, readShipmentItems } = require("./chainReader");
+const { apiError } = require("../utils/apiError");
+require("dotenv").config();
+
+const INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS) || 5 * 60 * 1000;
+
+const ADDRESS_FIELDS = ["supplier", "manufacturer", "distributor", "retailer", "sender", "receiver"];
+
+let timer = null;
+let running = false;
+let currentRun = null;
+let lastReport = null;
+
+const mirrorAddress = (address) => (address === ZERO_ADDRESS ? null : address);
+
+const sameValue = (field, a, b) => {
+  if (ADDRESS_FIELDS.includes(field)) return (a || "").toLowerCase() === (b || "").toLowerCase();
+  if (a instanceof Date || b instanceof Date) return a?.getTime?.() === b?.getTime?.();
+  return (a ?? null) === (b ?? null);
+};
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source[field]]));
+
+const discrepancy = (entity, key, kind, message, extra = {}) => ({ entity, key, kind, message, ...extra });
+
+// Create the mirror if it is missing, otherwise bring stale fields in line with the chain
+const repairMirror = async (Model, entity, key, query, mirror, expected, report) => {
+  if (!mirror) {
+    await Model.create({ ...query, ...expected });
+    report.repaired.push(discrepancy(entity, key, "MISSING_MIRROR", "Created missing MongoDB record from chain"));
+    return;
+  }
+
+  const changed = Object.keys(expected).filter((field) => !sameValue(field, mirror[field], expected[field]));
+  if (changed.length === 0) return;
+
+  const db = pick(mirror, changed);
+  mirror.set(pick(expected, changed));
+  await mirror.save();
+  report.repaired.push(discrepancy(entity, key, "STALE_MIRROR", `Updated ${changed.join(", ")} from chain`, {
+    db,
+    chain: pick(expected, changed),
+  }));
+};
+
+const reconcileMedicines = async (report) => {
+  const count = Number(await contract.methods.medicineCounter().call());
+  const mirrors = new Map((await Medicine.find().maxTimeMS(5000)).map((medicine) => [medicine.blockchainId, medicine]));
+
+  for (let id = 1; id <= count; id++) {
+    const mirror = mirrors.get(id);
+    mirrors.delete(id);
+
+    try {
+      const [medicine, batch, recall] = await Promise.all([
+        contract.methods.medicines(id).call(),
+        contract.methods.batches(id).call(),
+        contract.methods.recalls(id).call(),
+      ]);
+      await repairMirror(Medicine, "medicine", id, { blockchainId: id }, mirror, {
+        name: medicine.name,
+        description: medicine.description,
+        supplier: mirrorAddress(medicine.supplier),
+        manufacturer: mirrorAddress(medicine.manufacturer),
+        distributor: mirrorAddress(medicine.distributor),
+        retailer: mirrorAddress(medicine.retailer),
+        stage: stageName(medicine.stage),
+        ...toBatchFields(batch),
+        recalled: recall.active,
+      }, report);
+    } catch (error) {
+      report.unresolved.push(discrepancy("medicine", id, "CHECK_FAILED", error.message));
+    }
+  }
+
+  // Anything left over has no on-chain counterpart
+  for (const [id, mirror] of mirrors) {
+    report.unresolved.push(discrepancy("medicine", id, "NOT_ON_CHAIN", `Medicine ${id} exists in MongoDB but not on-chain`, {
+      db: pick(mirror, ["name", "stage"]),
+    }));
+  }
+
+  report.checked.medicines = count;
+};
+
+// Known shipments are those mirrored in MongoDB plus any seen in ShipmentCreated events
+const reconcileShipments = async (report) => {
+  const mirrors = new Map((await Shipment.find().maxTimeMS(5000)).map((shipment) => [shipment.trackingId, shipment]));
+  const indexed = await ContractEvent.distinct("trackingId", { event: "ShipmentCreated" });
+  const trackingIds = new Set([...mirrors.keys(), ...indexed.filter(Boolean)]);
+
+  for (const trackingId of trackingIds) {
+    const mirror = mirrors.get(trackingId);
+
+    try {
+      const shipment = await contract.methods.shipments(trackingId).call();
+      if (shipment.sender === ZERO_ADDRESS) {
+        report.unresolved.push(discrepancy("shipment", trackingId, "NOT_ON_CHAIN", `Shipment ${trackingId} exists in MongoDB but not on-chain`, {
+          db: pick(mirror, ["medicineId", "status"]),
+        }));
+        continue;
+      }
+
+      const expected = {
+        medicineId: Number(shipment.medicineId),
+        sender: shipment.sender,
+        receiver: shipment.receiver,
+        status: shipmentStatusName(shipment.status),
+      };
+      // Line items never change after creation, so they are only filled in for new mirrors
+      if (!mirror) expected.items = await readShipmentItems(trackingId);
+
+      await repairMirror(Shipment, "shipment", trackingId, { trackingId }, mirror, expected, report);
+    } catch (error) {
+      report.unresolved.push(discrepancy("shipment", trackingId, "CHECK_FAILED", error.message));
+    }
+  }
+
+  report.checked.shipments = trackingIds.size;
+};
+
+/**
+ * Run one reconciliation pass and keep its report for the drift endpoint.
+ * Concurrent callers share the pass already in progress.
+ */
+const reconcile = () => {
+  if (currentRun) return currentRun;
+
+  currentRun = (async () => {
+    if (mongoose.connection.readyState !== 1) {
+      throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; nothing to reconcile");
+    }
+
+    const report = {
+      startedAt: new Date(),
+      finishedAt: null,
+      checked: { medicines: 0, shipments: 0 },
+      repaired: [],
+      unresolved: [],
+    };
+
+    await reconcileMedicines(report);
+    await reconcileShipments(report);
+
+    report.finishedAt = new Date();
+    lastReport = report;
+
+    if (report.repaired.length > 0 || report.unresolved.length > 0) {
+      console.log(`Reconciliation: ${report.repaired.length} repaired, ${report.unresolved.length} unresolved`);
+    }
+    return report;
+  })().finally(() => {
+    currentRun = null;
+  });
+
+  return currentRun;
+};
+
+const getLastReport = () => lastReport;
+
+const poll = async () => {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await reconcile();
+    } catch (error) {
+      console.error("Reconciliation error:", error.message);
+    }
+  }
+
+  if (running) {
+    timer = setTimeout(poll, INTERVAL_MS);
+  }
+};
+
+const startReconciliation = () => {
+  if (running) return;
+  if (!contract.options.address) {
+    console.log("CONTRACT_ADDRESS not configured - reconciliation disabled");
+    return;
+  }
+
+  running = true;
+  timer = setTimeout(poll, INTERVAL_MS);
+};
+
+const stopReconciliation = () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = { reconcile, getLastReport, startReconciliation, stopReconciliation };
\ No newline at end of file
@@ -0,0 +1,197 @@
+// Unit-level serialization. Serials for a manufactured batch are generated in
+// bulk, stored in MongoDB and committed on-chain as a single Merkle root, so a
+// unit can later be proven to belong to its batch without storing every serial
+// on-chain. MongoDB holds the only full list of serials, so it is required here.
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const SerialNumber = require("../models/SerialNumber");
+const PendingSerialization = require("../models/PendingSerialization");
+const { web3js, contract } = require("../config/web3");
+const { STAGES } = require("../config/medicineStages");
+const { ROLES } = require("../config/accessPolicy");
+const { sendTransaction, assertOwnerSigns } = require("./transactionSender");
+const { readMedicine } = require("./chainReader");
+const { leafHash, buildTree, getRoot, getProof } = require("./merkleTree");
+const { formatSgtin } = require("../utils/gs1");
+const { apiError } = require("../utils/apiError");
+require("dotenv").config();
+
+const MAX_SERIALS_PER_BATCH = parseInt(process.env.MAX_SERIALS_PER_BATCH) || 100000;
+
+// Randomized serials, so valid ones cannot be guessed from a known one;
+// I and O are left out to avoid confusion with 1 and 0 on printed labels
+const SERIAL_ALPHABET = "0123456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const SERIAL_LENGTH = 12;
+
+const ZERO_ROOT = "0x" + "0".repeat(64);
+
+const requireDatabase = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; serial numbers are unavailable");
+  }
+};
+
+const generateSerials = (count) => {
+  const serials = new Set();
+  while (serials.size < count) {
+    let serial = "";
+    for (let i = 0; i < SERIAL_LENGTH; i++) {
+      serial += SERIAL_ALPHABET[crypto.randomInt(SERIAL_ALPHABET.length)];
+    }
+    serials.add(serial);
+  }
+  return [...serials];
+};
+
+const getCommitment = async (medicineId) => {
+  const commitment = await contract.methods.serialCommitments(medicineId).call();
+  return commitment.root === ZERO_ROOT
+    ? null
+    : { gtin: commitment.gtin, root: commitment.root, count: Number(commitment.count) };
+};
+
+// Only one serialization of a batch runs at a time
+const claimBatch = async (medicineId, root, batchNumber) => {
+  try {
+    await new PendingSerialization({ medicineId, root }).save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw apiError(409, "SERIALIZATION_PENDING", `Batch ${batchNumber} is already being serialized`);
+  }
+};
+
+// Whether a commit that threw can no longer land on-chain: it was never
+// broadcast, or it was mined and reverted. A commit still pending may be mined later.
+const commitFailed = async (medicineId, error) => {
+  if (await getCommitment(medicineId).catch(() => null)) return false;
+  if (!error.transactionHash) return true;
+
+  const receipt = await web3js.eth.getTransactionReceipt(error.transactionHash).catch(() => null);
+  return Boolean(receipt);
+};
+
+/**
+ * Generate serials for every unit of a manufactured batch and commit their
+ * Merkle root on-chain.
+ * @param medicineId blockchain medicine ID
+ * @param gtin 14-digit GTIN of the product
+ * @param count units to serialize; defaults to the batch quantity
+ * @param actor authenticated caller; the Owner, since the contract attributes
+ * commitSerials to whoever signs it
+ */
+const serializeBatch = async (medicineId, { gtin, count }, actor) => {
+  requireDatabase();
+
+  const medicine = await readMedicine(medicineId);
+  if (!medicine) {
+    throw apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found");
+  }
+  if (!actor.roles.includes(ROLES.OWNER) && medicine.manufacturer?.toLowerCase() !== actor.address.toLowerCase()) {
+    throw apiError(403, "FORBIDDEN", "Only the Owner or the medicine's manufacturer can serialize its batch");
+  }
+  assertOwnerSigns(actor, "commitSerials");
+  if (STAGES.indexOf(medicine.stage) < STAGES.indexOf("Manufactured")) {
+    throw apiError(409, "NOT_MANUFACTURED", `Medicine is ${medicine.stage}; units are serialized once manufactured`);
+  }
+  if (!medicine.batchNumber) {
+    throw apiError(409, "BATCH_NOT_RECORDED", "Record the medicine's batch before serializing it");
+  }
+  if (await getCommitment(medicineId)) {
+    throw apiError(409, "SERIALS_EXIST", `Batch ${medicine.batchNumber} is already serialized`);
+  }
+
+  const unitCount = count || medicine.quantity;
+  if (unitCount > medicine.quantity) {
+    throw apiError(400, "INVALID_COUNT", `Batch ${medicine.batchNumber} has only ${medicine.quantity} units`, { field: "count" });
+  }
+  if (unitCount > MAX_SERIALS_PER_BATCH) {
+    throw apiError(400, "INVALID_COUNT", `At most ${MAX_SERIALS_PER_BATCH} units can be serialized at once`, { field: "count" });
+  }
+
+  const units = generateSerials(unitCount).map((serial, index) => ({
+    medicineId,
+    batchNumber: medicine.batchNumber,
+    gtin,
+    serial,
+    sgtin: formatSgtin(gtin, serial),
+    index,
+  }));
+  const levels = buildTree(units.map((unit) => leafHash(unit.sgtin)));
+  const root = getRoot(levels);
+  units.forEach((unit) => {
+    unit.proof = getProof(levels, unit.index);
+  });
+
+  await claimBatch(medicineId, root, medicine.batchNumber);
+
+  let receipt;
+  try {
+    // Serials are stored before the root is committed so a committed root never
+    // lacks its serials; leftovers from an attempt that never reached the chain
+    // are replaced
+    await SerialNumber.deleteMany({ medicineId });
+    await SerialNumber.insertMany(units);
+
+    receipt = await sendTransaction(contract.methods.commitSerials(medicineId, gtin, root, unitCount));
+  } catch (error) {
+    if (await commitFailed(medicineId, error)) {
+      await SerialNumber.deleteMany({ medicineId }).catch(() => {});
+      await PendingSerialization.deleteOne({ medicineId }).catch(() => {});
+    } else {
+      // The commit may still be mined: keep its serials, and the marker, which
+      // turns away other serializations of the batch until it expires
+      await PendingSerialization.updateOne({ medicineId }, { transactionHash: error.transactionHash }).catch(() => {});
+    }
+    throw error;
+  }
+
+  await PendingSerialization.deleteOne({ medicineId }).catch(() => {});
+  return { medicine, gtin, root, count: unitCount, receipt };
+};
+
+// Serials of one batch in leaf order
+const listSerials = async (medicineId, { limit, offset }) => {
+  requireDatabase();
+
+  const [commitment, total, units] = await Promise.all([
+    getCommitment(medicineId),
+    SerialNumber.countDocuments({ medicineId }),
+    SerialNumber.find({ medicineId }).select("-proof").sort({ index: 1 }).skip(offset).limit(limit).maxTimeMS(5000),
+  ]);
+
+  return {
+    commitment,
+    total,
+    serials: units.map(({ serial, sgtin, index }) => ({ index, serial, sgtin })),
+  };
+};
+
+/**
+ * Look up the Merkle proof stored for one unit and check it against the root
+ * committed on-chain.
+ */
+const proveSerial = async (gtin, serial) => {
+  requireDatabase();
+
+  const unit = await SerialNumber.findOne({ gtin, serial }).maxTimeMS(5000);
+  if (!unit) {
+    throw apiError(404, "SERIAL_NOT_FOUND", `No unit with serial ${serial} for GTIN ${gtin}`, { field: "serial" });
+  }
+
+  const proof = [...unit.proof];
+  const commitment = await getCommitment(unit.medicineId);
+  const verified = commitment
+    ? await contract.methods.verifySerial(unit.medicineId, unit.sgtin, proof).call()
+    : false;
+
+  return {
+    unit,
+    leaf: leafHash(unit.sgtin),
+    proof,
+    root: commitment?.root || null,
+    verified,
+  };
+};
+
+module.exports = { serializeBatch, listSerials, proveSerial, getCommitment };
\ No newline at end of file
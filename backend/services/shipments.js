@@ -0,0 +1,283 @@
+// Shipment custody and status changes. The sender dispatches a shipment and only
+// its receiver can accept or reject it, following the transitions in
+// config/shipmentStatuses. Consignments carry several medicines and share one
+// status. The contract enforces the same rules, so requests that would revert are
+// turned away here without spending gas.
+
+const Shipment = require("../models/Shipment");
+const { contract } = require("../config/web3");
+const {
+  ShipmentStatus,
+  SHIPMENT_TRANSITIONS,
+  RECEIVER_STATUSES,
+  shipmentStatusName,
+} = require("../config/shipmentStatuses");
+const { ROLES } = require("../config/accessPolicy");
+const { sendTransaction, assertOwnerSigns } = require("./transactionSender");
+const { ZERO_ADDRESS } = require("./participantRoles");
+const { readMedicine, readShipmentItems } = require("./chainReader");
+const { assertNotRecalled } = require("./recalls");
+const { apiError } = require("../utils/apiError");
+
+const getShipment = async (trackingId) => {
+  const shipment = await contract.methods.shipments(trackingId).call();
+  if (shipment.sender === ZERO_ADDRESS) {
+    throw apiError(404, "SHIPMENT_NOT_FOUND", `Shipment ${trackingId} not found`, { field: "trackingId" });
+  }
+  return shipment;
+};
+
+// The party allowed to set a status: the receiver for Delivered/Rejected, the sender otherwise
+const custodianFor = (status) => (RECEIVER_STATUSES.includes(status) ? "receiver" : "sender");
+
+const assertTransition = (current, status) => {
+  const allowedStatuses = SHIPMENT_TRANSITIONS[current];
+  if (!allowedStatuses.includes(status)) {
+    throw apiError(409, "INVALID_STATUS_TRANSITION", allowedStatuses.length
+      ? `Cannot move a shipment from ${current} to ${status}; allowed: ${allowedStatuses.join(", ")}`
+      : `Shipment is already ${current}; no further status changes`, {
+      details: { status: current, requestedStatus: status, allowedStatuses },
+      field: "status",
+    });
+  }
+};
+
+// The Owner may dispatch for the sender, but only the receiver itself accepts or rejects
+const assertCustodian = (shipment, status, actor) => {
+  const party = custodianFor(status);
+  if (party === "sender" && (!actor || actor.roles.includes(ROLES.OWNER))) return;
+
+  if (!actor || shipment[party].toLowerCase() !== actor.address.toLowerCase()) {
+    throw apiError(403, party === "receiver" ? "NOT_SHIPMENT_RECEIVER" : "NOT_SHIPMENT_SENDER",
+      party === "receiver"
+        ? "Only the shipment's receiver can accept or reject it"
+        : "Only the shipment's sender can dispatch it", {
+        details: { [party]: shipment[party] },
+        field: "status",
+      });
+  }
+};
+
+// The contract only accepts a rejection with a reason
+const assertReason = (status, note) => {
+  if (status === "Rejected" && !note) {
+    throw apiError(400, "REASON_REQUIRED", "A reason is required to reject a shipment", { field: "note" });
+  }
+};
+
+/**
+ * Set a shipment's status on-chain and mirror it into MongoDB.
+ * @param status status name from config/shipmentStatuses
+ * @param note optional note for the audit trail; required to reject
+ * @param actor optional authenticated caller ({ address, roles }); must be the
+ *        sender or the Owner, or the receiver for Delivered/Rejected. The owner key
+ *        signs the transaction, so the sender and receiver are told to relay a
+ *        signed meta-transaction instead and the contract records them.
+ */
+const updateShipmentStatus = async (trackingId, status, note, actor) => {
+  const shipment = await getShipment(trackingId);
+  const previousStatus = shipmentStatusName(shipment.status);
+  assertTransition(previousStatus, status);
+  assertCustodian(shipment, status, actor);
+  assertReason(status, note);
+  assertOwnerSigns(actor, note ? "updateShipmentStatusWithNote" : "updateShipmentStatus");
+
+  const method = note
+    ? contract.methods.updateShipmentStatusWithNote(trackingId, ShipmentStatus[status], note)
+    : contract.methods.updateShipmentStatus(trackingId, ShipmentStatus[status]);
+  const receipt = await sendTransaction(method);
+  await recordShipmentStatus(trackingId);
+
+  return { previousStatus, status, receipt };
+};
+
+// Tracking IDs are never reused; the contract reverts for one already taken
+const assertTrackingIdFree = async (trackingId) => {
+  const existing = await contract.methods.shipments(trackingId).call();
+  if (existing.sender !== ZERO_ADDRESS) {
+    throw apiError(409, "TRACKING_ID_IN_USE", `Tracking ID ${trackingId} is already in use`, { field: "trackingId" });
+  }
+};
+
+// Shipments are sent by the medicine's distributor; the Owner may create them on their behalf
+const assertDistributor = (distributor, actor) => {
+  if (actor && !actor.roles.includes(ROLES.OWNER) && actor.address.toLowerCase() !== distributor.toLowerCase()) {
+    throw apiError(403, "NOT_MEDICINE_DISTRIBUTOR", "Only the medicines' distributor can ship them", {
+      details: { distributor },
+    });
+  }
+};
+
+/**
+ * Create a single-medicine shipment on-chain and mirror it into MongoDB.
+ * The medicine's distributor becomes the sender.
+ * @param actor optional authenticated caller ({ address, roles }); must be the
+ *        distributor or the Owner
+ * @returns { shipment, receipt }
+ */
+const createShipment = async ({ medicineId, receiver, trackingId }, actor) => {
+  await assertTrackingIdFree(trackingId);
+
+  const medicine = await readMedicine(medicineId);
+  if (!medicine) {
+    throw apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found", { field: "medicineId" });
+  }
+  await assertNotRecalled(medicineId);
+  if (!medicine.distributor) {
+    throw apiError(409, "INVALID_STAGE", `Medicine is ${medicine.stage} and has no distributor yet`, { field: "medicineId" });
+  }
+  assertDistributor(medicine.distributor, actor);
+
+  const receipt = await sendTransaction(contract.methods.createShipment(medicineId, receiver, trackingId));
+
+  let shipment = {
+    medicineId,
+    sender: medicine.distributor,
+    receiver,
+    trackingId,
+    status: "Pending",
+  };
+  try {
+    shipment = await new Shipment(shipment).save();
+  } catch (dbError) {
+    console.log('MongoDB error, shipment exists only on blockchain:', dbError.message);
+  }
+
+  return { shipment, receipt };
+};
+
+// Reasons a consignment line item cannot be shipped by the given distributor, or null
+// @param shipped units of the medicine already put on consignments
+const lineItemProblem = (item, medicine, distributor, shipped) => {
+  if (!medicine) return ["MEDICINE_NOT_FOUND", "Medicine not found"];
+  if (medicine.recalled) return ["MEDICINE_RECALLED", "Medicine has been recalled"];
+  if (medicine.stage !== "Distributed") return ["INVALID_STAGE", `Medicine is ${medicine.stage}, not Distributed`];
+  if ((medicine.distributor || "").toLowerCase() !== (distributor || "").toLowerCase()) {
+    return ["OTHER_DISTRIBUTOR", "Medicine belongs to a different distributor than the first line item"];
+  }
+  if (!medicine.batchNumber) return ["BATCH_NOT_RECORDED", "Medicine has no recorded batch"];
+  if (item.batchNumber && item.batchNumber !== medicine.batchNumber) {
+    return ["BATCH_MISMATCH", `Medicine belongs to batch ${medicine.batchNumber}`];
+  }
+  if (item.quantity > medicine.quantity - shipped) {
+    return ["QUANTITY_EXCEEDS_BATCH", `Batch ${medicine.batchNumber} has ${medicine.quantity - shipped} of ${medicine.quantity} units left to ship`];
+  }
+  return null;
+};
+
+/**
+ * Create a consignment of several medicines on-chain and mirror it into MongoDB.
+ * Every line item must be a distributed, unrecalled medicine of the same
+ * distributor, who becomes the sender, and fit within what is left of its
+ * batch after earlier consignments.
+ * @param items [{ medicineId, batchNumber?, quantity }], one per medicine
+ * @param actor optional authenticated caller ({ address, roles }); must be the
+ *        distributor or the Owner
+ * @returns { shipment, receipt }
+ */
+const createConsignment = async ({ trackingId, receiver, items }, actor) => {
+  await assertTrackingIdFree(trackingId);
+
+  // The contract takes line items in ascending medicine order
+  const lines = [...items].sort((a, b) => a.medicineId - b.medicineId);
+  const [medicines, shipped] = await Promise.all([
+    Promise.all(lines.map((line) => readMedicine(line.medicineId))),
+    Promise.all(lines.map(async (line) => Number(await contract.methods.shippedQuantity(line.medicineId).call()))),
+  ]);
+  const distributor = medicines[0]?.distributor;
+
+  const problems = lines
+    .map((line, i) => [line, lineItemProblem(line, medicines[i], distributor, shipped[i])])
+    .filter(([, problem]) => problem)
+    .map(([line, [code, message]]) => ({ medicineId: line.medicineId, code, message }));
+  if (problems.length > 0) {
+    throw apiError(409, "INVALID_CONSIGNMENT", `${problems.length} line item(s) cannot be shipped`, {
+      details: { items: problems },
+      field: "items",
+    });
+  }
+
+  assertDistributor(distributor, actor);
+
+  const receipt = await sendTransaction(contract.methods.createConsignment(
+    trackingId,
+    receiver,
+    lines.map((line) => line.medicineId),
+    lines.map((line) => line.quantity)
+  ));
+
+  let shipment = {
+    medicineId: lines[0].medicineId,
+    sender: distributor,
+    receiver,
+    trackingId,
+    status: "Pending",
+    items: lines.map((line, i) => ({
+      medicineId: line.medicineId,
+      batchNumber: medicines[i].batchNumber,
+      quantity: line.quantity,
+    })),
+  };
+  try {
+    shipment = await new Shipment(shipment).save();
+  } catch (dbError) {
+    console.log('MongoDB error, consignment exists only on blockchain:', dbError.message);
+  }
+
+  return { shipment, receipt };
+};
+
+// Mirror a shipment created without going through this module (a relayed
+// meta-transaction) into MongoDB as the contract stored it
+const recordShipment = async (trackingId) => {
+  const [onChain, items] = await Promise.all([getShipment(trackingId), readShipmentItems(trackingId)]);
+  const shipment = {
+    medicineId: Number(onChain.medicineId),
+    sender: onChain.sender,
+    receiver: onChain.receiver,
+    trackingId,
+    status: shipmentStatusName(onChain.status),
+    items,
+  };
+
+  try {
+    await Shipment.updateOne({ trackingId }, { $setOnInsert: shipment }, { upsert: true });
+  } catch (dbError) {
+    console.log('MongoDB error, shipment exists only on blockchain:', dbError.message);
+  }
+
+  return shipment;
+};
+
+// Turn away an illegal status change before a meta-transaction is signed or relayed
+const checkStatusChange = async (trackingId, status, note) => {
+  const shipment = await getShipment(trackingId);
+  const statusName = shipmentStatusName(status);
+  assertTransition(shipmentStatusName(shipment.status), statusName);
+  assertReason(statusName, note);
+};
+
+// Mirror a confirmed status change into MongoDB; returns the on-chain status
+const recordShipmentStatus = async (trackingId) => {
+  const status = shipmentStatusName((await getShipment(trackingId)).status);
+
+  try {
+    await Shipment.updateOne({ trackingId }, { status });
+  } catch (dbError) {
+    console.log('MongoDB shipment status update skipped or failed');
+  }
+
+  return status;
+};
+
+module.exports = {
+  getShipment,
+  custodianFor,
+  assertTrackingIdFree,
+  createShipment,
+  createConsignment,
+  recordShipment,
+  updateShipmentStatus,
+  checkStatusChange,
+  recordShipmentStatus,
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Sign-In with Ethereum (EIP-4361): the backend issues a one-time challenge
+// message, the wallet signs it, and a verified signature is exchanged for a JWT.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { SiweMessage, generateNonce } = require("siwe");
+const { web3js } = require("../config/web3");
+const { apiError } = require("../utils/apiError");
+require("dotenv").config();
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
+
+const jwtSecret = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.log("JWT_SECRET not configured - using a random secret, sessions end on restart");
+}
+
+// Outstanding challenges (nonce => { address, domain, expiresAt }). Kept in memory
+// like the participant fallback store; several instances would need a shared store.
+const pendingChallenges = new Map();
+
+const purgeExpiredChallenges = () => {
+  const now = Date.now();
+  for (const [nonce, challenge] of pendingChallenges) {
+    if (challenge.expiresAt < now) pendingChallenges.delete(nonce);
+  }
+};
+
+// Host of an http(s) origin; opaque ("null") and malformed origins are refused
+const originHost = (origin) => {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol) || !url.host) {
+    throw apiError(400, "INVALID_ORIGIN", "Sign-in requires a request Origin of the form http(s)://host", { field: "origin" });
+  }
+  return url.host;
+};
+
+/**
+ * Create the message a wallet signs to sign in.
+ * @param address wallet address
+ * @param origin origin of the frontend, e.g. https://app.example.com
+ */
+const createChallenge = async (address, origin) => {
+  purgeExpiredChallenges();
+
+  const host = originHost(origin);
+  const domain = process.env.SIWE_DOMAIN || host;
+  const nonce = generateNonce();
+  const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+
+  const message = new SiweMessage({
+    domain,
+    address: web3js.utils.toChecksumAddress(address),
+    statement: "Sign in to MediTrace Supply Chain.",
+    uri: origin,
+    version: "1",
+    chainId: Number(await web3js.eth.getChainId()),
+    nonce,
+    issuedAt: new Date().toISOString(),
+    expirationTime: new Date(expiresAt).toISOString(),
+  });
+
+  pendingChallenges.set(nonce, { address: message.address, domain, expiresAt });
+  return { nonce, message: message.prepareMessage() };
+};
+
+// Returns the signing address, or null if the signature or challenge is invalid
+const verifySignIn = async (message, signature) => {
+  let siweMessage;
+  try {
+    siweMessage = new SiweMessage(message);
+  } catch (error) {
+    return null;
+  }
+
+  const challenge = pendingChallenges.get(siweMessage.nonce);
+  if (!challenge || challenge.expiresAt < Date.now()) {
+    return null;
+  }
+  // Each challenge can be used once, whether or not the signature is valid
+  pendingChallenges.delete(siweMessage.nonce);
+
+  const { success, data } = await siweMessage.verify(
+    { signature, nonce: siweMessage.nonce, domain: challenge.domain },
+    { suppressExceptions: true }
+  );
+  if (!success || data.address.toLowerCase() !== challenge.address.toLowerCase()) {
+    return null;
+  }
+
+  return data.address;
+};
+
+const issueToken = (address) => jwt.sign({ sub: address }, jwtSecret, { expiresIn: JWT_EXPIRES_IN });
+
+module.exports = { jwtSecret, createChallenge, verifySignIn, issueToken };
@@ -0,0 +1,191 @@
+// Cold-chain telemetry. Sensor readings posted for a shipment are checked
+// against the medicine's storage range (set on-chain) and kept in MongoDB; the
+// hash of each posted window of readings is anchored on-chain so the stored
+// readings can later be shown to be unaltered.
+
+const mongoose = require("mongoose");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const TelemetryWindow = require("../models/TelemetryWindow");
+const { contract } = require("../config/web3");
+const { ROLES } = require("../config/accessPolicy");
+const { sendTransaction, getReceiptEvents } = require("./transactionSender");
+const { readMedicine } = require("./chainReader");
+const { getShipment } = require("./shipments");
+const { apiError } = require("../utils/apiError");
+
+// The contract stores temperatures in tenths of a degree Celsius
+const TEMPERATURE_SCALE = 10;
+
+const EXCURSIONS = {
+  TEMPERATURE_LOW: "TEMPERATURE_LOW",
+  TEMPERATURE_HIGH: "TEMPERATURE_HIGH",
+  HUMIDITY_LOW: "HUMIDITY_LOW",
+  HUMIDITY_HIGH: "HUMIDITY_HIGH",
+};
+
+const requireDatabase = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; telemetry is unavailable");
+  }
+};
+
+// Allowed conditions for a medicine in degrees Celsius and %, or null if none were set
+const getStorageRange = async (medicineId) => {
+  const range = await contract.methods.storageRanges(medicineId).call();
+  if (!range.set) return null;
+
+  return {
+    minTemperature: Number(range.minTemperature) / TEMPERATURE_SCALE,
+    maxTemperature: Number(range.maxTemperature) / TEMPERATURE_SCALE,
+    minHumidity: Number(range.minHumidity),
+    maxHumidity: Number(range.maxHumidity),
+  };
+};
+
+/**
+ * Record the conditions a medicine must be kept in.
+ * @param actor authenticated caller; must be the Owner or the medicine's manufacturer
+ */
+const setStorageRange = async (medicineId, { minTemperature, maxTemperature, minHumidity = 0, maxHumidity = 100 }, actor) => {
+  const medicine = await readMedicine(medicineId);
+  if (!medicine) {
+    throw apiError(404, "MEDICINE_NOT_FOUND", "Medicine not found");
+  }
+  if (!actor.roles.includes(ROLES.OWNER) && medicine.manufacturer?.toLowerCase() !== actor.address.toLowerCase()) {
+    throw apiError(403, "FORBIDDEN", "Only the Owner or the medicine's manufacturer can set its storage range");
+  }
+
+  const receipt = await sendTransaction(contract.methods.setStorageRange(
+    medicineId,
+    Math.round(minTemperature * TEMPERATURE_SCALE),
+    Math.round(maxTemperature * TEMPERATURE_SCALE),
+    minHumidity,
+    maxHumidity
+  ));
+
+  return { range: await getStorageRange(medicineId), receipt };
+};
+
+// Which limits of the range a reading is outside of
+const findExcursions = (reading, range) => {
+  if (!range) return [];
+
+  const excursions = [];
+  if (reading.temperature < range.minTemperature) excursions.push(EXCURSIONS.TEMPERATURE_LOW);
+  if (reading.temperature > range.maxTemperature) excursions.push(EXCURSIONS.TEMPERATURE_HIGH);
+  if (reading.humidity != null) {
+    if (reading.humidity < range.minHumidity) excursions.push(EXCURSIONS.HUMIDITY_LOW);
+    if (reading.humidity > range.maxHumidity) excursions.push(EXCURSIONS.HUMIDITY_HIGH);
+  }
+  return excursions;
+};
+
+// keccak256 over one line per reading, in the order stored
+const hashReadings = (readings) =>
+  keccak256(toUtf8Bytes(
+    readings
+      .map(({ deviceId, timestamp, temperature, humidity }) =>
+        [deviceId, new Date(timestamp).toISOString(), temperature, humidity ?? ""].join("|"))
+      .join("\n")
+  ));
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Store a window of sensor readings for a shipment, flag excursions and
+ * anchor the window's hash on-chain.
+ * @param actor authenticated caller; must be the Owner, the sender or the receiver
+ */
+const recordTelemetry = async (trackingId, readings, actor) => {
+  requireDatabase();
+
+  const shipment = await getShipment(trackingId);
+  const parties = [shipment.sender, shipment.receiver].map((address) => address.toLowerCase());
+  if (!actor.roles.includes(ROLES.OWNER) && !parties.includes(actor.address.toLowerCase())) {
+    throw apiError(403, "FORBIDDEN", "Only the Owner or the shipment's sender or receiver can post telemetry");
+  }
+
+  const medicineId = Number(shipment.medicineId);
+  const range = await getStorageRange(medicineId);
+  const checked = readings
+    .map((reading) => ({ ...reading, humidity: reading.humidity ?? null, excursions: findExcursions(reading, range) }))
+    .sort((a, b) => a.timestamp - b.timestamp || a.deviceId.localeCompare(b.deviceId));
+
+  const dataHash = hashReadings(checked);
+  const excursionCount = checked.filter((reading) => reading.excursions.length > 0).length;
+  const windowStart = checked[0].timestamp;
+  const windowEnd = checked[checked.length - 1].timestamp;
+
+  // Readings are stored before their hash is anchored so an anchor never
+  // lacks its readings; the window is dropped if anchoring fails
+  const window = await new TelemetryWindow({
+    trackingId,
+    medicineId,
+    windowStart,
+    windowEnd,
+    readings: checked,
+    excursionCount,
+    dataHash,
+  }).save();
+
+  let receipt;
+  try {
+    receipt = await sendTransaction(contract.methods.anchorTelemetry(
+      trackingId, dataHash, toSeconds(windowStart), toSeconds(windowEnd), checked.length, excursionCount
+    ));
+  } catch (error) {
+    await TelemetryWindow.deleteOne({ _id: window._id }).catch(() => {});
+    throw error;
+  }
+
+  const [anchored] = getReceiptEvents(receipt, "TelemetryAnchored");
+  window.anchorIndex = Number(anchored.index);
+  window.transactionHash = receipt.transactionHash;
+  await window.save();
+
+  return { window, range, receipt };
+};
+
+const summarizeWindow = (window, anchor) => ({
+  id: window._id,
+  windowStart: window.windowStart,
+  windowEnd: window.windowEnd,
+  readingCount: window.readings.length,
+  excursionCount: window.excursionCount,
+  dataHash: window.dataHash,
+  anchorIndex: window.anchorIndex,
+  transactionHash: window.transactionHash,
+  // The stored readings still hash to the value anchored on-chain
+  verified: Boolean(anchor) && anchor.dataHash === hashReadings(window.readings),
+});
+
+// All readings of a shipment in time order, with each window's integrity check
+const getTelemetry = async (trackingId) => {
+  requireDatabase();
+
+  const shipment = await getShipment(trackingId);
+  const medicineId = Number(shipment.medicineId);
+  const [range, anchors, windows] = await Promise.all([
+    getStorageRange(medicineId),
+    contract.methods.getTelemetryAnchors(trackingId).call(),
+    TelemetryWindow.find({ trackingId, anchorIndex: { $ne: null } }).sort({ windowStart: 1 }).maxTimeMS(5000),
+  ]);
+
+  const readings = windows
+    .flatMap((window) => window.readings.map(({ deviceId, timestamp, temperature, humidity, excursions }) => ({
+      deviceId, timestamp, temperature, humidity, excursions,
+    })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    trackingId,
+    medicineId,
+    range,
+    readingCount: readings.length,
+    excursionCount: readings.filter((reading) => reading.excursions.length > 0).length,
+    windows: windows.map((window) => summarizeWindow(window, anchors[window.anchorIndex])),
+    readings,
+  };
+};
+
+module.exports = { EXCURSIONS, getStorageRange, setStorageRange, findExcursions, hashReadings, recordTelemetry, getTelemetry };
\ No newline at end of file
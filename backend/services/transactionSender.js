@@ -0,0 +1,190 @@
+// Single entry point for every transaction the backend signs with the owner key.
+// Nonces are assigned locally and submissions go through a queue, so concurrent
+// requests never race for the same nonce. A submission only holds the queue until
+// the node accepts it; waiting for the receipt happens outside the queue so
+// several transactions can be in flight at once.
+// Gas limits come from estimateGas plus a safety margin, and fees use EIP-1559
+// when the chain has a base fee, falling back to a legacy gasPrice otherwise.
+
+const { web3js, contract } = require("../config/web3");
+const { ROLES } = require("../config/accessPolicy");
+const { apiError } = require("../utils/apiError");
+require("dotenv").config();
+
+const MAX_RETRIES = parseInt(process.env.TX_MAX_RETRIES) || 3;
+const GAS_LIMIT_MULTIPLIER = parseFloat(process.env.GAS_LIMIT_MULTIPLIER) || 1.2;
+const PRIORITY_FEE_GWEI = process.env.GAS_PRIORITY_FEE_GWEI;
+const MAX_FEE_GWEI = process.env.GAS_MAX_FEE_GWEI;
+const DEFAULT_PRIORITY_FEE = 1500000000n; // 1.5 gwei
+
+const ownerAddress = process.env.OWNER_ADDRESS;
+const ownerPrivateKey = process.env.OWNER_PRIVATE_KEY
+  ? '0x' + process.env.OWNER_PRIVATE_KEY.replace(/^0x/, '')
+  : null;
+
+// Errors meaning our local nonce is stale and the transaction can be re-signed
+const NONCE_ERROR = /nonce too low|nonce_too_low|nonce has already been used|doesn't have the correct nonce|replacement transaction underpriced|already known/i;
+
+let nextNonce = null;
+let queue = Promise.resolve();
+
+const errorText = (error) =>
+  [...new Set([error.message, error.innerError?.message, error.cause?.message, error.reason])]
+    .filter(Boolean)
+    .join(" ");
+
+const isNonceError = (error) => NONCE_ERROR.test(errorText(error));
+
+// Run tasks one at a time, in submission order
+const enqueue = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+const gweiToWei = (gwei) => BigInt(Math.round(parseFloat(gwei) * 1e9));
+
+const estimateGasLimit = async (method) => {
+  try {
+    const estimate = await method.estimateGas({ from: ownerAddress });
+    return BigInt(Math.ceil(Number(estimate) * GAS_LIMIT_MULTIPLIER));
+  } catch (error) {
+    // web3 wraps reverts in a generic message; keep the node's revert reason
+    error.reason = error.reason || error.cause?.message || error.innerError?.message;
+    throw error;
+  }
+};
+
+const getPriorityFee = async () => {
+  if (PRIORITY_FEE_GWEI) return gweiToWei(PRIORITY_FEE_GWEI);
+  try {
+    return BigInt(await web3js.eth.getMaxPriorityFeePerGas());
+  } catch (error) {
+    return DEFAULT_PRIORITY_FEE;
+  }
+};
+
+// EIP-1559 fee fields if the latest block has a base fee, a legacy gasPrice otherwise
+const getFeeParams = async () => {
+  const block = await web3js.eth.getBlock("latest");
+  if (block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+    return { gasPrice: await web3js.eth.getGasPrice() };
+  }
+
+  let maxPriorityFeePerGas = await getPriorityFee();
+  // Leave room for the base fee to double before the transaction is mined
+  let maxFeePerGas = BigInt(block.baseFeePerGas) * 2n + maxPriorityFeePerGas;
+
+  if (MAX_FEE_GWEI) {
+    const cap = gweiToWei(MAX_FEE_GWEI);
+    if (maxFeePerGas > cap) maxFeePerGas = cap;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+const syncNonce = async () => {
+  nextNonce = Number(await web3js.eth.getTransactionCount(ownerAddress, "pending"));
+};
+
+// Resolves once the node has accepted the transaction, with a promise for its receipt
+const broadcast = (rawTransaction) =>
+  new Promise((resolve, reject) => {
+    let accepted = false;
+    const promiEvent = web3js.eth.sendSignedTransaction(rawTransaction);
+
+    promiEvent.on("transactionHash", (transactionHash) => {
+      accepted = true;
+      resolve({ transactionHash, receipt: promiEvent.then((receipt) => receipt) });
+    });
+    promiEvent.catch((error) => {
+      if (!accepted) reject(error);
+    });
+  });
+
+const submit = async (method, options) => {
+  for (let attempt = 0; ; attempt++) {
+    if (nextNonce === null) {
+      await syncNonce();
+    }
+
+    const fees = await getFeeParams();
+    const tx = {
+      from: ownerAddress,
+      to: contract.options.address,
+      gas: options.gas,
+      ...fees,
+      nonce: nextNonce,
+      data: method.encodeABI(),
+    };
+
+    const signedTx = await web3js.eth.accounts.signTransaction(tx, ownerPrivateKey);
+
+    try {
+      const submission = await broadcast(signedTx.rawTransaction);
+      nextNonce++;
+      return submission;
+    } catch (error) {
+      // The nonce was not consumed, or was consumed elsewhere; re-read it from the chain
+      nextNonce = null;
+      if (attempt < MAX_RETRIES && isNonceError(error)) {
+        console.log(`Nonce conflict (${errorText(error)}), retrying with a fresh nonce`);
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Sign a contract method call with the owner key, submit it and wait for the receipt.
+ * Estimating gas first also rejects calls that would revert before any gas is spent.
+ * Errors raised after the node accepted the transaction carry its transactionHash.
+ * @param method contract.methods.<name>(...args)
+ * @param options { gas } to override the estimated gas limit
+ */
+const sendTransaction = async (method, options = {}) => {
+  if (!ownerAddress || !ownerPrivateKey) {
+    throw new Error("OWNER_ADDRESS or OWNER_PRIVATE_KEY not configured");
+  }
+
+  const gas = options.gas ?? await estimateGasLimit(method);
+  const { transactionHash, receipt } = await enqueue(() => submit(method, { ...options, gas }));
+  try {
+    return await receipt;
+  } catch (error) {
+    // Broadcast already: the transaction may still be mined or was mined and reverted
+    error.transactionHash = error.transactionHash || transactionHash;
+    throw error;
+  }
+};
+
+/**
+ * The contract attributes an action to whoever signs it, so the owner key only
+ * submits participant actions for the Owner. Anyone else signs the call in their
+ * wallet and has it relayed as a meta-transaction.
+ * @param actor optional authenticated caller ({ address, roles })
+ * @param method contract method the caller wants to perform
+ */
+const assertOwnerSigns = (actor, method) => {
+  if (actor && !actor.roles.includes(ROLES.OWNER)) {
+    throw apiError(403, "SIGNATURE_REQUIRED", `Sign ${method} in your wallet and relay it through /api/meta-tx so the contract records it as yours`, {
+      details: { method, prepare: "/api/meta-tx/prepare", relay: "/api/meta-tx/relay" },
+    });
+  }
+};
+
+// Decode the logs of one contract event from a transaction receipt
+const getReceiptEvents = (receipt, eventName) => {
+  const eventAbi = contract.options.jsonInterface.find(
+    (item) => item.type === "event" && item.name === eventName
+  );
+  const topic = web3js.eth.abi.encodeEventSignature(eventAbi);
+
+  return receipt.logs
+    .filter((log) => log.topics?.[0] === topic)
+    .map((log) => web3js.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1)));
+};
+
+module.exports = { sendTransaction, assertOwnerSigns, getReceiptEvents, ownerAddress };
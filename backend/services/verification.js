@@ -0,0 +1,152 @@
+// Public provenance check behind GET /api/verify/:code. A code is a unit's
+// SGTIN (element string, scanned barcode data or GS1 Digital Link), a batch
+// number or a medicine ID. The answer is built from chain state only, and
+// participant addresses are left out unless VERIFY_EXPOSE_ADDRESSES is set.
+
+const { TRANSITIONS } = require("../config/medicineStages");
+const { readMedicine, readMedicineByBatch, readMedicineHistory, readMedicineAddedAt, readRecall } = require("./chainReader");
+const { getRegistrations } = require("./participantRoles");
+const { proveSerial } = require("./serialization");
+const { parseSgtin } = require("../utils/gs1");
+require("dotenv").config();
+
+const EXPOSE_ADDRESSES = process.env.VERIFY_EXPOSE_ADDRESSES === "true";
+
+const VERDICTS = {
+  GENUINE: "genuine",
+  UNKNOWN: "unknown",
+  RECALLED: "recalled",
+  EXPIRED: "expired",
+};
+
+// Action labels the contract records in getTransactions() => stage reached
+const RECORDED_STAGES = {
+  "Raw Material Supplied": "RawMaterialSupplied",
+  "Manufactured": "Manufactured",
+  "Distributed": "Distributed",
+  "Available for Sale": "Retail",
+  "Sold": "Sold",
+};
+
+// Find the medicine (and unit, for SGTINs) a code refers to
+const resolveCode = async (code) => {
+  const parsed = parseSgtin(code);
+  if (parsed) {
+    try {
+      const { unit, verified } = await proveSerial(parsed.gtin, parsed.serial);
+      if (!verified) {
+        return { reason: "Serial number is not part of a batch committed on-chain" };
+      }
+      return {
+        medicine: await readMedicine(unit.medicineId),
+        unit: { sgtin: unit.sgtin, gtin: unit.gtin, serial: unit.serial },
+      };
+    } catch (error) {
+      if (error.code === "SERIAL_NOT_FOUND") {
+        return { reason: "Serial number is not registered" };
+      }
+      throw error;
+    }
+  }
+
+  const byBatch = await readMedicineByBatch(code);
+  if (byBatch) return { medicine: byBatch };
+
+  if (/^\d{1,15}$/.test(code) && Number(code) > 0) {
+    const byId = await readMedicine(Number(code));
+    if (byId) return { medicine: byId };
+  }
+
+  return { reason: "No medicine, batch or serial matches this code" };
+};
+
+// Name and location of the participant that performed a stage, from the contract registries
+const describeParticipant = async (address, role, registrationCache) => {
+  const key = address.toLowerCase();
+  if (!registrationCache.has(key)) {
+    registrationCache.set(key, getRegistrations(address));
+  }
+  const registration = (await registrationCache.get(key)).find((entry) => entry.role === role);
+
+  return {
+    role,
+    name: registration?.name || null,
+    location: registration?.location || null,
+    ...(EXPOSE_ADDRESSES && { address }),
+  };
+};
+
+// Stages the medicine went through, oldest first, with who performed each and when
+const buildProvenance = async (medicine) => {
+  const [addedAt, history] = await Promise.all([
+    readMedicineAddedAt(medicine.blockchainId),
+    readMedicineHistory(medicine.blockchainId),
+  ]);
+  const registrationCache = new Map();
+
+  const steps = await Promise.all(
+    history
+      .slice()
+      .reverse()
+      .filter((transaction) => RECORDED_STAGES[transaction.action])
+      .map(async (transaction) => {
+        const stage = RECORDED_STAGES[transaction.action];
+        const { role } = TRANSITIONS.find((transition) => transition.to === stage);
+        return {
+          stage,
+          action: transaction.action,
+          participant: await describeParticipant(transaction.participant, role, registrationCache),
+          timestamp: transaction.timestamp,
+        };
+      })
+  );
+
+  return [{ stage: "Ordered", action: "Registered", participant: null, timestamp: addedAt }, ...steps];
+};
+
+// What a recalled medicine's holder needs to know; the issuer stays private
+const describeRecall = async (medicine) => {
+  if (!medicine.recalled) return null;
+  const { severity, reason, issuedAt } = await readRecall(medicine.blockchainId);
+  return { severity, reason, issuedAt };
+};
+
+// A recall outranks expiry
+const getVerdict = (medicine, now) => {
+  if (medicine.recalled) return VERDICTS.RECALLED;
+  if (medicine.expiryDate && medicine.expiryDate < now) return VERDICTS.EXPIRED;
+  return VERDICTS.GENUINE;
+};
+
+/**
+ * Verify a code and describe the medicine's provenance.
+ * @returns { code, verdict, checkedAt, ... }; unknown codes get a reason instead of details
+ */
+const verifyCode = async (code) => {
+  const checkedAt = new Date();
+  const { medicine, unit, reason } = await resolveCode(code);
+
+  if (!medicine) {
+    return { code, verdict: VERDICTS.UNKNOWN, reason, checkedAt };
+  }
+
+  return {
+    code,
+    verdict: getVerdict(medicine, checkedAt),
+    checkedAt,
+    medicine: {
+      id: medicine.blockchainId,
+      name: medicine.name,
+      description: medicine.description,
+      stage: medicine.stage,
+      batchNumber: medicine.batchNumber,
+      manufacturingDate: medicine.manufacturingDate,
+      expiryDate: medicine.expiryDate,
+    },
+    unit: unit || null,
+    recall: await describeRecall(medicine),
+    provenance: await buildProvenance(medicine),
+  };
+};
+
+module.exports = { VERDICTS, verifyCode };
\ No newline at end of file
@@ -0,0 +1,343 @@
+// Webhook subscriptions for indexed contract events. The event indexer hands
+// every batch of events it stores to enqueueDeliveries; a dispatcher then POSTs
+// each delivery to its subscription's URL, signed with the subscription's secret,
+// and retries failures with exponential backoff. Deliveries that run out of
+// attempts are dead-lettered until they are retried by hand.
+//
+// Receivers should check the signature header, which is
+//   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret>
+// and may see an event more than once; transactionHash + logIndex identify it.
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { ROLES } = require("../config/accessPolicy");
+const { WEBHOOK_HEADERS } = require("../config/webhooks");
+const { apiError } = require("../utils/apiError");
+const { assertPublicUrl, pinnedAgent } = require("../utils/networkAddress");
+require("dotenv").config();
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+
+// Deliveries attempted per poll, one after another
+const DISPATCH_BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+const requireDatabase = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw apiError(503, "DATABASE_UNAVAILABLE", "MongoDB is not connected; webhooks are unavailable");
+  }
+};
+
+// The owner manages every subscription, anyone else only their own
+const ownedBy = (actor) =>
+  actor.roles.includes(ROLES.OWNER) ? {} : { createdBy: actor.address.toLowerCase() };
+
+const describe = (subscription) => ({
+  id: subscription._id,
+  url: subscription.url,
+  events: subscription.events,
+  medicineId: subscription.medicineId,
+  participant: subscription.participant,
+  description: subscription.description,
+  createdBy: subscription.createdBy,
+  createdAt: subscription.createdAt,
+});
+
+const describeDelivery = (delivery) => ({
+  id: delivery._id,
+  subscription: delivery.subscription,
+  event: delivery.event,
+  blockNumber: delivery.blockNumber,
+  transactionHash: delivery.transactionHash,
+  logIndex: delivery.logIndex,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === "Pending" ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  attemptLog: delivery.attemptLog,
+  createdAt: delivery.createdAt,
+});
+
+const findSubscription = async (id, actor) => {
+  requireDatabase();
+
+  const subscription = await WebhookSubscription.findOne({ _id: id, ...ownedBy(actor) }).maxTimeMS(5000);
+  if (!subscription) {
+    throw apiError(404, "WEBHOOK_NOT_FOUND", "Webhook subscription not found", { field: "id" });
+  }
+  return subscription;
+};
+
+/**
+ * Register a callback URL for contract events.
+ * @param filters { url, events?, medicineId?, participant?, description? }; an
+ *        event is delivered when it matches every filter that is set
+ * @returns { subscription, secret } - the secret is not shown again
+ */
+const createSubscription = async ({ url, events = [], medicineId, participant, description = "" }, actor) => {
+  requireDatabase();
+
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  const subscription = await new WebhookSubscription({
+    url,
+    secret,
+    events,
+    medicineId: medicineId ?? null,
+    participant: participant ? participant.toLowerCase() : null,
+    description,
+    createdBy: actor.address.toLowerCase(),
+  }).save();
+
+  return { subscription: describe(subscription), secret };
+};
+
+const listSubscriptions = async (actor) => {
+  requireDatabase();
+
+  const subscriptions = await WebhookSubscription.find(ownedBy(actor)).sort({ createdAt: -1 }).maxTimeMS(5000);
+  return subscriptions.map(describe);
+};
+
+const getSubscription = async (id, actor) => describe(await findSubscription(id, actor));
+
+// Remove a subscription together with its delivery log
+const deleteSubscription = async (id, actor) => {
+  const subscription = await findSubscription(id, actor);
+  await WebhookDelivery.deleteMany({ subscription: subscription._id });
+  await subscription.deleteOne();
+  return describe(subscription);
+};
+
+/**
+ * Delivery log of one subscription, newest first.
+ * @param status optional delivery status to filter on
+ */
+const listDeliveries = async (id, actor, { status, limit = 50 } = {}) => {
+  const subscription = await findSubscription(id, actor);
+
+  const deliveries = await WebhookDelivery.find({ subscription: subscription._id, ...(status && { status }) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .maxTimeMS(5000);
+  return deliveries.map(describeDelivery);
+};
+
+// Dead-lettered deliveries across the caller's subscriptions, newest first
+const listDeadLetters = async (actor, { limit = 50 } = {}) => {
+  requireDatabase();
+
+  const subscriptions = await WebhookSubscription.find(ownedBy(actor)).select("_id").maxTimeMS(5000);
+  const deliveries = await WebhookDelivery.find({
+    subscription: { $in: subscriptions.map((subscription) => subscription._id) },
+    status: "DeadLetter",
+  })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .maxTimeMS(5000);
+  return deliveries.map(describeDelivery);
+};
+
+// Queue a dead-lettered delivery again with a fresh set of attempts
+const retryDelivery = async (deliveryId, actor) => {
+  requireDatabase();
+
+  const delivery = await WebhookDelivery.findById(deliveryId).maxTimeMS(5000);
+  if (!delivery || !(await WebhookSubscription.exists({ _id: delivery.subscription, ...ownedBy(actor) }))) {
+    throw apiError(404, "DELIVERY_NOT_FOUND", "Webhook delivery not found", { field: "deliveryId" });
+  }
+  if (delivery.status !== "DeadLetter") {
+    throw apiError(409, "DELIVERY_NOT_DEAD_LETTERED", `Delivery is ${delivery.status}; only dead-lettered deliveries can be retried`, {
+      details: { status: delivery.status },
+    });
+  }
+
+  delivery.status = "Pending";
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = new Date();
+  await delivery.save();
+  return describeDelivery(delivery);
+};
+
+const matches = (subscription, event) =>
+  (subscription.events.length === 0 || subscription.events.includes(event.event)) &&
+  (subscription.medicineId === null || subscription.medicineId === event.medicineId) &&
+  (subscription.participant === null || event.addresses.includes(subscription.participant));
+
+// What the receiver gets: the indexed event as stored in ContractEvent
+const toPayload = (event) => ({
+  event: event.event,
+  blockNumber: event.blockNumber,
+  blockHash: event.blockHash,
+  transactionHash: event.transactionHash,
+  logIndex: event.logIndex,
+  medicineId: event.medicineId,
+  trackingId: event.trackingId,
+  addresses: event.addresses,
+  returnValues: event.returnValues,
+});
+
+const isDuplicateKeyError = (error) =>
+  error.code === 11000 || (error.writeErrors?.length > 0 && error.writeErrors.every((writeError) => writeError.code === 11000));
+
+/**
+ * Queue indexed events for every subscription they match. Called by the
+ * event indexer; events it has seen before are not queued twice.
+ * @param events ContractEvent documents
+ */
+const enqueueDeliveries = async (events) => {
+  if (events.length === 0) return 0;
+
+  const subscriptions = await WebhookSubscription.find().maxTimeMS(5000);
+  const deliveries = events.flatMap((event) => subscriptions
+    .filter((subscription) => matches(subscription, event))
+    .map((subscription) => ({
+      subscription: subscription._id,
+      event: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      payload: toPayload(event),
+    })));
+  if (deliveries.length === 0) return 0;
+
+  try {
+    const inserted = await WebhookDelivery.insertMany(deliveries, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+    return error.insertedDocs?.length ?? 0;
+  }
+};
+
+// Drop deliveries not yet sent for events from blocks that were reorganized away
+const discardDeliveries = (afterBlock) =>
+  WebhookDelivery.deleteMany({ status: "Pending", blockNumber: { $gt: afterBlock } });
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// Delay before the next attempt after the given number of failed ones
+const backoff = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// POST one delivery and record the outcome; any 2xx response counts as delivered.
+// A URL that now resolves to a non-public address fails the attempt unsent, and
+// the request goes to the addresses that were checked.
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select("+secret");
+  if (!subscription) {
+    await delivery.deleteOne();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let error = null;
+
+  let dispatcher = null;
+  try {
+    dispatcher = pinnedAgent(await assertPublicUrl(subscription.url));
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        [WEBHOOK_HEADERS.ID]: delivery._id.toString(),
+        [WEBHOOK_HEADERS.EVENT]: delivery.event,
+        [WEBHOOK_HEADERS.TIMESTAMP]: timestamp,
+        [WEBHOOK_HEADERS.SIGNATURE]: `sha256=${signPayload(subscription.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      dispatcher,
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (requestError) {
+    error = requestError.name === "TimeoutError" ? `No response within ${TIMEOUT_MS} ms` : requestError.message;
+  } finally {
+    // The response body is not read; drop the connection with the agent
+    dispatcher?.destroy().catch(() => {});
+  }
+
+  delivery.attempts += 1;
+  delivery.attemptLog.push({ at: new Date(startedAt), responseStatus, error, durationMs: Date.now() - startedAt });
+
+  if (!error) {
+    delivery.status = "Delivered";
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = "DeadLetter";
+    console.log(`Webhook delivery ${delivery._id} dead-lettered after ${delivery.attempts} attempts: ${error}`);
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts));
+  }
+  await delivery.save();
+};
+
+// Attempt every delivery that is due, oldest first
+const dispatchDeliveries = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  for (;;) {
+    const due = await WebhookDelivery.find({ status: "Pending", nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(DISPATCH_BATCH_SIZE)
+      .maxTimeMS(5000);
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+    if (due.length < DISPATCH_BATCH_SIZE || !running) return;
+  }
+};
+
+const poll = async () => {
+  try {
+    await dispatchDeliveries();
+  } catch (error) {
+    console.error("Webhook dispatcher error:", error.message);
+  }
+
+  if (running) {
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+};
+
+const startWebhookDispatcher = () => {
+  if (running) return;
+
+  running = true;
+  timer = setTimeout(poll, POLL_INTERVAL_MS);
+};
+
+const stopWebhookDispatcher = () => {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries,
+  listDeadLetters,
+  retryDelivery,
+  enqueueDeliveries,
+  discardDeliveries,
+  signPayload,
+  dispatchDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+}
\ No newline at end of file
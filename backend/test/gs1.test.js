@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { gtinCheckDigit, normalizeGtin, isValidSerial, parseSgtin } = require("../utils/gs1");
+
+describe("gs1", () => {
+  it("computes GTIN check digits", () => {
+    assert.equal(gtinCheckDigit("0950600013435"), "2");
+    assert.equal(gtinCheckDigit("0001234567890"), "5");
+  });
+
+  it("pads GTIN-8/12/13 to 14 digits and rejects bad check digits", () => {
+    assert.equal(normalizeGtin("9506000134352"), "09506000134352");
+    assert.equal(normalizeGtin(" 09506000134352 "), "09506000134352");
+    assert.equal(normalizeGtin("96385074"), "00000096385074");
+    assert.equal(normalizeGtin("09506000134353"), null);
+    assert.equal(normalizeGtin("0950600013435"), null);
+    assert.equal(normalizeGtin("95060001343521"), null);
+    assert.equal(normalizeGtin("ABCDEFGH"), null);
+  });
+
+  it("accepts serials of 1-20 characters from character set 82", () => {
+    assert.equal(isValidSerial("ABC123"), true);
+    assert.equal(isValidSerial("a-b_c/d.e"), true);
+    assert.equal(isValidSerial("X".repeat(20)), true);
+    assert.equal(isValidSerial(""), false);
+    assert.equal(isValidSerial("X".repeat(21)), false);
+    assert.equal(isValidSerial("AB C"), false);
+    assert.equal(isValidSerial("ÄBC"), false);
+    // Parentheses would make element strings ambiguous
+    assert.equal(isValidSerial("A(10)B"), false);
+  });
+
+  it("parses element strings, raw scans and Digital Link URIs into the canonical SGTIN", () => {
+    const expected = { gtin: "09506000134352", serial: "ABC123", sgtin: "(01)09506000134352(21)ABC123" };
+
+    assert.deepEqual(parseSgtin("(01)09506000134352(21)ABC123"), expected);
+    assert.deepEqual(parseSgtin("]d2010950600013435221ABC123"), expected);
+    assert.deepEqual(parseSgtin("010950600013435221ABC123\u001d17270101"), expected);
+    assert.deepEqual(parseSgtin("https://id.example.com/01/9506000134352/21/ABC123?17=270101"), expected);
+    assert.deepEqual(parseSgtin("https://id.example.com/01/09506000134352/21/A%2FB").serial, "A/B");
+  });
+
+  it("reads the serial wherever AI 21 appears among other AIs", () => {
+    const expected = { gtin: "09506000134352", serial: "ABC123", sgtin: "(01)09506000134352(21)ABC123" };
+
+    assert.deepEqual(parseSgtin("(01)09506000134352(21)ABC123(17)270101(10)LOT-1"), expected);
+    assert.deepEqual(parseSgtin("(01)09506000134352(17)270101(10)LOT-1(21)ABC123"), expected);
+    assert.deepEqual(parseSgtin("]d201095060001343521727010110LOT-1\u001d21ABC123"), expected);
+    assert.deepEqual(parseSgtin("\u001d010950600013435221ABC123\u001d10LOT-1"), expected);
+    assert.deepEqual(parseSgtin("https://id.example.com/01/09506000134352/10/LOT-1/21/ABC123"), expected);
+  });
+
+  it("returns null for malformed codes", () => {
+    assert.equal(parseSgtin("(01)09506000134352(10)LOT-1"), null);
+    assert.equal(parseSgtin("(01)09506000134352(21)ABC(123"), null);
+    assert.equal(parseSgtin("x(01)09506000134352(21)ABC123"), null);
+    assert.equal(parseSgtin("]d20109506000134352172701"), null);
+    assert.equal(parseSgtin("01095060001343\u001d21ABC123"), null);
+    assert.equal(parseSgtin("(01)09506000134353(21)ABC123"), null);
+    assert.equal(parseSgtin("(01)09506000134352(21)"), null);
+    assert.equal(parseSgtin("https://id.example.com/01/09506000134352/21/%E0%A4%A"), null);
+    assert.equal(parseSgtin("not a code"), null);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { keccak256, toUtf8Bytes, concat } = require("ethers");
+const { leafHash, buildTree, getRoot, getProof, verifyProof } = require("../services/merkleTree");
+const { formatSgtin } = require("../utils/gs1");
+
+const sgtins = ["A1", "B2", "C3", "D4", "E5"].map((serial) => formatSgtin("09506000134352", serial));
+const leaves = sgtins.map(leafHash);
+
+describe("merkleTree", () => {
+  it("double-hashes leaves like SupplyChain.verifySerial", () => {
+    assert.equal(leafHash("(01)09506000134352(21)A1"), keccak256(keccak256(toUtf8Bytes("(01)09506000134352(21)A1"))));
+  });
+
+  it("hashes pairs in sorted order and carries an odd node up unchanged", () => {
+    const levels = buildTree(leaves.slice(0, 3));
+    const [a, b, c] = leaves;
+    const ab = keccak256(a < b ? concat([a, b]) : concat([b, a]));
+
+    assert.deepEqual(levels[1], [ab, c]);
+    assert.equal(getRoot(levels), keccak256(ab < c ? concat([ab, c]) : concat([c, ab])));
+  });
+
+  it("builds a proof for every leaf that verifies against the root", () => {
+    const levels = buildTree(leaves);
+    const root = getRoot(levels);
+
+    leaves.forEach((leaf, index) => {
+      assert.equal(verifyProof(leaf, getProof(levels, index), root), true, `leaf ${index}`);
+    });
+    // The fifth leaf has no sibling until the top level
+    assert.equal(getProof(levels, 4).length, 1);
+  });
+
+  it("rejects proofs for other leaves or roots", () => {
+    const levels = buildTree(leaves);
+    const proof = getProof(levels, 1);
+
+    assert.equal(verifyProof(leaves[0], proof, getRoot(levels)), false);
+    assert.equal(verifyProof(leafHash("(01)09506000134352(21)Z9"), proof, getRoot(levels)), false);
+    assert.equal(verifyProof(leaves[1], proof, getRoot(buildTree(leaves.slice(0, 4)))), false);
+  });
+
+  it("treats a single leaf as its own root and refuses an empty tree", () => {
+    const levels = buildTree([leaves[0]]);
+    assert.equal(getRoot(levels), leaves[0]);
+    assert.deepEqual(getProof(levels, 0), []);
+    assert.throws(() => buildTree([]), /without leaves/);
+  });
+});
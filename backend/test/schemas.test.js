@@ -0,0 +1,127 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate } = require("../middleware/validate");
+const { Joi, address, shipmentStatus, trackingId, sgtin } = require("../schemas/common");
+const shipmentSchemas = require("../schemas/shipmentSchemas");
+
+const RECEIVER = "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1";
+
+// Run the middleware against a fake request; resolves with the normalised
+// request or the error response
+const run = (schema, req) => {
+  let response = null;
+  const res = {
+    status(code) {
+      response = { status: code };
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  validate(schema)(req, res, () => {
+    passed = true;
+  });
+  return passed ? { req } : response;
+};
+
+describe("common field schemas", () => {
+  it("checksums addresses and rejects a bad mixed-case checksum", () => {
+    assert.equal(address.validate(RECEIVER.toLowerCase()).value, RECEIVER);
+    assert.equal(address.validate(` ${RECEIVER.toUpperCase().replace("0X", "0x")} `).value, RECEIVER);
+    assert.match(address.validate(RECEIVER.replace("F8bf", "f8bf")).error.message, /checksum/);
+    assert.ok(address.validate("0x1234").error);
+  });
+
+  it("normalises shipment statuses given by name or enum value", () => {
+    assert.equal(shipmentStatus.validate("InTransit").value, "InTransit");
+    assert.equal(shipmentStatus.validate(1).value, "InTransit");
+    assert.equal(shipmentStatus.validate("1").value, "InTransit");
+    assert.ok(shipmentStatus.validate("Teleported").error);
+    assert.ok(shipmentStatus.validate(99).error);
+    assert.ok(shipmentStatus.validate(true).error);
+  });
+
+  it("limits tracking IDs to a safe character set", () => {
+    assert.equal(trackingId.validate(" TRK-001.a_b ").value, "TRK-001.a_b");
+    assert.ok(trackingId.validate("TRK 001").error);
+    assert.ok(trackingId.validate("TRK/001").error);
+    assert.ok(trackingId.validate("x".repeat(65)).error);
+  });
+
+  it("converts SGTINs to their parsed form", () => {
+    assert.deepEqual(sgtin.validate("(01)09506000134352(21)ABC123").value, {
+      gtin: "09506000134352",
+      serial: "ABC123",
+      sgtin: "(01)09506000134352(21)ABC123",
+    });
+    assert.ok(sgtin.validate("(01)09506000134353(21)ABC123").error);
+  });
+});
+
+describe("validate middleware", () => {
+  it("replaces request parts with the validated values and strips unknown keys", () => {
+    const { req } = run(shipmentSchemas.updateShipmentStatus, {
+      body: { trackingId: "TRK-1", status: "2", extra: "dropped" },
+    });
+    assert.deepEqual(req.body, { trackingId: "TRK-1", status: "Delivered" });
+  });
+
+  it("reports every issue with a 400 VALIDATION_ERROR", () => {
+    const response = run(shipmentSchemas.createShipment, {
+      body: { medicineId: 0, receiver: "nope" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "VALIDATION_ERROR");
+    assert.equal(response.body.field, "medicineId");
+    assert.deepEqual(response.body.details.map((issue) => issue.field), ["medicineId", "receiver", "trackingId"]);
+  });
+
+  it("validates params before the body", () => {
+    const schema = {
+      params: Joi.object({ trackingId: trackingId.required() }),
+      body: Joi.object({ note: Joi.string().required() }),
+    };
+    const response = run(schema, { params: { trackingId: "bad id" }, body: {} });
+    assert.equal(response.body.field, "trackingId");
+  });
+});
+
+describe("createConsignment schema", () => {
+  const body = (items) => ({ receiver: RECEIVER, trackingId: "CONS-1", items });
+
+  it("accepts line items and converts their quantities", () => {
+    const { req } = run(shipmentSchemas.createConsignment, {
+      body: body([{ medicineId: "1", quantity: "10", batchNumber: "B-1" }, { medicineId: 2, quantity: 5 }]),
+    });
+    assert.deepEqual(req.body.items, [{ medicineId: 1, quantity: 10, batchNumber: "B-1" }, { medicineId: 2, quantity: 5 }]);
+  });
+
+  it("refuses the zero address as receiver", () => {
+    const response = run(shipmentSchemas.createConsignment, {
+      body: { ...body([{ medicineId: 1, quantity: 1 }]), receiver: "0x0000000000000000000000000000000000000000" },
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "receiver cannot be the zero address");
+  });
+
+  it("rejects a medicine listed twice", () => {
+    const response = run(shipmentSchemas.createConsignment, {
+      body: body([{ medicineId: 1, quantity: 1 }, { medicineId: 1, quantity: 2 }]),
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "Each medicine may only be listed once per consignment");
+  });
+
+  it("requires between 1 and 50 items with positive quantities", () => {
+    assert.equal(run(shipmentSchemas.createConsignment, { body: body([]) }).status, 400);
+    assert.equal(run(shipmentSchemas.createConsignment, { body: body([{ medicineId: 1, quantity: 0 }]) }).status, 400);
+
+    const items = Array.from({ length: 51 }, (_, i) => ({ medicineId: i + 1, quantity: 1 }));
+    assert.equal(run(shipmentSchemas.createConsignment, { body: body(items) }).status, 400);
+    assert.equal(run(shipmentSchemas.createConsignment, { body: body(items.slice(0, 50)) }).req.body.items.length, 50);
+  });
+});
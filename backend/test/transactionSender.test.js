@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.OWNER_ADDRESS = "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1";
+process.env.OWNER_PRIVATE_KEY = "4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d";
+
+const { web3js } = require("../config/web3");
+const { sendTransaction, assertOwnerSigns } = require("../services/transactionSender");
+
+const method = { encodeABI: () => "0x", estimateGas: async () => 100000n };
+
+// Stand-in for web3's PromiEvent: emits the hash once the node accepts the
+// transaction and settles with the receipt afterwards, or rejects without a
+// hash when the node refuses it
+const promiEvent = ({ hash, error, receiptError }) => {
+  let settle;
+  const receipt = new Promise((resolve, reject) => {
+    settle = () => (error || receiptError ? reject(error || receiptError) : resolve({ transactionHash: hash, status: 1n }));
+  });
+  receipt.catch(() => {});
+  receipt.on = (event, listener) => {
+    setImmediate(() => {
+      if (!error) listener(hash);
+      settle();
+    });
+    return receipt;
+  };
+  return receipt;
+};
+
+describe("transactionSender", () => {
+  let chainNonce;
+  let broadcasts;
+  let outcomes;
+
+  beforeEach(async () => {
+    chainNonce = 0;
+    broadcasts = [];
+    // One entry per broadcast; the default is a successful send
+    outcomes = [];
+
+    mock.method(web3js.eth, "getTransactionCount", async () => BigInt(chainNonce));
+    mock.method(web3js.eth, "getBlock", async () => ({ baseFeePerGas: 1000000000n }));
+    mock.method(web3js.eth, "getMaxPriorityFeePerGas", async () => 1000000000n);
+    mock.method(web3js.eth.accounts, "signTransaction", async (tx) => ({ rawTransaction: tx }));
+    mock.method(web3js.eth, "sendSignedTransaction", (tx) => {
+      broadcasts.push(tx);
+      const outcome = outcomes.shift() || {};
+      return promiEvent({ hash: `0xhash${tx.nonce}`, ...outcome });
+    });
+
+    // A refused send drops the nonce cached by earlier tests
+    outcomes = [{ error: new Error("refused") }];
+    await sendTransaction(method, { gas: 1n }).catch(() => {});
+    broadcasts = [];
+    web3js.eth.getTransactionCount.mock.resetCalls();
+    web3js.eth.accounts.signTransaction.mock.resetCalls();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("assigns consecutive local nonces to concurrent sends", async () => {
+    chainNonce = 5;
+    const receipts = await Promise.all([sendTransaction(method), sendTransaction(method), sendTransaction(method)]);
+
+    assert.deepEqual(broadcasts.map((tx) => tx.nonce), [5, 6, 7]);
+    assert.deepEqual(receipts.map((receipt) => receipt.transactionHash), ["0xhash5", "0xhash6", "0xhash7"]);
+    assert.equal(web3js.eth.getTransactionCount.mock.callCount(), 1);
+  });
+
+  it("re-reads the nonce and re-signs after a nonce conflict", async () => {
+    chainNonce = 3;
+    await sendTransaction(method);
+    // Another signer used nonces 4 and 5 meanwhile
+    chainNonce = 6;
+    outcomes = [{ error: new Error("Returned error: nonce too low") }];
+
+    const receipt = await sendTransaction(method);
+
+    assert.deepEqual(broadcasts.map((tx) => tx.nonce), [3, 4, 6]);
+    assert.equal(receipt.transactionHash, "0xhash6");
+    assert.equal(web3js.eth.accounts.signTransaction.mock.callCount(), 3);
+  });
+
+  it("recognises nonce errors wrapped by web3", async () => {
+    const wrapped = Object.assign(new Error("Transaction failed"), { innerError: { message: "already known" } });
+    outcomes = [{ error: wrapped }];
+
+    const receipt = await sendTransaction(method);
+    assert.equal(receipt.transactionHash, "0xhash0");
+    assert.equal(broadcasts.length, 2);
+  });
+
+  it("gives up after the retry limit", async () => {
+    outcomes = Array.from({ length: 4 }, () => ({ error: new Error("nonce too low") }));
+
+    await assert.rejects(sendTransaction(method), /nonce too low/);
+    assert.equal(broadcasts.length, 4);
+  });
+
+  it("does not retry other rejections and re-syncs the nonce afterwards", async () => {
+    chainNonce = 2;
+    outcomes = [{ error: new Error("insufficient funds for gas") }];
+
+    await assert.rejects(sendTransaction(method), /insufficient funds/);
+    assert.equal(broadcasts.length, 1);
+
+    chainNonce = 2;
+    await sendTransaction(method);
+    assert.deepEqual(broadcasts.map((tx) => tx.nonce), [2, 2]);
+    assert.equal(web3js.eth.getTransactionCount.mock.callCount(), 2);
+  });
+
+  it("tags failures after broadcast with the transaction hash", async () => {
+    chainNonce = 8;
+    outcomes = [{ receiptError: new Error("Transaction has been reverted by the EVM") }];
+
+    await assert.rejects(sendTransaction(method), (error) => error.transactionHash === "0xhash8");
+    // The nonce was consumed, so the next send uses the following one without re-reading
+    await sendTransaction(method);
+    assert.deepEqual(broadcasts.map((tx) => tx.nonce), [8, 9]);
+  });
+
+  it("sets EIP-1559 fees from the base fee and a gas limit above the estimate", async () => {
+    await sendTransaction(method);
+    const [tx] = broadcasts;
+
+    assert.equal(tx.gas, 120000n);
+    assert.equal(tx.maxPriorityFeePerGas, 1000000000n);
+    assert.equal(tx.maxFeePerGas, 3000000000n);
+  });
+});
+
+describe("assertOwnerSigns", () => {
+  it("lets the owner and internal jobs through and asks everyone else to sign", () => {
+    assert.doesNotThrow(() => assertOwnerSigns(undefined, "addMedicine"));
+    assert.doesNotThrow(() => assertOwnerSigns({ roles: ["Owner"] }, "addMedicine"));
+    assert.throws(() => assertOwnerSigns({ roles: ["Manufacturer"] }, "addMedicine"), (error) =>
+      error.status === 403 && error.code === "SIGNATURE_REQUIRED" && error.details.method === "addMedicine");
+  });
+});
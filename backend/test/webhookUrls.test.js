@@ -0,0 +1,131 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const dns = require("dns").promises;
+const dnsCallbacks = require("dns");
+const mongoose = require("mongoose");
+const schemas = require("../schemas/webhookSchemas");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { dispatchDeliveries } = require("../services/webhooks");
+const { isPublicAddress, assertPublicUrl, pinnedAgent } = require("../utils/networkAddress");
+
+const validateUrl = (url) => schemas.createWebhook.body.validate({ url }).error?.details[0].type;
+
+// Resolve every hostname to the given addresses
+const resolveTo = (...addresses) =>
+  mock.method(dns, "lookup", async () => addresses.map((address) => ({ address, family: address.includes(":") ? 6 : 4 })));
+
+afterEach(() => mock.restoreAll());
+
+describe("isPublicAddress", () => {
+  it("rejects loopback, private, link-local and unique-local addresses", () => {
+    for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "0.0.0.0",
+      "100.64.0.1", "::1", "::", "fd12:3456::1", "fe80::1", "::ffff:10.0.0.1", "::ffff:127.0.0.1"]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+
+  it("accepts public addresses", () => {
+    for (const address of ["93.184.216.34", "8.8.8.8", "172.32.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+  });
+});
+
+describe("webhook subscription URL", () => {
+  it("rejects literal non-public IPs and localhost", () => {
+    for (const url of ["http://127.0.0.1:8080/hook", "http://169.254.169.254/latest/meta-data", "https://10.0.0.5/hook",
+      "http://[::1]/hook", "http://[fd00::1]/hook", "http://[::ffff:192.168.0.1]/hook", "http://2130706433/hook",
+      "http://localhost:3000/hook", "http://api.localhost/hook"]) {
+      assert.equal(validateUrl(url), "url.nonPublic", url);
+    }
+  });
+
+  it("accepts public IPs and hostnames", () => {
+    for (const url of ["https://example.com/hook", "http://93.184.216.34/hook", "https://[2606:4700::1111]/hook"]) {
+      assert.equal(validateUrl(url), undefined, url);
+    }
+  });
+});
+
+describe("webhook delivery", () => {
+  it("rejects hostnames that resolve to a non-public address", async () => {
+    resolveTo("93.184.216.34", "10.0.0.7");
+    await assert.rejects(assertPublicUrl("https://hooks.example.com/in"), /non-public address 10\.0\.0\.7/);
+
+    resolveTo("::ffff:127.0.0.1");
+    await assert.rejects(assertPublicUrl("https://hooks.example.com/in"), /non-public address/);
+
+    resolveTo("93.184.216.34");
+    await assertPublicUrl("https://hooks.example.com/in");
+  });
+
+  // One pending delivery to the given URL, with MongoDB stubbed out
+  const stubDelivery = (t, url) => {
+    Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+    t.after(() => delete mongoose.connection.readyState);
+
+    const delivery = new WebhookDelivery({
+      subscription: new mongoose.Types.ObjectId(),
+      event: "MedicineAdded",
+      blockNumber: 1,
+      transactionHash: "0x" + "ab".repeat(32),
+      logIndex: 0,
+      payload: {},
+    });
+    const saved = mock.method(delivery, "save", async () => delivery);
+    const query = (result) => ({ sort: () => query(result), limit: () => query(result), maxTimeMS: async () => result, select: async () => result });
+    mock.method(WebhookDelivery, "find", () => query([delivery]));
+    mock.method(WebhookSubscription, "findById", () => query({ url, secret: "whsec_test" }));
+    return { delivery, saved };
+  };
+
+  it("does not send a delivery whose URL now resolves to a private address", async (t) => {
+    resolveTo("192.168.1.20");
+    const fetch = mock.method(global, "fetch", async () => new Response(null, { status: 200 }));
+    const { delivery, saved } = stubDelivery(t, "https://rebound.example.com/in");
+
+    await dispatchDeliveries();
+
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.equal(saved.mock.callCount(), 1);
+    assert.equal(delivery.status, "Pending");
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.attemptLog[0].error, /non-public address 192\.168\.1\.20/);
+  });
+
+  it("sends the request to the checked address without resolving the host again", async (t) => {
+    // The first lookup passes the check; a rebound record would only show up on a second one
+    const lookup = mock.method(dns, "lookup", async () => [{ address: "10.0.0.7", family: 4 }]);
+    lookup.mock.mockImplementationOnce(async () => [{ address: "93.184.216.34", family: 4 }]);
+    const fetch = mock.method(global, "fetch", async () => new Response(null, { status: 204 }));
+    const { delivery } = stubDelivery(t, "https://rebound.example.com/in");
+
+    await dispatchDeliveries();
+
+    assert.equal(lookup.mock.callCount(), 1);
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.ok(fetch.mock.calls[0].arguments[1].dispatcher, "request should use the pinned dispatcher");
+    assert.equal(delivery.status, "Delivered");
+  });
+
+  it("pins connections to the checked addresses", async (t) => {
+    const server = http.createServer((req, res) => res.end(req.headers.host));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    // Resolving the host at connect time would now give an unreachable private address
+    const lookup = mock.method(dnsCallbacks, "lookup", (hostname, options, callback) => callback(null, "10.255.255.1", 4));
+
+    const agent = pinnedAgent([{ address: "127.0.0.1", family: 4 }]);
+    t.after(() => agent.destroy());
+    const response = await fetch(`http://rebound.example.com:${server.address().port}/in`, {
+      dispatcher: agent,
+      signal: AbortSignal.timeout(5000),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), `rebound.example.com:${server.address().port}`);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+});
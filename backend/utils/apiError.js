@@ -0,0 +1,42 @@
+// Every error response uses the same envelope:
+//   { code, message, details, field }
+// `code` is a stable machine-readable string, `field` names the offending
+// request field (validation errors) and `details` carries anything extra.
+
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+const apiError = (status, code, message, { details = null, field = null } = {}) =>
+  Object.assign(new Error(message), { status, code, details, field });
+
+/**
+ * Send an error in the standard envelope.
+ * Errors created with apiError keep their status and code; anything else is an
+ * unexpected failure (RPC, revert, database) and becomes a 500.
+ * @param fallbackMessage message used for unexpected failures
+ */
+const sendError = (res, error, fallbackMessage = "Internal server error") => {
+  if (error.status) {
+    return res.status(error.status).json({
+      code: error.code || DEFAULT_CODES[error.status] || "ERROR",
+      message: error.message,
+      details: error.details ?? null,
+      field: error.field ?? null,
+    });
+  }
+
+  res.status(500).json({
+    code: error.reason ? "TRANSACTION_FAILED" : "INTERNAL_ERROR",
+    message: fallbackMessage,
+    details: error.reason || error.message || null,
+    field: null,
+  });
+};
+
+module.exports = { apiError, sendError };
\ No newline at end of file
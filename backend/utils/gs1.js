@@ -0,0 +1,123 @@
+// GS1 identifiers for serialized units. A unit is identified by its SGTIN:
+// GTIN (AI 01) plus serial number (AI 21). The canonical form used across the
+// API and hashed into the on-chain Merkle roots is the element string
+// "(01)<14-digit GTIN>(21)<serial>".
+
+// AI 21 serials: up to 20 characters from GS1 character set 82, less the
+// parentheses that delimit AIs in element strings
+const SERIAL_PATTERN = /^[A-Za-z0-9!"%&'*+,\-./:;<=>?_]{1,20}$/;
+
+const GROUP_SEPARATOR = "\u001d";
+
+// AIs read from unit labels: fixed length, or variable (up to 20) ending at a GS
+const FIXED_LENGTH_AIS = { "01": 14, "17": 6 };
+const VARIABLE_AIS = ["10", "21"];
+
+const ELEMENT_STRING_AI = /\((\d{2})\)([^()]*)/y;
+const DIGITAL_LINK_PATH = /\/01\/(\d{8,14})((?:\/\d{2}\/[^/]+)*)\/?$/;
+
+const gtinCheckDigit = (digits) => {
+  const sum = digits
+    .split("")
+    .reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Pad a GTIN-8/12/13/14 to 14 digits; returns null if it is malformed or the
+ * check digit is wrong.
+ */
+const normalizeGtin = (gtin) => {
+  const value = String(gtin).trim();
+  if (!/^(\d{8}|\d{12,14})$/.test(value)) return null;
+
+  const padded = value.padStart(14, "0");
+  return gtinCheckDigit(padded.slice(0, 13)) === padded[13] ? padded : null;
+};
+
+const isValidSerial = (serial) => SERIAL_PATTERN.test(serial);
+
+const formatSgtin = (gtin, serial) => `(01)${gtin}(21)${serial}`;
+
+const stripSeparator = (text) => (text.startsWith(GROUP_SEPARATOR) ? text.slice(1) : text);
+
+// "(01)...(21)...(10)..." as [ai, value] pairs; null unless the whole string is AIs
+const parseElementString = (text) => {
+  const pairs = [];
+  ELEMENT_STRING_AI.lastIndex = 0;
+  let consumed = 0;
+  let match;
+  while ((match = ELEMENT_STRING_AI.exec(text))) {
+    pairs.push([match[1], match[2]]);
+    consumed = ELEMENT_STRING_AI.lastIndex;
+  }
+  return consumed === text.length ? pairs : null;
+};
+
+// Scanned barcode data without parentheses, e.g. "]d201<gtin>21<serial><GS>10<lot>";
+// a symbology identifier (]d2, ]Q3, ]C1) and a leading FNC1 are skipped
+const parseRawAis = (text) => {
+  let rest = stripSeparator(text.replace(/^\][A-Za-z]\d/, ""));
+  const pairs = [];
+
+  while (rest.length > 0) {
+    const ai = rest.slice(0, 2);
+    if (FIXED_LENGTH_AIS[ai]) {
+      const value = rest.slice(2, 2 + FIXED_LENGTH_AIS[ai]);
+      if (!/^\d+$/.test(value) || value.length !== FIXED_LENGTH_AIS[ai]) return null;
+      pairs.push([ai, value]);
+      rest = stripSeparator(rest.slice(2 + FIXED_LENGTH_AIS[ai]));
+    } else if (VARIABLE_AIS.includes(ai)) {
+      const end = rest.indexOf(GROUP_SEPARATOR);
+      pairs.push([ai, end === -1 ? rest.slice(2) : rest.slice(2, end)]);
+      rest = end === -1 ? "" : rest.slice(end + 1);
+    } else {
+      // Unsupported AI: its length is unknown, so stop here
+      break;
+    }
+  }
+  return pairs;
+};
+
+// GS1 Digital Link URI: /01/<gtin> followed by key qualifiers such as /10/<lot>/21/<serial>
+const parseDigitalLink = (text) => {
+  const match = new URL(text).pathname.match(DIGITAL_LINK_PATH);
+  if (!match) return null;
+
+  const pairs = [["01", match[1]]];
+  for (const [, ai, value] of match[2].matchAll(/\/(\d{2})\/([^/]+)/g)) {
+    pairs.push([ai, decodeURIComponent(value)]);
+  }
+  return pairs;
+};
+
+const parseAis = (text) => {
+  try {
+    if (text.startsWith("(")) return parseElementString(text);
+    if (/^https?:\/\//i.test(text)) return parseDigitalLink(text);
+    return parseRawAis(text);
+  } catch (error) {
+    // Malformed URL or percent-encoding
+    return null;
+  }
+};
+
+/**
+ * Parse an SGTIN from an element string, raw scanned AI data or a GS1 Digital
+ * Link URI. AIs other than 01 and 21 (lot, expiry) may appear in any order.
+ * Returns { gtin, serial, sgtin } or null.
+ */
+const parseSgtin = (code) => {
+  const pairs = parseAis(String(code).trim());
+  if (!pairs) return null;
+
+  const fields = Object.fromEntries(pairs);
+  const gtin = fields["01"] && normalizeGtin(fields["01"]);
+  const serial = fields["21"];
+  if (!gtin || !serial || !isValidSerial(serial)) return null;
+
+  return { gtin, serial, sgtin: formatSgtin(gtin, serial) };
+};
+
+module.exports = { gtinCheckDigit, normalizeGtin, isValidSerial, formatSgtin, parseSgtin };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Guards outgoing webhook requests against server-side request forgery: a
+// callback URL must not reach loopback, private, link-local, unique-local or
+// other non-public addresses, where it could hit services inside the backend's
+// own network (including cloud metadata endpoints).
+
+const dns = require("dns").promises;
+const net = require("net");
+const { Agent } = require("undici");
+
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  NON_PUBLIC_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96], // unspecified, loopback and IPv4-compatible
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique-local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  NON_PUBLIC_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges
+const isPublicAddress = (ip) => {
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !NON_PUBLIC_RANGES.check(ip, family === 6 ? "ipv6" : "ipv4");
+};
+
+// URL hostname without the brackets around an IPv6 literal
+const hostnameOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+/**
+ * Whether a URL names a non-public host outright: an IP literal in a blocked
+ * range or localhost. Hostnames are only checked once resolved, see assertPublicUrl.
+ */
+const isNonPublicUrl = (url) => {
+  const hostname = hostnameOf(url).toLowerCase();
+  if (net.isIP(hostname)) return !isPublicAddress(hostname);
+  return hostname === "localhost" || hostname.endsWith(".localhost");
+};
+
+/**
+ * Resolve a URL's host and throw if it, or any address it resolves to, is not
+ * public. Run before every request, as DNS records can change after a URL was
+ * accepted.
+ * @returns the checked addresses as [{ address, family }]
+ */
+const assertPublicUrl = async (url) => {
+  const hostname = hostnameOf(url);
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+  }
+  return addresses;
+};
+
+/**
+ * Dispatcher for fetch that connects to addresses checked by assertPublicUrl
+ * instead of resolving the host again, so it cannot be rebound to a private
+ * address between the check and the request.
+ */
+const pinnedAgent = (addresses) =>
+  new Agent({
+    connect: {
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, addresses)
+        : callback(null, addresses[0].address, addresses[0].family)),
+    },
+  });
+
+module.exports = { isPublicAddress, isNonPublicUrl, assertPublicUrl, pinnedAgent };
\ No newline at end of file
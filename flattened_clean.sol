@@ -12,7 +12,13 @@ contract SupplyChain {
 
     // Modifier to allow only the owner to execute certain functions
     modifier onlyOwner() {
-        require(msg.sender == owner, "Not the owner");
+        require(_msgSender() == owner, "Not the owner");
+        _;
+    }
+
+    // Recalled medicines cannot move further down the supply chain
+    modifier notRecalled(uint256 _medicineID) {
+        require(!recalls[_medicineID].active, "Medicine recalled");
         _;
     }
 
@@ -36,7 +42,26 @@ contract SupplyChain {
     enum ShipmentStatus {
         Pending,
         InTransit,
-        Delivered
+        Delivered,
+        Rejected,
+        Cancelled,
+        Returned,
+        Lost
+    }
+
+    // Participant roles, one registry mapping each
+    enum Role {
+        Supplier,
+        Manufacturer,
+        Distributor,
+        Retailer
+    }
+
+    // Recall severity, least to most serious
+    enum RecallSeverity {
+        Low,
+        Medium,
+        High
     }
 
     // Structure to store details of a medicine
@@ -51,6 +76,30 @@ contract SupplyChain {
         Stage stage;
     }
 
+    // Lot details of a medicine; dates are unix timestamps
+    struct Batch {
+        string batchNumber;
+        uint256 manufacturingDate;
+        uint256 expiryDate;
+        uint256 quantity;
+    }
+
+    // Merkle root over the SGTINs of a batch's units
+    struct SerialCommitment {
+        bytes32 root;
+        uint256 count;
+        string gtin;
+    }
+
+    // Recall of a medicine's batch
+    struct Recall {
+        bool active;
+        RecallSeverity severity;
+        string reason;
+        address issuedBy;
+        uint256 timestamp;
+    }
+
     // Structure for supply chain participants
     struct Participant {
         address addr;
@@ -67,6 +116,12 @@ contract SupplyChain {
         ShipmentStatus status;
     }
 
+    // Line item of a consignment; its batch is the medicine's recorded batch
+    struct ConsignmentItem {
+        uint256 medicineId;
+        uint256 quantity;
+    }
+
     // Structure for shipment notes history
     struct ShipmentNote {
         ShipmentStatus status;
@@ -75,6 +130,31 @@ contract SupplyChain {
         address updatedBy;
     }
 
+    // Allowed storage conditions; temperatures in tenths of a degree Celsius
+    struct StorageRange {
+        int16 minTemperature;
+        int16 maxTemperature;
+        uint8 minHumidity;
+        uint8 maxHumidity;
+        bool set;
+    }
+
+    // Hash of a window of shipment sensor readings kept off-chain
+    struct TelemetryAnchor {
+        bytes32 dataHash;
+        uint256 windowStart;
+        uint256 windowEnd;
+        uint256 readingCount;
+        uint256 excursionCount;
+        address anchoredBy;
+    }
+
+    // Upload of a document kept off-chain, identified by its SHA-256 hash
+    struct DocumentAnchor {
+        address uploader;
+        uint256 timestamp;
+    }
+
     // Structure for transaction tracking
     struct Transaction {
         uint256 medicineId;
@@ -85,28 +165,182 @@ contract SupplyChain {
 
     // Mappings to store data
     mapping(uint256 => Medicine) public medicines;
+    mapping(uint256 => Batch) public batches;  // medicineId => lot details
+    mapping(string => uint256) public batchMedicine;  // batchNumber => medicineId
+    mapping(uint256 => SerialCommitment) public serialCommitments;  // medicineId => unit serials
+    mapping(uint256 => Recall) public recalls;  // medicineId => recall
+    mapping(address => bool) public regulators;  // may issue recalls alongside the owner
     mapping(address => Participant) public suppliers;
     mapping(address => Participant) public manufacturers;
     mapping(address => Participant) public distributors;
     mapping(address => Participant) public retailers;
     mapping(string => Shipment) public shipments;
-    mapping(string => ShipmentNote[]) public shipmentNotes;  // trackingId => notes history
+    mapping(string => ShipmentNote[]) private shipmentNotes;  // trackingId => notes history, see getShipmentNotes
+    mapping(string => ConsignmentItem[]) private consignmentItems;  // trackingId => line items, see getConsignmentItems
+    mapping(uint256 => uint256) public shippedQuantity;  // medicineId => units put on consignments
+    mapping(uint256 => StorageRange) public storageRanges;  // medicineId => allowed conditions
+    mapping(string => TelemetryAnchor[]) private telemetryAnchors;  // trackingId => telemetry windows, see getTelemetryAnchors
+    mapping(string => bytes32[]) private checkpointHashes;  // trackingId => location checkpoint hashes, see getCheckpointHashes
+    mapping(bytes32 => mapping(bytes32 => DocumentAnchor)) public documentAnchors;  // subject => SHA-256 => upload
     Transaction[] public transactions;
 
+    // Participant registry: every address ever registered, in registration order
+    address[] public participantList;
+    mapping(address => bool) private isListed;
+    mapping(address => bool) public suspended;  // suspended participants cannot act
+
     // Counters to assign unique IDs
     uint256 public medicineCounter;
 
+    // EIP-712 meta-transactions: participants sign actions off-chain and a relayer submits them
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant META_TRANSACTION_TYPEHASH =
+        keccak256("MetaTransaction(address from,uint256 nonce,uint256 deadline,bytes functionCall)");
+    mapping(address => uint256) public nonces;  // signer => next meta-transaction nonce
+
+    // Legal shipment status changes, one bit per (from, to) pair at bit from * 8 + to.
+    // Delivered, Cancelled, Returned and Lost are final.
+    uint256 private constant SHIPMENT_TRANSITIONS =
+        (1 << 1) | (1 << 4) |                          // Pending -> InTransit, Cancelled
+        (1 << 9) | (1 << 10) | (1 << 11) | (1 << 14) | // InTransit -> InTransit, Delivered, Rejected, Lost
+        (1 << 29);                                     // Rejected -> Returned
+
     // Events
     event MedicineAdded(uint256 indexed medicineId, string name);
-    event ParticipantAdded(address indexed participant, string role);
+    event BatchRecorded(uint256 indexed medicineId, string batchNumber, uint256 manufacturingDate, uint256 expiryDate, uint256 quantity);
+    event SerialsCommitted(uint256 indexed medicineId, string gtin, bytes32 root, uint256 count);
+    event RecallIssued(uint256 indexed medicineId, RecallSeverity severity, string reason, address indexed issuedBy);
+    event RegulatorUpdated(address indexed regulator, bool active);
+    event ParticipantAdded(address indexed participant, string role, string name, string location);
+    event ParticipantUpdated(address indexed participant, string role, string name, string location);
+    event ParticipantStatusChanged(address indexed participant, bool active);
     event MedicineStageUpdated(uint256 indexed medicineId, Stage newStage);
     event ShipmentCreated(uint256 indexed medicineId, string trackingId);
     event ShipmentUpdated(string trackingId, ShipmentStatus status);
     event ShipmentUpdatedWithNote(string trackingId, ShipmentStatus status, string note, address updatedBy);
+    event StorageRangeSet(uint256 indexed medicineId, int16 minTemperature, int16 maxTemperature, uint8 minHumidity, uint8 maxHumidity);
+    event TelemetryAnchored(string trackingId, uint256 index, bytes32 dataHash, uint256 readingCount, uint256 excursionCount);
+    event CheckpointAnchored(string trackingId, uint256 index, bytes32 checkpointHash, address recordedBy);
+    event DocumentAnchored(bytes32 indexed subject, bytes32 indexed contentHash, address indexed uploader);
     event TransactionRecorded(uint256 indexed medicineId, string action, address participant);
+    event MetaTransactionExecuted(address indexed from, address indexed relayer, uint256 nonce);
+
+    // EIP-712 domain separator for signing meta-transactions
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes("SupplyChain")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // Execute a call signed by _from; the called function sees _from as the sender
+    function executeMetaTransaction(
+        address _from,
+        bytes memory _functionCall,
+        uint256 _deadline,
+        bytes memory _signature
+    ) public returns (bytes memory) {
+        require(block.timestamp <= _deadline, "Meta-transaction expired");
+
+        uint256 nonce = nonces[_from];
+        bytes32 structHash = keccak256(abi.encode(
+            META_TRANSACTION_TYPEHASH,
+            _from,
+            nonce,
+            _deadline,
+            keccak256(_functionCall)
+        ));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(recoverSigner(digest, _signature) == _from, "Invalid signature");
+
+        nonces[_from] = nonce + 1;
+
+        // Append the signer so _msgSender() can recover it inside the call
+        (bool success, bytes memory result) = address(this).call(abi.encodePacked(_functionCall, _from));
+        if (!success) {
+            // Bubble up the revert reason of the inner call
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit MetaTransactionExecuted(_from, msg.sender, nonce);
+        return result;
+    }
+
+    // Sender of the current call: the meta-transaction signer when called through
+    // executeMetaTransaction, msg.sender otherwise
+    function _msgSender() internal view returns (address sender) {
+        if (msg.sender == address(this) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    function recoverSigner(bytes32 _digest, bytes memory _signature) internal pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        if (v < 27) v += 27;
+
+        // Reject malleable signatures (upper-range s values)
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
 
     // Add new medicine (only owner)
     function addMedicine(string memory _name, string memory _description) public onlyOwner {
+        _createMedicine(_name, _description);
+    }
+
+    // Add new medicine together with its lot details (only owner)
+    function addMedicineWithBatch(
+        string memory _name,
+        string memory _description,
+        string memory _batchNumber,
+        uint256 _manufacturingDate,
+        uint256 _expiryDate,
+        uint256 _quantity
+    ) public onlyOwner {
+        uint256 id = _createMedicine(_name, _description);
+        _recordBatch(id, _batchNumber, _manufacturingDate, _expiryDate, _quantity);
+    }
+
+    // Record lot details once, by the owner or the medicine's manufacturer
+    function recordBatch(
+        uint256 _medicineID,
+        string memory _batchNumber,
+        uint256 _manufacturingDate,
+        uint256 _expiryDate,
+        uint256 _quantity
+    ) public {
+        address sender = _activeSender();
+        require(_medicineID > 0 && _medicineID <= medicineCounter, "Invalid medicine ID");
+        require(sender == owner || sender == medicines[_medicineID].manufacturer, "Not the owner or manufacturer");
+        _recordBatch(_medicineID, _batchNumber, _manufacturingDate, _expiryDate, _quantity);
+    }
+
+    function _createMedicine(string memory _name, string memory _description) internal returns (uint256) {
         medicineCounter++;
         medicines[medicineCounter] = Medicine(
             medicineCounter,
@@ -120,81 +354,201 @@ contract SupplyChain {
         );
 
         emit MedicineAdded(medicineCounter, _name);
+        return medicineCounter;
+    }
+
+    function _recordBatch(
+        uint256 _medicineID,
+        string memory _batchNumber,
+        uint256 _manufacturingDate,
+        uint256 _expiryDate,
+        uint256 _quantity
+    ) internal {
+        require(bytes(_batchNumber).length > 0, "Batch number required");
+        require(bytes(batches[_medicineID].batchNumber).length == 0, "Batch already recorded");
+        require(batchMedicine[_batchNumber] == 0, "Batch number in use");
+        require(_expiryDate > _manufacturingDate, "Expiry must follow manufacture");
+        require(_quantity > 0, "Quantity must be positive");
+
+        batches[_medicineID] = Batch(_batchNumber, _manufacturingDate, _expiryDate, _quantity);
+        batchMedicine[_batchNumber] = _medicineID;
+        emit BatchRecorded(_medicineID, _batchNumber, _manufacturingDate, _expiryDate, _quantity);
+    }
+
+    // Commit the unit serials of a manufactured batch as a Merkle root, once,
+    // by the owner or the medicine's manufacturer
+    function commitSerials(uint256 _medicineID, string memory _gtin, bytes32 _root, uint256 _count) public {
+        address sender = _activeSender();
+        require(sender == owner || sender == medicines[_medicineID].manufacturer, "Not the owner or manufacturer");
+        require(medicines[_medicineID].stage >= Stage.Manufactured, "Not manufactured");
+        require(bytes(batches[_medicineID].batchNumber).length > 0, "Batch not recorded");
+        require(serialCommitments[_medicineID].root == bytes32(0), "Serials already committed");
+        require(_root != bytes32(0), "Invalid root");
+        require(_count > 0 && _count <= batches[_medicineID].quantity, "Invalid serial count");
+
+        serialCommitments[_medicineID] = SerialCommitment(_root, _count, _gtin);
+        emit SerialsCommitted(_medicineID, _gtin, _root, _count);
+    }
+
+    // Check a unit's SGTIN ("(01)<gtin>(21)<serial>") against its batch's root.
+    // Leaves are double-hashed and pairs are hashed in sorted order.
+    function verifySerial(uint256 _medicineID, string memory _sgtin, bytes32[] memory _proof) public view returns (bool) {
+        bytes32 root = serialCommitments[_medicineID].root;
+        if (root == bytes32(0)) return false;
+
+        bytes32 hash = keccak256(bytes.concat(keccak256(bytes(_sgtin))));
+        for (uint256 i = 0; i < _proof.length; i++) {
+            hash = hash < _proof[i]
+                ? keccak256(abi.encodePacked(hash, _proof[i]))
+                : keccak256(abi.encodePacked(_proof[i], hash));
+        }
+        return hash == root;
+    }
+
+    // Grant or revoke the regulator role (only owner)
+    function setRegulator(address _addr, bool _active) public onlyOwner {
+        require(_addr != address(0), "Invalid address");
+        regulators[_addr] = _active;
+        emit RegulatorUpdated(_addr, _active);
+    }
+
+    // Recall a medicine's batch (owner or regulator)
+    function issueRecall(uint256 _medicineID, RecallSeverity _severity, string memory _reason) public {
+        address sender = _msgSender();
+        require(sender == owner || regulators[sender], "Not the owner or a regulator");
+        require(_medicineID > 0 && _medicineID <= medicineCounter, "Invalid medicine ID");
+        require(!recalls[_medicineID].active, "Already recalled");
+        require(bytes(_reason).length > 0, "Reason required");
+
+        recalls[_medicineID] = Recall(true, _severity, _reason, sender, block.timestamp);
+        emit RecallIssued(_medicineID, _severity, _reason, sender);
+        recordTransaction(_medicineID, "Recalled", sender);
+    }
+
+    // Registry mapping and event label for a role
+    function _registry(Role _role) internal view returns (mapping(address => Participant) storage, string memory) {
+        if (_role == Role.Supplier) return (suppliers, "Supplier");
+        if (_role == Role.Manufacturer) return (manufacturers, "Manufacturer");
+        if (_role == Role.Distributor) return (distributors, "Distributor");
+        return (retailers, "Retailer");
+    }
+
+    function _register(Role _role, address _addr, string memory _name, string memory _location) internal {
+        require(_addr != address(0), "Invalid address");
+        (mapping(address => Participant) storage registry, string memory label) = _registry(_role);
+        require(registry[_addr].addr == address(0), "Already registered");
+
+        registry[_addr] = Participant(_addr, _name, _location);
+        if (!isListed[_addr]) {
+            isListed[_addr] = true;
+            participantList.push(_addr);
+        }
+        emit ParticipantAdded(_addr, label, _name, _location);
     }
 
     // Register supply chain participants (only owner)
     function addSupplier(address _addr, string memory _name, string memory _location) public onlyOwner {
-        suppliers[_addr] = Participant(_addr, _name, _location);
-        emit ParticipantAdded(_addr, "Supplier");
+        _register(Role.Supplier, _addr, _name, _location);
     }
 
     function addManufacturer(address _addr, string memory _name, string memory _location) public onlyOwner {
-        manufacturers[_addr] = Participant(_addr, _name, _location);
-        emit ParticipantAdded(_addr, "Manufacturer");
+        _register(Role.Manufacturer, _addr, _name, _location);
     }
 
     function addDistributor(address _addr, string memory _name, string memory _location) public onlyOwner {
-        distributors[_addr] = Participant(_addr, _name, _location);
-        emit ParticipantAdded(_addr, "Distributor");
+        _register(Role.Distributor, _addr, _name, _location);
     }
 
     function addRetailer(address _addr, string memory _name, string memory _location) public onlyOwner {
-        retailers[_addr] = Participant(_addr, _name, _location);
-        emit ParticipantAdded(_addr, "Retailer");
+        _register(Role.Retailer, _addr, _name, _location);
+    }
+
+    // Change a registered participant's name and location (only owner)
+    function updateParticipant(address _addr, Role _role, string memory _name, string memory _location) public onlyOwner {
+        (mapping(address => Participant) storage registry, string memory label) = _registry(_role);
+        require(registry[_addr].addr != address(0), "Not registered");
+
+        registry[_addr].name = _name;
+        registry[_addr].location = _location;
+        emit ParticipantUpdated(_addr, label, _name, _location);
+    }
+
+    // Suspend (false) or reinstate (true) a participant in all of its roles (only owner)
+    function setParticipantActive(address _addr, bool _active) public onlyOwner {
+        require(isListed[_addr], "Not registered");
+        require(suspended[_addr] == _active, "Status unchanged");
+
+        suspended[_addr] = !_active;
+        emit ParticipantStatusChanged(_addr, _active);
+    }
+
+    function getParticipants() public view returns (address[] memory) {
+        return participantList;
+    }
+
+    // _msgSender(), rejecting suspended participants
+    function _activeSender() internal view returns (address sender) {
+        sender = _msgSender();
+        require(!suspended[sender], "Participant suspended");
     }
 
     // Supply raw materials (Only Supplier)
     function supplyRawMaterials(uint256 _medicineID) public {
-        require(suppliers[msg.sender].addr != address(0), "Not a registered supplier");
+        address sender = _activeSender();
+        require(suppliers[sender].addr != address(0), "Not a registered supplier");
         require(medicines[_medicineID].stage == Stage.Ordered, "Invalid stage");
-        medicines[_medicineID].supplier = msg.sender;
+        medicines[_medicineID].supplier = sender;
         medicines[_medicineID].stage = Stage.RawMaterialSupplied;
 
         emit MedicineStageUpdated(_medicineID, Stage.RawMaterialSupplied);
-        recordTransaction(_medicineID, "Raw Material Supplied", msg.sender);
+        recordTransaction(_medicineID, "Raw Material Supplied", sender);
     }
 
     // Manufacture medicine (Only Manufacturer)
     function manufactureMedicine(uint256 _medicineID) public {
-        require(manufacturers[msg.sender].addr != address(0), "Not a registered manufacturer");
+        address sender = _activeSender();
+        require(manufacturers[sender].addr != address(0), "Not a registered manufacturer");
         require(medicines[_medicineID].stage == Stage.RawMaterialSupplied, "Invalid stage");
-        medicines[_medicineID].manufacturer = msg.sender;
+        medicines[_medicineID].manufacturer = sender;
         medicines[_medicineID].stage = Stage.Manufactured;
 
         emit MedicineStageUpdated(_medicineID, Stage.Manufactured);
-        recordTransaction(_medicineID, "Manufactured", msg.sender);
+        recordTransaction(_medicineID, "Manufactured", sender);
     }
 
     // Distribute medicine (Only Distributor)
-    function distributeMedicine(uint256 _medicineID) public {
-        require(distributors[msg.sender].addr != address(0), "Not a registered distributor");
+    function distributeMedicine(uint256 _medicineID) public notRecalled(_medicineID) {
+        address sender = _activeSender();
+        require(distributors[sender].addr != address(0), "Not a registered distributor");
         require(medicines[_medicineID].stage == Stage.Manufactured, "Invalid stage");
-        medicines[_medicineID].distributor = msg.sender;
+        medicines[_medicineID].distributor = sender;
         medicines[_medicineID].stage = Stage.Distributed;
 
         emit MedicineStageUpdated(_medicineID, Stage.Distributed);
-        recordTransaction(_medicineID, "Distributed", msg.sender);
+        recordTransaction(_medicineID, "Distributed", sender);
     }
 
     // Retail medicine (Only Retailer)
-    function retailMedicine(uint256 _medicineID) public {
-        require(retailers[msg.sender].addr != address(0), "Not a registered retailer");
+    function retailMedicine(uint256 _medicineID) public notRecalled(_medicineID) {
+        address sender = _activeSender();
+        require(retailers[sender].addr != address(0), "Not a registered retailer");
         require(medicines[_medicineID].stage == Stage.Distributed, "Invalid stage");
-        medicines[_medicineID].retailer = msg.sender;
+        medicines[_medicineID].retailer = sender;
         medicines[_medicineID].stage = Stage.Retail;
 
         emit MedicineStageUpdated(_medicineID, Stage.Retail);
-        recordTransaction(_medicineID, "Available for Sale", msg.sender);
+        recordTransaction(_medicineID, "Available for Sale", sender);
     }
 
     // Mark medicine as sold (Only assigned retailer)
-    function sellMedicine(uint256 _medicineID) public {
-        require(medicines[_medicineID].retailer == msg.sender, "Not the assigned retailer");
+    function sellMedicine(uint256 _medicineID) public notRecalled(_medicineID) {
+        address sender = _activeSender();
+        require(medicines[_medicineID].retailer == sender, "Not the assigned retailer");
         require(medicines[_medicineID].stage == Stage.Retail, "Invalid stage");
         medicines[_medicineID].stage = Stage.Sold;
 
         emit MedicineStageUpdated(_medicineID, Stage.Sold);
-        recordTransaction(_medicineID, "Sold", msg.sender);
+        recordTransaction(_medicineID, "Sold", sender);
     }
 
     // Get current stage of medicine
@@ -211,18 +565,66 @@ contract SupplyChain {
         return "Unknown";
     }
 
-    // Create a shipment
-    function createShipment(uint256 _medicineID, address _receiver, string memory _trackingId) public {
-        require(medicines[_medicineID].distributor == msg.sender, "Only distributor can create shipment");
-        shipments[_trackingId] = Shipment(_medicineID, msg.sender, _receiver, _trackingId, ShipmentStatus.Pending);
+    // Create a shipment. The medicine's distributor is the sender; the owner may
+    // create it on their behalf, as for consignments.
+    function createShipment(uint256 _medicineID, address _receiver, string memory _trackingId) public notRecalled(_medicineID) {
+        address sender = _activeSender();
+        address distributor = medicines[_medicineID].distributor;
+        require(distributor != address(0) && (sender == distributor || sender == owner), "Only distributor can create shipment");
+        require(!suspended[distributor], "Participant suspended");
+        _openShipment(_trackingId, _medicineID, distributor, _receiver);
 
         emit ShipmentCreated(_medicineID, _trackingId);
     }
 
+    // Record a new shipment; tracking IDs are never reused
+    function _openShipment(string memory _trackingId, uint256 _medicineID, address _sender, address _receiver) internal {
+        require(_receiver != address(0), "Invalid receiver");
+        require(shipments[_trackingId].sender == address(0), "Tracking ID in use");
+        shipments[_trackingId] = Shipment(_medicineID, _sender, _receiver, _trackingId, ShipmentStatus.Pending);
+    }
+
+    // Create a shipment carrying several medicines, each listed once in ascending ID order.
+    // Every line must be a distributed medicine of the same distributor, who becomes the
+    // sender (the owner may create it on their behalf), within what is left of its batch
+    // after earlier consignments.
+    // Status changes then apply to the consignment as a whole.
+    function createConsignment(
+        string memory _trackingId,
+        address _receiver,
+        uint256[] memory _medicineIDs,
+        uint256[] memory _quantities
+    ) public {
+        address sender = _activeSender();
+        require(_medicineIDs.length > 0 && _medicineIDs.length == _quantities.length, "Invalid line items");
+        address distributor = medicines[_medicineIDs[0]].distributor;
+        require(sender == distributor || sender == owner, "Only distributor can create shipment");
+        require(!suspended[distributor], "Participant suspended");
+
+        for (uint256 i = 0; i < _medicineIDs.length; i++) {
+            uint256 id = _medicineIDs[i];
+            require(i == 0 || id > _medicineIDs[i - 1], "Invalid line items");
+            require(!recalls[id].active, "Medicine recalled");
+            require(medicines[id].distributor == distributor, "Only distributor can create shipment");
+            require(medicines[id].stage == Stage.Distributed, "Invalid stage");
+            uint256 shipped = shippedQuantity[id] + _quantities[i];
+            require(_quantities[i] > 0 && shipped <= batches[id].quantity, "Invalid quantity");
+            shippedQuantity[id] = shipped;
+
+            consignmentItems[_trackingId].push(ConsignmentItem(id, _quantities[i]));
+            emit ShipmentCreated(id, _trackingId);
+        }
+        _openShipment(_trackingId, _medicineIDs[0], distributor, _receiver);
+    }
+
+    // Get the line items of a consignment; empty for a single-medicine shipment
+    function getConsignmentItems(string memory _trackingId) public view returns (ConsignmentItem[] memory) {
+        return consignmentItems[_trackingId];
+    }
+
     // Update shipment status
     function updateShipmentStatus(string memory _trackingId, ShipmentStatus _status) public {
-        require(shipments[_trackingId].sender != address(0), "Shipment not found");
-        shipments[_trackingId].status = _status;
+        _updateShipmentStatus(_trackingId, _status, "");
 
         emit ShipmentUpdated(_trackingId, _status);
     }
@@ -233,20 +635,43 @@ contract SupplyChain {
         ShipmentStatus _status,
         string memory _note
     ) public {
-        require(shipments[_trackingId].sender != address(0), "Shipment not found");
-        
-        // Update the shipment status
-        shipments[_trackingId].status = _status;
-        
+        address sender = _updateShipmentStatus(_trackingId, _status, _note);
+
         // Add note to history
         shipmentNotes[_trackingId].push(ShipmentNote({
             status: _status,
             note: _note,
             timestamp: block.timestamp,
-            updatedBy: msg.sender
+            updatedBy: sender
         }));
 
-        emit ShipmentUpdatedWithNote(_trackingId, _status, _note, msg.sender);
+        emit ShipmentUpdatedWithNote(_trackingId, _status, _note, sender);
+    }
+
+    // Custody handoff: the sender dispatches a shipment and only its receiver accepts or
+    // rejects it (with a reason). The owner may act for the sender, never for the receiver.
+    // Only the transitions in SHIPMENT_TRANSITIONS are allowed.
+    function _updateShipmentStatus(
+        string memory _trackingId,
+        ShipmentStatus _status,
+        string memory _note
+    ) internal returns (address sender) {
+        sender = _activeSender();
+        Shipment storage shipment = shipments[_trackingId];
+        require(shipment.sender != address(0), "Shipment not found");
+        require(
+            (SHIPMENT_TRANSITIONS >> (uint256(shipment.status) * 8 + uint256(_status))) & 1 == 1,
+            "Invalid status transition"
+        );
+
+        if (_status == ShipmentStatus.Delivered || _status == ShipmentStatus.Rejected) {
+            require(sender == shipment.receiver, "Only the receiver can accept or reject");
+        } else {
+            require(sender == shipment.sender || sender == owner, "Only the sender can dispatch");
+        }
+        require(_status != ShipmentStatus.Rejected || bytes(_note).length > 0, "Rejection reason required");
+
+        shipment.status = _status;
     }
 
     // Get all notes for a shipment
@@ -255,6 +680,83 @@ contract SupplyChain {
         return shipmentNotes[_trackingId];
     }
 
+    // Set the temperature (tenths of a degree) and humidity (%) a medicine must be kept within
+    function setStorageRange(
+        uint256 _medicineID,
+        int16 _minTemperature,
+        int16 _maxTemperature,
+        uint8 _minHumidity,
+        uint8 _maxHumidity
+    ) public {
+        address sender = _activeSender();
+        require(_medicineID > 0 && _medicineID <= medicineCounter, "Invalid medicine ID");
+        require(sender == owner || sender == medicines[_medicineID].manufacturer, "Not the owner or manufacturer");
+        require(_minTemperature < _maxTemperature, "Invalid temperature range");
+        require(_minHumidity <= _maxHumidity && _maxHumidity <= 100, "Invalid humidity range");
+
+        storageRanges[_medicineID] = StorageRange(_minTemperature, _maxTemperature, _minHumidity, _maxHumidity, true);
+        emit StorageRangeSet(_medicineID, _minTemperature, _maxTemperature, _minHumidity, _maxHumidity);
+    }
+
+    // Anchor the hash of a window of sensor readings taken during a shipment
+    function anchorTelemetry(
+        string memory _trackingId,
+        bytes32 _dataHash,
+        uint256 _windowStart,
+        uint256 _windowEnd,
+        uint256 _readingCount,
+        uint256 _excursionCount
+    ) public {
+        address sender = _shipmentParty(_trackingId);
+        require(_dataHash != bytes32(0), "Invalid data hash");
+        require(_windowStart <= _windowEnd, "Invalid window");
+        require(_readingCount > 0 && _excursionCount <= _readingCount, "Invalid reading count");
+
+        telemetryAnchors[_trackingId].push(
+            TelemetryAnchor(_dataHash, _windowStart, _windowEnd, _readingCount, _excursionCount, sender)
+        );
+        emit TelemetryAnchored(_trackingId, telemetryAnchors[_trackingId].length - 1, _dataHash, _readingCount, _excursionCount);
+    }
+
+    // Get all telemetry anchors for a shipment
+    function getTelemetryAnchors(string memory _trackingId) public view returns (TelemetryAnchor[] memory) {
+        return telemetryAnchors[_trackingId];
+    }
+
+    // Anchor the hash of a location checkpoint (position, facility, time) kept off-chain
+    function anchorCheckpoint(string memory _trackingId, bytes32 _checkpointHash) public {
+        address sender = _shipmentParty(_trackingId);
+        require(_checkpointHash != bytes32(0), "Invalid checkpoint hash");
+
+        checkpointHashes[_trackingId].push(_checkpointHash);
+        emit CheckpointAnchored(_trackingId, checkpointHashes[_trackingId].length - 1, _checkpointHash, sender);
+    }
+
+    // Get all checkpoint hashes for a shipment
+    function getCheckpointHashes(string memory _trackingId) public view returns (bytes32[] memory) {
+        return checkpointHashes[_trackingId];
+    }
+
+    // Sender of the current call, which must be the owner or a party to the shipment
+    function _shipmentParty(string memory _trackingId) internal view returns (address sender) {
+        Shipment storage shipment = shipments[_trackingId];
+        require(shipment.sender != address(0), "Shipment not found");
+        sender = _activeSender();
+        require(sender == owner || sender == shipment.sender || sender == shipment.receiver, "Not a party to the shipment");
+    }
+
+    // Record a document's SHA-256 hash against the medicine, shipment or participant
+    // it is attached to. The owner may record uploads on behalf of a participant.
+    function anchorDocument(bytes32 _subject, bytes32 _contentHash, address _uploader) public {
+        address sender = _activeSender();
+        require(sender == owner || (sender == _uploader && isListed[sender]), "Not allowed to anchor documents");
+        require(_contentHash != bytes32(0), "Invalid content hash");
+        require(documentAnchors[_subject][_contentHash].uploader == address(0), "Document already anchored");
+
+        documentAnchors[_subject][_contentHash] = DocumentAnchor(_uploader, block.timestamp);
+        emit DocumentAnchored(_subject, _contentHash, _uploader);
+    }
+
     // Get transaction history
     function getTransactions() public view returns (Transaction[] memory) {
         return transactions;
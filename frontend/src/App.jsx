@@ -7,24 +7,38 @@ import Medicine from "./pages/MedicineDetails";
 import Participants from "./pages/Participants";
 import Transactions from "./pages/Transactions";
 import Shipments from "./pages/Shipments";
+import Verify from "./pages/Verify";
+import Scan from "./pages/Scan";
+import Recalls from "./pages/Recalls";
 import BackendStatusModal from './components/BackendStatusModal';
+import RecallBanner from './components/RecallBanner';
+import { Web3Provider } from './context/Web3Provider';
 import image from './assets/home.jpg';
 
 function App() {
   return (
-    <Router>
-      <BackendStatusModal />
-      <Navbar />
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/add-medicine" element={<AddMedicine />} />
-            <Route path="/medicines" element={<MedicineList />} />
-            <Route path="/medicine-details" element={<Medicine />} />
-            <Route path="/participants" element={<Participants />} />
-            <Route path="/transactions" element={<Transactions />} />
-            <Route path="/shipments" element={<Shipments />} />
-          </Routes>
-    </Router>
+    <Web3Provider>
+      <Router>
+        <BackendStatusModal />
+        <Navbar />
+        <RecallBanner />
+            <Routes>
+              <Route path="/" element={<Home />} />
+              <Route path="/add-medicine" element={<AddMedicine />} />
+              <Route path="/medicines" element={<MedicineList />} />
+              <Route path="/medicine-details" element={<Medicine />} />
+              <Route path="/medicine-details/:id" element={<Medicine />} />
+              <Route path="/participants" element={<Participants />} />
+              <Route path="/transactions" element={<Transactions />} />
+              <Route path="/shipments" element={<Shipments />} />
+              <Route path="/shipments/:trackingId" element={<Shipments />} />
+              <Route path="/recalls" element={<Recalls />} />
+              <Route path="/scan" element={<Scan />} />
+              <Route path="/verify" element={<Verify />} />
+              <Route path="/verify/:code" element={<Verify />} />
+            </Routes>
+      </Router>
+    </Web3Provider>
   );
 }
 
@@ -1,6 +1,6 @@
 import { Link } from "react-router-dom";
 import { useState, useEffect } from "react";
-import { Menu, X, Clipboard, List, FileSearch, Users, BarChart2, Truck } from "lucide-react";
+import { Menu, X, Clipboard, List, FileSearch, Users, BarChart2, Truck, ShieldCheck, ScanLine, Siren } from "lucide-react";
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -38,6 +38,9 @@ const Navbar = () => {
           <NavLink to="/participants" icon={<Users className="w-4 h-4 mr-2" />} text="Participants" />
           <NavLink to="/transactions" icon={<BarChart2 className="w-4 h-4 mr-2" />} text="Transactions" />
           <NavLink to="/shipments" icon={<Truck className="w-4 h-4 mr-2" />} text="Shipments" />
+          <NavLink to="/recalls" icon={<Siren className="w-4 h-4 mr-2" />} text="Recalls" />
+          <NavLink to="/scan" icon={<ScanLine className="w-4 h-4 mr-2" />} text="Scan" />
+          <NavLink to="/verify" icon={<ShieldCheck className="w-4 h-4 mr-2" />} text="Verify" />
         </div>
 
         {isOpen && (
@@ -48,6 +51,9 @@ const Navbar = () => {
             <MobileNavLink to="/participants" icon={<Users className="w-5 h-5" />} text="Participants" />
             <MobileNavLink to="/transactions" icon={<BarChart2 className="w-5 h-5" />} text="Transactions" />
             <MobileNavLink to="/shipments" icon={<Truck className="w-5 h-5" />} text="Shipments" />
+            <MobileNavLink to="/recalls" icon={<Siren className="w-5 h-5" />} text="Recalls" />
+            <MobileNavLink to="/scan" icon={<ScanLine className="w-5 h-5" />} text="Scan" />
+            <MobileNavLink to="/verify" icon={<ShieldCheck className="w-5 h-5" />} text="Verify" />
           </div>
         )}
       </div>
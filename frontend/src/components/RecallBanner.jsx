@@ -0,0 +1,48 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { getRecalls } from "../services/api";
+import { Siren } from "lucide-react";
+
+// Shown above every page while any medicine is under an active recall
+const RecallBanner = () => {
+  const [recalls, setRecalls] = useState([]);
+
+  useEffect(() => {
+    const fetchRecalls = async () => {
+      try {
+        const response = await getRecalls();
+        setRecalls(response.data.recalls);
+      } catch (error) {
+        console.error("Error fetching recalls:", error);
+      }
+    };
+    fetchRecalls();
+    const interval = setInterval(fetchRecalls, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (recalls.length === 0) return null;
+
+  const [latest] = recalls;
+
+  return (
+    <div className="bg-red-700 text-white">
+      <div className="container mx-auto px-6 py-2 flex flex-wrap items-center gap-2 text-sm">
+        <Siren className="h-4 w-4 flex-shrink-0" />
+        <span className="font-semibold">
+          {recalls.length === 1 ? "Active recall:" : `${recalls.length} active recalls - latest:`}
+        </span>
+        <span>
+          {latest.medicine.name}
+          {latest.medicine.batchNumber && ` (batch ${latest.medicine.batchNumber})`}
+          {` - ${latest.severity} severity: ${latest.reason}`}
+        </span>
+        <Link to="/recalls" className="ml-auto underline hover:text-red-100">
+          View recalls
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default RecallBanner;
\ No newline at end of file
@@ -1,12 +1,24 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useContext, useCallback } from "react";
 import {
-    Clock, CheckCircle, Truck, Package, AlertCircle,
-    Loader, FileText, ExternalLink, User, Hash
+    Clock, CheckCircle, Truck, Package, AlertCircle, XCircle, Ban, Undo2, HelpCircle,
+    Loader, FileText, ExternalLink, User, Hash, Thermometer, ShieldCheck, ShieldAlert, MapPin, Crosshair, Boxes
 } from "lucide-react";
-import { updateShipmentStatusWithNote, getShipmentNotes } from "../services/api";
+import { Web3Context } from "../context/Web3Provider";
+import {
+    updateShipmentStatusWithNote, getShipmentNotes, getTelemetry, getCheckpoints, recordCheckpoint,
+    acceptShipment, rejectShipment
+} from "../services/api";
+import { CHART_WIDTH, CHART_HEIGHT, TELEMETRY_SERIES, buildChart } from "../services/telemetryChart";
+import { MAP_WIDTH, MAP_HEIGHT, buildRouteMap } from "../services/routeMap";
 
 const ShipmentTimeline = ({ trackingId, onStatusUpdate }) => {
+    const { account, user, sendMetaTransaction } = useContext(Web3Context);
     const [notes, setNotes] = useState([]);
+    const [shipment, setShipment] = useState(null);
+    const [receiptNote, setReceiptNote] = useState("");
+    const [telemetry, setTelemetry] = useState(null);
+    const [route, setRoute] = useState(null);
+    const [checkpointForm, setCheckpointForm] = useState({ facility: "", latitude: "", longitude: "" });
     const [loading, setLoading] = useState(false);
     const [submitting, setSubmitting] = useState(false);
     const [notification, setNotification] = useState({ show: false, type: "", message: "", txHash: "" });
@@ -18,41 +30,86 @@ const ShipmentTimeline = ({ trackingId, onStatusUpdate }) => {
 
     // Status configuration
     const statusConfig = {
-        0: { name: "Pending", icon: Clock, color: "yellow", bgColor: "bg-yellow-500" },
-        1: { name: "In Transit", icon: Truck, color: "blue", bgColor: "bg-blue-500" },
-        2: { name: "Delivered", icon: CheckCircle, color: "green", bgColor: "bg-green-500" }
+        0: { key: "Pending", name: "Pending", icon: Clock, color: "yellow", bgColor: "bg-yellow-500" },
+        1: { key: "InTransit", name: "In Transit", icon: Truck, color: "blue", bgColor: "bg-blue-500" },
+        2: { key: "Delivered", name: "Delivered", icon: CheckCircle, color: "green", bgColor: "bg-green-500" },
+        3: { key: "Rejected", name: "Rejected", icon: XCircle, color: "red", bgColor: "bg-red-500" },
+        4: { key: "Cancelled", name: "Cancelled", icon: Ban, color: "gray", bgColor: "bg-gray-500" },
+        5: { key: "Returned", name: "Returned", icon: Undo2, color: "orange", bgColor: "bg-orange-500" },
+        6: { key: "Lost", name: "Lost", icon: HelpCircle, color: "red", bgColor: "bg-red-700" }
     };
 
-    useEffect(() => {
-        if (trackingId) {
-            fetchNotes();
+    // Next statuses the contract allows from the current one; none once the shipment is final
+    const allowedStatuses = shipment?.allowedStatuses || [];
+    const isFinal = Boolean(shipment) && allowedStatuses.length === 0;
+    const statusName = (key) => Object.values(statusConfig).find((config) => config.key === key)?.name || key;
+
+    // Only the receiver can accept or reject, once the sender has dispatched the shipment
+    const isReceiver = Boolean(user && shipment && user.address.toLowerCase() === shipment.receiver.toLowerCase());
+    const awaitingReceipt = isReceiver && shipment.status === "InTransit";
+
+    // Checkpoints can be recorded by either party (or the owner) until the shipment is final
+    const isParty = Boolean(user && shipment) && (
+        user.roles?.includes("Owner") ||
+        [shipment.sender, shipment.receiver].some((address) => address.toLowerCase() === user.address.toLowerCase())
+    );
+    const routeMap = route ? buildRouteMap(route.checkpoints) : null;
+
+    const showNotification = useCallback((type, message, txHash = "") => {
+        setNotification({ show: true, type, message, txHash });
+        if (type === "success") {
+            setTimeout(() => setNotification({ show: false, type: "", message: "", txHash: "" }), 10000);
+        } else {
+            setTimeout(() => setNotification({ show: false, type: "", message: "", txHash: "" }), 5000);
         }
-    }, [trackingId]);
+    }, []);
 
-    const fetchNotes = async () => {
+    const fetchNotes = useCallback(async () => {
         try {
             setLoading(true);
             const response = await getShipmentNotes(trackingId);
             setNotes(response.data.notes || []);
+            setShipment(response.data.shipment || null);
         } catch (error) {
             console.error("Error fetching notes:", error);
             // Don't show error if shipment just doesn't have notes yet
-            if (!error.response?.data?.error?.includes("not found")) {
+            if (!error.response?.data?.message?.includes("not found")) {
                 showNotification("error", "Error fetching shipment history");
             }
         } finally {
             setLoading(false);
         }
-    };
+    }, [trackingId, showNotification]);
 
-    const showNotification = (type, message, txHash = "") => {
-        setNotification({ show: true, type, message, txHash });
-        if (type === "success") {
-            setTimeout(() => setNotification({ show: false, type: "", message: "", txHash: "" }), 10000);
-        } else {
-            setTimeout(() => setNotification({ show: false, type: "", message: "", txHash: "" }), 5000);
+    // Telemetry needs MongoDB; the chart is simply left out when it is unavailable
+    const fetchTelemetry = useCallback(async () => {
+        try {
+            const response = await getTelemetry(trackingId);
+            setTelemetry(response.data);
+        } catch (error) {
+            console.error("Error fetching telemetry:", error);
+            setTelemetry(null);
         }
-    };
+    }, [trackingId]);
+
+    // Checkpoints are stored in MongoDB too; without it the route map is left out
+    const fetchCheckpoints = useCallback(async () => {
+        try {
+            const response = await getCheckpoints(trackingId);
+            setRoute(response.data);
+        } catch (error) {
+            console.error("Error fetching checkpoints:", error);
+            setRoute(null);
+        }
+    }, [trackingId]);
+
+    useEffect(() => {
+        if (trackingId) {
+            fetchNotes();
+            fetchTelemetry();
+            fetchCheckpoints();
+        }
+    }, [trackingId, fetchNotes, fetchTelemetry, fetchCheckpoints]);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -66,11 +123,18 @@ const ShipmentTimeline = ({ trackingId, onStatusUpdate }) => {
             setSubmitting(true);
             showNotification("info", "Transaction is being confirmed on Blockchain...");
 
-            const response = await updateShipmentStatusWithNote({
-                trackingId,
-                status: parseInt(formData.status),
-                note: formData.note
-            });
+            // With a connected wallet the sender signs the update themselves
+            const response = account
+                ? await sendMetaTransaction("updateShipmentStatusWithNote", [
+                    trackingId,
+                    parseInt(formData.status),
+                    formData.note
+                ])
+                : await updateShipmentStatusWithNote({
+                    trackingId,
+                    status: parseInt(formData.status),
+                    note: formData.note
+                });
 
             showNotification(
                 "success",
@@ -89,13 +153,102 @@ const ShipmentTimeline = ({ trackingId, onStatusUpdate }) => {
 
         } catch (error) {
             console.error("Error updating status:", error);
-            const errorMessage = error.response?.data?.error || "Error updating shipment status";
+            const errorMessage = error.response?.data?.message || "Error updating shipment status";
             showNotification("error", errorMessage);
         } finally {
             setSubmitting(false);
         }
     };
 
+    // With a connected wallet the receiver signs the handoff themselves, so the
+    // contract records them rather than the relaying backend
+    const handleReceipt = async (accepted) => {
+        const note = receiptNote.trim();
+        if (!accepted && !note) {
+            showNotification("error", "Please enter a reason for rejecting the shipment");
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            showNotification("info", "Transaction is being confirmed on Blockchain...");
+
+            const response = account
+                ? await sendMetaTransaction("updateShipmentStatusWithNote", [
+                    trackingId,
+                    accepted ? 2 : 3,
+                    note || "Delivery accepted by receiver"
+                ])
+                : accepted
+                    ? await acceptShipment(trackingId, note)
+                    : await rejectShipment(trackingId, note);
+
+            showNotification(
+                "success",
+                accepted ? "Delivery accepted on blockchain!" : "Shipment rejected on blockchain!",
+                response.data.transactionHash
+            );
+
+            await fetchNotes();
+            setReceiptNote("");
+
+            if (onStatusUpdate) {
+                onStatusUpdate();
+            }
+        } catch (error) {
+            console.error("Error confirming shipment:", error);
+            showNotification("error", error.response?.data?.message || error.message || "Error confirming shipment");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleUseLocation = () => {
+        if (!navigator.geolocation) {
+            showNotification("error", "This browser cannot share its location");
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (position) => setCheckpointForm((form) => ({
+                ...form,
+                latitude: position.coords.latitude.toFixed(6),
+                longitude: position.coords.longitude.toFixed(6)
+            })),
+            (error) => showNotification("error", `Could not read your location: ${error.message}`)
+        );
+    };
+
+    const handleCheckpointSubmit = async (e) => {
+        e.preventDefault();
+
+        const latitude = parseFloat(checkpointForm.latitude);
+        const longitude = parseFloat(checkpointForm.longitude);
+        if (!checkpointForm.facility.trim() || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+            showNotification("error", "Please enter a facility and its coordinates");
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            showNotification("info", "Transaction is being confirmed on Blockchain...");
+
+            const response = await recordCheckpoint(trackingId, {
+                facility: checkpointForm.facility.trim(),
+                latitude,
+                longitude
+            });
+
+            showNotification("success", response.data.message, response.data.transactionHash);
+            await fetchCheckpoints();
+            setCheckpointForm({ facility: "", latitude: "", longitude: "" });
+        } catch (error) {
+            console.error("Error recording checkpoint:", error);
+            showNotification("error", error.response?.data?.message || "Error recording checkpoint");
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
     const formatAddress = (address) => {
         if (!address) return "";
         return `${address.slice(0, 6)}...${address.slice(-4)}`;
@@ -154,63 +307,314 @@ const ShipmentTimeline = ({ trackingId, onStatusUpdate }) => {
             )}
 
             <div className="p-6">
-                {/* Update Form */}
-                <form onSubmit={handleSubmit} className="mb-8">
-                    <h4 className="text-lg font-medium text-white mb-4 flex items-center">
-                        <Truck className="h-5 w-5 mr-2 text-purple-400" />
-                        Update Status with Note
-                    </h4>
+                {/* Consignment line items; status changes apply to all of them */}
+                {shipment?.items?.length > 0 && (
+                    <div className="mb-8 bg-gray-800 rounded-lg p-4 border border-gray-700">
+                        <h4 className="text-lg font-medium text-white mb-3 flex items-center">
+                            <Boxes className="h-5 w-5 mr-2 text-purple-400" />
+                            Consignment Contents
+                        </h4>
+                        <ul className="space-y-1 text-sm">
+                            {shipment.items.map((item) => (
+                                <li key={item.medicineId} className="flex items-center text-gray-300">
+                                    <span className="flex-1">Medicine {item.medicineId}</span>
+                                    <span className="font-mono text-xs text-gray-500 mr-4">{item.batchNumber}</span>
+                                    <span>{item.quantity} units</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
 
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-                        <div>
-                            <label className="block text-sm font-medium text-gray-300 mb-2">New Status</label>
-                            <select
-                                value={formData.status}
-                                onChange={(e) => setFormData({ ...formData, status: e.target.value })}
-                                className="w-full px-4 py-3 rounded-lg bg-gray-800 border border-gray-700 text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                {/* Receiver handoff */}
+                {awaitingReceipt && (
+                    <div className="mb-8 bg-gray-800 rounded-lg p-4 border border-purple-700">
+                        <h4 className="text-lg font-medium text-white mb-2 flex items-center">
+                            <Package className="h-5 w-5 mr-2 text-purple-400" />
+                            Confirm Receipt
+                        </h4>
+                        <p className="text-sm text-gray-400 mb-4">
+                            This shipment is addressed to you. Accept it once it has arrived, or reject it with a reason.
+                        </p>
+                        <textarea
+                            value={receiptNote}
+                            onChange={(e) => setReceiptNote(e.target.value)}
+                            placeholder="Note on arrival (required to reject, e.g. 'Seal broken', 'Temperature indicator tripped')"
+                            rows={2}
+                            className="w-full mb-4 px-4 py-3 rounded-lg bg-gray-900 border border-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all resize-none"
+                            disabled={submitting}
+                        />
+                        <div className="flex gap-3">
+                            <button
+                                onClick={() => handleReceipt(true)}
                                 disabled={submitting}
+                                className="flex-1 flex justify-center items-center py-2 px-4 rounded-lg font-medium bg-green-600 text-white hover:bg-green-700 transition-all disabled:opacity-50"
                             >
-                                <option value="">Select Status</option>
-                                <option value="0">🕐 Pending</option>
-                                <option value="1">🚚 In Transit</option>
-                                <option value="2">✅ Delivered</option>
-                            </select>
+                                <CheckCircle className="h-5 w-5 mr-2" />
+                                Accept Delivery
+                            </button>
+                            <button
+                                onClick={() => handleReceipt(false)}
+                                disabled={submitting}
+                                className="flex-1 flex justify-center items-center py-2 px-4 rounded-lg font-medium bg-red-600 text-white hover:bg-red-700 transition-all disabled:opacity-50"
+                            >
+                                <XCircle className="h-5 w-5 mr-2" />
+                                Reject Shipment
+                            </button>
                         </div>
                     </div>
+                )}
 
-                    <div className="mb-4">
-                        <label className="block text-sm font-medium text-gray-300 mb-2">Status Note</label>
-                        <textarea
-                            value={formData.note}
-                            onChange={(e) => setFormData({ ...formData, note: e.target.value })}
-                            placeholder="Enter a note describing this status update (e.g., 'Package picked up from warehouse', 'Arrived at distribution center')"
-                            rows={3}
-                            className="w-full px-4 py-3 rounded-lg bg-gray-800 border border-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all resize-none"
-                            disabled={submitting}
-                        />
+                {/* Update Form */}
+                {isFinal ? (
+                    <div className="mb-8 p-4 rounded-lg bg-gray-800 border border-gray-700 text-gray-300 text-sm">
+                        This shipment is {statusName(shipment.status).toLowerCase()}; its status can no longer change.
                     </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="mb-8">
+                        <h4 className="text-lg font-medium text-white mb-4 flex items-center">
+                            <Truck className="h-5 w-5 mr-2 text-purple-400" />
+                            Update Status with Note
+                        </h4>
 
-                    <button
-                        type="submit"
-                        disabled={submitting}
-                        className={`w-full flex justify-center items-center py-3 px-4 rounded-lg font-medium transition-all duration-300 ${submitting
-                                ? "bg-purple-800 text-purple-300 cursor-not-allowed"
-                                : "bg-gradient-to-r from-purple-600 to-indigo-600 text-white hover:from-purple-700 hover:to-indigo-700 shadow-lg hover:shadow-xl"
-                            }`}
-                    >
-                        {submitting ? (
-                            <>
-                                <Loader className="animate-spin h-5 w-5 mr-2" />
-                                Confirming on Blockchain...
-                            </>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-300 mb-2">New Status</label>
+                                <select
+                                    value={formData.status}
+                                    onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                                    className="w-full px-4 py-3 rounded-lg bg-gray-800 border border-gray-700 text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                                    disabled={submitting}
+                                >
+                                    <option value="">Select Status</option>
+                                    {Object.entries(statusConfig)
+                                        .filter(([, config]) => allowedStatuses.includes(config.key))
+                                        .map(([value, config]) => (
+                                            <option key={value} value={value}>{config.name}</option>
+                                        ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="mb-4">
+                            <label className="block text-sm font-medium text-gray-300 mb-2">Status Note</label>
+                            <textarea
+                                value={formData.note}
+                                onChange={(e) => setFormData({ ...formData, note: e.target.value })}
+                                placeholder="Enter a note describing this status update (e.g., 'Package picked up from warehouse', 'Arrived at distribution center')"
+                                rows={3}
+                                className="w-full px-4 py-3 rounded-lg bg-gray-800 border border-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all resize-none"
+                                disabled={submitting}
+                            />
+                        </div>
+
+                        <button
+                            type="submit"
+                            disabled={submitting}
+                            className={`w-full flex justify-center items-center py-3 px-4 rounded-lg font-medium transition-all duration-300 ${submitting
+                                    ? "bg-purple-800 text-purple-300 cursor-not-allowed"
+                                    : "bg-gradient-to-r from-purple-600 to-indigo-600 text-white hover:from-purple-700 hover:to-indigo-700 shadow-lg hover:shadow-xl"
+                                }`}
+                        >
+                            {submitting ? (
+                                <>
+                                    <Loader className="animate-spin h-5 w-5 mr-2" />
+                                    Confirming on Blockchain...
+                                </>
+                            ) : (
+                                <>
+                                    <Package className="h-5 w-5 mr-2" />
+                                    Submit to Blockchain
+                                </>
+                            )}
+                        </button>
+                    </form>
+                )}
+
+                {/* Cold-Chain Telemetry */}
+                {telemetry?.readingCount > 0 && (
+                    <div className="mb-8">
+                        <h4 className="text-lg font-medium text-white mb-4 flex items-center">
+                            <Thermometer className="h-5 w-5 mr-2 text-purple-400" />
+                            Cold-Chain Telemetry
+                            <span className={`ml-2 text-xs font-medium px-2 py-1 rounded-full ${telemetry.excursionCount > 0 ? "bg-red-900 text-red-300" : "bg-green-900 text-green-300"}`}>
+                                {telemetry.excursionCount} of {telemetry.readingCount} readings out of range
+                            </span>
+                        </h4>
+
+                        {TELEMETRY_SERIES.map((series) => {
+                            const chart = buildChart(telemetry.readings, series, telemetry.range);
+                            if (!chart) return null;
+
+                            return (
+                                <div key={series.key} className="bg-gray-800 rounded-lg p-4 border border-gray-700 mb-4">
+                                    <p className="text-sm text-gray-300 mb-2">
+                                        {series.label} ({series.unit})
+                                        {telemetry.range && (
+                                            <span className="text-gray-500 ml-2">
+                                                allowed {telemetry.range[series.rangeMin]} to {telemetry.range[series.rangeMax]}
+                                            </span>
+                                        )}
+                                    </p>
+                                    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+                                        {chart.band && (
+                                            <rect x={chart.left} y={chart.band.y} width={chart.right - chart.left} height={chart.band.height} fill="#22c55e" opacity="0.12" />
+                                        )}
+                                        {chart.ticks.map((tick) => (
+                                            <g key={tick.label}>
+                                                <line x1={chart.left} x2={chart.right} y1={tick.y} y2={tick.y} stroke="#374151" strokeDasharray="4 4" />
+                                                <text x={chart.left - 6} y={tick.y + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{tick.label}</text>
+                                            </g>
+                                        ))}
+                                        <polyline points={chart.points} fill="none" stroke={series.stroke} strokeWidth="2" />
+                                        {chart.markers.map((marker) => (
+                                            <circle
+                                                key={`${marker.deviceId}-${marker.timestamp}`}
+                                                cx={marker.x}
+                                                cy={marker.y}
+                                                r={marker.excursion ? 5 : 3}
+                                                fill={marker.excursion ? "#ef4444" : series.stroke}
+                                            >
+                                                <title>{`${marker.value}${series.unit} at ${new Date(marker.timestamp).toLocaleString()} (${marker.deviceId})`}</title>
+                                            </circle>
+                                        ))}
+                                        <text x={chart.left} y={CHART_HEIGHT - 4} fontSize="10" fill="#9ca3af">{chart.start.toLocaleString()}</text>
+                                        <text x={chart.right} y={CHART_HEIGHT - 4} textAnchor="end" fontSize="10" fill="#9ca3af">{chart.end.toLocaleString()}</text>
+                                    </svg>
+                                </div>
+                            );
+                        })}
+
+                        {telemetry.windows.every((window) => window.verified) ? (
+                            <p className="text-xs text-green-400 flex items-center">
+                                <ShieldCheck className="h-4 w-4 mr-1" />
+                                All {telemetry.windows.length} telemetry windows match their on-chain hashes
+                            </p>
                         ) : (
+                            <p className="text-xs text-red-400 flex items-center">
+                                <ShieldAlert className="h-4 w-4 mr-1" />
+                                {telemetry.windows.filter((window) => !window.verified).length} telemetry windows no longer match their on-chain hashes
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                {/* Route Map */}
+                {route && (routeMap || (isParty && !isFinal)) && (
+                    <div className="mb-8">
+                        <h4 className="text-lg font-medium text-white mb-4 flex items-center">
+                            <MapPin className="h-5 w-5 mr-2 text-purple-400" />
+                            Route Map
+                            {route.checkpointCount > 0 && (
+                                <span className="ml-2 bg-purple-900 text-purple-300 text-xs font-medium px-2 py-1 rounded-full">
+                                    {route.checkpointCount} checkpoints
+                                </span>
+                            )}
+                        </h4>
+
+                        {routeMap && (
                             <>
-                                <Package className="h-5 w-5 mr-2" />
-                                Submit to Blockchain
+                                <div className="bg-gray-800 rounded-lg p-4 border border-gray-700 mb-4">
+                                    <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} className="w-full h-auto">
+                                        {routeMap.latitudeLines.map((line) => (
+                                            <g key={`lat-${line.value}`}>
+                                                <line x1={0} x2={MAP_WIDTH} y1={line.y} y2={line.y} stroke="#374151" strokeDasharray="4 4" />
+                                                <text x={4} y={line.y - 3} fontSize="10" fill="#6b7280">{line.label}</text>
+                                            </g>
+                                        ))}
+                                        {routeMap.longitudeLines.map((line) => (
+                                            <g key={`lng-${line.value}`}>
+                                                <line x1={line.x} x2={line.x} y1={0} y2={MAP_HEIGHT} stroke="#374151" strokeDasharray="4 4" />
+                                                <text x={line.x + 3} y={MAP_HEIGHT - 4} fontSize="10" fill="#6b7280">{line.label}</text>
+                                            </g>
+                                        ))}
+                                        <polyline points={routeMap.path} fill="none" stroke="#a78bfa" strokeWidth="2" strokeLinejoin="round" />
+                                        {routeMap.markers.map((marker) => (
+                                            <g key={marker.id}>
+                                                <circle cx={marker.x} cy={marker.y} r="9" fill={marker.verified ? "#7c3aed" : "#ef4444"} stroke="#111827" strokeWidth="2">
+                                                    <title>{`${marker.facility} at ${new Date(marker.timestamp).toLocaleString()} (${marker.latitude}, ${marker.longitude})`}</title>
+                                                </circle>
+                                                <text x={marker.x} y={marker.y + 3.5} textAnchor="middle" fontSize="10" fontWeight="bold" fill="#ffffff">{marker.number}</text>
+                                                <text x={marker.x + 12} y={marker.y - 10} fontSize="11" fill="#d1d5db">{marker.facility}</text>
+                                            </g>
+                                        ))}
+                                    </svg>
+                                </div>
+
+                                <ol className="space-y-1 mb-4 text-sm">
+                                    {routeMap.markers.map((marker) => (
+                                        <li key={marker.id} className="flex items-center text-gray-300">
+                                            <span className="w-6 text-gray-500">{marker.number}.</span>
+                                            <span className="flex-1">{marker.facility}</span>
+                                            <span className="text-xs text-gray-500 mr-3">{new Date(marker.timestamp).toLocaleString()}</span>
+                                            <span className="text-xs text-gray-500 font-mono">{formatAddress(marker.recordedBy)}</span>
+                                        </li>
+                                    ))}
+                                </ol>
+
+                                {route.verified ? (
+                                    <p className="text-xs text-green-400 flex items-center mb-4">
+                                        <ShieldCheck className="h-4 w-4 mr-1" />
+                                        All {route.checkpointCount} checkpoints match their on-chain hashes
+                                    </p>
+                                ) : (
+                                    <p className="text-xs text-red-400 flex items-center mb-4">
+                                        <ShieldAlert className="h-4 w-4 mr-1" />
+                                        {route.checkpoints.filter((checkpoint) => !checkpoint.verified).length} checkpoints no longer match their on-chain hashes
+                                    </p>
+                                )}
                             </>
                         )}
-                    </button>
-                </form>
+
+                        {isParty && !isFinal && (
+                            <form onSubmit={handleCheckpointSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                                <input
+                                    type="text"
+                                    value={checkpointForm.facility}
+                                    onChange={(e) => setCheckpointForm({ ...checkpointForm, facility: e.target.value })}
+                                    placeholder="Facility, e.g. 'Frankfurt hub'"
+                                    className="md:col-span-2 px-4 py-2 rounded-lg bg-gray-800 border border-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                                    disabled={submitting}
+                                />
+                                <input
+                                    type="number"
+                                    step="any"
+                                    value={checkpointForm.latitude}
+                                    onChange={(e) => setCheckpointForm({ ...checkpointForm, latitude: e.target.value })}
+                                    placeholder="Latitude"
+                                    className="px-4 py-2 rounded-lg bg-gray-800 border border-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                                    disabled={submitting}
+                                />
+                                <input
+                                    type="number"
+                                    step="any"
+                                    value={checkpointForm.longitude}
+                                    onChange={(e) => setCheckpointForm({ ...checkpointForm, longitude: e.target.value })}
+                                    placeholder="Longitude"
+                                    className="px-4 py-2 rounded-lg bg-gray-800 border border-gray-700 text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                                    disabled={submitting}
+                                />
+                                <button
+                                    type="button"
+                                    onClick={handleUseLocation}
+                                    disabled={submitting}
+                                    className="md:col-span-2 flex justify-center items-center py-2 px-4 rounded-lg font-medium bg-gray-700 text-gray-200 hover:bg-gray-600 transition-all disabled:opacity-50"
+                                >
+                                    <Crosshair className="h-4 w-4 mr-2" />
+                                    Use My Location
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={submitting}
+                                    className="md:col-span-2 flex justify-center items-center py-2 px-4 rounded-lg font-medium bg-purple-600 text-white hover:bg-purple-700 transition-all disabled:opacity-50"
+                                >
+                                    <MapPin className="h-4 w-4 mr-2" />
+                                    Record Checkpoint
+                                </button>
+                            </form>
+                        )}
+                    </div>
+                )}
 
                 {/* Timeline Section */}
                 <div>
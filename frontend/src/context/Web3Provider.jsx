@@ -1,6 +1,15 @@
 import React, { createContext, useEffect, useState } from "react";
 import Web3 from "web3";
 import SupplyChainABI from "../../../build/contracts/SupplyChain.json";
+import {
+  prepareMetaTransaction,
+  relayMetaTransaction,
+  getAuthToken,
+  setAuthToken,
+  getSignInChallenge,
+  verifySignIn,
+  getCurrentUser,
+} from "../services/api";
 
 export const Web3Context = createContext();
 
@@ -8,6 +17,43 @@ export const Web3Provider = ({ children }) => {
   const [web3, setWeb3] = useState(null);
   const [contract, setContract] = useState(null);
   const [account, setAccount] = useState(null);
+  const [user, setUser] = useState(null);
+
+  // Reuse the stored session if it belongs to this account, otherwise ask the
+  // wallet to sign a Sign-In with Ethereum message for a new one
+  const signIn = async (address) => {
+    setUser(null);
+    if (!address) {
+      setAuthToken(null);
+      return;
+    }
+
+    if (getAuthToken()) {
+      try {
+        const { data } = await getCurrentUser();
+        if (data.address.toLowerCase() === address.toLowerCase()) {
+          setUser(data);
+          return;
+        }
+      } catch {
+        // Expired or invalid token - sign in again below
+      }
+      setAuthToken(null);
+    }
+
+    try {
+      const { data: challenge } = await getSignInChallenge(address);
+      const signature = await window.ethereum.request({
+        method: "personal_sign",
+        params: [Web3.utils.utf8ToHex(challenge.message), address],
+      });
+      const { data } = await verifySignIn({ message: challenge.message, signature });
+      setAuthToken(data.token);
+      setUser({ address: data.address, roles: data.roles });
+    } catch (error) {
+      console.error("Sign-in failed:", error.message);
+    }
+  };
 
   useEffect(() => {
     const loadBlockchainData = async () => {
@@ -23,14 +69,44 @@ export const Web3Provider = ({ children }) => {
         setWeb3(web3Instance);
         setContract(contractInstance);
         setAccount(accounts[0]);
+        await signIn(accounts[0]);
       }
     };
 
+    const handleAccountsChanged = (accounts) => {
+      setAccount(accounts[0] || null);
+      signIn(accounts[0]);
+    };
+
     loadBlockchainData();
+    window.ethereum?.on("accountsChanged", handleAccountsChanged);
+    return () => window.ethereum?.removeListener("accountsChanged", handleAccountsChanged);
   }, []);
 
+  // Sign a contract call in the wallet and have the backend relay it, so the
+  // action is attributed to this account while the backend pays the gas
+  const sendMetaTransaction = async (method, args) => {
+    if (!account) {
+      throw new Error("Connect a wallet to sign this action");
+    }
+
+    const { data } = await prepareMetaTransaction({ from: account, method, args });
+    const { typedData } = data;
+    const signature = await window.ethereum.request({
+      method: "eth_signTypedData_v4",
+      params: [account, JSON.stringify(typedData)],
+    });
+
+    return relayMetaTransaction({
+      from: typedData.message.from,
+      functionCall: typedData.message.functionCall,
+      deadline: typedData.message.deadline,
+      signature,
+    });
+  };
+
   return (
-    <Web3Context.Provider value={{ web3, contract, account }}>
+    <Web3Context.Provider value={{ web3, contract, account, user, signIn, sendMetaTransaction }}>
       {children}
     </Web3Context.Provider>
   );
@@ -12,22 +12,34 @@ const AddMedicine = () => {
     name: "",
     description: "",
     stage: "",
+    batchNumber: "",
+    manufacturingDate: "",
+    expiryDate: "",
+    quantity: "",
   });
 
   const handleAddMedicine = async (e) => {
     e.preventDefault();
     setLoading(true);
     try {
-      await addMedicine(formData);
+      const { batchNumber, manufacturingDate, expiryDate, quantity, ...medicine } = formData;
+      // Lot details are optional, but the API needs all of them once a batch number is given
+      await addMedicine(batchNumber
+        ? { ...medicine, batchNumber, manufacturingDate, expiryDate, quantity: Number(quantity) }
+        : medicine);
       setFormData({
         name: "",
         description: "",
         stage: "",
+        batchNumber: "",
+        manufacturingDate: "",
+        expiryDate: "",
+        quantity: "",
       });
       setNotification({ show: true, type: "success", message: "Medicine added successfully!" });
       setTimeout(() => setNotification({ show: false, type: "", message: "" }), 5000);
     } catch (error) {
-      setNotification({ show: true, type: "error", message: "Error adding medicine" });
+      setNotification({ show: true, type: "error", message: error.response?.data?.message || "Error adding medicine" });
       setTimeout(() => setNotification({ show: false, type: "", message: "" }), 5000);
       console.error(error);
     } finally {
@@ -84,6 +96,52 @@ const AddMedicine = () => {
                 />
               </div>
 
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="space-y-1">
+                  <label className="block text-sm font-medium text-gray-400">Batch Number</label>
+                  <input
+                    type="text"
+                    placeholder="Optional, e.g. LOT-2026-001"
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    value={formData.batchNumber}
+                    onChange={(e) => setFormData({ ...formData, batchNumber: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="block text-sm font-medium text-gray-400">Quantity</label>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Units in batch"
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    value={formData.quantity}
+                    onChange={(e) => setFormData({ ...formData, quantity: e.target.value })}
+                    required={Boolean(formData.batchNumber)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="block text-sm font-medium text-gray-400">Manufacturing Date</label>
+                  <input
+                    type="date"
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    value={formData.manufacturingDate}
+                    onChange={(e) => setFormData({ ...formData, manufacturingDate: e.target.value })}
+                    required={Boolean(formData.batchNumber)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label className="block text-sm font-medium text-gray-400">Expiry Date</label>
+                  <input
+                    type="date"
+                    min={formData.manufacturingDate || undefined}
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    value={formData.expiryDate}
+                    onChange={(e) => setFormData({ ...formData, expiryDate: e.target.value })}
+                    required={Boolean(formData.batchNumber)}
+                  />
+                </div>
+              </div>
+
               <div className="space-y-1">
                 <label className="block text-sm font-medium text-gray-400">Current Stage</label>
                 <select
@@ -1,8 +1,20 @@
-import { useState, useEffect } from "react";
-import { getMedicines, getMedicineStage, getMedicineHistory } from "../services/api";
-import { FileSearch, Clock, Tag, Search, History, ArrowRight, Loader, AlertCircle, CheckCircle } from "lucide-react";
+import { useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import {
+  getMedicines,
+  getMedicineStage,
+  getMedicineHistory,
+  getDocuments,
+  uploadDocument,
+  verifyDocument,
+  findDocumentByHash,
+  getDocumentDownloadUrl,
+} from "../services/api";
+import { DOCUMENT_KINDS, documentKindLabel, hashFile, formatFileSize } from "../services/documents";
+import { FileSearch, Clock, Tag, Search, History, ArrowRight, Loader, AlertCircle, CheckCircle, FileText, Upload, Download, ShieldCheck, ShieldX } from "lucide-react";
 
 const Medicine = () => {
+  const { id } = useParams();
   const [medicines, setMedicines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [medicineId, setMedicineId] = useState("");
@@ -11,63 +23,76 @@ const Medicine = () => {
   const [notification, setNotification] = useState({ show: false, type: "", message: "" });
   const [historyLoading, setHistoryLoading] = useState(false);
   const [stageLoading, setStageLoading] = useState(false);
+  const [activeTab, setActiveTab] = useState("history");
+  const [documentsFor, setDocumentsFor] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [documentsLoading, setDocumentsLoading] = useState(false);
+  const [documentKind, setDocumentKind] = useState(DOCUMENT_KINDS[0].value);
+  const [documentFile, setDocumentFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [integrity, setIntegrity] = useState({});
+  const [fileCheck, setFileCheck] = useState(null);
 
-  useEffect(() => {
-    fetchMedicines();
+  const showNotification = useCallback((type, message) => {
+    setNotification({ show: true, type, message });
+    setTimeout(() => setNotification({ show: false, type: "", message: "" }), 5000);
   }, []);
 
-  const fetchMedicines = async () => {
+  const fetchMedicines = useCallback(async () => {
     try {
       setLoading(true);
       const response = await getMedicines();
-      setMedicines(response.data);
+      setMedicines(response.data.medicines);
     } catch (error) {
       showNotification("error", "Error fetching medicines");
       console.error("Error fetching medicines:", error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [showNotification]);
 
-  const showNotification = (type, message) => {
-    setNotification({ show: true, type, message });
-    setTimeout(() => setNotification({ show: false, type: "", message: "" }), 5000);
-  };
-
-  const handleGetHistory = async () => {
-    if (!medicineId) {
-      showNotification("error", "Please enter a Medicine ID");
-      return;
+  const loadDocuments = useCallback(async (lookupId) => {
+    try {
+      setDocumentsLoading(true);
+      setDocumentsFor(lookupId);
+      setIntegrity({});
+      setFileCheck(null);
+      const response = await getDocuments("medicine", lookupId);
+      setDocuments(response.data.documents);
+    } catch (error) {
+      setDocuments([]);
+      showNotification("error", error.response?.data?.message || "Error fetching documents");
+    } finally {
+      setDocumentsLoading(false);
     }
+  }, [showNotification]);
+
+  const loadHistory = useCallback(async (lookupId) => {
+    loadDocuments(lookupId);
 
     try {
       setHistoryLoading(true);
-      const response = await getMedicineHistory(medicineId);
+      const response = await getMedicineHistory(lookupId);
 
-      if (response.data.length === 0) {
+      if (response.data.transactions.length === 0) {
         showNotification("info", "No transaction history found for this medicine");
         setMedicineHistory([]);
         return;
       }
 
-      setMedicineHistory(response.data);
+      setMedicineHistory(response.data.transactions);
       showNotification("success", "Transaction history retrieved successfully");
     } catch (error) {
       showNotification("error", "Error fetching medicine history");
     } finally {
       setHistoryLoading(false);
     }
-  };
-
-  const handleGetStage = async () => {
-    if (!medicineId) {
-      showNotification("error", "Please enter a Medicine ID");
-      return;
-    }
+  }, [loadDocuments, showNotification]);
 
+  const loadStage = useCallback(async (lookupId) => {
     try {
       setStageLoading(true);
-      const response = await getMedicineStage(medicineId);
+      const response = await getMedicineStage(lookupId);
       setMedicineStage(response.data.stage);
       showNotification("success", "Current stage retrieved successfully");
     } catch (error) {
@@ -75,6 +100,89 @@ const Medicine = () => {
     } finally {
       setStageLoading(false);
     }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchMedicines();
+
+    // /medicine-details/:id (e.g. from a scanned label) opens that medicine
+    if (id) {
+      setMedicineId(id);
+      loadHistory(id);
+      loadStage(id);
+    }
+  }, [id, fetchMedicines, loadHistory, loadStage]);
+
+  const handleGetHistory = (lookupId = medicineId) => {
+    if (!lookupId) {
+      showNotification("error", "Please enter a Medicine ID");
+      return;
+    }
+    loadHistory(lookupId);
+  };
+
+  const handleGetStage = (lookupId = medicineId) => {
+    if (!lookupId) {
+      showNotification("error", "Please enter a Medicine ID");
+      return;
+    }
+    loadStage(lookupId);
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!documentFile) {
+      showNotification("error", "Choose a file to upload");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("subjectType", "medicine");
+    formData.append("subjectId", documentsFor);
+    formData.append("kind", documentKind);
+    formData.append("file", documentFile);
+
+    try {
+      setUploading(true);
+      await uploadDocument(formData);
+      setDocumentFile(null);
+      e.target.reset();
+      showNotification("success", "Document uploaded and anchored on the blockchain");
+      loadDocuments(documentsFor);
+    } catch (error) {
+      showNotification("error", error.response?.data?.message || "Error uploading document");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleVerifyIntegrity = async (documentId) => {
+    try {
+      setIntegrity((current) => ({ ...current, [documentId]: { loading: true } }));
+      const response = await verifyDocument(documentId);
+      setIntegrity((current) => ({ ...current, [documentId]: response.data }));
+    } catch (error) {
+      setIntegrity((current) => ({ ...current, [documentId]: null }));
+      showNotification("error", error.response?.data?.message || "Error verifying document");
+    }
+  };
+
+  // Hash a local copy in the browser and look it up against the anchored hashes
+  const handleCheckFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const sha256 = await hashFile(file);
+      const response = await findDocumentByHash(sha256);
+      const match = response.data.documents.find(
+        (doc) => doc.subjectType === "medicine" && doc.subjectId === String(documentsFor)
+      );
+      setFileCheck({ filename: file.name, sha256, match });
+    } catch (error) {
+      setFileCheck(null);
+      showNotification("error", error.response?.data?.message || "Error checking file");
+    }
   };
 
   // Function to get stage badge color
@@ -152,7 +260,7 @@ const Medicine = () => {
                 />
               </div>
               <button 
-                onClick={handleGetHistory} 
+                onClick={() => handleGetHistory()} 
                 className="flex items-center justify-center px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-500 text-white rounded-lg hover:shadow-blue-50 transition-all"
                 disabled={historyLoading}
               >
@@ -160,7 +268,7 @@ const Medicine = () => {
                 Get History
               </button>
               <button 
-                onClick={handleGetStage} 
+                onClick={() => handleGetStage()} 
                 className="flex items-center justify-center px-4 py-3 bg-gradient-to-r from-teal-600 to-teal-500 text-white rounded-lg hover:shadow-md transition-all"
                 disabled={stageLoading}
               >
@@ -189,8 +297,28 @@ const Medicine = () => {
           )}
         </div>
 
+        {documentsFor && (
+          <div className="flex space-x-2 mb-4">
+            {[
+              { key: "history", label: "History", icon: History },
+              { key: "documents", label: `Documents (${documents.length})`, icon: FileText },
+            ].map((tab) => (
+              <button
+                key={tab.key}
+                onClick={() => setActiveTab(tab.key)}
+                className={`flex items-center px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                  activeTab === tab.key ? "bg-teal-600 text-white" : "bg-gray-900 text-gray-300 hover:bg-gray-700"
+                }`}
+              >
+                <tab.icon className="h-4 w-4 mr-2" />
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Medicine History */}
-        {medicineHistory.length > 0 && (
+        {activeTab === "history" && medicineHistory.length > 0 && (
           <div className="bg-white rounded-xl shadow-md overflow-hidden mb-8">
             <div className="border-b border-gray-100 p-6">
               <div className="flex items-center">
@@ -224,6 +352,111 @@ const Medicine = () => {
           </div>
         )}
 
+        {/* Medicine Documents */}
+        {activeTab === "documents" && documentsFor && (
+          <div className="bg-white rounded-xl shadow-md overflow-hidden mb-8">
+            <div className="border-b border-gray-100 p-6">
+              <div className="flex items-center">
+                <FileText className="h-5 w-5 mr-3 text-teal-500" />
+                <h3 className="text-xl font-semibold text-gray-800">Documents for Medicine {documentsFor}</h3>
+              </div>
+            </div>
+
+            <form onSubmit={handleUpload} className="p-6 border-b border-gray-100 flex flex-col md:flex-row gap-3">
+              <select
+                className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700"
+                value={documentKind}
+                onChange={(e) => setDocumentKind(e.target.value)}
+              >
+                {DOCUMENT_KINDS.map((kind) => (
+                  <option key={kind.value} value={kind.value}>{kind.label}</option>
+                ))}
+              </select>
+              <input
+                type="file"
+                className="flex-grow text-sm text-gray-700"
+                onChange={(e) => setDocumentFile(e.target.files[0] || null)}
+              />
+              <button
+                type="submit"
+                className="flex items-center justify-center px-4 py-2 bg-gradient-to-r from-teal-600 to-teal-500 text-white rounded-lg hover:shadow-md transition-all"
+                disabled={uploading}
+              >
+                {uploading ? <Loader className="animate-spin h-5 w-5 mr-2" /> : <Upload className="h-5 w-5 mr-2" />}
+                Upload
+              </button>
+            </form>
+
+            {documentsLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <Loader className="h-8 w-8 text-teal-500 animate-spin" />
+              </div>
+            ) : documents.length === 0 ? (
+              <p className="p-6 text-gray-500">No documents attached to this medicine.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {documents.map((doc) => {
+                  const check = integrity[doc.id];
+                  return (
+                    <li key={doc.id} className="p-6">
+                      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                        <div>
+                          <p className="font-medium text-gray-800">{doc.filename}</p>
+                          <p className="text-sm text-gray-500 mt-1">
+                            {documentKindLabel(doc.kind)} · {formatFileSize(doc.size)} · {new Date(doc.createdAt).toLocaleString()}
+                          </p>
+                          <p className="text-xs text-gray-400 font-mono mt-1 break-all">SHA-256 {doc.sha256}</p>
+                          <p className="text-xs text-gray-400 font-mono mt-1">Uploaded by {doc.uploader}</p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <a
+                            href={getDocumentDownloadUrl(doc.id)}
+                            className="flex items-center text-xs font-medium px-2.5 py-1.5 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-all"
+                          >
+                            <Download className="h-3.5 w-3.5 mr-1" />
+                            Download
+                          </a>
+                          <button
+                            onClick={() => handleVerifyIntegrity(doc.id)}
+                            className="flex items-center text-xs font-medium px-2.5 py-1.5 rounded-md bg-teal-100 text-teal-800 hover:bg-teal-200 transition-all"
+                            disabled={check?.loading}
+                          >
+                            {check?.loading ? <Loader className="animate-spin h-3.5 w-3.5 mr-1" /> : <ShieldCheck className="h-3.5 w-3.5 mr-1" />}
+                            Verify integrity
+                          </button>
+                        </div>
+                      </div>
+                      {check && !check.loading && (
+                        <p className={`mt-3 text-sm flex items-center ${check.verified ? "text-green-700" : "text-red-700"}`}>
+                          {check.verified ? <ShieldCheck className="h-4 w-4 mr-1" /> : <ShieldX className="h-4 w-4 mr-1" />}
+                          {check.verified
+                            ? `Stored file matches the hash anchored on-chain ${new Date(check.document.anchor.anchoredAt).toLocaleString()}`
+                            : !check.intact
+                              ? "Stored file no longer matches its recorded hash"
+                              : "File hash is not anchored on-chain"}
+                        </p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            <div className="p-6 border-t border-gray-100 bg-gray-50">
+              <p className="text-sm font-medium text-gray-700 mb-2">Check a copy you already have</p>
+              <input type="file" className="text-sm text-gray-700" onChange={handleCheckFile} />
+              {fileCheck && (
+                <p className={`mt-3 text-sm flex items-center ${fileCheck.match ? "text-green-700" : "text-red-700"}`}>
+                  {fileCheck.match ? <ShieldCheck className="h-4 w-4 mr-1" /> : <ShieldX className="h-4 w-4 mr-1" />}
+                  {fileCheck.match
+                    ? `${fileCheck.filename} is identical to the anchored ${documentKindLabel(fileCheck.match.kind)} "${fileCheck.match.filename}"`
+                    : `${fileCheck.filename} does not match any document anchored for this medicine`}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Medicine List */}
         <div className="bg-gray-900 rounded-xl shadow-md overflow-hidden">
           <div className="border-b border-gray-100 p-6">
@@ -250,14 +483,24 @@ const Medicine = () => {
                     <div className="mb-3 sm:mb-0">
                       <h4 className="font-medium text-gray-100">{med.name}</h4>
                       <p className="text-sm text-gray-300 mt-1">{med.description}</p>
+                      {med.batchNumber && (
+                        <p className="text-sm text-gray-400 mt-1">
+                          Batch {med.batchNumber} · Qty {med.quantity} · Mfg {new Date(med.manufacturingDate).toLocaleDateString()} · Exp {new Date(med.expiryDate).toLocaleDateString()}
+                        </p>
+                      )}
                     </div>
                     <div className="flex items-center">
+                      {med.recalled && (
+                        <span className="px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 mr-2">
+                          Recalled
+                        </span>
+                      )}
                       {getStageBadge(med.stage)}
                       <button 
                         className="ml-4 text-sm text-teal-400 hover:text-teal-500 font-medium flex items-center"
                         onClick={() => {
                           setMedicineId(med.blockchainId);
-                          handleGetHistory();
+                          handleGetHistory(med.blockchainId);
                         }}
                       >
                         View History
@@ -1,17 +1,23 @@
 import { useEffect, useState } from "react";
-import { getMedicines } from "../services/api";
-import { PackageSearch, AlertCircle, Pill, ChevronRight, Loader } from "lucide-react";
+import { getMedicines, getMedicineByBatch } from "../services/api";
+import { downloadQrCode, downloadLabelSheet } from "../services/labels";
+import { PackageSearch, AlertCircle, Pill, ChevronRight, Loader, Search, X, QrCode, FileDown } from "lucide-react";
 
 const MedicineList = () => {
   const [medicines, setMedicines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [source, setSource] = useState(null);
+  const [batchQuery, setBatchQuery] = useState("");
+  const [batchResult, setBatchResult] = useState(null);
+  const [batchError, setBatchError] = useState(null);
 
   useEffect(() => {
     const fetchMedicines = async () => {
       try {
         const response = await getMedicines();
-        setMedicines(response.data);
+        setMedicines(response.data.medicines);
+        setSource(response.data.source);
       } catch (error) {
         console.error("Error fetching medicines:", error);
         setError("Failed to load medicines. Please try again later.");
@@ -22,6 +28,38 @@ const MedicineList = () => {
     fetchMedicines();
   }, []);
 
+  const handleBatchSearch = async (e) => {
+    e.preventDefault();
+    if (!batchQuery.trim()) return;
+    try {
+      setBatchError(null);
+      const response = await getMedicineByBatch(batchQuery.trim());
+      setBatchResult(response.data.medicine);
+    } catch (error) {
+      setBatchResult(null);
+      setBatchError(error.response?.data?.message || "Error looking up batch");
+    }
+  };
+
+  const clearBatchSearch = () => {
+    setBatchQuery("");
+    setBatchResult(null);
+    setBatchError(null);
+  };
+
+  const handleDownload = async (download) => {
+    try {
+      setBatchError(null);
+      await download();
+    } catch (error) {
+      setBatchError(error.message);
+    }
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "-");
+
+  const isExpired = (medicine) => medicine.expiryDate && new Date(medicine.expiryDate) < new Date();
+
   const getStageColor = (stage) => {
     const stageColors = {
       "Ordered": "bg-yellow-100 text-yellow-800",
@@ -44,6 +82,36 @@ const MedicineList = () => {
           <h2 className="text-3xl font-bold text-white">Medicine List</h2>
         </div>
 
+        <form onSubmit={handleBatchSearch} className="mb-6 flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            placeholder="Look up by batch number"
+            className="flex-grow px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all"
+            value={batchQuery}
+            onChange={(e) => setBatchQuery(e.target.value)}
+          />
+          <button type="submit" className="flex items-center justify-center px-4 py-3 bg-gradient-to-r from-green-600 to-green-500 text-white rounded-lg hover:shadow-md transition-all">
+            <Search className="h-5 w-5 mr-2" />
+            Find Batch
+          </button>
+          {(batchResult || batchError) && (
+            <button type="button" onClick={clearBatchSearch} className="flex items-center justify-center px-4 py-3 text-gray-300 hover:text-white">
+              <X className="h-5 w-5 mr-1" />
+              Clear
+            </button>
+          )}
+        </form>
+
+        {batchError && (
+          <p className="mb-6 text-sm text-red-300">{batchError}</p>
+        )}
+
+        {source === "chain" && (
+          <p className="mb-6 text-sm text-yellow-300">
+            Database unavailable - showing records read directly from the blockchain.
+          </p>
+        )}
+
         {loading ? (
           <div className="flex flex-col items-center justify-center py-12">
             <Loader className="h-10 w-10 text-green-500 animate-spin mb-4" />
@@ -54,20 +122,25 @@ const MedicineList = () => {
             <AlertCircle className="h-8 w-8 text-red-500 mr-4" />
             <p className="text-red-700">{error}</p>
           </div>
-        ) : medicines.length === 0 ? (
+        ) : !batchResult && medicines.length === 0 ? (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 flex items-center">
             <AlertCircle className="h-8 w-8 text-blue-500 mr-4" />
             <p className="text-blue-700">No medicines found in the blockchain.</p>
           </div>
         ) : (
           <div className="grid gap-6 sm:grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
-            {medicines.map((medicine) => (
-              <div key={medicine._id} className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-all">
+            {(batchResult ? [batchResult] : medicines).map((medicine) => (
+              <div key={medicine.blockchainId} className="bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-all">
                 <div className="border-b border-gray-100 p-4 flex items-center">
                   <div className="bg-green-100 p-2 rounded-full mr-3">
                     <Pill className="h-5 w-5 text-green-600" />
                   </div>
                   <h3 className="font-semibold text-lg text-black flex-grow">{medicine.name}</h3>
+                  {medicine.recalled && (
+                    <span className="text-xs font-medium px-2.5 py-1 rounded-full bg-red-100 text-red-800 mr-2">
+                      Recalled
+                    </span>
+                  )}
                   <span className={`text-xs font-medium px-2.5 py-1 rounded-full ${getStageColor(medicine.stage)}`}>
                     {medicine.stage}
                   </span>
@@ -78,7 +151,50 @@ const MedicineList = () => {
                     <p className="text-sm text-gray-500 mb-1">Description</p>
                     <p className="text-gray-700">{medicine.description}</p>
                   </div>
+
+                  {medicine.batchNumber && (
+                    <div className="grid grid-cols-2 gap-2 text-sm mb-3">
+                      <div>
+                        <p className="text-gray-500">Batch</p>
+                        <p className="text-gray-700 font-medium">{medicine.batchNumber}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Quantity</p>
+                        <p className="text-gray-700">{medicine.quantity}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Manufactured</p>
+                        <p className="text-gray-700">{formatDate(medicine.manufacturingDate)}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Expires</p>
+                        <p className={isExpired(medicine) ? "text-red-600 font-medium" : "text-gray-700"}>
+                          {formatDate(medicine.expiryDate)}
+                        </p>
+                      </div>
+                    </div>
+                  )}
                   
+                  <div className="flex flex-wrap gap-2">
+                    {["png", "svg"].map((format) => (
+                      <button
+                        key={format}
+                        onClick={() => handleDownload(() => downloadQrCode("medicine", medicine.blockchainId, format))}
+                        className="flex items-center text-xs font-medium px-2.5 py-1.5 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-all"
+                      >
+                        <QrCode className="h-3.5 w-3.5 mr-1" />
+                        QR {format.toUpperCase()}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => handleDownload(() => downloadLabelSheet({ medicineId: medicine.blockchainId }, `medicine-${medicine.blockchainId}-labels.pdf`))}
+                      className="flex items-center text-xs font-medium px-2.5 py-1.5 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-all"
+                    >
+                      <FileDown className="h-3.5 w-3.5 mr-1" />
+                      Labels PDF
+                    </button>
+                  </div>
+
                   <button className="w-full mt-3 flex items-center justify-center text-green-600 hover:text-green-700 text-sm font-medium">
                     View Details
                     <ChevronRight className="h-4 w-4 ml-1" />
@@ -1,8 +1,11 @@
-import { useState, useEffect } from "react";
-import { addParticipant, getAllParticipants } from "../services/api";
+import { useState, useEffect, useContext } from "react";
+import { addParticipant, getAllParticipants, suspendParticipant, reinstateParticipant } from "../services/api";
+import { Web3Context } from "../context/Web3Provider";
 import { Users, User, MapPin, ChevronsRight, CheckCircle, AlertCircle, Loader } from "lucide-react";
 
 const Participants = () => {
+  const { user } = useContext(Web3Context);
+  const isOwner = user?.roles?.includes("Owner");
   const [participants, setParticipants] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -22,7 +25,7 @@ const Participants = () => {
     try {
       setLoading(true);
       const response = await getAllParticipants();
-      setParticipants(response.data);
+      setParticipants(response.data.participants);
     } catch (error) {
       showNotification("error", "Error fetching participants");
       console.error("Error fetching participants:", error);
@@ -50,13 +53,28 @@ const Participants = () => {
         address: "",
       });
     } catch (error) {
-      showNotification("error", "Error adding participant");
+      showNotification("error", error.response?.data?.message || "Error adding participant");
       console.error(error);
     } finally {
       setSubmitting(false);
     }
   };
 
+  const handleToggleActive = async (participant) => {
+    try {
+      if (participant.active === false) {
+        await reinstateParticipant(participant.address);
+        showNotification("success", "Participant reinstated");
+      } else {
+        await suspendParticipant(participant.address);
+        showNotification("success", "Participant suspended");
+      }
+      fetchParticipants();
+    } catch (error) {
+      showNotification("error", error.response?.data?.message || "Error updating participant status");
+    }
+  };
+
   const getRoleBadge = (role) => {
     const roleColors = {
       "Supplier": "bg-green-100 text-green-800",
@@ -215,17 +233,30 @@ const Participants = () => {
               ) : (
                 <ul className="divide-y divide-gray-100">
                   {participants.map((participant) => (
-                    <li key={participant.address} className="p-6 hover:bg-gray-50 transition-all">
+                    <li key={`${participant.address}-${participant.role}`} className="p-6 hover:bg-gray-50 transition-all">
                       <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-2">
                         <div className="mb-3 sm:mb-0">
                           <div className="flex items-center">
                             <h4 className="font-medium text-gray-900">{participant.name}</h4>
                             <div className="ml-3">{getRoleBadge(participant.role)}</div>
+                            {participant.active === false && (
+                              <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                Suspended
+                              </span>
+                            )}
                           </div>
                         </div>
                         <div className="flex items-center text-sm text-gray-500">
                           <MapPin className="h-4 w-4 mr-1 text-gray-400" />
                           {participant.location}
+                          {isOwner && (
+                            <button
+                              onClick={() => handleToggleActive(participant)}
+                              className="ml-4 text-xs font-medium text-red-600 hover:text-red-800"
+                            >
+                              {participant.active === false ? "Reinstate" : "Suspend"}
+                            </button>
+                          )}
                         </div>
                       </div>
                       <div className="bg-gray-50 rounded px-3 py-2 font-mono text-xs text-gray-600 break-all">
@@ -0,0 +1,274 @@
+import { useContext, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { getRecalls, getRecall, issueRecall, getMedicineByBatch } from "../services/api";
+import { Web3Context } from "../context/Web3Provider";
+import { Siren, AlertCircle, CheckCircle, Loader, Users, Truck, ChevronRight } from "lucide-react";
+
+const SEVERITY_STYLES = {
+  High: "bg-red-100 text-red-800",
+  Medium: "bg-orange-100 text-orange-800",
+  Low: "bg-yellow-100 text-yellow-800",
+};
+
+const emptyForm = { target: "batchNumber", value: "", severity: "High", reason: "" };
+
+// RecallSeverity enum values in the contract
+const SEVERITY_CODES = { Low: 0, Medium: 1, High: 2 };
+
+const Recalls = () => {
+  const { user, account, sendMetaTransaction } = useContext(Web3Context);
+  const canIssue = user?.roles?.some((role) => role === "Owner" || role === "Regulator");
+  const isOwner = Boolean(user?.roles?.includes("Owner"));
+  const [recalls, setRecalls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [notification, setNotification] = useState({ show: false, type: "", message: "" });
+
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchRecalls = async () => {
+      try {
+        setLoading(true);
+        const response = await getRecalls();
+        setRecalls(response.data.recalls);
+      } catch (error) {
+        console.error("Error fetching recalls:", error);
+        setNotification({ show: true, type: "error", message: "Error fetching recalls" });
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRecalls();
+  }, [refreshKey]);
+
+  const showNotification = (type, message) => {
+    setNotification({ show: true, type, message });
+    setTimeout(() => setNotification({ show: false, type: "", message: "" }), 5000);
+  };
+
+  const handleSelect = async (medicineId) => {
+    try {
+      const response = await getRecall(medicineId);
+      setSelected(response.data);
+    } catch (error) {
+      showNotification("error", error.response?.data?.message || "Error loading recall");
+    }
+  };
+
+  const handleIssueRecall = async (e) => {
+    e.preventDefault();
+    const { target, value, severity, reason } = formData;
+    try {
+      setSubmitting(true);
+      let result;
+      if (isOwner || !account) {
+        const response = await issueRecall({
+          [target]: target === "medicineId" ? Number(value) : value.trim(),
+          severity,
+          reason,
+        });
+        result = response.data;
+      } else {
+        // Regulators sign the recall themselves so the contract records them as its issuer
+        const medicineId = target === "medicineId"
+          ? Number(value)
+          : (await getMedicineByBatch(value.trim())).data.medicine.blockchainId;
+        await sendMetaTransaction("issueRecall", [medicineId, SEVERITY_CODES[severity], reason]);
+        result = (await getRecall(medicineId)).data;
+      }
+      const { recall, medicine, affected } = result;
+      setSelected({ recall, medicine, affected });
+      setFormData(emptyForm);
+      showNotification("success", `${medicine.name} recalled`);
+      setRefreshKey((key) => key + 1);
+    } catch (error) {
+      showNotification("error", error.response?.data?.message || "Error issuing recall");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-800 py-16">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8">
+        {notification.show && (
+          <div className={`mb-6 p-4 rounded-lg flex items-start ${
+            notification.type === "success" ? "bg-green-50 text-green-700" : "bg-red-50 text-red-700"
+          }`}>
+            {notification.type === "success" ?
+              <CheckCircle className="h-5 w-5 mr-2 mt-0.5" /> :
+              <AlertCircle className="h-5 w-5 mr-2 mt-0.5" />
+            }
+            <span>{notification.message}</span>
+          </div>
+        )}
+
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-red-600 to-red-500 p-3 rounded-lg mr-4 shadow-md">
+            <Siren className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-white">Recalls</h2>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-1 space-y-8">
+            {canIssue && (
+              <div className="bg-gray-900 rounded-xl shadow-md p-6">
+                <h3 className="text-xl font-semibold text-white mb-4">Issue Recall</h3>
+                <form onSubmit={handleIssueRecall} className="space-y-4">
+                  <div className="flex gap-2">
+                    <select
+                      className="px-3 py-2 rounded-lg border border-gray-300"
+                      value={formData.target}
+                      onChange={(e) => setFormData({ ...formData, target: e.target.value })}
+                    >
+                      <option value="batchNumber">Batch</option>
+                      <option value="medicineId">Medicine ID</option>
+                    </select>
+                    <input
+                      type={formData.target === "medicineId" ? "number" : "text"}
+                      min="1"
+                      placeholder={formData.target === "medicineId" ? "Medicine ID" : "Batch number"}
+                      className="flex-grow px-4 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                      value={formData.value}
+                      onChange={(e) => setFormData({ ...formData, value: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <select
+                    className="w-full px-4 py-2 rounded-lg border border-gray-300"
+                    value={formData.severity}
+                    onChange={(e) => setFormData({ ...formData, severity: e.target.value })}
+                  >
+                    <option value="High">High severity</option>
+                    <option value="Medium">Medium severity</option>
+                    <option value="Low">Low severity</option>
+                  </select>
+                  <textarea
+                    placeholder="Reason for the recall"
+                    className="w-full px-4 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-red-500 focus:border-red-500"
+                    rows="3"
+                    maxLength={500}
+                    value={formData.reason}
+                    onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className={`w-full flex justify-center items-center py-2 px-4 bg-gradient-to-r from-red-600 to-red-500 text-white rounded-lg shadow ${
+                      submitting ? "opacity-75 cursor-not-allowed" : "hover:shadow-lg"
+                    }`}
+                  >
+                    {submitting ? <Loader className="animate-spin h-5 w-5 mr-2" /> : <Siren className="h-5 w-5 mr-2" />}
+                    {submitting ? "Processing..." : "Recall"}
+                  </button>
+                </form>
+              </div>
+            )}
+
+            <div className="bg-gray-900 rounded-xl shadow-md p-6">
+              <h3 className="text-xl font-semibold text-white mb-4">Active Recalls</h3>
+              {loading ? (
+                <Loader className="h-8 w-8 text-red-500 animate-spin" />
+              ) : recalls.length === 0 ? (
+                <p className="text-gray-400">No medicines are recalled.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {recalls.map((recall) => (
+                    <li key={recall.medicineId}>
+                      <button
+                        onClick={() => handleSelect(recall.medicineId)}
+                        className={`w-full text-left p-3 rounded-lg flex items-center transition-all ${
+                          selected?.medicine.id === recall.medicineId ? "bg-gray-700" : "hover:bg-gray-800"
+                        }`}
+                      >
+                        <div className="flex-grow">
+                          <p className="text-white font-medium">{recall.medicine.name}</p>
+                          <p className="text-xs text-gray-400">
+                            {recall.medicine.batchNumber ? `Batch ${recall.medicine.batchNumber}` : `ID ${recall.medicineId}`}
+                            {` - ${new Date(recall.issuedAt).toLocaleDateString()}`}
+                          </p>
+                        </div>
+                        <span className={`text-xs font-medium px-2 py-0.5 rounded-full mr-2 ${SEVERITY_STYLES[recall.severity]}`}>
+                          {recall.severity}
+                        </span>
+                        <ChevronRight className="h-4 w-4 text-gray-400" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="lg:col-span-2">
+            {selected ? (
+              <div className="bg-white rounded-xl shadow-md overflow-hidden">
+                <div className="border-b border-gray-100 p-6">
+                  <div className="flex items-center">
+                    <h3 className="text-xl font-semibold text-gray-800 flex-grow">{selected.medicine.name}</h3>
+                    <span className={`text-xs font-medium px-2.5 py-1 rounded-full ${SEVERITY_STYLES[selected.recall.severity]}`}>
+                      {selected.recall.severity} severity
+                    </span>
+                  </div>
+                  <p className="text-gray-700 mt-2">{selected.recall.reason}</p>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Issued {new Date(selected.recall.issuedAt).toLocaleString()} by{" "}
+                    <span className="font-mono">{selected.recall.issuedBy}</span>
+                  </p>
+                </div>
+
+                <div className="p-6 border-b border-gray-100">
+                  <h4 className="font-semibold text-gray-800 mb-3 flex items-center">
+                    <Users className="h-5 w-5 mr-2 text-gray-500" />
+                    Affected Participants ({selected.affected.participants.length})
+                  </h4>
+                  <ul className="divide-y divide-gray-100">
+                    {selected.affected.participants.map((participant) => (
+                      <li key={participant.address} className="py-2 text-sm">
+                        <p className="text-gray-800 font-medium">{participant.name || "Unregistered address"}</p>
+                        <p className="text-gray-500 font-mono text-xs">{participant.address}</p>
+                        <p className="text-gray-600 text-xs">{participant.involvement.join(", ")}</p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                <div className="p-6">
+                  <h4 className="font-semibold text-gray-800 mb-3 flex items-center">
+                    <Truck className="h-5 w-5 mr-2 text-gray-500" />
+                    Open Shipments ({selected.affected.openShipments.length})
+                  </h4>
+                  {selected.affected.openShipments.length === 0 ? (
+                    <p className="text-sm text-gray-500">No shipments of this medicine are under way.</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-100">
+                      {selected.affected.openShipments.map((shipment) => (
+                        <li key={shipment.trackingId} className="py-2 text-sm flex items-center">
+                          <Link to={`/shipments/${shipment.trackingId}`} className="text-blue-600 hover:underline font-medium flex-grow">
+                            {shipment.trackingId}
+                          </Link>
+                          <span className="text-gray-600">{shipment.status}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="bg-gray-900 rounded-xl p-6 text-gray-400">
+                Select a recall to see the participants and shipments it affects.
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Recalls;
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { BrowserMultiFormatReader } from "@zxing/browser";
+import { BarcodeFormat, DecodeHintType } from "@zxing/library";
+import { resolveScannedCode } from "../services/scanCodes";
+import { ScanLine, Camera, CameraOff, Upload, Loader, AlertCircle } from "lucide-react";
+
+// QR codes on our labels, GS1 DataMatrix on manufacturer packs
+const hints = new Map([
+  [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.QR_CODE, BarcodeFormat.DATA_MATRIX]],
+  [DecodeHintType.TRY_HARDER, true],
+]);
+
+const cameraAvailable = Boolean(navigator.mediaDevices?.getUserMedia);
+
+const Scan = () => {
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+  const controlsRef = useRef(null);
+  const readerRef = useRef(new BrowserMultiFormatReader(hints));
+  const [scanning, setScanning] = useState(false);
+  const [resolving, setResolving] = useState(false);
+  const [decoded, setDecoded] = useState("");
+  const [error, setError] = useState(null);
+
+  const stopCamera = () => {
+    controlsRef.current?.stop();
+    controlsRef.current = null;
+    setScanning(false);
+  };
+
+  useEffect(() => stopCamera, []);
+
+  const handleDecoded = async (text) => {
+    setDecoded(text);
+    setError(null);
+    try {
+      setResolving(true);
+      const target = await resolveScannedCode(text);
+      if (!target) {
+        setError("This code does not match any medicine or shipment.");
+      } else if (target.kind === "shipment") {
+        navigate(`/shipments/${encodeURIComponent(target.trackingId)}`);
+      } else {
+        navigate(`/medicine-details/${target.id}`);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || "Could not look up the scanned code.");
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    stopCamera();
+    const url = URL.createObjectURL(file);
+    try {
+      const result = await readerRef.current.decodeFromImageUrl(url);
+      await handleDecoded(result.getText());
+    } catch {
+      setDecoded("");
+      setError("No QR or DataMatrix code found in the image. Try a sharper, closer photo.");
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  const startCamera = async () => {
+    setError(null);
+    try {
+      setScanning(true);
+      controlsRef.current = await readerRef.current.decodeFromConstraints(
+        { video: { facingMode: "environment" } },
+        videoRef.current,
+        (result, _error, controls) => {
+          if (result) {
+            controls.stop();
+            controlsRef.current = null;
+            setScanning(false);
+            handleDecoded(result.getText());
+          }
+        }
+      );
+    } catch {
+      setScanning(false);
+      setError("Camera is not available. Check the browser permission or upload a photo instead.");
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-800 py-16">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 max-w-2xl">
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-indigo-600 to-indigo-500 p-3 rounded-lg mr-4 shadow-md">
+            <ScanLine className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-white">Scan a Label</h2>
+        </div>
+
+        <div className="bg-gray-900 rounded-xl shadow-md overflow-hidden p-6">
+          <p className="text-gray-300 mb-6">
+            Scan a medicine, unit or shipment label (QR code or GS1 DataMatrix) to open its record.
+          </p>
+
+          <div className="flex flex-col sm:flex-row gap-3 mb-6">
+            <label className="flex-1 flex items-center justify-center px-4 py-3 bg-gradient-to-r from-indigo-600 to-indigo-500 text-white rounded-lg cursor-pointer hover:shadow-md transition-all">
+              <Upload className="h-5 w-5 mr-2" />
+              Upload Photo
+              <input type="file" accept="image/*" capture="environment" className="hidden" onChange={handleUpload} />
+            </label>
+            {cameraAvailable && (
+              <button
+                onClick={scanning ? stopCamera : startCamera}
+                className="flex-1 flex items-center justify-center px-4 py-3 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-all"
+              >
+                {scanning ? <CameraOff className="h-5 w-5 mr-2" /> : <Camera className="h-5 w-5 mr-2" />}
+                {scanning ? "Stop Camera" : "Use Camera"}
+              </button>
+            )}
+          </div>
+
+          <video
+            ref={videoRef}
+            className={`w-full rounded-lg bg-black mb-6 ${scanning ? "" : "hidden"}`}
+            muted
+            playsInline
+          />
+
+          {resolving && (
+            <div className="flex items-center text-gray-300 mb-4">
+              <Loader className="h-5 w-5 mr-2 animate-spin" />
+              Looking up code...
+            </div>
+          )}
+
+          {decoded && (
+            <div className="mb-4">
+              <p className="text-sm text-gray-400 mb-1">Decoded</p>
+              <p className="font-mono text-sm text-gray-200 break-all">{decoded}</p>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+              <AlertCircle className="h-5 w-5 text-red-500 mr-3" />
+              <p className="text-red-700">{error}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Scan;
\ No newline at end of file
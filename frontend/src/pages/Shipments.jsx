@@ -1,13 +1,32 @@
-import { useState, useEffect } from "react";
-import { addShipment, getAllShipments, updateShipmentStatus } from "../services/api";
+import { useState, useEffect, useContext } from "react";
+import { useParams } from "react-router-dom";
+import { addShipment, addConsignment, getAllShipments, updateShipmentStatus, updateShipmentStatusWithNote } from "../services/api";
 import {
   Truck, Package, ArrowRight, User, CheckCircle, AlertCircle,
-  Loader, BarChart3, RefreshCw, Tag, History, X
+  Loader, BarChart3, RefreshCw, Tag, History, X, QrCode, FileDown, Plus, Trash2, Boxes
 } from "lucide-react";
 import ShipmentTimeline from "../components/ShipmentTimeline";
+import { Web3Context } from "../context/Web3Provider";
+import { downloadQrCode, downloadLabelSheet } from "../services/labels";
+
+const emptyLineItem = { medicineId: "", batchNumber: "", quantity: "" };
+
+// ShipmentStatus enum values in the contract
+const SHIPMENT_STATUS_CODES = {
+  Pending: 0,
+  InTransit: 1,
+  Delivered: 2,
+  Rejected: 3,
+  Cancelled: 4,
+  Returned: 5,
+  Lost: 6
+};
 
 const Shipments = () => {
+  const { trackingId } = useParams();
+  const { account, sendMetaTransaction } = useContext(Web3Context);
   const [shipments, setShipments] = useState([]);
+  const [source, setSource] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [updating, setUpdating] = useState(false);
@@ -18,10 +37,12 @@ const Shipments = () => {
     receiver: "",
     trackingId: "",
   });
+  const [lineItems, setLineItems] = useState([emptyLineItem]);
 
   const [updateData, setUpdateData] = useState({
     trackingId: "",
     status: "",
+    reason: "",
   });
 
   // NEW: Selected shipment for timeline view
@@ -31,11 +52,19 @@ const Shipments = () => {
     fetchShipments();
   }, []);
 
+  // /shipments/:trackingId (e.g. from a scanned pallet label) opens that timeline
+  useEffect(() => {
+    if (trackingId) {
+      setSelectedShipment({ trackingId });
+    }
+  }, [trackingId]);
+
   const fetchShipments = async () => {
     try {
       setLoading(true);
       const response = await getAllShipments();
-      setShipments(response.data);
+      setShipments(response.data.shipments);
+      setSource(response.data.source);
     } catch (error) {
       showNotification("error", "Error fetching shipments");
       console.error("Error fetching shipments:", error);
@@ -49,12 +78,39 @@ const Shipments = () => {
     setTimeout(() => setNotification({ show: false, type: "", message: "" }), 5000);
   };
 
+  const handleDownload = async (download) => {
+    try {
+      await download();
+    } catch (error) {
+      showNotification("error", error.message);
+    }
+  };
+
+  const updateLineItem = (index, field, value) => {
+    setLineItems(lineItems.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  // A single line without a quantity is a plain shipment of one medicine (which
+  // needs no recorded batch); anything else is a consignment with line items
   const handleAddShipment = async (e) => {
     e.preventDefault();
     try {
       setSubmitting(true);
-      await addShipment(formData);
-      showNotification("success", "Shipment created successfully!");
+      if (lineItems.length === 1 && !lineItems[0].quantity) {
+        await addShipment({ ...formData, medicineId: lineItems[0].medicineId });
+        showNotification("success", "Shipment created successfully!");
+      } else {
+        const response = await addConsignment({
+          receiver: formData.receiver,
+          trackingId: formData.trackingId,
+          items: lineItems.map((item) => ({
+            medicineId: Number(item.medicineId),
+            ...(item.batchNumber.trim() && { batchNumber: item.batchNumber.trim() }),
+            quantity: Number(item.quantity),
+          })),
+        });
+        showNotification("success", response.data.message);
+      }
       fetchShipments();
       setFormData({
         medicineId: "",
@@ -62,8 +118,14 @@ const Shipments = () => {
         receiver: "",
         trackingId: "",
       });
+      setLineItems([emptyLineItem]);
     } catch (error) {
-      showNotification("error", "Error creating shipment");
+      // Consignments report every line item that cannot be shipped
+      const problems = error.response?.data?.details?.items;
+      const message = error.response?.data?.message || "Error creating shipment";
+      showNotification("error", Array.isArray(problems)
+        ? `${message}: ${problems.map((problem) => `medicine ${problem.medicineId} - ${problem.message}`).join("; ")}`
+        : message);
       console.error(error);
     } finally {
       setSubmitting(false);
@@ -74,16 +136,26 @@ const Shipments = () => {
     e.preventDefault();
     try {
       setUpdating(true);
-      await updateShipmentStatus({
-        trackingId: updateData.trackingId,
-        status: updateData.status,
-      });
+      // With a connected wallet the sender or receiver signs the update themselves;
+      // otherwise it goes to the REST route, which needs a signed-in session.
+      // A rejection carries its reason as a shipment note, as the contract requires
+      const { trackingId: id, status } = updateData;
+      const reason = status === "Rejected" ? updateData.reason.trim() : "";
+      if (account) {
+        await (reason
+          ? sendMetaTransaction("updateShipmentStatusWithNote", [id, SHIPMENT_STATUS_CODES[status], reason])
+          : sendMetaTransaction("updateShipmentStatus", [id, SHIPMENT_STATUS_CODES[status]]));
+      } else if (reason) {
+        await updateShipmentStatusWithNote({ trackingId: id, status, note: reason });
+      } else {
+        await updateShipmentStatus({ trackingId: id, status });
+      }
 
       showNotification("success", "Shipment status updated successfully!");
       fetchShipments();
-      setUpdateData({ trackingId: "", status: "" });
+      setUpdateData({ trackingId: "", status: "", reason: "" });
     } catch (error) {
-      showNotification("error", "Error updating shipment status");
+      showNotification("error", error.response?.data?.message || "Error updating shipment status");
       console.error("Error updating shipment:", error.response || error);
     } finally {
       setUpdating(false);
@@ -94,7 +166,11 @@ const Shipments = () => {
     const statusColors = {
       "Pending": "bg-yellow-100 text-yellow-800",
       "InTransit": "bg-blue-100 text-blue-800",
-      "Delivered": "bg-green-100 text-green-800"
+      "Delivered": "bg-green-100 text-green-800",
+      "Rejected": "bg-red-100 text-red-800",
+      "Cancelled": "bg-gray-100 text-gray-800",
+      "Returned": "bg-orange-100 text-orange-800",
+      "Lost": "bg-red-200 text-red-900"
     };
 
     const displayStatus = status === "InTransit" ? "In Transit" : status;
@@ -140,16 +216,57 @@ const Shipments = () => {
               </div>
               <div className="p-6">
                 <form onSubmit={handleAddShipment} className="space-y-4">
-                  <div className="space-y-1">
-                    <label className="block text-sm font-medium text-gray-300">Medicine ID</label>
-                    <input
-                      type="text"
-                      placeholder="Enter medicine ID"
-                      className="w-full px-4 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-teal-500 transition-all"
-                      value={formData.medicineId}
-                      onChange={(e) => setFormData({ ...formData, medicineId: e.target.value })}
-                      required
-                    />
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-300">Line Items</label>
+                    {lineItems.map((item, index) => (
+                      <div key={index} className="grid grid-cols-12 gap-2">
+                        <input
+                          type="number"
+                          min="1"
+                          placeholder="Medicine ID"
+                          className="col-span-3 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-teal-500 transition-all"
+                          value={item.medicineId}
+                          onChange={(e) => updateLineItem(index, "medicineId", e.target.value)}
+                          required
+                        />
+                        <input
+                          type="text"
+                          placeholder="Batch (optional)"
+                          className="col-span-4 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-teal-500 transition-all"
+                          value={item.batchNumber}
+                          onChange={(e) => updateLineItem(index, "batchNumber", e.target.value)}
+                        />
+                        <input
+                          type="number"
+                          min="1"
+                          placeholder="Quantity"
+                          className="col-span-3 px-3 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-teal-500 focus:border-teal-500 transition-all"
+                          value={item.quantity}
+                          onChange={(e) => updateLineItem(index, "quantity", e.target.value)}
+                          required={lineItems.length > 1}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setLineItems(lineItems.filter((_, i) => i !== index))}
+                          disabled={lineItems.length === 1}
+                          className="col-span-2 flex items-center justify-center rounded-lg bg-gray-800 text-gray-400 hover:text-red-400 disabled:opacity-40 transition-all"
+                          title="Remove line item"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setLineItems([...lineItems, emptyLineItem])}
+                      className="flex items-center text-sm text-teal-400 hover:text-teal-300"
+                    >
+                      <Plus className="h-4 w-4 mr-1" />
+                      Add line item
+                    </button>
+                    <p className="text-xs text-gray-500">
+                      Every line must be a distributed medicine of the same distributor. Leave the quantity empty to ship a single medicine without a batch.
+                    </p>
                   </div>
 
                   <div className="space-y-1">
@@ -245,12 +362,30 @@ const Shipments = () => {
                       required
                     >
                       <option value="">Select Status</option>
-                      <option value="Pending">Pending</option>
                       <option value="InTransit">In-Transit</option>
                       <option value="Delivered">Delivered</option>
+                      <option value="Rejected">Rejected</option>
+                      <option value="Cancelled">Cancelled</option>
+                      <option value="Returned">Returned</option>
+                      <option value="Lost">Lost</option>
                     </select>
                   </div>
 
+                  {updateData.status === "Rejected" && (
+                    <div className="space-y-1">
+                      <label className="block text-sm font-medium text-gray-300">Reason for rejection</label>
+                      <textarea
+                        placeholder="e.g. Seal broken, temperature indicator tripped"
+                        rows={2}
+                        maxLength={500}
+                        className="w-full px-4 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition-all resize-none"
+                        value={updateData.reason}
+                        onChange={(e) => setUpdateData({ ...updateData, reason: e.target.value })}
+                        required
+                      />
+                    </div>
+                  )}
+
                   <button
                     type="submit"
                     className={`w-full flex justify-center items-center py-2 px-4 bg-gradient-to-r from-amber-600 to-amber-500 text-white rounded-lg shadow hover:shadow-lg ${updating ? "opacity-75 cursor-not-allowed" : "hover:from-amber-700 hover:to-amber-600"
@@ -282,6 +417,9 @@ const Shipments = () => {
                   <div className="flex items-center">
                     <BarChart3 className="h-5 w-5 mr-3 text-teal-500" />
                     <h3 className="text-xl font-semibold text-gray-800">Shipments Registry</h3>
+                    {source === "chain" && (
+                      <span className="ml-3 text-xs text-yellow-700">Read from blockchain (database unavailable)</span>
+                    )}
                   </div>
                   <span className="bg-teal-100 text-teal-800 text-xs font-medium px-3 py-1 rounded-full">
                     {shipments.length} Shipments
@@ -308,8 +446,17 @@ const Shipments = () => {
                     <li key={shipment.trackingId} className="p-6 hover:bg-gray-50 transition-all">
                       <div className="flex flex-col md:flex-row md:items-center justify-between mb-4">
                         <div className="flex items-center mb-3 md:mb-0">
-                          <Package className="h-5 w-5 text-teal-500 mr-2" />
-                          <h4 className="font-medium text-gray-900">Medicine ID: {shipment.medicineId}</h4>
+                          {shipment.items?.length > 0 ? (
+                            <>
+                              <Boxes className="h-5 w-5 text-teal-500 mr-2" />
+                              <h4 className="font-medium text-gray-900">Consignment: {shipment.items.length} medicines</h4>
+                            </>
+                          ) : (
+                            <>
+                              <Package className="h-5 w-5 text-teal-500 mr-2" />
+                              <h4 className="font-medium text-gray-900">Medicine ID: {shipment.medicineId}</h4>
+                            </>
+                          )}
                           <div className="ml-3">{getStatusBadge(shipment.status)}</div>
                         </div>
                         <div className="flex items-center text-sm bg-gray-100 px-3 py-1 rounded">
@@ -318,6 +465,27 @@ const Shipments = () => {
                         </div>
                       </div>
 
+                      {shipment.items?.length > 0 && (
+                        <table className="w-full text-sm mb-4">
+                          <thead>
+                            <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                              <th className="py-1 font-medium">Medicine ID</th>
+                              <th className="py-1 font-medium">Batch</th>
+                              <th className="py-1 font-medium text-right">Quantity</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {shipment.items.map((item) => (
+                              <tr key={item.medicineId} className="text-gray-700">
+                                <td className="py-1">{item.medicineId}</td>
+                                <td className="py-1 font-mono text-xs">{item.batchNumber || "-"}</td>
+                                <td className="py-1 text-right">{item.quantity}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
                         <div className="bg-gray-50 rounded-lg p-3">
                           <div className="flex items-center text-gray-700 mb-1">
@@ -340,6 +508,29 @@ const Shipments = () => {
                         </div>
                       </div>
 
+                      <div className="mt-4 flex flex-wrap gap-2">
+                        {["png", "svg"].map((format) => (
+                          <button
+                            key={format}
+                            onClick={() => handleDownload(() => downloadQrCode("shipment", shipment.trackingId, format))}
+                            className="flex items-center text-xs font-medium px-2.5 py-1.5 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-all"
+                          >
+                            <QrCode className="h-3.5 w-3.5 mr-1" />
+                            QR {format.toUpperCase()}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => handleDownload(() => downloadLabelSheet(
+                            { items: [{ type: "shipment", value: shipment.trackingId }] },
+                            `shipment-${shipment.trackingId}-label.pdf`
+                          ))}
+                          className="flex items-center text-xs font-medium px-2.5 py-1.5 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-all"
+                        >
+                          <FileDown className="h-3.5 w-3.5 mr-1" />
+                          Label PDF
+                        </button>
+                      </div>
+
                       {/* View Timeline Button */}
                       <div className="mt-4 pt-4 border-t border-gray-100">
                         <button
@@ -1,9 +1,12 @@
-import { useState, useEffect } from "react";
-import { recordTransaction, getTransactions } from "../services/api";
+import { useState, useEffect, useContext } from "react";
+import { Web3Context } from "../context/Web3Provider";
+import { advanceMedicine, getTransactions, getStageDefinition } from "../services/api";
 import { FileText, User, Calendar, ChevronsRight, CheckCircle, AlertCircle, Loader, Package, TrendingUp } from "lucide-react";
 
 const Transactions = () => {
+  const { account, sendMetaTransaction } = useContext(Web3Context);
   const [transactions, setTransactions] = useState([]);
+  const [transitions, setTransitions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [notification, setNotification] = useState({ show: false, type: "", message: "" });
@@ -16,8 +19,19 @@ const Transactions = () => {
 
   useEffect(() => {
     fetchTransactions();
+    fetchStageDefinition();
   }, []);
 
+  // Dropdown options come from the backend's stage machine definition
+  const fetchStageDefinition = async () => {
+    try {
+      const response = await getStageDefinition();
+      setTransitions(response.data.transitions);
+    } catch (error) {
+      console.error("Error fetching stage definition:", error);
+    }
+  };
+
   const fetchTransactions = async () => {
     try {
       setLoading(true);
@@ -40,8 +54,12 @@ const Transactions = () => {
     e.preventDefault();
     try {
       setSubmitting(true);
-      await recordTransaction(formData);
-      showNotification("success", "Transaction recorded successfully!");
+      // With a connected wallet the participant signs the action themselves;
+      // otherwise the backend submits it with the owner account
+      const response = account
+        ? await sendMetaTransaction(formData.action, [formData.medicineId])
+        : await advanceMedicine(formData.medicineId, { action: formData.action });
+      showNotification("success", `Transaction recorded successfully! New stage: ${response.data.stage}`);
       fetchTransactions();
       setFormData({
         medicineId: "",
@@ -50,7 +68,7 @@ const Transactions = () => {
         timestamp: Date.now(),
       });
     } catch (error) {
-      showNotification("error", "Error adding transaction");
+      showNotification("error", error.response?.data?.message || "Error adding transaction");
       console.error(error);
     } finally {
       setSubmitting(false);
@@ -60,10 +78,11 @@ const Transactions = () => {
   // Function to get action badge
   const getActionBadge = (action) => {
     const actionColors = {
-      "Shipped": "bg-blue-100 text-blue-800",
-      "Received": "bg-green-100 text-green-800",
-      "In Transit": "bg-yellow-100 text-yellow-800",
-      "Completed": "bg-purple-100 text-purple-800"
+      "RawMaterialSupplied": "bg-blue-100 text-blue-800",
+      "Manufactured": "bg-purple-100 text-purple-800",
+      "Distributed": "bg-green-100 text-green-800",
+      "Retail": "bg-indigo-100 text-indigo-800",
+      "Sold": "bg-gray-100 text-gray-800"
     };
     
     return (
@@ -127,10 +146,14 @@ const Transactions = () => {
                       type="text"
                       placeholder="0x..."
                       className="w-full px-4 py-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all font-mono text-sm"
-                      value={formData.participant}
+                      value={account || formData.participant}
                       onChange={(e) => setFormData({ ...formData, participant: e.target.value })}
+                      readOnly={!!account}
                       required
                     />
+                    {account && (
+                      <p className="text-xs text-gray-400">Signed with your connected wallet</p>
+                    )}
                   </div>
                   
                   <div className="space-y-1">
@@ -142,10 +165,11 @@ const Transactions = () => {
                       required
                     >
                       <option value="">Select Action</option>
-                      <option value="Shipped">Shipped</option>
-                      <option value="Received">Received</option>
-                      <option value="In Transit">In Transit</option>
-                      <option value="Completed">Completed</option>
+                      {transitions.map((transition) => (
+                        <option key={transition.action} value={transition.action}>
+                          {transition.label} ({transition.from} → {transition.to})
+                        </option>
+                      ))}
                     </select>
                   </div>
                   
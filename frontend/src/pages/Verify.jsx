@@ -0,0 +1,207 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { verifyCode } from "../services/api";
+import { ShieldCheck, ShieldAlert, ShieldX, ShieldQuestion, Search, Loader, AlertCircle, Clock, MapPin } from "lucide-react";
+
+const VERDICT_STYLES = {
+  genuine: {
+    icon: ShieldCheck,
+    title: "Genuine",
+    text: "This product is registered on the blockchain and its record is intact.",
+    classes: "bg-green-50 border-green-200 text-green-800",
+  },
+  expired: {
+    icon: ShieldAlert,
+    title: "Expired",
+    text: "This product is genuine but past its expiry date. Do not use it.",
+    classes: "bg-yellow-50 border-yellow-200 text-yellow-800",
+  },
+  recalled: {
+    icon: ShieldX,
+    title: "Recalled",
+    text: "This product has been recalled. Do not use it and return it to your pharmacy.",
+    classes: "bg-red-50 border-red-200 text-red-800",
+  },
+  unknown: {
+    icon: ShieldQuestion,
+    title: "Unknown",
+    text: "This code could not be matched to a registered product. It may be counterfeit.",
+    classes: "bg-gray-50 border-gray-200 text-gray-800",
+  },
+};
+
+const STAGE_LABELS = {
+  Ordered: "Ordered",
+  RawMaterialSupplied: "Raw Materials Supplied",
+  Manufactured: "Manufactured",
+  Distributed: "Distributed",
+  Retail: "At Pharmacy",
+  Sold: "Dispensed",
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "-");
+
+const Verify = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(code || "");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!code) return;
+
+    const runVerification = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await verifyCode(code);
+        setResult(response.data);
+      } catch (error) {
+        setResult(null);
+        setError(error.response?.data?.message || "Verification is unavailable right now. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    runVerification();
+  }, [code]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim()) {
+      navigate(`/verify/${encodeURIComponent(input.trim())}`);
+    }
+  };
+
+  const verdict = result && (VERDICT_STYLES[result.verdict] || VERDICT_STYLES.unknown);
+
+  return (
+    <div className="min-h-screen bg-gray-800 py-16">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 max-w-3xl">
+        <div className="mb-8 flex items-center">
+          <div className="bg-gradient-to-r from-emerald-600 to-emerald-500 p-3 rounded-lg mr-4 shadow-md">
+            <ShieldCheck className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-white">Verify a Medicine</h2>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mb-8 flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            placeholder="Serial (SGTIN), batch number or medicine ID"
+            className="flex-grow px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+          />
+          <button type="submit" className="flex items-center justify-center px-4 py-3 bg-gradient-to-r from-emerald-600 to-emerald-500 text-white rounded-lg hover:shadow-md transition-all">
+            <Search className="h-5 w-5 mr-2" />
+            Verify
+          </button>
+        </form>
+
+        {loading ? (
+          <div className="flex flex-col items-center justify-center py-12">
+            <Loader className="h-10 w-10 text-emerald-500 animate-spin mb-4" />
+            <p className="text-gray-300">Checking the blockchain...</p>
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-6 flex items-center">
+            <AlertCircle className="h-8 w-8 text-red-500 mr-4" />
+            <p className="text-red-700">{error}</p>
+          </div>
+        ) : result && (
+          <>
+            <div className={`border rounded-xl p-6 mb-8 flex items-start ${verdict.classes}`}>
+              <verdict.icon className="h-10 w-10 mr-4 flex-shrink-0" />
+              <div>
+                <h3 className="text-2xl font-bold">{verdict.title}</h3>
+                <p className="mt-1">{result.reason || verdict.text}</p>
+                {result.recall && (
+                  <p className="mt-2 text-sm">
+                    <span className="font-semibold">{result.recall.severity} severity recall</span>
+                    {` issued ${new Date(result.recall.issuedAt).toLocaleDateString()}: ${result.recall.reason}`}
+                  </p>
+                )}
+                <p className="mt-2 text-xs opacity-75">Checked {new Date(result.checkedAt).toLocaleString()}</p>
+              </div>
+            </div>
+
+            {result.medicine && (
+              <div className="bg-white rounded-xl shadow-md overflow-hidden mb-8">
+                <div className="border-b border-gray-100 p-6">
+                  <h3 className="text-xl font-semibold text-gray-800">{result.medicine.name}</h3>
+                  <p className="text-gray-600 mt-1">{result.medicine.description}</p>
+                </div>
+                <div className="p-6 grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-500">Batch</p>
+                    <p className="text-gray-800 font-medium">{result.medicine.batchNumber || "-"}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Current stage</p>
+                    <p className="text-gray-800">{STAGE_LABELS[result.medicine.stage] || result.medicine.stage}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Manufactured</p>
+                    <p className="text-gray-800">{formatDate(result.medicine.manufacturingDate)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Expires</p>
+                    <p className="text-gray-800">{formatDate(result.medicine.expiryDate)}</p>
+                  </div>
+                  {result.unit && (
+                    <div className="col-span-2">
+                      <p className="text-gray-500">Serial number</p>
+                      <p className="text-gray-800 font-mono">{result.unit.serial}</p>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {result.provenance && (
+              <div className="bg-white rounded-xl shadow-md overflow-hidden">
+                <div className="border-b border-gray-100 p-6">
+                  <h3 className="text-xl font-semibold text-gray-800">Supply Chain Journey</h3>
+                </div>
+                <ol className="divide-y divide-gray-100">
+                  {result.provenance.map((step) => (
+                    <li key={step.stage} className="p-6 flex items-start">
+                      <div className="bg-emerald-100 p-2 rounded-full mr-4">
+                        <Clock className="h-5 w-5 text-emerald-600" />
+                      </div>
+                      <div>
+                        <p className="font-medium text-gray-800">{STAGE_LABELS[step.stage] || step.stage}</p>
+                        {step.participant && (
+                          <p className="text-sm text-gray-600 flex items-center mt-1">
+                            {step.participant.name || step.participant.role}
+                            {step.participant.location && (
+                              <>
+                                <MapPin className="h-4 w-4 ml-2 mr-1" />
+                                {step.participant.location}
+                              </>
+                            )}
+                          </p>
+                        )}
+                        {step.participant?.address && (
+                          <p className="text-xs text-gray-400 font-mono mt-1">{step.participant.address}</p>
+                        )}
+                        <p className="text-xs text-gray-500 mt-1">
+                          {step.timestamp ? new Date(step.timestamp).toLocaleString() : "Time not recorded"}
+                        </p>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Verify;
\ No newline at end of file
@@ -2,15 +2,53 @@ import axios from "axios";
 
 const API_URL = import.meta.env.VITE_API_BASE_URL;
 
+// Wallet session token (Sign-In with Ethereum), sent with every request
+const AUTH_TOKEN_KEY = "authToken";
+
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+export const setAuthToken = (token) => {
+  if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+  else localStorage.removeItem(AUTH_TOKEN_KEY);
+};
+
+axios.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Auth
+export const getSignInChallenge = (address) => axios.get(`${API_URL}/auth/challenge`, { params: { address } });
+export const verifySignIn = (data) => axios.post(`${API_URL}/auth/verify`, data);
+export const getCurrentUser = () => axios.get(`${API_URL}/auth/me`);
+
 // Medicines
 export const addMedicine = (medicineData) => axios.post(`${API_URL}/medicines/add`, medicineData);
 export const getMedicines = () => axios.get(`${API_URL}/medicines/`);
+export const getMedicineByBatch = (batchNumber) => axios.get(`${API_URL}/medicines/batch/${encodeURIComponent(batchNumber)}`);
+export const recordBatch = (medicineId, data) => axios.post(`${API_URL}/medicines/${medicineId}/batch`, data);
+export const serializeBatch = (medicineId, data) => axios.post(`${API_URL}/medicines/${medicineId}/serials`, data);
+export const getBatchSerials = (medicineId, params) => axios.get(`${API_URL}/medicines/${medicineId}/serials`, { params });
+export const verifySerial = (params) => axios.get(`${API_URL}/serials/verify`, { params });
+export const verifyCode = (code) => axios.get(`${API_URL}/verify/${encodeURIComponent(code)}`);
+export const getQrCode = (type, value, format = "png") =>
+  axios.get(`${API_URL}/labels/${type}/${encodeURIComponent(value)}/qr`, { params: { format }, responseType: "blob" });
+export const createLabelSheet = (data) => axios.post(`${API_URL}/labels/sheet`, data, { responseType: "blob" });
 export const getMedicineHistory = (medicineId) => axios.get(`${API_URL}/medicines/${medicineId}/history`);
 export const getMedicineStage = (medicineId) => axios.get(`${API_URL}/medicines/${medicineId}/stage`);
+export const getStageDefinition = () => axios.get(`${API_URL}/medicines/stages`);
+export const advanceMedicine = (medicineId, data) => axios.post(`${API_URL}/medicines/${medicineId}/advance`, data);
 
 // Participants
 export const addParticipant = (participantData) => axios.post(`${API_URL}/participants/add`, participantData);
 export const getAllParticipants = () => axios.get(`${API_URL}/participants/`);
+export const getParticipant = (address) => axios.get(`${API_URL}/participants/${address}`);
+export const updateParticipant = (address, data) => axios.put(`${API_URL}/participants/${address}`, data);
+export const suspendParticipant = (address) => axios.post(`${API_URL}/participants/${address}/suspend`);
+export const reinstateParticipant = (address) => axios.post(`${API_URL}/participants/${address}/reinstate`);
+export const getParticipantHistory = (address) => axios.get(`${API_URL}/participants/${address}/history`);
 
 // Transactions
 export const recordTransaction = (transactionData) => axios.post(`${API_URL}/transactions/add`, transactionData);
@@ -18,6 +56,7 @@ export const getTransactions = () => axios.get(`${API_URL}/transactions/`);
 
 // Shipments
 export const addShipment = (shipmentData) => axios.post(`${API_URL}/shipments/add`, shipmentData);
+export const addConsignment = (consignmentData) => axios.post(`${API_URL}/shipments/consignments`, consignmentData);
 export const updateShipmentStatus = async (updateData) => {
   return await axios.post(`${API_URL}/shipments/update`, updateData, {
     headers: { "Content-Type": "application/json" },
@@ -35,3 +74,34 @@ export const updateShipmentStatusWithNote = async (updateData) => {
 export const getShipmentNotes = async (trackingId) => {
   return await axios.get(`${API_URL}/shipments/notes/${trackingId}`);
 };
+
+// Custody handoff: the receiver accepts or rejects a shipment in transit
+export const acceptShipment = (trackingId, note) => axios.post(`${API_URL}/shipments/${trackingId}/accept`, { note });
+export const rejectShipment = (trackingId, note) => axios.post(`${API_URL}/shipments/${trackingId}/reject`, { note });
+
+// Cold-chain telemetry
+export const getTelemetry = (trackingId) => axios.get(`${API_URL}/shipments/${trackingId}/telemetry`);
+export const recordTelemetry = (trackingId, readings) => axios.post(`${API_URL}/shipments/${trackingId}/telemetry`, { readings });
+export const getStorageRange = (medicineId) => axios.get(`${API_URL}/medicines/${medicineId}/storage-range`);
+export const setStorageRange = (medicineId, data) => axios.put(`${API_URL}/medicines/${medicineId}/storage-range`, data);
+
+// Location checkpoints
+export const getCheckpoints = (trackingId) => axios.get(`${API_URL}/shipments/${trackingId}/checkpoints`);
+export const recordCheckpoint = (trackingId, checkpoint) => axios.post(`${API_URL}/shipments/${trackingId}/checkpoints`, checkpoint);
+
+// Documents (files stored off-chain, SHA-256 anchored on-chain)
+export const uploadDocument = (formData) => axios.post(`${API_URL}/documents`, formData);
+export const getDocuments = (subjectType, subjectId) => axios.get(`${API_URL}/documents`, { params: { subjectType, subjectId } });
+export const verifyDocument = (id) => axios.get(`${API_URL}/documents/${id}/verify`);
+export const findDocumentByHash = (sha256) => axios.get(`${API_URL}/documents/hash/${sha256}`);
+export const getDocumentDownloadUrl = (id) => `${API_URL}/documents/${id}/download`;
+
+// Recalls
+export const issueRecall = (data) => axios.post(`${API_URL}/recalls`, data);
+export const getRecalls = () => axios.get(`${API_URL}/recalls`);
+export const getRecall = (medicineId) => axios.get(`${API_URL}/recalls/${medicineId}`);
+export const setRegulator = (address, active) => axios.put(`${API_URL}/admin/regulators/${address}`, { active });
+
+// Meta-transactions (participant-signed, relayed by the backend)
+export const prepareMetaTransaction = (data) => axios.post(`${API_URL}/meta-tx/prepare`, data);
+export const relayMetaTransaction = (data) => axios.post(`${API_URL}/meta-tx/relay`, data);
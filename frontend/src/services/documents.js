@@ -0,0 +1,21 @@
+export const DOCUMENT_KINDS = [
+  { value: "CertificateOfAnalysis", label: "Certificate of Analysis" },
+  { value: "GmpCertificate", label: "GMP Certificate" },
+  { value: "CustomsDeclaration", label: "Customs Declaration" },
+  { value: "Other", label: "Other" },
+];
+
+export const documentKindLabel = (kind) =>
+  DOCUMENT_KINDS.find((entry) => entry.value === kind)?.label || kind;
+
+// Hex SHA-256 of a File, matching the hash the backend anchors on-chain
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { getQrCode, createLabelSheet } from "./api";
+
+// Open a downloaded file in a new tab, falling back to saving it
+const openFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+// Label requests use blob responses, so error envelopes arrive as blobs too
+const errorMessage = async (error) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+};
+
+const download = async (request, filename) => {
+  try {
+    const response = await request();
+    openFile(response.data, filename);
+  } catch (error) {
+    throw new Error((await errorMessage(error)) || "Error generating label");
+  }
+};
+
+// type: "medicine" | "serial" | "shipment"; format: "png" | "svg"
+export const downloadQrCode = (type, value, format) =>
+  download(() => getQrCode(type, value, format), `${type}-${value}.${format}`);
+
+// sheet: { medicineId } for every unit of a batch, or { items: [{ type, value }] }
+export const downloadLabelSheet = (sheet, filename) =>
+  download(() => createLabelSheet(sheet), filename);
\ No newline at end of file
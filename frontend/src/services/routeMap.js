@@ -0,0 +1,69 @@
+// Geometry for the shipment route map in ShipmentTimeline, drawn as plain SVG
+// (Web Mercator, no map tiles) so it works offline.
+
+export const MAP_WIDTH = 600;
+export const MAP_HEIGHT = 320;
+const PADDING = 30;
+
+// Grid spacings in degrees, smallest first
+const GRID_STEPS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30];
+
+// Web Mercator, in units of the map's own width
+const projectX = (longitude) => (longitude + 180) / 360;
+const projectY = (latitude) => {
+  const radians = (latitude * Math.PI) / 180;
+  return (1 - Math.log(Math.tan(Math.PI / 4 + radians / 2)) / Math.PI) / 2;
+};
+
+const gridLines = (min, max) => {
+  const step = GRID_STEPS.find((candidate) => (max - min) / candidate <= 6) || GRID_STEPS[GRID_STEPS.length - 1];
+  const lines = [];
+  for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+    lines.push({ value, label: `${Number(value.toFixed(2))}°` });
+  }
+  return lines;
+};
+
+/**
+ * Fit a shipment's checkpoints (in time order) into the map, keeping the
+ * projection's aspect ratio.
+ * @returns { path, markers, latitudeLines, longitudeLines } or null without checkpoints
+ */
+export const buildRouteMap = (checkpoints) => {
+  if (checkpoints.length === 0) return null;
+
+  const xs = checkpoints.map((checkpoint) => projectX(checkpoint.longitude));
+  const ys = checkpoints.map((checkpoint) => projectY(checkpoint.latitude));
+  // A lone checkpoint, or several at one place, still gets a small area around it
+  const spanX = Math.max(Math.max(...xs) - Math.min(...xs), 0.0005);
+  const spanY = Math.max(Math.max(...ys) - Math.min(...ys), 0.0005);
+  const centerX = (Math.max(...xs) + Math.min(...xs)) / 2;
+  const centerY = (Math.max(...ys) + Math.min(...ys)) / 2;
+
+  const scale = Math.min((MAP_WIDTH - 2 * PADDING) / spanX, (MAP_HEIGHT - 2 * PADDING) / spanY);
+  const x = (projected) => MAP_WIDTH / 2 + (projected - centerX) * scale;
+  const y = (projected) => MAP_HEIGHT / 2 + (projected - centerY) * scale;
+
+  // Visible extent in degrees, for the grid
+  const toLongitude = (px) => ((px - MAP_WIDTH / 2) / scale + centerX) * 360 - 180;
+  const toLatitude = (py) => {
+    const projected = (py - MAP_HEIGHT / 2) / scale + centerY;
+    return (Math.atan(Math.sinh(Math.PI * (1 - 2 * projected))) * 180) / Math.PI;
+  };
+
+  const markers = checkpoints.map((checkpoint, i) => ({
+    ...checkpoint,
+    number: i + 1,
+    x: x(xs[i]),
+    y: y(ys[i]),
+  }));
+
+  return {
+    path: markers.map((marker) => `${marker.x},${marker.y}`).join(" "),
+    markers,
+    latitudeLines: gridLines(toLatitude(MAP_HEIGHT), toLatitude(0))
+      .map((line) => ({ ...line, y: y(projectY(line.value)) })),
+    longitudeLines: gridLines(toLongitude(0), toLongitude(MAP_WIDTH))
+      .map((line) => ({ ...line, x: x(projectX(line.value)) })),
+  };
+};
\ No newline at end of file
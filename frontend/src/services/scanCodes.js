@@ -0,0 +1,133 @@
+import { verifySerial, getMedicineByBatch, getShipmentNotes } from "./api";
+
+const GROUP_SEPARATOR = "\u001d";
+
+// Application identifiers read from labels: fixed length, or variable (up to 20) ending at a GS
+const FIXED_LENGTH_AIS = { "01": 14, "17": 6 };
+const VARIABLE_AIS = ["10", "21"];
+
+const AI_FIELDS = { "01": "gtin", "10": "batchNumber", "17": "expiry", "21": "serial" };
+
+const stripSeparator = (text) => (text.startsWith(GROUP_SEPARATOR) ? text.slice(1) : text);
+
+// Drop a symbology identifier (]d2 DataMatrix, ]Q3 QR, ]C1 GS1-128) and a leading FNC1
+const stripPrefix = (text) => stripSeparator(text.replace(/^\][A-Za-z]\d/, ""));
+
+const toFields = (pairs) => {
+  const fields = {};
+  for (const [ai, value] of pairs) {
+    if (AI_FIELDS[ai]) fields[AI_FIELDS[ai]] = value;
+  }
+  return fields.gtin ? fields : null;
+};
+
+// Raw GS1 barcode data, e.g. "0109506000134352 21ABC<GS>10LOT1" from a DataMatrix
+const parseRawAis = (text) => {
+  let rest = stripPrefix(text);
+  const pairs = [];
+
+  while (rest.length > 0) {
+    const ai = rest.slice(0, 2);
+    if (FIXED_LENGTH_AIS[ai]) {
+      const value = rest.slice(2, 2 + FIXED_LENGTH_AIS[ai]);
+      if (!/^\d+$/.test(value) || value.length !== FIXED_LENGTH_AIS[ai]) return null;
+      pairs.push([ai, value]);
+      rest = stripSeparator(rest.slice(2 + FIXED_LENGTH_AIS[ai]));
+    } else if (VARIABLE_AIS.includes(ai)) {
+      const end = rest.indexOf(GROUP_SEPARATOR);
+      pairs.push([ai, end === -1 ? rest.slice(2) : rest.slice(2, end)]);
+      rest = end === -1 ? "" : rest.slice(end + 1);
+    } else {
+      // Unsupported AI: its length is unknown, so stop here
+      break;
+    }
+  }
+  return toFields(pairs);
+};
+
+/**
+ * Read GTIN, serial, batch and expiry from a GS1 element string "(01)...(21)...",
+ * raw barcode data or a GS1 Digital Link path. Returns null for non-GS1 text.
+ */
+export const parseGs1 = (text) => {
+  if (text.startsWith("(")) {
+    return toFields([...text.matchAll(/\((\d{2})\)([^(]+)/g)].map((match) => [match[1], match[2]]));
+  }
+
+  const link = text.match(/\/01\/(\d{8,14})((?:\/\d{2}\/[^/?#]+)*)/);
+  if (link) {
+    const pairs = [["01", link[1].padStart(14, "0")]];
+    for (const match of link[2].matchAll(/\/(\d{2})\/([^/?#]+)/g)) {
+      pairs.push([match[1], decodeURIComponent(match[2])]);
+    }
+    return toFields(pairs);
+  }
+
+  return /^01\d{14}/.test(stripPrefix(text)) ? parseRawAis(text) : null;
+};
+
+const lookupBatch = async (batchNumber) => {
+  try {
+    const response = await getMedicineByBatch(batchNumber);
+    return { kind: "medicine", id: response.data.medicine.blockchainId };
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 400) return null;
+    throw error;
+  }
+};
+
+const resolveGs1 = async ({ gtin, serial, batchNumber }) => {
+  if (serial) {
+    try {
+      const response = await verifySerial({ gtin, serial });
+      return { kind: "medicine", id: response.data.medicineId, serial };
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+  return batchNumber ? lookupBatch(batchNumber) : null;
+};
+
+// A code from a label printed by this app (a /verify/ or /shipments/ URL) or any
+// other medicine ID, batch number, GS1 code or tracking ID
+const resolveCode = async (code) => {
+  const gs1 = parseGs1(code);
+  if (gs1) return resolveGs1(gs1);
+
+  if (/^\d+$/.test(code)) return { kind: "medicine", id: Number(code) };
+
+  const batch = await lookupBatch(code);
+  if (batch) return batch;
+
+  try {
+    await getShipmentNotes(code);
+    return { kind: "shipment", trackingId: code };
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 400) return null;
+    throw error;
+  }
+};
+
+/**
+ * Work out what a scanned code refers to.
+ * @returns { kind: "medicine", id } | { kind: "shipment", trackingId } | null
+ */
+export const resolveScannedCode = async (text) => {
+  const value = text.trim();
+
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch {
+    return resolveCode(value);
+  }
+
+  const shipment = url.pathname.match(/\/shipments\/([^/]+)$/);
+  if (shipment) return { kind: "shipment", trackingId: decodeURIComponent(shipment[1]) };
+
+  const verify = url.pathname.match(/\/verify\/([^/]+)$/);
+  if (verify) return resolveCode(decodeURIComponent(verify[1]));
+
+  const gs1 = parseGs1(url.pathname);
+  return gs1 ? resolveGs1(gs1) : null;
+};
\ No newline at end of file
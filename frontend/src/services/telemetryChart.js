@@ -0,0 +1,57 @@
+// Geometry for the telemetry charts in ShipmentTimeline, drawn as plain SVG.
+
+export const CHART_WIDTH = 600;
+export const CHART_HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 40 };
+
+export const TELEMETRY_SERIES = [
+  { key: "temperature", label: "Temperature", unit: "°C", rangeMin: "minTemperature", rangeMax: "maxTemperature", stroke: "#60a5fa" },
+  { key: "humidity", label: "Humidity", unit: "%", rangeMin: "minHumidity", rangeMax: "maxHumidity", stroke: "#a78bfa" },
+];
+
+/**
+ * Scale one series of readings into chart coordinates.
+ * @returns { points, markers, band, ticks } or null when no reading has the value
+ */
+export const buildChart = (readings, series, range) => {
+  const values = readings.filter((reading) => reading[series.key] != null);
+  if (values.length === 0) return null;
+
+  const times = values.map((reading) => new Date(reading.timestamp).getTime());
+  const limits = range ? [range[series.rangeMin], range[series.rangeMax]] : [];
+  const all = [...values.map((reading) => reading[series.key]), ...limits];
+  const margin = (Math.max(...all) - Math.min(...all)) * 0.1 || 1;
+  const minY = Math.min(...all) - margin;
+  const maxY = Math.max(...all) + margin;
+  const minX = Math.min(...times);
+  const spanX = Math.max(...times) - minX;
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + (spanX ? ((time - minX) / spanX) * plotWidth : plotWidth / 2);
+  const y = (value) => PADDING.top + ((maxY - value) / (maxY - minY)) * plotHeight;
+
+  const excursionPrefix = series.key.toUpperCase();
+  const markers = values.map((reading, i) => ({
+    x: x(times[i]),
+    y: y(reading[series.key]),
+    value: reading[series.key],
+    timestamp: reading.timestamp,
+    deviceId: reading.deviceId,
+    excursion: reading.excursions.some((code) => code.startsWith(excursionPrefix)),
+  }));
+
+  return {
+    points: markers.map((marker) => `${marker.x},${marker.y}`).join(" "),
+    markers,
+    band: range
+      ? { y: y(range[series.rangeMax]), height: y(range[series.rangeMin]) - y(range[series.rangeMax]) }
+      : null,
+    ticks: [maxY, (maxY + minY) / 2, minY].map((value) => ({ y: y(value), label: value.toFixed(1) })),
+    left: PADDING.left,
+    right: CHART_WIDTH - PADDING.right,
+    bottom: CHART_HEIGHT - PADDING.bottom,
+    start: new Date(minX),
+    end: new Date(minX + spanX),
+  };
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Location checkpoints", (accounts) => {
+    const [owner, supplier, manufacturer, distributor, retailer, stranger] = accounts;
+    let supplyChainInstance;
+
+    const firstHash = web3.utils.keccak256("TRK-1|52.520008|13.404954|Berlin hub");
+    const secondHash = web3.utils.keccak256("TRK-1|48.856613|2.352222|Paris depot");
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addDistributor(distributor, "Test Distributor", "Distributor Location", { from: owner });
+        await supplyChainInstance.addRetailer(retailer, "Test Retailer", "Retailer Location", { from: owner });
+        await supplyChainInstance.addMedicine("Test Medicine", "Test Description", { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+        await supplyChainInstance.distributeMedicine(1, { from: distributor });
+        await supplyChainInstance.createShipment(1, retailer, "TRK-1", { from: distributor });
+    });
+
+    it("should anchor checkpoints from the shipment parties in order", async () => {
+        await supplyChainInstance.anchorCheckpoint("TRK-1", firstHash, { from: distributor });
+        const tx = await supplyChainInstance.anchorCheckpoint("TRK-1", secondHash, { from: retailer });
+
+        const hashes = await supplyChainInstance.getCheckpointHashes("TRK-1");
+        assert.deepEqual(hashes, [firstHash, secondHash], "Checkpoint hashes should be stored in order");
+
+        assert.equal(tx.logs[0].event, "CheckpointAnchored", "Event name should be CheckpointAnchored");
+        assert.equal(tx.logs[0].args.index.toNumber(), 1, "Event should carry the checkpoint index");
+        assert.equal(tx.logs[0].args.checkpointHash, secondHash, "Event should carry the hash");
+        assert.equal(tx.logs[0].args.recordedBy, retailer, "Event should carry the recorder");
+    });
+
+    it("should reject checkpoints from outsiders and for unknown shipments", async () => {
+        await expectRevert(
+            supplyChainInstance.anchorCheckpoint("TRK-1", firstHash, { from: stranger }),
+            "Not a party to the shipment"
+        );
+        await expectRevert(
+            supplyChainInstance.anchorCheckpoint("TRK-404", firstHash, { from: owner }),
+            "Shipment not found"
+        );
+        await expectRevert(
+            supplyChainInstance.anchorCheckpoint("TRK-1", "0x" + "0".repeat(64), { from: owner }),
+            "Invalid checkpoint hash"
+        );
+    });
+});
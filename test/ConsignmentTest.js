@@ -0,0 +1,141 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Consignments", (accounts) => {
+    const [owner, supplier, manufacturer, distributor, retailer, otherDistributor] = accounts;
+    let supplyChainInstance;
+
+    // Medicines 1-3 with batches of 100 units each, taken up to the given distributor
+    const distribute = async (id, by) => {
+        await supplyChainInstance.supplyRawMaterials(id, { from: supplier });
+        await supplyChainInstance.manufactureMedicine(id, { from: manufacturer });
+        await supplyChainInstance.distributeMedicine(id, { from: by });
+    };
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addDistributor(distributor, "Test Distributor", "Distributor Location", { from: owner });
+        await supplyChainInstance.addDistributor(otherDistributor, "Other Distributor", "Other Location", { from: owner });
+        await supplyChainInstance.addRetailer(retailer, "Test Retailer", "Retailer Location", { from: owner });
+        for (const lot of ["LOT-1", "LOT-2", "LOT-3"]) {
+            await supplyChainInstance.addMedicineWithBatch("Test Medicine", "Test Description", lot, 1767225600, 1830297600, 100, { from: owner });
+        }
+        await distribute(1, distributor);
+        await distribute(2, distributor);
+    });
+
+    it("should create a consignment with its line items", async () => {
+        const tx = await supplyChainInstance.createConsignment("CON-1", retailer, [1, 2], [40, 100], { from: distributor });
+
+        const items = await supplyChainInstance.getConsignmentItems("CON-1");
+        assert.deepEqual(items.map((item) => [item.medicineId, item.quantity]), [["1", "40"], ["2", "100"]], "Line items should be stored");
+
+        const shipment = await supplyChainInstance.shipments("CON-1");
+        assert.equal(shipment.medicineId.toNumber(), 1, "First line item should be the shipment's medicine");
+        assert.equal(shipment.sender, distributor, "Distributor should be the sender");
+        assert.equal(shipment.status.toNumber(), 0, "Consignment should start Pending");
+
+        const created = tx.logs.filter((log) => log.event === "ShipmentCreated");
+        assert.deepEqual(created.map((log) => log.args.medicineId.toNumber()), [1, 2], "Each line item should emit ShipmentCreated");
+    });
+
+    it("should let the owner create a consignment for the distributor", async () => {
+        await supplyChainInstance.createConsignment("CON-1", retailer, [1, 2], [1, 1], { from: owner });
+        assert.equal((await supplyChainInstance.shipments("CON-1")).sender, distributor, "Distributor should be the sender");
+
+        await supplyChainInstance.updateShipmentStatusWithNote("CON-1", 1, "Pallet dispatched", { from: distributor });
+        await supplyChainInstance.updateShipmentStatusWithNote("CON-1", 2, "Pallet received", { from: retailer });
+        assert.equal((await supplyChainInstance.shipments("CON-1")).status.toNumber(), 2, "Status should apply to the consignment");
+    });
+
+    it("should let the owner create a single shipment for the distributor", async () => {
+        await supplyChainInstance.createShipment(1, retailer, "TRK-1", { from: owner });
+        assert.equal((await supplyChainInstance.shipments("TRK-1")).sender, distributor, "Distributor should be the sender");
+
+        await expectRevert(
+            supplyChainInstance.createShipment(3, retailer, "TRK-2", { from: owner }),
+            "Only distributor can create shipment"
+        );
+        await expectRevert(
+            supplyChainInstance.createShipment(1, retailer, "TRK-2", { from: otherDistributor }),
+            "Only distributor can create shipment"
+        );
+    });
+
+    it("should validate every line item", async () => {
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [1, 3], [1, 1], { from: distributor }),
+            "Only distributor can create shipment"
+        );
+        await distribute(3, otherDistributor);
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [1, 3], [1, 1], { from: distributor }),
+            "Only distributor can create shipment"
+        );
+        await supplyChainInstance.retailMedicine(2, { from: retailer });
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [1, 2], [1, 1], { from: distributor }),
+            "Invalid stage"
+        );
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [1], [101], { from: distributor }),
+            "Invalid quantity"
+        );
+        await supplyChainInstance.issueRecall(1, 2, "Contamination", { from: owner });
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [1], [1], { from: distributor }),
+            "Medicine recalled"
+        );
+    });
+
+    it("should not ship more of a batch than it holds across consignments", async () => {
+        await supplyChainInstance.createConsignment("CON-1", retailer, [1, 2], [60, 100], { from: distributor });
+        assert.equal((await supplyChainInstance.shippedQuantity(1)).toNumber(), 60, "Shipped units should be tracked");
+
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-2", retailer, [1], [41], { from: distributor }),
+            "Invalid quantity"
+        );
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-2", retailer, [2], [1], { from: distributor }),
+            "Invalid quantity"
+        );
+
+        await supplyChainInstance.createConsignment("CON-2", retailer, [1], [40], { from: distributor });
+        assert.equal((await supplyChainInstance.shippedQuantity(1)).toNumber(), 100, "Whole batch should be shipped");
+    });
+
+    it("should require a receiver", async () => {
+        const zeroAddress = "0x0000000000000000000000000000000000000000";
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", zeroAddress, [1], [1], { from: distributor }),
+            "Invalid receiver"
+        );
+        await expectRevert(
+            supplyChainInstance.createShipment(1, zeroAddress, "TRK-1", { from: distributor }),
+            "Invalid receiver"
+        );
+    });
+
+    it("should reject malformed line items and reused tracking IDs", async () => {
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [], [], { from: distributor }),
+            "Invalid line items"
+        );
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [1, 2], [1], { from: distributor }),
+            "Invalid line items"
+        );
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [2, 1], [1, 1], { from: distributor }),
+            "Invalid line items"
+        );
+        await supplyChainInstance.createConsignment("CON-1", retailer, [1], [1], { from: distributor });
+        await expectRevert(
+            supplyChainInstance.createConsignment("CON-1", retailer, [2], [1], { from: distributor }),
+            "Tracking ID in use"
+        );
+    });
+});
@@ -0,0 +1,59 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Document anchors", (accounts) => {
+    const [owner, manufacturer, stranger] = accounts;
+    let supplyChainInstance;
+
+    const subject = web3.utils.keccak256("medicine:1");
+    const contentHash = web3.utils.sha3("certificate of analysis");
+    const zeroHash = "0x" + "0".repeat(64);
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+    });
+
+    it("should let a participant anchor a document they uploaded", async () => {
+        const tx = await supplyChainInstance.anchorDocument(subject, contentHash, manufacturer, { from: manufacturer });
+
+        const anchor = await supplyChainInstance.documentAnchors(subject, contentHash);
+        assert.equal(anchor.uploader, manufacturer, "Uploader should be stored");
+        assert.isTrue(anchor.timestamp.toNumber() > 0, "Timestamp should be stored");
+        assert.equal(tx.logs[0].event, "DocumentAnchored", "Event name should be DocumentAnchored");
+    });
+
+    it("should let the owner anchor on behalf of an uploader", async () => {
+        await supplyChainInstance.anchorDocument(subject, contentHash, manufacturer, { from: owner });
+
+        const anchor = await supplyChainInstance.documentAnchors(subject, contentHash);
+        assert.equal(anchor.uploader, manufacturer, "Uploader given by the owner should be stored");
+    });
+
+    it("should reject outsiders and impersonation", async () => {
+        await expectRevert(
+            supplyChainInstance.anchorDocument(subject, contentHash, stranger, { from: stranger }),
+            "Not allowed to anchor documents"
+        );
+        await expectRevert(
+            supplyChainInstance.anchorDocument(subject, contentHash, owner, { from: manufacturer }),
+            "Not allowed to anchor documents"
+        );
+    });
+
+    it("should reject empty and repeated anchors", async () => {
+        await expectRevert(
+            supplyChainInstance.anchorDocument(subject, zeroHash, owner, { from: owner }),
+            "Invalid content hash"
+        );
+
+        await supplyChainInstance.anchorDocument(subject, contentHash, owner, { from: owner });
+        await expectRevert(
+            supplyChainInstance.anchorDocument(subject, contentHash, owner, { from: owner }),
+            "Document already anchored"
+        );
+
+        // The same file may be attached to another subject
+        await supplyChainInstance.anchorDocument(web3.utils.keccak256("shipment:TRK-1"), contentHash, owner, { from: owner });
+    });
+});
@@ -0,0 +1,77 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Medicine Batches", (accounts) => {
+    const [owner, supplier, manufacturer, stranger] = accounts;
+    let supplyChainInstance;
+
+    const manufacturingDate = 1767225600;  // 2026-01-01
+    const expiryDate = 1830297600;         // 2028-01-01
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+    });
+
+    it("should store lot details when a medicine is added with a batch", async () => {
+        const tx = await supplyChainInstance.addMedicineWithBatch(
+            "Paracetamol", "Pain reliever", "LOT-001", manufacturingDate, expiryDate, 500, { from: owner }
+        );
+
+        const batch = await supplyChainInstance.batches(1);
+        assert.equal(batch.batchNumber, "LOT-001", "Batch number should be stored");
+        assert.equal(batch.manufacturingDate.toNumber(), manufacturingDate, "Manufacturing date should be stored");
+        assert.equal(batch.expiryDate.toNumber(), expiryDate, "Expiry date should be stored");
+        assert.equal(batch.quantity.toNumber(), 500, "Quantity should be stored");
+
+        const medicineId = await supplyChainInstance.batchMedicine("LOT-001");
+        assert.equal(medicineId.toNumber(), 1, "Batch number should resolve to the medicine");
+
+        assert.equal(tx.logs[0].event, "MedicineAdded", "First event should be MedicineAdded");
+        assert.equal(tx.logs[1].event, "BatchRecorded", "Second event should be BatchRecorded");
+        assert.equal(tx.logs[1].args.batchNumber, "LOT-001", "Event batch number should match");
+    });
+
+    it("should let the manufacturer record the batch at manufacture", async () => {
+        await supplyChainInstance.addMedicine("Paracetamol", "Pain reliever", { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+
+        await expectRevert(
+            supplyChainInstance.recordBatch(1, "LOT-002", manufacturingDate, expiryDate, 100, { from: manufacturer }),
+            "Not the owner or manufacturer"
+        );
+
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+        await supplyChainInstance.recordBatch(1, "LOT-002", manufacturingDate, expiryDate, 100, { from: manufacturer });
+
+        const batch = await supplyChainInstance.batches(1);
+        assert.equal(batch.batchNumber, "LOT-002", "Manufacturer should be able to record the batch");
+        await expectRevert(
+            supplyChainInstance.recordBatch(1, "LOT-003", manufacturingDate, expiryDate, 100, { from: owner }),
+            "Batch already recorded"
+        );
+    });
+
+    it("should reject invalid lot details", async () => {
+        await supplyChainInstance.addMedicineWithBatch("A", "a", "LOT-001", manufacturingDate, expiryDate, 1, { from: owner });
+        await supplyChainInstance.addMedicine("B", "b", { from: owner });
+
+        await expectRevert(
+            supplyChainInstance.recordBatch(2, "LOT-001", manufacturingDate, expiryDate, 1, { from: owner }),
+            "Batch number in use"
+        );
+        await expectRevert(
+            supplyChainInstance.recordBatch(2, "LOT-002", expiryDate, manufacturingDate, 1, { from: owner }),
+            "Expiry must follow manufacture"
+        );
+        await expectRevert(
+            supplyChainInstance.recordBatch(2, "LOT-002", manufacturingDate, expiryDate, 0, { from: owner }),
+            "Quantity must be positive"
+        );
+        await expectRevert(
+            supplyChainInstance.recordBatch(2, "LOT-002", manufacturingDate, expiryDate, 1, { from: stranger }),
+            "Not the owner or manufacturer"
+        );
+    });
+});
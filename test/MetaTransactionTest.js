@@ -0,0 +1,136 @@
+const SupplyChain = artifacts.require("SupplyChain");
+
+contract("SupplyChain - Meta Transactions", (accounts) => {
+    const [owner, supplier, relayer, stranger] = accounts;
+    let supplyChainInstance;
+
+    // Sign a MetaTransaction with eth_signTypedData_v4, as MetaMask would
+    const signMetaTransaction = async (from, functionCall, deadline) => {
+        const chainId = await web3.eth.getChainId();
+        const nonce = await supplyChainInstance.nonces(from);
+        const typedData = {
+            types: {
+                EIP712Domain: [
+                    { name: "name", type: "string" },
+                    { name: "version", type: "string" },
+                    { name: "chainId", type: "uint256" },
+                    { name: "verifyingContract", type: "address" }
+                ],
+                MetaTransaction: [
+                    { name: "from", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" },
+                    { name: "functionCall", type: "bytes" }
+                ]
+            },
+            primaryType: "MetaTransaction",
+            domain: {
+                name: "SupplyChain",
+                version: "1",
+                chainId: Number(chainId),
+                verifyingContract: supplyChainInstance.address
+            },
+            message: {
+                from,
+                nonce: nonce.toString(),
+                deadline: deadline.toString(),
+                functionCall
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            web3.currentProvider.send({
+                jsonrpc: "2.0",
+                id: Date.now(),
+                method: "eth_signTypedData_v4",
+                params: [from, typedData]
+            }, (error, response) => (error || response.error ? reject(error || response.error) : resolve(response.result)));
+        });
+    };
+
+    const futureDeadline = async () => {
+        const block = await web3.eth.getBlock("latest");
+        return Number(block.timestamp) + 3600;
+    };
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addMedicine("Test Medicine", "Test Description", { from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+    });
+
+    it("should attribute a relayed stage change to the signer", async () => {
+        const functionCall = supplyChainInstance.contract.methods.supplyRawMaterials(1).encodeABI();
+        const deadline = await futureDeadline();
+        const signature = await signMetaTransaction(supplier, functionCall, deadline);
+
+        const tx = await supplyChainInstance.executeMetaTransaction(supplier, functionCall, deadline, signature, { from: relayer });
+
+        const medicine = await supplyChainInstance.medicines(1);
+        assert.equal(medicine.supplier, supplier, "Supplier should be the signer, not the relayer");
+        assert.equal(medicine.stage.toNumber(), 1, "Stage should be RawMaterialSupplied");
+
+        const transactions = await supplyChainInstance.getTransactions();
+        assert.equal(transactions[0].participant, supplier, "TransactionRecorded participant should be the signer");
+
+        const executed = tx.logs.find((log) => log.event === "MetaTransactionExecuted");
+        assert.equal(executed.args.from, supplier, "Event should name the signer");
+        assert.equal(executed.args.relayer, relayer, "Event should name the relayer");
+        assert.equal((await supplyChainInstance.nonces(supplier)).toNumber(), 1, "Nonce should be incremented");
+    });
+
+    it("should reject a signature from another account", async () => {
+        const functionCall = supplyChainInstance.contract.methods.supplyRawMaterials(1).encodeABI();
+        const deadline = await futureDeadline();
+        const signature = await signMetaTransaction(stranger, functionCall, deadline);
+
+        try {
+            await supplyChainInstance.executeMetaTransaction(supplier, functionCall, deadline, signature, { from: relayer });
+            assert.fail("Should have reverted");
+        } catch (error) {
+            assert.include(error.message, "Invalid signature", "Error message should contain 'Invalid signature'");
+        }
+    });
+
+    it("should reject a replayed signature", async () => {
+        const functionCall = supplyChainInstance.contract.methods.supplyRawMaterials(1).encodeABI();
+        const deadline = await futureDeadline();
+        const signature = await signMetaTransaction(supplier, functionCall, deadline);
+
+        await supplyChainInstance.executeMetaTransaction(supplier, functionCall, deadline, signature, { from: relayer });
+
+        try {
+            await supplyChainInstance.executeMetaTransaction(supplier, functionCall, deadline, signature, { from: relayer });
+            assert.fail("Should have reverted");
+        } catch (error) {
+            assert.include(error.message, "Invalid signature", "Error message should contain 'Invalid signature'");
+        }
+    });
+
+    it("should reject an expired meta-transaction", async () => {
+        const functionCall = supplyChainInstance.contract.methods.supplyRawMaterials(1).encodeABI();
+        const block = await web3.eth.getBlock("latest");
+        const deadline = Number(block.timestamp) - 1;
+        const signature = await signMetaTransaction(supplier, functionCall, deadline);
+
+        try {
+            await supplyChainInstance.executeMetaTransaction(supplier, functionCall, deadline, signature, { from: relayer });
+            assert.fail("Should have reverted");
+        } catch (error) {
+            assert.include(error.message, "Meta-transaction expired", "Error message should contain 'Meta-transaction expired'");
+        }
+    });
+
+    it("should bubble up the revert reason of the relayed call", async () => {
+        const functionCall = supplyChainInstance.contract.methods.manufactureMedicine(1).encodeABI();
+        const deadline = await futureDeadline();
+        const signature = await signMetaTransaction(supplier, functionCall, deadline);
+
+        try {
+            await supplyChainInstance.executeMetaTransaction(supplier, functionCall, deadline, signature, { from: relayer });
+            assert.fail("Should have reverted");
+        } catch (error) {
+            assert.include(error.message, "Not a registered manufacturer", "Inner revert reason should be returned");
+        }
+    });
+});
@@ -0,0 +1,83 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Participant Registry", (accounts) => {
+    const [owner, supplier, manufacturer, stranger] = accounts;
+    let supplyChainInstance;
+
+    // Role enum values
+    const Role = {
+        Supplier: 0,
+        Manufacturer: 1,
+        Distributor: 2,
+        Retailer: 3
+    };
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+    });
+
+    it("should list each registered address once", async () => {
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addRetailer(supplier, "Supplier Shop", "Shop Location", { from: owner });
+
+        const participants = await supplyChainInstance.getParticipants();
+        assert.deepEqual(participants, [supplier, manufacturer], "Participants should be listed in registration order");
+    });
+
+    it("should reject registering the same address twice in a role", async () => {
+        await expectRevert(
+            supplyChainInstance.addSupplier(supplier, "Other Name", "Other Location", { from: owner }),
+            "Already registered"
+        );
+
+        const participant = await supplyChainInstance.suppliers(supplier);
+        assert.equal(participant.name, "Test Supplier", "Existing entry should not be overwritten");
+    });
+
+    it("should update a participant's profile and emit ParticipantUpdated", async () => {
+        const tx = await supplyChainInstance.updateParticipant(supplier, Role.Supplier, "Renamed Supplier", "New Location", { from: owner });
+
+        const participant = await supplyChainInstance.suppliers(supplier);
+        assert.equal(participant.name, "Renamed Supplier", "Name should be updated");
+        assert.equal(participant.location, "New Location", "Location should be updated");
+
+        assert.equal(tx.logs[0].event, "ParticipantUpdated", "Event name should be ParticipantUpdated");
+        assert.equal(tx.logs[0].args.role, "Supplier", "Event role should be Supplier");
+        assert.equal(tx.logs[0].args.location, "New Location", "Event location should match");
+    });
+
+    it("should reject updates for roles the address does not hold", async () => {
+        await expectRevert(
+            supplyChainInstance.updateParticipant(supplier, Role.Retailer, "Name", "Location", { from: owner }),
+            "Not registered"
+        );
+    });
+
+    it("should block stage changes by a suspended participant until reinstated", async () => {
+        await supplyChainInstance.addMedicine("Test Medicine", "Test Description", { from: owner });
+
+        const tx = await supplyChainInstance.setParticipantActive(supplier, false, { from: owner });
+        assert.equal(tx.logs[0].event, "ParticipantStatusChanged", "Event name should be ParticipantStatusChanged");
+        assert.equal(tx.logs[0].args.active, false, "Event should report the participant as inactive");
+        assert.equal(await supplyChainInstance.suspended(supplier), true, "Supplier should be suspended");
+
+        await expectRevert(supplyChainInstance.supplyRawMaterials(1, { from: supplier }), "Participant suspended");
+
+        await supplyChainInstance.setParticipantActive(supplier, true, { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+
+        const medicine = await supplyChainInstance.medicines(1);
+        assert.equal(medicine.stage.toNumber(), 1, "Medicine should reach RawMaterialSupplied");
+    });
+
+    it("should only let the owner manage participants", async () => {
+        await expectRevert(
+            supplyChainInstance.updateParticipant(supplier, Role.Supplier, "Name", "Location", { from: stranger }),
+            "Not the owner"
+        );
+        await expectRevert(supplyChainInstance.setParticipantActive(supplier, false, { from: stranger }), "Not the owner");
+        await expectRevert(supplyChainInstance.setParticipantActive(stranger, false, { from: owner }), "Not registered");
+    });
+});
@@ -0,0 +1,75 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Recalls", (accounts) => {
+    const [owner, supplier, manufacturer, distributor, retailer, regulator, stranger] = accounts;
+    let supplyChainInstance;
+
+    // RecallSeverity enum values
+    const Severity = {
+        Low: 0,
+        Medium: 1,
+        High: 2
+    };
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addDistributor(distributor, "Test Distributor", "Distributor Location", { from: owner });
+        await supplyChainInstance.addRetailer(retailer, "Test Retailer", "Retailer Location", { from: owner });
+        await supplyChainInstance.addMedicine("Paracetamol", "Pain reliever", { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+    });
+
+    it("should let a regulator issue a recall and record it", async () => {
+        await supplyChainInstance.setRegulator(regulator, true, { from: owner });
+        const tx = await supplyChainInstance.issueRecall(1, Severity.High, "Contamination", { from: regulator });
+
+        const recall = await supplyChainInstance.recalls(1);
+        assert.isTrue(recall.active, "Recall should be active");
+        assert.equal(recall.severity.toNumber(), Severity.High, "Severity should be stored");
+        assert.equal(recall.reason, "Contamination", "Reason should be stored");
+        assert.equal(recall.issuedBy, regulator, "Issuer should be stored");
+
+        assert.equal(tx.logs[0].event, "RecallIssued", "Event name should be RecallIssued");
+        const transactions = await supplyChainInstance.getTransactions();
+        assert.equal(transactions[transactions.length - 1].action, "Recalled", "Recall should be recorded as a transaction");
+    });
+
+    it("should reject recalls from anyone else", async () => {
+        await expectRevert(
+            supplyChainInstance.issueRecall(1, Severity.Low, "Label error", { from: stranger }),
+            "Not the owner or a regulator"
+        );
+
+        await supplyChainInstance.setRegulator(regulator, true, { from: owner });
+        await supplyChainInstance.setRegulator(regulator, false, { from: owner });
+        await expectRevert(
+            supplyChainInstance.issueRecall(1, Severity.Low, "Label error", { from: regulator }),
+            "Not the owner or a regulator"
+        );
+    });
+
+    it("should block distribution and shipments of a recalled medicine", async () => {
+        await supplyChainInstance.issueRecall(1, Severity.Medium, "Potency below spec", { from: owner });
+
+        await expectRevert(supplyChainInstance.distributeMedicine(1, { from: distributor }), "Medicine recalled");
+        await expectRevert(
+            supplyChainInstance.issueRecall(1, Severity.High, "Again", { from: owner }),
+            "Already recalled"
+        );
+    });
+
+    it("should block retail, sale and shipment creation after distribution", async () => {
+        await supplyChainInstance.distributeMedicine(1, { from: distributor });
+        await supplyChainInstance.issueRecall(1, Severity.High, "Contamination", { from: owner });
+
+        await expectRevert(supplyChainInstance.retailMedicine(1, { from: retailer }), "Medicine recalled");
+        await expectRevert(
+            supplyChainInstance.createShipment(1, retailer, "TRK-1", { from: distributor }),
+            "Medicine recalled"
+        );
+    });
+});
@@ -0,0 +1,93 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Serial Commitments", (accounts) => {
+    const [owner, supplier, manufacturer, stranger] = accounts;
+    let supplyChainInstance;
+
+    const gtin = "09506000134352";
+    const sgtins = ["A1", "B2", "C3"].map((serial) => `(01)${gtin}(21)${serial}`);
+
+    // Double-hashed leaves, sorted pair hashing, odd nodes promoted
+    const leafHash = (sgtin) => web3.utils.keccak256(web3.utils.keccak256(web3.utils.utf8ToHex(sgtin)));
+    const hashPair = (a, b) => web3.utils.keccak256(a < b ? a + b.slice(2) : b + a.slice(2));
+
+    const buildTree = (leaves) => {
+        const levels = [leaves];
+        while (levels[levels.length - 1].length > 1) {
+            const level = levels[levels.length - 1];
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+            }
+            levels.push(next);
+        }
+        return levels;
+    };
+
+    const proofFor = (levels, index) => {
+        const proof = [];
+        for (const level of levels.slice(0, -1)) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < level.length) proof.push(level[sibling]);
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    };
+
+    const levels = buildTree(sgtins.map(leafHash));
+    const root = levels[levels.length - 1][0];
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addMedicineWithBatch("Paracetamol", "Pain reliever", "LOT-001", 1767225600, 1830297600, 3, { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+    });
+
+    it("should only accept serials for manufactured batches", async () => {
+        await expectRevert(
+            supplyChainInstance.commitSerials(1, gtin, root, 3, { from: owner }),
+            "Not manufactured"
+        );
+    });
+
+    it("should commit a root and verify each unit's proof", async () => {
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+        const tx = await supplyChainInstance.commitSerials(1, gtin, root, 3, { from: manufacturer });
+
+        assert.equal(tx.logs[0].event, "SerialsCommitted", "Event name should be SerialsCommitted");
+        const commitment = await supplyChainInstance.serialCommitments(1);
+        assert.equal(commitment.root, root, "Root should be stored");
+        assert.equal(commitment.count.toNumber(), 3, "Count should be stored");
+        assert.equal(commitment.gtin, gtin, "GTIN should be stored");
+
+        for (let i = 0; i < sgtins.length; i++) {
+            assert.isTrue(await supplyChainInstance.verifySerial(1, sgtins[i], proofFor(levels, i)), `${sgtins[i]} should verify`);
+        }
+        assert.isFalse(
+            await supplyChainInstance.verifySerial(1, `(01)${gtin}(21)ZZ`, proofFor(levels, 0)),
+            "Unknown serial should not verify"
+        );
+    });
+
+    it("should reject repeated or oversized commitments", async () => {
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+
+        await expectRevert(
+            supplyChainInstance.commitSerials(1, gtin, root, 4, { from: owner }),
+            "Invalid serial count"
+        );
+        await expectRevert(
+            supplyChainInstance.commitSerials(1, gtin, root, 3, { from: stranger }),
+            "Not the owner or manufacturer"
+        );
+
+        await supplyChainInstance.commitSerials(1, gtin, root, 3, { from: owner });
+        await expectRevert(
+            supplyChainInstance.commitSerials(1, gtin, root, 3, { from: owner }),
+            "Serials already committed"
+        );
+    });
+});
@@ -0,0 +1,105 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Shipment custody", (accounts) => {
+    const [owner, supplier, manufacturer, distributor, retailer, stranger] = accounts;
+    let supplyChainInstance;
+
+    const ShipmentStatus = {
+        Pending: 0,
+        InTransit: 1,
+        Delivered: 2,
+        Rejected: 3
+    };
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addDistributor(distributor, "Test Distributor", "Distributor Location", { from: owner });
+        await supplyChainInstance.addRetailer(retailer, "Test Retailer", "Retailer Location", { from: owner });
+        await supplyChainInstance.addMedicine("Test Medicine", "Test Description", { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+        await supplyChainInstance.distributeMedicine(1, { from: distributor });
+        await supplyChainInstance.createShipment(1, retailer, "TRK-1", { from: distributor });
+    });
+
+    it("should only let the sender dispatch the shipment", async () => {
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: retailer }),
+            "Only the sender can dispatch"
+        );
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.InTransit, "Picked up", { from: stranger }),
+            "Only the sender can dispatch"
+        );
+
+        await supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.InTransit, "Picked up", { from: distributor });
+        const shipment = await supplyChainInstance.shipments("TRK-1");
+        assert.equal(shipment.status.toNumber(), ShipmentStatus.InTransit, "Shipment should be in transit");
+    });
+
+    it("should only let the receiver confirm delivery", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Delivered, { from: distributor }),
+            "Only the receiver can accept or reject"
+        );
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Delivered, "Received", { from: stranger }),
+            "Only the receiver can accept or reject"
+        );
+
+        const tx = await supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Delivered, "Received in good order", { from: retailer });
+        const shipment = await supplyChainInstance.shipments("TRK-1");
+        assert.equal(shipment.status.toNumber(), ShipmentStatus.Delivered, "Shipment should be delivered");
+        assert.equal(tx.logs[0].args.updatedBy, retailer, "Delivery should be attributed to the receiver");
+    });
+
+    it("should require a reason to reject a shipment", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Rejected, { from: retailer }),
+            "Rejection reason required"
+        );
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Rejected, "", { from: retailer }),
+            "Rejection reason required"
+        );
+
+        await supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Rejected, "Seal broken", { from: retailer });
+        const notes = await supplyChainInstance.getShipmentNotes("TRK-1");
+        assert.equal(Number(notes[0].status), ShipmentStatus.Rejected, "Note should record the rejection");
+        assert.equal(notes[0].note, "Seal broken", "Note should carry the reason");
+        assert.equal(notes[0].updatedBy, retailer, "Rejection should be attributed to the receiver");
+    });
+
+    it("should let the owner dispatch for the sender but not accept or reject for the receiver", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: owner });
+
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Delivered, "Received", { from: owner }),
+            "Only the receiver can accept or reject"
+        );
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Rejected, "Seal broken", { from: owner }),
+            "Only the receiver can accept or reject"
+        );
+
+        const shipment = await supplyChainInstance.shipments("TRK-1");
+        assert.equal(shipment.status.toNumber(), ShipmentStatus.InTransit, "Shipment should still be in transit");
+    });
+
+    it("should reject updates from a suspended receiver", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+        await supplyChainInstance.setParticipantActive(retailer, false, { from: owner });
+
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Delivered, { from: retailer }),
+            "Participant suspended"
+        );
+    });
+});
@@ -0,0 +1,102 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Shipment status transitions", (accounts) => {
+    const [owner, supplier, manufacturer, distributor, retailer] = accounts;
+    let supplyChainInstance;
+
+    const ShipmentStatus = {
+        Pending: 0,
+        InTransit: 1,
+        Delivered: 2,
+        Rejected: 3,
+        Cancelled: 4,
+        Returned: 5,
+        Lost: 6
+    };
+
+    const statusOf = async (trackingId) => (await supplyChainInstance.shipments(trackingId)).status.toNumber();
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addDistributor(distributor, "Test Distributor", "Distributor Location", { from: owner });
+        await supplyChainInstance.addRetailer(retailer, "Test Retailer", "Retailer Location", { from: owner });
+        await supplyChainInstance.addMedicine("Test Medicine", "Test Description", { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+        await supplyChainInstance.distributeMedicine(1, { from: distributor });
+        await supplyChainInstance.createShipment(1, retailer, "TRK-1", { from: distributor });
+    });
+
+    it("should not deliver a shipment that was never dispatched", async () => {
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Delivered, { from: retailer }),
+            "Invalid status transition"
+        );
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Pending, { from: distributor }),
+            "Invalid status transition"
+        );
+    });
+
+    it("should treat a delivered shipment as final", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Delivered, { from: retailer });
+
+        for (const status of [ShipmentStatus.Pending, ShipmentStatus.InTransit, ShipmentStatus.Lost]) {
+            await expectRevert(
+                supplyChainInstance.updateShipmentStatus("TRK-1", status, { from: distributor }),
+                "Invalid status transition"
+            );
+        }
+        assert.equal(await statusOf("TRK-1"), ShipmentStatus.Delivered, "Shipment should stay delivered");
+    });
+
+    it("should let the sender cancel a pending shipment", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Cancelled, { from: distributor });
+        assert.equal(await statusOf("TRK-1"), ShipmentStatus.Cancelled, "Shipment should be cancelled");
+
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor }),
+            "Invalid status transition"
+        );
+    });
+
+    it("should let the sender report a shipment in transit as lost", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Lost, { from: retailer }),
+            "Only the sender can dispatch"
+        );
+
+        await supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Lost, "No scan for 10 days", { from: distributor });
+        assert.equal(await statusOf("TRK-1"), ShipmentStatus.Lost, "Shipment should be lost");
+    });
+
+    it("should only return a rejected shipment", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+        await expectRevert(
+            supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Returned, { from: distributor }),
+            "Invalid status transition"
+        );
+
+        await supplyChainInstance.updateShipmentStatusWithNote("TRK-1", ShipmentStatus.Rejected, "Seal broken", { from: retailer });
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Returned, { from: distributor });
+        assert.equal(await statusOf("TRK-1"), ShipmentStatus.Returned, "Shipment should be returned");
+    });
+
+    it("should not reuse the tracking ID of an existing shipment", async () => {
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.InTransit, { from: distributor });
+        await supplyChainInstance.updateShipmentStatus("TRK-1", ShipmentStatus.Delivered, { from: retailer });
+
+        await expectRevert(
+            supplyChainInstance.createShipment(1, distributor, "TRK-1", { from: distributor }),
+            "Tracking ID in use"
+        );
+        const shipment = await supplyChainInstance.shipments("TRK-1");
+        assert.equal(shipment.status.toNumber(), ShipmentStatus.Delivered, "Shipment should stay delivered");
+        assert.equal(shipment.receiver, retailer, "Receiver should not change");
+    });
+});
@@ -95,11 +95,12 @@ contract("SupplyChain - Shipment Notes", (accounts) => {
                 { from: owner }
             );
 
+            // Only the receiver can accept the delivery
             await supplyChainInstance.updateShipmentStatusWithNote(
                 trackingId,
                 ShipmentStatus.Delivered,
                 note3,
-                { from: owner }
+                { from: retailer }
             );
 
             // Get all notes
@@ -0,0 +1,71 @@
+const SupplyChain = artifacts.require("SupplyChain");
+const { expectRevert } = require("./helpers");
+
+contract("SupplyChain - Cold-chain telemetry", (accounts) => {
+    const [owner, supplier, manufacturer, distributor, retailer, stranger] = accounts;
+    let supplyChainInstance;
+
+    const dataHash = web3.utils.keccak256("readings");
+
+    beforeEach(async () => {
+        supplyChainInstance = await SupplyChain.new({ from: owner });
+        await supplyChainInstance.addSupplier(supplier, "Test Supplier", "Supplier Location", { from: owner });
+        await supplyChainInstance.addManufacturer(manufacturer, "Test Manufacturer", "Manufacturer Location", { from: owner });
+        await supplyChainInstance.addDistributor(distributor, "Test Distributor", "Distributor Location", { from: owner });
+        await supplyChainInstance.addRetailer(retailer, "Test Retailer", "Retailer Location", { from: owner });
+        await supplyChainInstance.addMedicine("Insulin", "Keep refrigerated", { from: owner });
+        await supplyChainInstance.supplyRawMaterials(1, { from: supplier });
+        await supplyChainInstance.manufactureMedicine(1, { from: manufacturer });
+        await supplyChainInstance.distributeMedicine(1, { from: distributor });
+        await supplyChainInstance.createShipment(1, retailer, "TRK-1", { from: distributor });
+    });
+
+    it("should let the manufacturer set a storage range", async () => {
+        const tx = await supplyChainInstance.setStorageRange(1, 20, 80, 10, 60, { from: manufacturer });
+
+        const range = await supplyChainInstance.storageRanges(1);
+        assert.equal(range.minTemperature.toNumber(), 20, "Minimum temperature should be stored");
+        assert.equal(range.maxTemperature.toNumber(), 80, "Maximum temperature should be stored");
+        assert.equal(range.maxHumidity.toNumber(), 60, "Maximum humidity should be stored");
+        assert.isTrue(range.set, "Range should be marked as set");
+        assert.equal(tx.logs[0].event, "StorageRangeSet", "Event name should be StorageRangeSet");
+    });
+
+    it("should accept sub-zero temperatures and reject invalid ranges", async () => {
+        await supplyChainInstance.setStorageRange(1, -250, -150, 0, 100, { from: owner });
+        const range = await supplyChainInstance.storageRanges(1);
+        assert.equal(range.minTemperature.toNumber(), -250, "Negative temperatures should be stored");
+
+        await expectRevert(supplyChainInstance.setStorageRange(1, 80, 20, 0, 100, { from: owner }), "Invalid temperature range");
+        await expectRevert(supplyChainInstance.setStorageRange(1, 20, 80, 0, 101, { from: owner }), "Invalid humidity range");
+        await expectRevert(supplyChainInstance.setStorageRange(1, 20, 80, 0, 60, { from: stranger }), "Not the owner or manufacturer");
+    });
+
+    it("should anchor telemetry windows from the shipment parties", async () => {
+        await supplyChainInstance.anchorTelemetry("TRK-1", dataHash, 1000, 2000, 12, 2, { from: distributor });
+        const tx = await supplyChainInstance.anchorTelemetry("TRK-1", dataHash, 2000, 3000, 6, 0, { from: retailer });
+
+        const anchors = await supplyChainInstance.getTelemetryAnchors("TRK-1");
+        assert.equal(anchors.length, 2, "Both windows should be anchored");
+        assert.equal(anchors[0].dataHash, dataHash, "Data hash should be stored");
+        assert.equal(anchors[0].readingCount, "12", "Reading count should be stored");
+        assert.equal(anchors[0].excursionCount, "2", "Excursion count should be stored");
+        assert.equal(anchors[1].anchoredBy, retailer, "Anchoring party should be stored");
+        assert.equal(tx.logs[0].args.index.toNumber(), 1, "Event should carry the window index");
+    });
+
+    it("should reject telemetry from outsiders and for unknown shipments", async () => {
+        await expectRevert(
+            supplyChainInstance.anchorTelemetry("TRK-1", dataHash, 1000, 2000, 12, 0, { from: stranger }),
+            "Not a party to the shipment"
+        );
+        await expectRevert(
+            supplyChainInstance.anchorTelemetry("NOPE", dataHash, 1000, 2000, 12, 0, { from: owner }),
+            "Shipment not found"
+        );
+        await expectRevert(
+            supplyChainInstance.anchorTelemetry("TRK-1", dataHash, 1000, 2000, 2, 3, { from: owner }),
+            "Invalid reading count"
+        );
+    });
+});
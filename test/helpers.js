@@ -0,0 +1,12 @@
+// Assertions shared by the contract tests
+
+const expectRevert = async (promise, reason) => {
+    try {
+        await promise;
+        assert.fail("Should have reverted");
+    } catch (error) {
+        assert.include(error.message, reason, `Error message should contain '${reason}'`);
+    }
+};
+
+module.exports = { expectRevert };